@@ -3,36 +3,35 @@ const cors = require('cors');
 const bodyParser = require('body-parser');
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
+const { createStorage, VERSION_CONFLICT } = require('./storage');
+const { productKey } = require('./storage/keys');
+const {
+  saleNetTotal,
+  isReportableSale,
+  normalizeSalePayments,
+  addPaymentBreakdown,
+  reportSales,
+  summarizeSalesByStore
+} = require('./storage/sales');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
-// Senha do painel do proprietário (pode ser configurada via variável de ambiente)
-const OWNER_PASSWORD = process.env.OWNER_PASSWORD || 'gol2024';
+// Exigir chave de API em todas as rotas /api/sync/* (padrão; REQUIRE_STORE_KEY=false desativa).
+// Desativado é só para migrar instalações antigas: lojas sem chave gerada continuam
+// sincronizando sem autenticação; lojas com chave sempre precisam apresentá-la.
+const REQUIRE_STORE_KEY = process.env.REQUIRE_STORE_KEY !== 'false';
 
 // =====================================
-// SUPABASE - BANCO DE DADOS NA NUVEM
+// ARMAZENAMENTO (SUPABASE, SQLITE OU MEMÓRIA)
 // =====================================
-// Configure as variáveis de ambiente no Vercel:
-// SUPABASE_URL = sua URL do Supabase
-// SUPABASE_KEY = sua chave anon/service do Supabase
+// Escolhido pela variável STORAGE_DRIVER - veja storage/index.js
 
-let supabase = null;
-const SUPABASE_URL = process.env.SUPABASE_URL;
-const SUPABASE_KEY = process.env.SUPABASE_KEY;
-const useSupabase = SUPABASE_URL && SUPABASE_KEY;
-
-if (useSupabase) {
-  try {
-    const { createClient } = require('@supabase/supabase-js');
-    supabase = createClient(SUPABASE_URL, SUPABASE_KEY);
-    console.log('✅ Supabase conectado! Dados serão persistidos na nuvem.');
-  } catch (error) {
-    console.error('❌ Erro ao conectar Supabase:', error.message);
-  }
-} else {
-  console.log('⚠️ Supabase não configurado. Usando armazenamento em memória (dados serão perdidos ao reiniciar).');
-}
+const storage = createStorage();
+// Alguns relatórios consultam o Supabase diretamente quando ele é o banco
+const supabase = storage.client || null;
+const useSupabase = storage.driver === 'supabase';
 
 // =====================================
 // FUNÇÕES DO BANCO DE DADOS
@@ -44,2720 +43,7707 @@ const stores = new Map();
 const productsStore = new Map();
 const categoriesStore = new Map();
 const promotionsStore = new Map();
+const usersStore = new Map();
+const closingsStore = new Map();
+// "<loja>:<produto>" -> saldo de estoque
+const stockStore = new Map();
+const transfersStore = new Map();
+const suppliersStore = new Map();
+const purchaseOrdersStore = new Map();
+const stockCountsStore = new Map();
+
+// Sequência de sincronização: cada registro aceito pelo servidor recebe um
+// sync_seq crescente. Os terminais usam esse valor como cursor no pull, então
+// uma venda criada offline ontem e enviada hoje ainda é entregue às outras lojas.
+// Baseada no relógio para continuar crescente entre reinícios e instâncias.
+let lastSyncSeq = 0;
+
+function nextSyncSeq() {
+  lastSyncSeq = Math.max(lastSyncSeq + 1, Date.now());
+  return lastSyncSeq;
+}
+
+// O sync_seq é atribuído antes de a gravação terminar: com várias instâncias (ou
+// uma gravação lenta) um registro pode chegar ao banco com sequência menor que um
+// cursor já entregue. Por isso o cursor devolvido pelo pull não passa de
+// SYNC_OVERLAP_MS antes de agora: o que ainda estava sendo gravado entra no pull
+// seguinte, e o que já tinha sido entregue depois dessa marca volta de novo, só
+// uma vez por pull (não a cada página); os terminais descartam repetidos pela revisão.
+const SYNC_OVERLAP_MS = parseInt(process.env.SYNC_OVERLAP_MS) || 30000;
+
+// Próximo cursor do pull a partir da última sequência entregue. Com mais páginas,
+// avança além da marca quando preciso para o terminal não pedir a mesma página de novo.
+function pullCursor(cursor, lastSeq, hasMore = false) {
+  const settled = Math.min(lastSeq, Date.now() - SYNC_OVERLAP_MS);
+  if (settled > cursor) return settled;
+  return hasMore ? lastSeq : cursor;
+}
+
+// Garante que registros antigos (sem sync_seq) também possam ser paginados
+function ensureSyncSeq(record) {
+  if (record.sync_seq) {
+    lastSyncSeq = Math.max(lastSyncSeq, Number(record.sync_seq));
+  } else {
+    record.sync_seq = nextSyncSeq();
+  }
+  return record;
+}
+
+// =====================================
+// STATUS E REVISÕES DE VENDAS
+// =====================================
+
+// Transições permitidas quando um terminal reenvia uma venda já sincronizada
+const SALE_STATUS_TRANSITIONS = {
+  pending: ['completed', 'voided'],
+  completed: ['voided', 'refunded'],
+  voided: ['refunded'],
+  refunded: []
+};
+
+function canTransitionSale(fromStatus, toStatus) {
+  return (SALE_STATUS_TRANSITIONS[fromStatus] || []).includes(toStatus);
+}
+
+// Uma revisão é mais nova se tiver version maior ou, na falta dela, updated_at posterior
+function isNewerSaleRevision(incoming, existing) {
+  if (incoming.version != null && existing.version != null) {
+    return Number(incoming.version) > Number(existing.version);
+  }
+  if (incoming.updated_at && existing.updated_at) {
+    return new Date(incoming.updated_at) > new Date(existing.updated_at);
+  }
+  return incoming.version != null || !!incoming.updated_at;
+}
+
+// =====================================
+// FUSO HORÁRIO DAS LOJAS
+// =====================================
+// Cada loja tem um fuso IANA (ex.: America/Sao_Paulo), informado pelo terminal
+// ao se registrar ou configurado no painel; sem ele vale DEFAULT_TIMEZONE.
+// Relatórios agrupam e filtram por dia/hora no horário local da loja, não no
+// do servidor (que no Vercel é UTC). startDate/endDate são datas do calendário
+// local de cada loja.
+const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || 'America/Sao_Paulo';
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const zonedFormatters = new Map();
+
+function isValidTimezone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+function storeTimezone(store) {
+  return store?.timezone && isValidTimezone(store.timezone) ? store.timezone : DEFAULT_TIMEZONE;
+}
+
+// Data (YYYY-MM-DD), dia da semana (0 = domingo) e hora de um instante no fuso informado
+function zonedDateParts(date, timeZone) {
+  if (!zonedFormatters.has(timeZone)) {
+    zonedFormatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      weekday: 'short',
+      hour: '2-digit',
+      hourCycle: 'h23'
+    }));
+  }
+  const parts = {};
+  zonedFormatters.get(timeZone).formatToParts(new Date(date)).forEach(part => { parts[part.type] = part.value; });
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    weekday: WEEKDAYS.indexOf(parts.weekday),
+    hour: Number(parts.hour)
+  };
+}
+
+function zonedToday(timeZone) {
+  return zonedDateParts(new Date(), timeZone).date;
+}
+
+function saleLocalDate(sale, timeZone) {
+  return zonedDateParts(sale.created_at || sale.timestamp, timeZone).date;
+}
+
+// Soma dias a uma data YYYY-MM-DD
+function shiftDay(day, days) {
+  const date = new Date(day + 'T00:00:00Z');
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().split('T')[0];
+}
+
+// Mesma data no ano informado (29/02 vira 28/02 fora de ano bissexto)
+function shiftYear(day, years) {
+  const [year, month, date] = day.split('-').map(Number);
+  const target = year + years;
+  const lastDay = new Date(Date.UTC(target, month, 0)).getUTCDate();
+  return `${target}-${String(month).padStart(2, '0')}-${String(Math.min(date, lastDay)).padStart(2, '0')}`;
+}
+
+function inLocalRange(day, startDate, endDate) {
+  return (!startDate || day >= startDate) && (!endDate || day <= endDate);
+}
+
+// Fuso de cada loja por store_id, para filtrar registros de várias lojas pela data local
+async function storeTimezoneLookup() {
+  const timezones = new Map();
+  (await db.getStores()).forEach(store => timezones.set(String(store.id), storeTimezone(store)));
+  return (storeId) => timezones.get(String(storeId)) || DEFAULT_TIMEZONE;
+}
+
+// Limites UTC para filtrar no banco: um dia de folga cobre qualquer fuso;
+// o corte exato é feito depois, por loja, com a data local da venda
+function queryBounds(startDate, endDate) {
+  return {
+    from: startDate ? shiftDay(startDate, -1) + 'T00:00:00Z' : null,
+    to: endDate ? shiftDay(endDate, 1) + 'T23:59:59Z' : null
+  };
+}
+
+const offsetFormatters = new Map();
+
+// Diferença, em minutos, entre o horário local do fuso e o UTC num instante
+function zonedOffsetMinutes(date, timeZone) {
+  if (!offsetFormatters.has(timeZone)) {
+    offsetFormatters.set(timeZone, new Intl.DateTimeFormat('en-US', { timeZone, timeZoneName: 'longOffset' }));
+  }
+  const name = offsetFormatters.get(timeZone).formatToParts(date).find(part => part.type === 'timeZoneName').value;
+  const match = name.match(/GMT([+-])(\d{2}):(\d{2})/);
+  return match ? (match[1] === '-' ? -1 : 1) * (Number(match[2]) * 60 + Number(match[3])) : 0;
+}
+
+// Instante em que começa um dia (YYYY-MM-DD) do calendário local do fuso.
+// O offset é conferido de novo no instante encontrado, por causa do horário de verão.
+function zonedDayStart(day, timeZone) {
+  const midnight = new Date(day + 'T00:00:00Z').getTime();
+  const guess = new Date(midnight - zonedOffsetMinutes(new Date(midnight), timeZone) * 60000);
+  return new Date(midnight - zonedOffsetMinutes(guess, timeZone) * 60000);
+}
+
+// Período exato do filtro nas datas locais de cada loja, para filtrar e paginar
+// no banco: um intervalo por fuso. As lojas no fuso padrão e as vendas de lojas
+// sem cadastro ficam no intervalo com exceptStoreIds. Sem datas, null (tudo).
+function localPeriodRanges(storesList, storeId, startDate, endDate) {
+  if (!startDate && !endDate) return null;
+  const period = (timeZone) => ({
+    from: startDate ? zonedDayStart(startDate, timeZone).toISOString() : null,
+    before: endDate ? zonedDayStart(shiftDay(endDate, 1), timeZone).toISOString() : null
+  });
+  if (storeId) {
+    return [period(storeTimezone(storesList.find(store => String(store.id) === String(storeId))))];
+  }
+  const byTimezone = new Map();
+  storesList.forEach(store => {
+    const timezone = storeTimezone(store);
+    if (timezone === DEFAULT_TIMEZONE) return;
+    if (!byTimezone.has(timezone)) byTimezone.set(timezone, []);
+    byTimezone.get(timezone).push(String(store.id));
+  });
+  const ranges = Array.from(byTimezone, ([timezone, storeIds]) => ({ storeIds, ...period(timezone) }));
+  ranges.push({ exceptStoreIds: ranges.flatMap(range => range.storeIds), ...period(DEFAULT_TIMEZONE) });
+  return ranges;
+}
 
-// Funções para salvar/carregar do Supabase
+// =====================================
+// LEDGER DE ITENS VENDIDOS
+// =====================================
+// Cada item de venda vira uma linha própria (sale_items), para relatórios por
+// produto sem carregar todas as vendas. O custo é o do momento da venda: o que
+// o terminal enviou ou, na falta dele, o custo cadastrado no catálogo.
+
+// Índice do catálogo em cache por id e barcode, montado uma vez por lote
+function buildCatalogIndex() {
+  const index = new Map();
+  productsStore.forEach(products => products.forEach(p => {
+    if (p.id != null) index.set(`id:${p.id}`, p);
+    if (p.barcode) index.set(`barcode:${p.barcode}`, p);
+  }));
+  return index;
+}
+
+function saleItemRows(sale, catalogIndex = new Map()) {
+  return (sale.items || []).map((item, i) => {
+    const productId = item.product_id ?? item.id ?? null;
+    const product = catalogIndex.get(`id:${productId}`) || catalogIndex.get(`barcode:${item.barcode}`) || null;
+    const quantity = Number(item.quantity) || 0;
+    const unitPrice = Number(item.unit_price ?? item.price) || 0;
+    const discount = Number(item.discount) || 0;
+    const cost = item.cost ?? item.unit_cost ?? product?.cost;
+
+    return {
+      id: `${sale.sale_number}:${i + 1}`,
+      sale_number: sale.sale_number,
+      line: i + 1,
+      store_id: sale.store_id,
+      sale_status: sale.status || 'completed',
+      sold_at: sale.created_at,
+      user_id: sale.user_id || null,
+      product_id: productId ?? product?.id ?? null,
+      barcode: item.barcode || product?.barcode || null,
+      sku: item.sku || product?.sku || null,
+      name: item.product_name || item.name || product?.name || null,
+      category_id: item.category_id ?? product?.category_id ?? null,
+      quantity,
+      unit_price: unitPrice,
+      discount,
+      line_total: Number(item.subtotal ?? item.total) || (quantity * unitPrice - discount),
+      promotion_id: item.promotion_id ?? null,
+      promotion_name: item.promotion_name || null,
+      cost: cost != null ? Number(cost) : null
+    };
+  });
+}
+
+// Itens de vendas canceladas ou devolvidas não contam como vendidos
+function isReportableItem(item) {
+  return item.sale_status !== 'voided' && item.sale_status !== 'refunded';
+}
+
+// Falhas de leitura do banco caem para o cache em memória, como antes da camada de armazenamento
+async function withFallback(operation, run, fallback) {
+  try {
+    return await run();
+  } catch (e) {
+    console.error(`DB Error ${operation}:`, e.message);
+    return fallback();
+  }
+}
+
+// Gravações não têm fallback: a falha sobe para a rota responder 5xx
+// em vez de confirmar um dado que só ficou na memória desta instância
+async function persist(operation, run) {
+  try {
+    return await run();
+  } catch (e) {
+    // Conflito de versão é esperado em etapas simultâneas; quem chama responde 409
+    if (e.code !== VERSION_CONFLICT) console.error(`DB Error ${operation}:`, e.message);
+    throw e;
+  }
+}
+
+function upsertCached(cache, key, record, match = r => r.id === record.id) {
+  if (!cache.has(key)) cache.set(key, []);
+  const list = cache.get(key);
+  const idx = list.findIndex(match);
+  if (idx >= 0) list[idx] = record;
+  else list.push(record);
+  return record;
+}
+
+function removeCached(cache, id, keyOf = r => r.id) {
+  cache.forEach(list => {
+    const idx = list.findIndex(r => keyOf(r) == id);
+    if (idx >= 0) list.splice(idx, 1);
+  });
+}
+
+// Acesso ao banco usado pelas rotas: delega ao adaptador configurado
 const db = {
   // PRODUTOS
-  async getProducts() {
-    if (useSupabase && supabase) {
-      try {
-        const { data, error } = await supabase.from('products').select('*');
-        if (error) throw error;
-        return data || [];
-      } catch (e) {
-        console.error('DB Error getProducts:', e.message);
-      }
-    }
-    // Fallback para memória
-    const all = [];
-    productsStore.forEach(products => all.push(...products));
-    return all;
+  getProducts() {
+    return withFallback('getProducts', () => storage.getProducts(), () => {
+      const all = [];
+      productsStore.forEach(products => all.push(...products));
+      return all;
+    });
+  },
+
+  // Produtos alterados depois do cursor, para o pull incremental do catálogo
+  getProductsAfterCursor(cursor = 0, { limit = 2000 } = {}) {
+    return withFallback('getProductsAfterCursor', () => storage.getProductsAfterCursor(cursor, { limit }), () => {
+      const all = [];
+      productsStore.forEach(products => all.push(...products.filter(p => (p.sync_seq || 0) > cursor)));
+      all.sort((a, b) => a.sync_seq - b.sync_seq);
+      return all.slice(0, limit);
+    });
   },
 
+  // Toda gravação de catálogo recebe um sync_seq novo para entrar no próximo pull incremental
   async saveProduct(product) {
-    if (useSupabase && supabase) {
-      try {
-        const { data, error } = await supabase
-          .from('products')
-          .upsert(product, { onConflict: 'id' })
-          .select();
-        if (error) throw error;
-        return data?.[0];
-      } catch (e) {
-        console.error('DB Error saveProduct:', e.message);
-      }
-    }
-    // Fallback para memória
-    if (!productsStore.has(1)) productsStore.set(1, []);
-    const products = productsStore.get(1);
-    const idx = products.findIndex(p => p.id === product.id);
-    if (idx >= 0) products[idx] = product;
-    else products.push(product);
-    return product;
+    product.sync_seq = nextSyncSeq();
+    const saved = await persist('saveProduct', () => storage.saveProduct(product));
+    publishEvent('catalog', { entity: 'products', id: product.id, deleted: !!product.deleted_at, sync_seq: product.sync_seq });
+    return saved;
   },
 
-  async deleteProduct(id) {
-    if (useSupabase && supabase) {
-      try {
-        await supabase.from('products').delete().eq('id', id);
-      } catch (e) {
-        console.error('DB Error deleteProduct:', e.message);
-      }
+  async saveProducts(products) {
+    products.forEach(p => { p.sync_seq = nextSyncSeq(); });
+    const saved = await persist('saveProducts', () => storage.saveProducts(products));
+    if (products.length > 0) {
+      publishEvent('catalog', { entity: 'products', count: products.length, sync_seq: products[products.length - 1].sync_seq });
     }
-    // Fallback
-    productsStore.forEach((products, storeId) => {
-      const idx = products.findIndex(p => p.id == id);
-      if (idx >= 0) products.splice(idx, 1);
-    });
+    return saved;
+  },
+
+  deleteProduct(id) {
+    return persist('deleteProduct', () => storage.deleteProduct(id));
   },
 
   // CATEGORIAS
-  async getCategories() {
-    if (useSupabase && supabase) {
-      try {
-        const { data, error } = await supabase.from('categories').select('*');
-        if (error) throw error;
-        return data || [];
-      } catch (e) {
-        console.error('DB Error getCategories:', e.message);
-      }
-    }
-    const all = [];
-    categoriesStore.forEach(cats => all.push(...cats));
-    return all;
+  getCategories() {
+    return withFallback('getCategories', () => storage.getCategories(),
+      () => Array.from(categoriesStore.values()).flat());
   },
 
   async saveCategory(category) {
-    if (useSupabase && supabase) {
-      try {
-        const { data, error } = await supabase
-          .from('categories')
-          .upsert(category, { onConflict: 'id' })
-          .select();
-        if (error) throw error;
-        return data?.[0];
-      } catch (e) {
-        console.error('DB Error saveCategory:', e.message);
-      }
-    }
-    if (!categoriesStore.has(1)) categoriesStore.set(1, []);
-    const cats = categoriesStore.get(1);
-    const idx = cats.findIndex(c => c.id === category.id);
-    if (idx >= 0) cats[idx] = category;
-    else cats.push(category);
-    return category;
+    category.sync_seq = nextSyncSeq();
+    const saved = await persist('saveCategory', () => storage.saveCategory(category));
+    publishEvent('catalog', { entity: 'categories', id: category.id, deleted: !!category.deleted_at, sync_seq: category.sync_seq });
+    return saved;
   },
 
-  async deleteCategory(id) {
-    if (useSupabase && supabase) {
-      try {
-        await supabase.from('categories').delete().eq('id', id);
-      } catch (e) {
-        console.error('DB Error deleteCategory:', e.message);
-      }
-    }
-    categoriesStore.forEach((cats) => {
-      const idx = cats.findIndex(c => c.id == id);
-      if (idx >= 0) cats.splice(idx, 1);
-    });
+  deleteCategory(id) {
+    return persist('deleteCategory', () => storage.deleteCategory(id));
   },
 
   // PROMOÇÕES
-  async getPromotions() {
-    if (useSupabase && supabase) {
-      try {
-        const { data, error } = await supabase.from('promotions').select('*');
-        if (error) throw error;
-        return data || [];
-      } catch (e) {
-        console.error('DB Error getPromotions:', e.message);
-      }
-    }
-    return Array.from(promotionsStore.values()).flat();
+  getPromotions() {
+    return withFallback('getPromotions', () => storage.getPromotions(),
+      () => Array.from(promotionsStore.values()).flat());
   },
 
   async savePromotion(promotion) {
-    if (useSupabase && supabase) {
-      try {
-        const { data, error } = await supabase
-          .from('promotions')
-          .upsert(promotion, { onConflict: 'id' })
-          .select();
-        if (error) throw error;
-        return data?.[0];
-      } catch (e) {
-        console.error('DB Error savePromotion:', e.message);
-      }
-    }
-    if (!promotionsStore.has(1)) promotionsStore.set(1, []);
-    const promos = promotionsStore.get(1);
-    const idx = promos.findIndex(p => p.id === promotion.id);
-    if (idx >= 0) promos[idx] = promotion;
-    else promos.push(promotion);
-    return promotion;
+    promotion.sync_seq = nextSyncSeq();
+    const saved = await persist('savePromotion', () => storage.savePromotion(promotion));
+    publishEvent('promotion', { id: promotion.id, deleted: !!promotion.deleted_at, sync_seq: promotion.sync_seq });
+    return saved;
   },
 
-  async deletePromotion(id) {
-    if (useSupabase && supabase) {
-      try {
-        await supabase.from('promotions').delete().eq('id', id);
-      } catch (e) {
-        console.error('DB Error deletePromotion:', e.message);
-      }
-    }
-    promotionsStore.forEach((promos) => {
-      const idx = promos.findIndex(p => p.id == id);
-      if (idx >= 0) promos.splice(idx, 1);
-    });
+  deletePromotion(id) {
+    return persist('deletePromotion', () => storage.deletePromotion(id));
   },
 
   // VENDAS
-  async getSales(storeId = null) {
-    if (useSupabase && supabase) {
-      try {
-        let query = supabase.from('sales').select('*');
-        if (storeId) query = query.eq('store_id', storeId);
-        const { data, error } = await query;
-        if (error) throw error;
-        return data || [];
-      } catch (e) {
-        console.error('DB Error getSales:', e.message);
-      }
-    }
-    if (storeId) return salesStore.get(storeId) || [];
-    const all = [];
-    salesStore.forEach(sales => all.push(...sales));
-    return all;
+  // from/to são instantes (Date ou ISO) comparados com created_at
+  getSales(storeId = null, { from = null, to = null } = {}) {
+    return withFallback('getSales', () => storage.getSales(storeId, { from, to }), () => {
+      const all = [];
+      salesStore.forEach((sales, sid) => {
+        if (!storeId || String(sid) === String(storeId)) all.push(...sales);
+      });
+      return all.filter(sale => {
+        const createdAt = new Date(sale.created_at || sale.timestamp);
+        return (!from || createdAt >= new Date(from)) && (!to || createdAt <= new Date(to));
+      });
+    });
   },
 
-  async saveSale(sale) {
-    if (useSupabase && supabase) {
-      try {
-        const { data, error } = await supabase
-          .from('sales')
-          .upsert(sale, { onConflict: 'sale_number' })
-          .select();
-        if (error) throw error;
-        return data?.[0];
-      } catch (e) {
-        console.error('DB Error saveSale:', e.message);
+  // Vendas com sync_seq maior que o cursor, em ordem crescente de sequência
+  getSalesAfterCursor(cursor = 0, { excludeStoreId = null, limit = 500 } = {}) {
+    return withFallback('getSalesAfterCursor', () => storage.getSalesAfterCursor(cursor, { excludeStoreId, limit }), () => {
+      const all = [];
+      salesStore.forEach((sales, storeId) => {
+        if (excludeStoreId && parseInt(storeId) === parseInt(excludeStoreId)) return;
+        sales.forEach(sale => {
+          if ((sale.sync_seq || 0) > cursor) all.push(sale);
+        });
+      });
+      all.sort((a, b) => a.sync_seq - b.sync_seq);
+      return all.slice(0, limit);
+    });
+  },
+
+  // Uma página das vendas filtradas, com os totais do filtro e os operadores
+  // do período (os filtros estão descritos em storage/sales.js)
+  querySales(filters = {}, { offset = 0, limit = 50 } = {}) {
+    return withFallback('querySales', () => storage.querySales(filters, { offset, limit }), () => {
+      const all = [];
+      salesStore.forEach(sales => all.push(...sales));
+      return reportSales(all, filters, { offset, limit, unsorted: true });
+    });
+  },
+
+  // Número de vendas e instante da mais recente de cada loja
+  getSalesOverview(storeId = null) {
+    return withFallback('getSalesOverview', () => storage.getSalesOverview(storeId), () => {
+      const all = [];
+      salesStore.forEach(sales => all.push(...sales));
+      return summarizeSalesByStore(all, storeId);
+    });
+  },
+
+  getSaleByNumber(saleNumber) {
+    return withFallback('getSaleByNumber', () => storage.getSaleByNumber(saleNumber), () => {
+      for (const sales of salesStore.values()) {
+        const found = sales.find(s => s.sale_number === saleNumber);
+        if (found) return found;
       }
-    }
-    const storeId = sale.store_id || 1;
-    if (!salesStore.has(storeId)) salesStore.set(storeId, []);
-    const sales = salesStore.get(storeId);
-    const idx = sales.findIndex(s => s.sale_number === sale.sale_number);
-    if (idx >= 0) sales[idx] = sale;
-    else sales.push(sale);
-    return sale;
+      return null;
+    });
+  },
+
+  // publish: false quando só o estado interno muda (conclusão do ledger, ver applySaleLedger)
+  async saveSale(sale, { publish = true } = {}) {
+    const saved = await persist('saveSale', () => storage.saveSale(sale));
+    if (!publish) return saved;
+    publishEvent('sale', {
+      store_id: sale.store_id,
+      sale_number: sale.sale_number,
+      status: sale.status,
+      total: sale.total,
+      sync_seq: sale.sync_seq
+    });
+    return saved;
+  },
+
+  // ITENS DE VENDA
+  getSaleItems(filters = {}) {
+    return withFallback('getSaleItems', () => storage.getSaleItems(filters), () => {
+      const catalogIndex = buildCatalogIndex();
+      const all = [];
+      salesStore.forEach(sales => sales.forEach(sale => all.push(...saleItemRows(sale, catalogIndex))));
+      const from = filters.from ? new Date(filters.from) : null;
+      const to = filters.to ? new Date(filters.to) : null;
+      return all.filter(item =>
+        (!filters.storeId || String(item.store_id) === String(filters.storeId)) &&
+        (!filters.productId || String(item.product_id) === String(filters.productId)) &&
+        (!filters.barcode || item.barcode === filters.barcode) &&
+        (!filters.categoryId || String(item.category_id) === String(filters.categoryId)) &&
+        (!from || new Date(item.sold_at) >= from) &&
+        (!to || new Date(item.sold_at) <= to)
+      );
+    });
+  },
+
+  // A venda fica com ledger_pending até os itens serem gravados (ver applySaleLedger)
+  replaceSaleItems(saleNumber, items) {
+    return persist('replaceSaleItems', () => storage.replaceSaleItems(saleNumber, items));
+  },
+
+  // FECHAMENTOS DE CAIXA
+  getClosings(filters = {}) {
+    return withFallback('getClosings', () => storage.getClosings(filters), () => {
+      const from = filters.from ? new Date(filters.from) : null;
+      const to = filters.to ? new Date(filters.to) : null;
+      return Array.from(closingsStore.values()).filter(closing =>
+        (!filters.storeId || String(closing.store_id) === String(filters.storeId)) &&
+        (!from || new Date(closing.closed_at) >= from) &&
+        (!to || new Date(closing.closed_at) <= to)
+      );
+    });
+  },
+
+  getClosingById(id) {
+    return withFallback('getClosingById', () => storage.getClosingById(id),
+      () => closingsStore.get(String(id)) || null);
+  },
+
+  async saveClosing(closing) {
+    const saved = await persist('saveClosing', () => storage.saveClosing(closing));
+    publishEvent('closing', {
+      store_id: closing.store_id,
+      id: closing.id,
+      terminal_id: closing.terminal_id,
+      status: closing.status,
+      total_difference: closing.total_difference
+    });
+    return saved;
+  },
+
+  // ESTOQUE
+  getStockLevels(filters = {}) {
+    return withFallback('getStockLevels', () => storage.getStockLevels(filters), () =>
+      Array.from(stockStore.values()).filter(level =>
+        (!filters.storeId || String(level.store_id) === String(filters.storeId)) &&
+        (!filters.productId || String(level.product_id) === String(filters.productId))
+      ));
+  },
+
+  // Gravação condicional pela versão do saldo (ver updateStockLevel)
+  saveStockLevel(level, options = {}) {
+    return persist('saveStockLevel', () => storage.saveStockLevel(level, options));
+  },
+
+  getStockMovements(filters = {}) {
+    return withFallback('getStockMovements', () => storage.getStockMovements(filters), () => []);
+  },
+
+  saveStockMovements(movements) {
+    return persist('saveStockMovements', () => storage.saveStockMovements(movements));
+  },
+
+  // TRANSFERÊNCIAS
+  getTransfers(filters = {}) {
+    return withFallback('getTransfers', () => storage.getTransfers(filters), () =>
+      Array.from(transfersStore.values()).filter(transfer =>
+        (!filters.storeId || String(transfer.from_store_id) === String(filters.storeId) || String(transfer.to_store_id) === String(filters.storeId)) &&
+        (!filters.status || transfer.status === filters.status)
+      ));
+  },
+
+  getTransferById(id) {
+    return withFallback('getTransferById', () => storage.getTransferById(id),
+      () => transfersStore.get(String(id)) || null);
+  },
+
+  // Cada alteração recebe um sync_seq novo para os terminais das duas lojas receberem no pull
+  async saveTransfer(transfer, options = {}) {
+    transfer.sync_seq = nextSyncSeq();
+    const saved = await persist('saveTransfer', () => storage.saveTransfer(transfer, options));
+    publishEvent('transfer', {
+      id: transfer.id,
+      from_store_id: transfer.from_store_id,
+      to_store_id: transfer.to_store_id,
+      status: transfer.status,
+      has_discrepancy: transfer.has_discrepancy,
+      sync_seq: transfer.sync_seq
+    });
+    return saved;
+  },
+
+  // FORNECEDORES
+  getSuppliers() {
+    return withFallback('getSuppliers', () => storage.getSuppliers(), () => Array.from(suppliersStore.values()));
+  },
+
+  saveSupplier(supplier) {
+    return persist('saveSupplier', () => storage.saveSupplier(supplier));
+  },
+
+  deleteSupplier(id) {
+    return persist('deleteSupplier', () => storage.deleteSupplier(id));
+  },
+
+  // PEDIDOS DE COMPRA
+  getPurchaseOrders(filters = {}) {
+    return withFallback('getPurchaseOrders', () => storage.getPurchaseOrders(filters), () =>
+      Array.from(purchaseOrdersStore.values()).filter(order =>
+        (!filters.storeId || String(order.store_id) === String(filters.storeId)) &&
+        (!filters.supplierId || String(order.supplier_id) === String(filters.supplierId)) &&
+        (!filters.status || order.status === filters.status)
+      ));
+  },
+
+  getPurchaseOrderById(id) {
+    return withFallback('getPurchaseOrderById', () => storage.getPurchaseOrderById(id),
+      () => purchaseOrdersStore.get(String(id)) || null);
+  },
+
+  async savePurchaseOrder(order, options = {}) {
+    const saved = await persist('savePurchaseOrder', () => storage.savePurchaseOrder(order, options));
+    publishEvent('purchase_order', { id: order.id, number: order.number, store_id: order.store_id, status: order.status });
+    return saved;
+  },
+
+  // INVENTÁRIOS
+  getStockCounts(filters = {}) {
+    return withFallback('getStockCounts', () => storage.getStockCounts(filters), () =>
+      Array.from(stockCountsStore.values()).filter(count =>
+        (!filters.storeId || String(count.store_id) === String(filters.storeId)) &&
+        (!filters.status || count.status === filters.status)
+      ));
+  },
+
+  getStockCountById(id) {
+    return withFallback('getStockCountById', () => storage.getStockCountById(id),
+      () => stockCountsStore.get(String(id)) || null);
+  },
+
+  // Terminais da loja recebem a abertura e o fechamento para mostrar a contagem em andamento
+  async saveStockCount(count, options = {}) {
+    const saved = await persist('saveStockCount', () => storage.saveStockCount(count, options));
+    publishEvent('stock_count', {
+      id: count.id,
+      number: count.number,
+      store_id: count.store_id,
+      status: count.status,
+      counted_products: count.counts.length
+    });
+    return saved;
   },
 
   // LOJAS
-  async getStores() {
-    if (useSupabase && supabase) {
-      try {
-        const { data, error } = await supabase.from('stores').select('*');
-        if (error) throw error;
-        return data || [];
-      } catch (e) {
-        console.error('DB Error getStores:', e.message);
-      }
-    }
-    return Array.from(stores.values());
+  getStores() {
+    return withFallback('getStores', () => storage.getStores(), () => Array.from(stores.values()));
+  },
+
+  getStoreByKeyHash(keyHash) {
+    return withFallback('getStoreByKeyHash', () => storage.getStoreByKeyHash(keyHash),
+      () => Array.from(stores.values()).find(s => s.api_key_hash === keyHash) || null);
   },
 
   async saveStore(store) {
-    if (useSupabase && supabase) {
+    const saved = await persist('saveStore', () => storage.saveStore(store));
+    publishEvent('store', { store_id: store.id, name: store.name, is_active: store.is_active !== false });
+    return saved;
+  },
+
+  // USUÁRIOS
+  getUsers() {
+    return withFallback('getUsers', () => storage.getUsers(), () => Array.from(usersStore.values()).flat());
+  },
+
+  getUserById(id) {
+    return withFallback('getUserById', () => storage.getUserById(id),
+      () => Array.from(usersStore.values()).flat().find(u => u.id == id) || null);
+  },
+
+  getUserByUsername(username) {
+    return withFallback('getUserByUsername', () => storage.getUserByUsername(username),
+      () => Array.from(usersStore.values()).flat().find(u => u.username === username) || null);
+  },
+
+  saveUser(user) {
+    return persist('saveUser', () => storage.saveUser(user));
+  },
+
+  deleteUser(id) {
+    return persist('deleteUser', () => storage.deleteUser(id));
+  },
+
+  // SESSÕES REVOGADAS: sem fallback, uma falha na leitura recusa a requisição
+  async isSessionRevoked(sid) {
+    return !!(await storage.getRevokedSession(sid));
+  },
+
+  async revokeSession(sid, exp) {
+    await persist('saveRevokedSession', () => storage.saveRevokedSession({ sid, expires_at: new Date(exp).toISOString() }));
+    // Revogações de tokens que já expiraram não servem mais para nada
+    storage.deleteExpiredRevokedSessions(new Date().toISOString())
+      .catch(error => console.error('DB Error deleteExpiredRevokedSessions:', error.message));
+  },
+
+  // IDEMPOTENCY-KEYS: sem fallback, como as sessões revogadas
+  // Reserva a chave para o push atual ({ record, claimed: true }) ou devolve o
+  // registro de quem já a usou e ainda não expirou ({ record, claimed: false })
+  async claimIdempotencyKey(id, storeId, bodyHash) {
+    for (;;) {
+      const existing = await storage.getIdempotencyKey(id);
+      if (existing && new Date(existing.expires_at) > new Date()) return { record: existing, claimed: false };
+      const record = {
+        id,
+        store_id: String(storeId),
+        body_hash: bodyHash,
+        response: null,
+        version: (existing?.version || 0) + 1,
+        expires_at: new Date(Date.now() + IDEMPOTENCY_PENDING_MS).toISOString()
+      };
       try {
-        const { data, error } = await supabase
-          .from('stores')
-          .upsert(store, { onConflict: 'id' })
-          .select();
-        if (error) throw error;
-        return data?.[0];
-      } catch (e) {
-        console.error('DB Error saveStore:', e.message);
+        await persist('saveIdempotencyKey', () =>
+          storage.saveIdempotencyKey(record, { expectedVersion: existing ? (existing.version ?? null) : 0 }));
+        return { record, claimed: true };
+      } catch (error) {
+        // Outra requisição reservou antes: lê de novo
+        if (error.code !== VERSION_CONFLICT) throw error;
       }
     }
-    stores.set(store.id, store);
-    return store;
   },
 
-  // Carregar dados iniciais do Supabase para cache
+  async saveIdempotentResponse(record, response) {
+    await persist('saveIdempotencyKey', () => storage.saveIdempotencyKey({
+      ...record,
+      response,
+      version: record.version + 1,
+      expires_at: new Date(Date.now() + IDEMPOTENCY_TTL_MS).toISOString()
+    }, { expectedVersion: record.version }));
+    // Limpeza preguiçosa das chaves expiradas
+    storage.deleteExpiredIdempotencyKeys(new Date().toISOString())
+      .catch(error => console.error('DB Error deleteExpiredIdempotencyKeys:', error.message));
+  },
+
+  releaseIdempotencyKey(record) {
+    return persist('deleteIdempotencyKey', () => storage.deleteIdempotencyKey(record.id));
+  },
+
+  // SEQUÊNCIAS: numeração de pedidos e contagens, única entre instâncias
+  nextSequence(name, floor = 0) {
+    return persist('nextSequence', () => storage.nextSequence(name, floor));
+  },
+
+  // Carregar dados do banco durável para o cache
   async loadInitialData() {
-    if (!useSupabase || !supabase) return;
+    if (!storage.durable) return;
     
-    console.log('📥 Carregando dados do Supabase para cache...');
+    console.log(`📥 Carregando dados do banco (${storage.driver}) para cache...`);
     
     try {
       // Carregar produtos
-      const products = await this.getProducts();
+      const products = (await storage.getProducts()).filter(p => !p.deleted_at);
       if (products.length > 0) {
         productsStore.set(1, products);
         console.log(`   ✅ ${products.length} produtos carregados`);
       }
       
       // Carregar categorias
-      const categories = await this.getCategories();
+      const categories = (await storage.getCategories()).filter(c => !c.deleted_at);
       if (categories.length > 0) {
         categoriesStore.set(1, categories);
         console.log(`   ✅ ${categories.length} categorias carregadas`);
       }
       
       // Carregar promoções
-      const promotions = await this.getPromotions();
+      const promotions = (await storage.getPromotions()).filter(p => !p.deleted_at);
       if (promotions.length > 0) {
         promotionsStore.set(1, promotions);
         console.log(`   ✅ ${promotions.length} promoções carregadas`);
       }
       
+      // Carregar usuários
+      const users = await storage.getUsers();
+      if (users.length > 0) {
+        usersStore.set(1, users);
+        console.log(`   ✅ ${users.length} usuários carregados`);
+      }
+      
       // Carregar lojas
-      const storesList = await this.getStores();
+      const storesList = await storage.getStores();
       storesList.forEach(s => stores.set(s.id, s));
       console.log(`   ✅ ${storesList.length} lojas carregadas`);
       
       // Carregar vendas
-      const sales = await this.getSales();
+      const sales = await storage.getSales();
       sales.forEach(s => {
+        ensureSyncSeq(s);
         const storeId = s.store_id || 1;
         if (!salesStore.has(storeId)) salesStore.set(storeId, []);
         salesStore.get(storeId).push(s);
       });
       console.log(`   ✅ ${sales.length} vendas carregadas`);
       
+      // Carregar saldos de estoque
+      const stockLevels = await storage.getStockLevels();
+      stockLevels.forEach(level => stockStore.set(stockKey(level.store_id, level.product_id), level));
+      console.log(`   ✅ ${stockLevels.length} saldos de estoque carregados`);
+      
     } catch (error) {
       console.error('❌ Erro ao carregar dados iniciais:', error.message);
     }
   }
 };
 
-// Carregar dados iniciais ao iniciar
-if (useSupabase) {
-  db.loadInitialData();
-}
-
-// Middleware - CORS configurado para aceitar requisições de qualquer origem (incluindo Electron)
-app.use(cors({
-  origin: '*',
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'X-Owner-Password'],
-  credentials: false
-}));
-
-// Handle preflight requests
-app.options('*', cors());
-
-app.use(bodyParser.json({ limit: '50mb' }));
-app.use(bodyParser.urlencoded({ limit: '50mb', extended: true }));
-
-// Servir arquivos estáticos do painel
-app.use('/dashboard', express.static(path.join(__dirname, 'public')));
-
-// Try to load data from files (only works in local/dev environment)
-const isVercel = process.env.VERCEL === '1' || process.env.VERCEL_ENV;
-const DATA_DIR = !isVercel ? path.join(__dirname, 'data') : null;
-const SALES_FILE = !isVercel ? path.join(DATA_DIR, 'sales.json') : null;
-const STORES_FILE = !isVercel ? path.join(DATA_DIR, 'stores.json') : null;
-
-if (!isVercel && DATA_DIR && !useSupabase) {
-  // Ensure data directory exists (local only)
-  if (!fs.existsSync(DATA_DIR)) {
-    fs.mkdirSync(DATA_DIR, { recursive: true });
-  }
-
-  // Load data from files (local only)
+// Gera o ledger das vendas que ainda não têm itens registrados (vendas anteriores
+// ao ledger) e conclui itens e estoque das vendas que ficaram com ledger_pending
+// Conclui as etapas de transferência, os recebimentos de pedido e as aprovações de
+// contagem que gravaram a situação e não o estoque
+async function backfillStockPending() {
   try {
-    if (fs.existsSync(SALES_FILE)) {
-      const salesData = JSON.parse(fs.readFileSync(SALES_FILE, 'utf8'));
-      Object.entries(salesData).forEach(([storeId, sales]) => {
-        salesStore.set(parseInt(storeId), sales);
-      });
-      console.log('✅ Loaded sales data from file');
-    }
+    let completed = 0;
+    for (const transfer of await storage.getTransfers()) {
+      if (!transfer.stock_pending) continue;
+      await completeStockPending(transfer, saveTransferStep);
+      completed++;
+    }
+    for (const order of await storage.getPurchaseOrders()) {
+      if (!order.stock_pending) continue;
+      await completePurchaseOrderReceipt(order);
+      completed++;
+    }
+    for (const count of await storage.getStockCounts()) {
+      if (!count.stock_pending) continue;
+      await completeStockPending(count, saveStockCountStep);
+      completed++;
+    }
+    if (completed > 0) console.log(`📦 Estoque pendente aplicado em ${completed} registros`);
+    return completed;
   } catch (error) {
-    console.error('❌ Error loading sales data:', error.message);
+    console.error('❌ Erro ao aplicar estoque pendente:', error.message);
+    return 0;
   }
+}
 
+async function backfillSaleItems() {
   try {
-    if (fs.existsSync(STORES_FILE)) {
-      const storesData = JSON.parse(fs.readFileSync(STORES_FILE, 'utf8'));
-      Object.entries(storesData).forEach(([storeId, store]) => {
-        stores.set(parseInt(storeId), store);
-      });
-      console.log('✅ Loaded stores data from file');
+    const ledgered = new Set((await storage.getLedgeredSaleNumbers()).map(String));
+    const catalogIndex = buildCatalogIndex();
+    let backfilled = 0;
+    for (const sales of salesStore.values()) {
+      for (const [i, sale] of sales.entries()) {
+        if (sale.ledger_pending) {
+          sales[i] = await applySaleLedger(sale, catalogIndex);
+          backfilled++;
+          continue;
+        }
+        if (ledgered.has(String(sale.sale_number)) || !(sale.items || []).length) continue;
+        await storage.replaceSaleItems(sale.sale_number, saleItemRows(sale, catalogIndex));
+        backfilled++;
+      }
     }
+    if (backfilled > 0) console.log(`🧾 Ledger de itens gerado para ${backfilled} vendas`);
+    return backfilled;
   } catch (error) {
-    console.error('❌ Error loading stores data:', error.message);
+    console.error('❌ Erro ao gerar ledger de itens:', error.message);
+    return 0;
   }
+}
 
-  // Auto-save every 30 seconds (local only)
-  setInterval(() => {
-    try {
-      const salesData = {};
-      salesStore.forEach((sales, storeId) => {
-        salesData[storeId] = sales;
-      });
-      fs.writeFileSync(SALES_FILE, JSON.stringify(salesData, null, 2));
-      
-      const storesData = {};
-      stores.forEach((store, storeId) => {
-        storesData[storeId] = store;
-      });
-      fs.writeFileSync(STORES_FILE, JSON.stringify(storesData, null, 2));
-    } catch (error) {
-      console.error('❌ Error saving data:', error.message);
-    }
-  }, 30000);
+// =====================================
+// ESTOQUE POR LOJA
+// =====================================
+// O saldo é guardado por produto e loja (stock_levels) e toda alteração gera
+// um movimento (stock_movements) com a quantidade e o saldo resultante, para
+// auditoria. Vendas recebidas no push baixam o estoque da loja; cancelamentos e
+// devoluções devolvem. Cada venda guarda em stock_effect o que já foi baixado,
+// então uma revisão aplica só a diferença e reenviar a venda não baixa duas vezes;
+// ledger_pending marca a venda cujos itens e baixa ainda não foram gravados.
+// Produtos são identificados como nas vendas: id, ou barcode quando não há id.
+// Toda alteração relê o saldo do armazenamento e grava condicionada à versão lida
+// (version), então instâncias diferentes não sobrescrevem a baixa uma da outra.
+//
+// O saldo também guarda os limites da loja para o produto (min_stock e
+// reorder_point) e o alerta atual (alert: 'critical' no mínimo ou abaixo,
+// 'reorder' até o ponto de pedido). O alerta é reavaliado a cada alteração do
+// saldo ou dos limites; só as mudanças de alerta geram o evento stock_alert.
+
+const stockKey = (storeId, productId) => `${storeId}:${productId}`;
+const roundQuantity = (value) => Math.round(value * 1000) / 1000;
+
+// Sugestão de compra: média diária de vendas dos últimos REORDER_VELOCITY_DAYS
+// dias, para cobrir REORDER_COVER_DAYS dias acima do ponto de pedido
+const REORDER_VELOCITY_DAYS = 28;
+const REORDER_COVER_DAYS = 14;
+
+function stockAlertLevel(level) {
+  const reorderPoint = level.reorder_point ?? level.min_stock;
+  if (level.min_stock != null && level.quantity <= level.min_stock) return 'critical';
+  if (reorderPoint != null && level.quantity <= reorderPoint) return 'reorder';
+  return null;
+}
 
-  // Save on exit (local only)
-  process.on('SIGINT', () => {
-    console.log('\n🛑 Shutting down gracefully...');
-    try {
-      const salesData = {};
-      salesStore.forEach((sales, storeId) => {
-        salesData[storeId] = sales;
-      });
-      fs.writeFileSync(SALES_FILE, JSON.stringify(salesData, null, 2));
-      
-      const storesData = {};
-      stores.forEach((store, storeId) => {
-        storesData[storeId] = store;
-      });
-      fs.writeFileSync(STORES_FILE, JSON.stringify(storesData, null, 2));
-    } catch (error) {
-      console.error('❌ Error saving data:', error.message);
-    }
-    process.exit(0);
-  });
+// Atualiza alert/alert_since do saldo; devolve true quando o alerta mudou
+function applyStockAlert(level, now) {
+  const previous = level.alert || null;
+  const alert = stockAlertLevel(level);
+  if (alert === previous) return false;
+  level.alert = alert;
+  level.alert_since = alert ? (previous ? level.alert_since : now) : null;
+  return true;
+}
 
-  process.on('SIGTERM', () => {
-    console.log('\n🛑 Shutting down gracefully...');
-    try {
-      const salesData = {};
-      salesStore.forEach((sales, storeId) => {
-        salesData[storeId] = sales;
-      });
-      fs.writeFileSync(SALES_FILE, JSON.stringify(salesData, null, 2));
-      
-      const storesData = {};
-      stores.forEach((store, storeId) => {
-        storesData[storeId] = store;
-      });
-      fs.writeFileSync(STORES_FILE, JSON.stringify(storesData, null, 2));
-    } catch (error) {
-      console.error('❌ Error saving data:', error.message);
-    }
-    process.exit(0);
+function publishStockAlerts(storeId, levels) {
+  if (levels.length === 0) return;
+  const opened = levels.filter(level => level.alert).length;
+  console.log(`🔔 Store ${storeId}: ${opened} stock alerts opened or changed, ${levels.length - opened} cleared`);
+  publishEvent('stock_alert', {
+    store_id: storeId,
+    alerts: levels.map(level => ({ product_id: level.product_id, alert: level.alert, quantity: level.quantity }))
   });
-} else {
-  console.log('⚠️  Running in Vercel/serverless mode - data stored in memory only');
 }
 
-// Health check endpoint
-app.get('/api/sync/health', (req, res) => {
-  res.json({ status: 'ok', message: 'Sync server is running' });
-});
+// Limites { min_stock, reorder_point } recebidos do painel ou do terminal.
+// Campos ausentes ficam undefined (mantêm o valor atual); vazio ou null remove o limite.
+function normalizeStockLimits(input) {
+  if (!input || typeof input !== 'object') return { error: 'Limites de estoque inválidos' };
+  const limits = {};
+  for (const field of ['min_stock', 'reorder_point']) {
+    if (input[field] === undefined) continue;
+    if (input[field] === null || input[field] === '') {
+      limits[field] = null;
+      continue;
+    }
+    const value = Number(input[field]);
+    if (isNaN(value) || value < 0) return { error: `${field} deve ser um número maior ou igual a zero` };
+    limits[field] = roundQuantity(value);
+  }
+  if (limits.min_stock != null && limits.reorder_point != null && limits.reorder_point < limits.min_stock) {
+    return { error: 'reorder_point deve ser maior ou igual a min_stock' };
+  }
+  return { limits };
+}
 
-// Push sales from a store
-app.post('/api/sync/push', async (req, res) => {
-  try {
-    const { storeId, sales, timestamp } = req.body;
+// Quantidade que a venda tira do estoque, por produto. Pendentes ainda não baixam
+// e canceladas devolvem tudo; devolvidas mantêm baixado só o que o terminal
+// informar como não devolvido (refunded_quantity do item).
+function saleStockEffect(sale, catalogIndex) {
+  const effect = {};
+  const status = sale.status || 'completed';
+  if (status === 'pending' || status === 'voided') return effect;
+  saleItemRows(sale, catalogIndex).forEach((row, i) => {
+    const productId = row.product_id ?? row.barcode;
+    if (productId == null) return;
+    let quantity = row.quantity;
+    if (status === 'refunded') {
+      const refunded = sale.items[i].refunded_quantity;
+      quantity = refunded != null ? Math.max(0, quantity - Number(refunded)) : 0;
+    }
+    if (quantity) effect[productId] = roundQuantity((effect[productId] || 0) + quantity);
+  });
+  return effect;
+}
 
-    if (!storeId || !sales || !Array.isArray(sales)) {
-      return res.status(400).json({ error: 'Invalid request data' });
+// Variação de estoque entre o efeito já aplicado e o novo (positiva devolve)
+function stockEffectChanges(previous = {}, next = {}) {
+  const changes = {};
+  new Set([...Object.keys(previous), ...Object.keys(next)]).forEach(productId => {
+    const change = roundQuantity((previous[productId] || 0) - (next[productId] || 0));
+    if (change) changes[productId] = change;
+  });
+  return changes;
+}
+
+// Tentativas de gravar um saldo que outra operação alterou entre a leitura e a gravação
+const STOCK_LEVEL_ATTEMPTS = 5;
+
+// Lê o saldo do produto direto do armazenamento (o cache desta instância pode estar
+// atrás de outra), monta o novo com update(current, exists) e grava só se a versão
+// ainda for a lida; em conflito lê de novo e refaz a conta. update devolve null
+// quando não há o que gravar. Devolve o saldo gravado (ou null).
+async function updateStockLevel(storeId, productId, update) {
+  const key = stockKey(storeId, productId);
+  for (let attempt = 1; attempt <= STOCK_LEVEL_ATTEMPTS; attempt++) {
+    const [stored] = await storage.getStockLevels({ storeId, productId });
+    if (stored) stockStore.set(key, stored);
+    const current = stored || { id: key, store_id: storeId, product_id: String(productId), quantity: 0 };
+    const level = update({ ...current, quantity: Number(current.quantity) || 0 }, Boolean(stored));
+    if (!level) return null;
+    level.version = (current.version || 0) + 1;
+    try {
+      await db.saveStockLevel(level, { expectedVersion: stored ? (stored.version ?? null) : 0 });
+    } catch (e) {
+      if (e.code === VERSION_CONFLICT) continue;
+      throw e;
     }
+    stockStore.set(key, level);
+    return level;
+  }
+  throw new Error(`Saldo ${key} alterado por outras operações em ${STOCK_LEVEL_ATTEMPTS} tentativas`);
+}
 
-    // Store sales with timestamp
-    const existingSales = salesStore.get(storeId) || [];
-    const newSales = sales.filter(sale => {
-      // Only add sales that don't already exist
-      return !existingSales.some(existing => existing.sale_number === sale.sale_number);
-    });
+function publishStockLevels(storeId, levels) {
+  if (levels.length === 0) return;
+  publishEvent('stock', { store_id: storeId, products: levels.map(level => ({ product_id: level.product_id, quantity: level.quantity })) });
+}
 
-    salesStore.set(storeId, [...existingSales, ...newSales]);
-    
-    // ✅ SALVAR NO SUPABASE - cada venda nova
-    let savedToSupabase = 0;
-    for (const sale of newSales) {
-      try {
-        // Preparar dados para salvar no Supabase
-        const saleData = {
-          sale_number: sale.sale_number,
-          store_id: storeId,
-          store_name: sale.store_name || null,
-          store_address: sale.store_address || null,
-          terminal_id: sale.terminal_id || null,
-          user_id: sale.user_id || null,
-          subtotal: sale.subtotal || 0,
-          discount: sale.discount || 0,
-          tax: sale.tax || 0,
-          total: sale.total || 0,
-          status: sale.status || 'completed',
-          items: sale.items || [],
-          created_at: sale.created_at || new Date().toISOString(),
-          timestamp: new Date().toISOString()
-        };
-        
-        await db.saveSale(saleData);
-        savedToSupabase++;
-      } catch (e) {
-        console.error('Error saving sale to Supabase:', e.message);
-      }
-    }
-    
-    console.log(`✅ Received ${newSales.length} new sales from store ${storeId} (${savedToSupabase} saved to Supabase)`);
+// Aplica a variação de cada produto sobre o saldo atual e registra um movimento por
+// produto. changeOf(productId, current, exists) devolve a quantidade (negativa baixa).
+// Cada produto é gravado separado (updateStockLevel); se algum falhar, os movimentos
+// dos que já foram gravados são registrados antes de o erro subir.
+// movementKey fixa o id dos movimentos ("<movementKey>:<produto>") e torna a chamada
+// repetível: produto com movimento já gravado não é aplicado de novo, e o saldo guarda
+// o id do último movimento aplicado (movement_id), para o caso de o saldo ter sido
+// gravado e o movimento não.
+async function applyStockChanges(storeId, productIds, changeOf, { reason, reference = null, user_id = null, note = null, movementKey = null }) {
+  const now = new Date().toISOString();
+  const alertChanges = [];
+  const recorded = new Set();
+  if (movementKey && reference != null) {
+    (await storage.getStockMovements({ reference: String(reference) })).forEach(m => recorded.add(String(m.id)));
+  }
 
-    res.json({
-      success: true,
-      message: `Received ${newSales.length} sales (${savedToSupabase} saved to cloud)`,
-      totalSales: salesStore.get(storeId).length,
-      savedToCloud: savedToSupabase
+  const results = await Promise.allSettled(productIds.map(async (productId) => {
+    const movementId = movementKey ? `${movementKey}:${productId}` : crypto.randomUUID();
+    if (recorded.has(movementId)) return null;
+    let quantity = 0;
+    let alertChanged = false;
+    let appliedBefore = null;
+    const level = await updateStockLevel(storeId, productId, (current, exists) => {
+      quantity = roundQuantity(changeOf(productId, current, exists) || 0);
+      if (!quantity) return null;
+      if (movementKey && current.movement_id === movementId) {
+        appliedBefore = current;
+        return null;
+      }
+      const updated = { ...current, quantity: roundQuantity(current.quantity + quantity), movement_id: movementId, updated_at: now };
+      alertChanged = applyStockAlert(updated, now);
+      return updated;
     });
-  } catch (error) {
-    console.error('Error pushing sales:', error);
-    res.status(500).json({ error: 'Internal server error' });
-  }
-});
+    if (!level && !appliedBefore) return null;
+    if (alertChanged) alertChanges.push(level);
+    return {
+      level,
+      movement: {
+        id: movementId,
+        store_id: storeId,
+        product_id: String(productId),
+        quantity,
+        balance: (level || appliedBefore).quantity,
+        reason,
+        reference,
+        user_id,
+        note,
+        created_at: now
+      }
+    };
+  }));
+
+  const applied = results.filter(r => r.status === 'fulfilled' && r.value).map(r => r.value);
+  if (applied.length > 0) await db.saveStockMovements(applied.map(a => a.movement));
+  publishStockLevels(storeId, applied.map(a => a.level).filter(Boolean));
+  publishStockAlerts(storeId, alertChanges);
+  const failed = results.find(r => r.status === 'rejected');
+  if (failed) throw failed.reason;
+  return applied.map(a => a.movement);
+}
 
-// Pull sales from other stores
-app.get('/api/sync/pull', (req, res) => {
-  try {
-    const { storeId, since } = req.query;
-    const allSales = [];
+// Soma as variações ao saldo da loja. changes: { [productId]: quantidade (negativa baixa) }
+function adjustStock(storeId, changes, options) {
+  const productIds = Object.keys(changes).filter(productId => changes[productId]);
+  return applyStockChanges(storeId, productIds, (productId) => changes[productId], options);
+}
 
-    // Get sales from all stores except the requesting store
-    for (const [id, sales] of salesStore.entries()) {
-      if (storeId && parseInt(storeId) === id) {
-        continue; // Skip own store
-      }
+// Grava os itens e a baixa de estoque de uma venda já salva. O push salva a venda
+// com ledger_pending (e stock_effect ainda com o que já estava baixado) antes de
+// chamar esta função; só no fim ela é salva de novo com o efeito novo. Se algo falhar
+// no meio, o reenvio da mesma revisão (ou o backfill) chama de novo e completa.
+async function applySaleLedger(sale, catalogIndex = buildCatalogIndex()) {
+  const effect = saleStockEffect(sale, catalogIndex);
+  await db.replaceSaleItems(sale.sale_number, saleItemRows(sale, catalogIndex));
+
+  // O movementKey da revisão faz a nova tentativa pular os produtos já baixados
+  await adjustStock(sale.store_id, stockEffectChanges(sale.stock_effect, effect), {
+    reason: sale.ledger_pending?.stock_reason || 'sale',
+    reference: sale.sale_number,
+    user_id: sale.user_id,
+    movementKey: `${sale.sale_number}:${sale.sync_seq}`
+  });
 
-      let filteredSales = sales;
+  const completed = { ...sale, stock_effect: effect, ledger_pending: null };
+  await db.saveSale(completed, { publish: false });
+  return completed;
+}
 
-      // Filter by timestamp if provided
-      if (since) {
-        filteredSales = sales.filter(sale => {
-          const saleTime = new Date(sale.created_at || sale.timestamp);
-          const sinceTime = new Date(since);
-          return saleTime > sinceTime;
-        });
-      }
+// Efeito de estoque pendente (stock_pending) das etapas de transferências, pedidos de
+// compra e contagens, como ledger_pending nas vendas: a etapa grava o registro já com o
+// efeito a aplicar e só depois mexe no estoque; no fim o registro é gravado de novo sem
+// a marca. Se algo falhar no meio, a próxima etapa do registro (ou o backfill ao iniciar)
+// chama completeStockPending, e o movement_key fixo evita baixar duas vezes.
+function stockPending(storeId, changes, { reason, reference, movement_key, user_id = null, note = null }) {
+  return { store_id: storeId, changes, reason, reference, movement_key, user_id, note };
+}
 
-      allSales.push(...filteredSales);
-    }
+// save(record, completed) grava o registro concluído com a versão lida (ex.: saveTransferStep)
+async function completeStockPending(record, save) {
+  const pending = record.stock_pending;
+  if (!pending) return record;
+  await adjustStock(pending.store_id, pending.changes, {
+    reason: pending.reason,
+    reference: pending.reference,
+    user_id: pending.user_id,
+    note: pending.note,
+    movementKey: pending.movement_key
+  });
+  const completed = { ...record, stock_pending: null, version: (record.version || 0) + 1 };
+  await save(record, completed);
+  return completed;
+}
 
-    // Sort by timestamp (newest first)
-    allSales.sort((a, b) => {
-      const timeA = new Date(a.created_at || a.timestamp || 0);
-      const timeB = new Date(b.created_at || b.timestamp || 0);
-      return timeB - timeA;
+// Define o saldo de cada produto (contagem, ajuste manual), registrando a diferença
+// para o saldo atual. onlyNew só define produtos que ainda não têm saldo na loja
+// (estoque inicial enviado pelo terminal).
+function setStock(storeId, quantities, { onlyNew = false, ...options } = {}) {
+  return applyStockChanges(storeId, Object.keys(quantities), (productId, current, exists) =>
+    (onlyNew && exists ? 0 : Number(quantities[productId]) - current.quantity), options);
+}
+
+// Define os limites de cada produto na loja ({ [productId]: limites normalizados })
+// e reavalia o alerta com o saldo atual
+async function setStockLimits(storeId, limitsByProduct) {
+  const now = new Date().toISOString();
+  const alertChanges = [];
+  const levels = await Promise.all(Object.entries(limitsByProduct).map(async ([productId, limits]) => {
+    let alertChanged = false;
+    const level = await updateStockLevel(storeId, productId, (current, exists) => {
+      const minStock = limits.min_stock !== undefined ? limits.min_stock : (current.min_stock ?? null);
+      const reorderPoint = limits.reorder_point !== undefined ? limits.reorder_point : (current.reorder_point ?? null);
+      if (exists && minStock === (current.min_stock ?? null) && reorderPoint === (current.reorder_point ?? null)) return null;
+      const updated = { ...current, min_stock: minStock, reorder_point: reorderPoint, updated_at: now };
+      alertChanged = applyStockAlert(updated, now);
+      return updated;
     });
+    if (level && alertChanged) alertChanges.push(level);
+    return level;
+  }));
+  publishStockLevels(storeId, levels.filter(Boolean));
+  publishStockAlerts(storeId, alertChanges);
+  return levels.filter(Boolean);
+}
 
-    console.log(`Sending ${allSales.length} sales to store ${storeId || 'all'}`);
+// Unidades vendidas por dia nos últimos REORDER_VELOCITY_DAYS dias, por "<loja>:<produto>",
+// a partir dos itens das vendas recebidas no push (só vendas concluídas)
+async function salesVelocity(storeId = null) {
+  const from = new Date(Date.now() - REORDER_VELOCITY_DAYS * 24 * 60 * 60 * 1000);
+  const rows = await db.getSaleItems({ storeId, from });
+  const sold = new Map();
+  rows.forEach(row => {
+    const productId = row.product_id ?? row.barcode;
+    if (productId == null || row.sale_status !== 'completed') return;
+    const key = stockKey(row.store_id, productId);
+    sold.set(key, (sold.get(key) || 0) + (Number(row.quantity) || 0));
+  });
+  const velocity = new Map();
+  sold.forEach((units, key) => velocity.set(key, units / REORDER_VELOCITY_DAYS));
+  return velocity;
+}
 
-    res.json({
-      success: true,
-      sales: allSales,
-      count: allSales.length,
+// Quanto comprar para voltar acima do ponto de pedido com REORDER_COVER_DAYS dias
+// de cobertura (sem vendas recentes, o suficiente para sair do alerta)
+function reorderSuggestion(level, dailyUnits = 0) {
+  const reorderPoint = level.reorder_point ?? level.min_stock ?? 0;
+  const target = reorderPoint + Math.max(1, dailyUnits * REORDER_COVER_DAYS);
+  return {
+    daily_velocity: roundQuantity(dailyUnits),
+    days_of_cover: dailyUnits > 0 ? Math.round(Math.max(0, level.quantity) / dailyUnits * 10) / 10 : null,
+    suggested_quantity: Math.max(0, Math.ceil(target - level.quantity))
+  };
+}
+
+// =====================================
+// TRANSFERÊNCIAS ENTRE LOJAS
+// =====================================
+// pending -> shipped -> received; cancelled enquanto não foi recebida.
+// No envio a origem baixa as quantidades enviadas; no recebimento o destino
+// soma as quantidades conferidas. A diferença entre enviado e recebido fica
+// registrada na transferência (discrepancies) e não volta para a origem.
+// Cancelar uma transferência já enviada devolve o estoque à origem.
+// Os movimentos de estoque usam o id da transferência como reference e
+// "<id>:<situação>" como movement_key (ver stockPending).
+
+// Linhas [{ product_id | barcode, quantity }] resolvidas pelo catálogo e agrupadas por produto
+function normalizeTransferLines(lines, catalogIndex) {
+  if (!Array.isArray(lines) || lines.length === 0) return { error: 'Informe ao menos um produto' };
+  const byProduct = new Map();
+  for (const line of lines) {
+    const ref = line?.product_id ?? line?.barcode;
+    if (ref == null || ref === '') return { error: 'Cada linha precisa de product_id ou barcode' };
+    const quantity = Number(line.quantity);
+    if (!(quantity > 0)) return { error: `Quantidade inválida para o produto ${ref}` };
+    const product = catalogIndex.get(`id:${line.product_id}`) || catalogIndex.get(`barcode:${line.barcode ?? line.product_id}`);
+    if (!product) return { error: `Produto não encontrado: ${ref}` };
+    const productId = String(product.id ?? product.barcode);
+    byProduct.set(productId, {
+      product_id: productId,
+      name: product.name || null,
+      barcode: product.barcode || null,
+      quantity: roundQuantity((byProduct.get(productId)?.quantity || 0) + quantity)
     });
-  } catch (error) {
-    console.error('Error pulling sales:', error);
-    res.status(500).json({ error: 'Internal server error' });
   }
-});
+  return { lines: Array.from(byProduct.values()) };
+}
 
-// Get all stores
-app.get('/api/sync/stores', (req, res) => {
-  const storesList = Array.from(stores.values());
-  res.json({ stores: storesList });
-});
+// Quantidades informadas no envio ou no recebimento. Produtos não informados
+// mantêm a quantidade da etapa anterior (defaults).
+function transferStepQuantities(transfer, lines, defaults) {
+  const quantities = { ...defaults };
+  if (lines == null) return { quantities };
+  if (!Array.isArray(lines)) return { error: 'lines deve ser uma lista' };
+  for (const line of lines) {
+    const match = transfer.lines.find(l =>
+      (line?.product_id != null && String(l.product_id) === String(line.product_id)) ||
+      (line?.barcode != null && l.barcode === String(line.barcode))
+    );
+    if (!match) return { error: `Produto fora da transferência: ${line?.product_id ?? line?.barcode}` };
+    const quantity = Number(line.quantity);
+    if (line.quantity == null || line.quantity === '' || isNaN(quantity) || quantity < 0) {
+      return { error: `Quantidade inválida para o produto ${match.product_id}` };
+    }
+    quantities[match.product_id] = roundQuantity(quantity);
+  }
+  return { quantities };
+}
 
-// Register a store
-app.post('/api/sync/stores', async (req, res) => {
+function transferWithStatus(transfer, status, user_id, changes = {}) {
+  const now = new Date().toISOString();
+  return {
+    ...transfer,
+    ...changes,
+    status,
+    status_history: [...(transfer.status_history || []), { from: transfer.status, status, at: now, user_id }],
+    version: (transfer.version || 0) + 1,
+    updated_at: now
+  };
+}
+
+// Executa uma etapa (envio, recebimento, cancelamento). A etapa grava com
+// saveTransferStep antes de mexer no estoque: a gravação só passa se a
+// transferência ainda estiver na versão lida, então de duas etapas simultâneas
+// (mesmo em instâncias diferentes) só uma aplica. O estoque da etapa vai junto em
+// stock_pending e é aplicado por finishTransferStep; se a etapa anterior parou no
+// meio, ela é concluída antes da próxima. step devolve { transfer } ou { error, status }.
+async function runTransferStep(id, step) {
+  const stored = await db.getTransferById(String(id));
+  if (!stored) return { error: 'Transferência não encontrada', status: 404 };
   try {
-    const { id, name, address, phone } = req.body;
-    const storeData = { 
-      id, 
-      name, 
-      address, 
-      phone, 
-      is_active: true,
-      registeredAt: new Date().toISOString(),
-      created_at: new Date().toISOString(),
-      updated_at: new Date().toISOString()
-    };
-    
-    stores.set(id, storeData);
-    
-    // ✅ Salvar loja no Supabase
-    if (useSupabase && supabase) {
-      try {
-        const { error } = await supabase
-          .from('stores')
-          .upsert({
-            id: id,
-            name: name,
-            address: address || null,
-            phone: phone || null,
-            created_at: new Date().toISOString(),
-            updated_at: new Date().toISOString()
-          }, { onConflict: 'id' });
-          
-        if (error) {
-          console.error('❌ Error saving store to Supabase:', error.message);
-        } else {
-          console.log(`✅ Store saved to Supabase: ${name}`);
-        }
-      } catch (e) {
-        console.error('❌ Supabase store error:', e.message);
-      }
-    }
-    
-    console.log(`📝 Store registered: ${name} (ID: ${id})`);
-    res.json({ success: true, store: stores.get(id) });
+    const transfer = await completeStockPending(stored, saveTransferStep);
+    return await step(transfer);
   } catch (error) {
-    console.error('❌ Error registering store:', error);
-    res.status(500).json({ error: 'Internal server error' });
+    if (error.code === VERSION_CONFLICT) return { error: 'Transferência foi atualizada por outra operação', status: 409 };
+    throw error;
   }
-});
+}
 
-// Get statistics
-app.get('/api/sync/stats', (req, res) => {
-  const stats = {
-    totalStores: stores.size,
-    totalSales: Array.from(salesStore.values()).reduce((sum, sales) => sum + sales.length, 0),
-    salesByStore: {},
+function saveTransferStep(transfer, updated) {
+  return db.saveTransfer(updated, { expectedVersion: transfer.version ?? null });
+}
+
+// Grava a etapa com o estoque pendente e aplica o estoque em seguida
+async function finishTransferStep(transfer, updated, storeId, changes, { reason, user_id }) {
+  const pending = {
+    ...updated,
+    stock_pending: stockPending(storeId, changes, { reason, reference: transfer.id, movement_key: `${transfer.id}:${updated.status}`, user_id })
   };
+  await saveTransferStep(transfer, pending);
+  return completeStockPending(pending, saveTransferStep);
+}
 
-  for (const [id, sales] of salesStore.entries()) {
-    stats.salesByStore[id] = sales.length;
+function createTransfer(input, { user_id = null, catalogIndex = buildCatalogIndex() } = {}) {
+  const fromStoreId = input.from_store_id;
+  const toStoreId = input.to_store_id;
+  if (fromStoreId == null || fromStoreId === '' || toStoreId == null || toStoreId === '') {
+    return { error: 'Informe a loja de origem e a de destino' };
   }
+  if (String(fromStoreId) === String(toStoreId)) return { error: 'Origem e destino devem ser lojas diferentes' };
+  const { lines, error } = normalizeTransferLines(input.lines, catalogIndex);
+  if (error) return { error };
+
+  const now = new Date().toISOString();
+  return {
+    transfer: {
+      id: crypto.randomUUID(),
+      from_store_id: fromStoreId,
+      to_store_id: toStoreId,
+      status: 'pending',
+      lines: lines.map(line => ({ ...line, shipped_quantity: null, received_quantity: null, difference: null })),
+      discrepancies: [],
+      has_discrepancy: false,
+      notes: input.notes || null,
+      created_by: user_id,
+      created_at: now,
+      shipped_at: null,
+      shipped_by: null,
+      received_at: null,
+      received_by: null,
+      status_history: [{ status: 'pending', at: now, user_id }],
+      version: 1,
+      updated_at: now
+    }
+  };
+}
 
-  res.json(stats);
-});
+// Origem envia: baixa as quantidades enviadas (padrão: as solicitadas)
+function shipTransfer(id, { lines, user_id = null, notes } = {}) {
+  return runTransferStep(id, async (transfer) => {
+    if (transfer.status !== 'pending') return { error: `Transferência já está ${transfer.status}`, status: 409 };
+    const defaults = Object.fromEntries(transfer.lines.map(l => [l.product_id, l.quantity]));
+    const { quantities, error } = transferStepQuantities(transfer, lines, defaults);
+    if (error) return { error, status: 400 };
+
+    const shipped = transferWithStatus(transfer, 'shipped', user_id, {
+      lines: transfer.lines.map(l => ({ ...l, shipped_quantity: quantities[l.product_id] })),
+      shipped_at: new Date().toISOString(),
+      shipped_by: user_id,
+      ship_notes: notes ?? null
+    });
+    const changes = Object.fromEntries(shipped.lines.map(l => [l.product_id, -l.shipped_quantity]));
+    return { transfer: await finishTransferStep(transfer, shipped, transfer.from_store_id, changes, { reason: 'transfer_out', user_id }) };
+  });
+}
 
-// Push products from a store
-app.post('/api/sync/products/push', async (req, res) => {
-  try {
-    const { storeId, products, categories, timestamp, isLastBatch } = req.body;
+// Destino confirma: soma as quantidades recebidas (padrão: as enviadas) e
+// registra a diferença de cada produto em relação ao enviado
+function receiveTransfer(id, { lines, user_id = null, notes } = {}) {
+  return runTransferStep(id, async (transfer) => {
+    if (transfer.status !== 'shipped') return { error: `Transferência está ${transfer.status}, não enviada`, status: 409 };
+    const defaults = Object.fromEntries(transfer.lines.map(l => [l.product_id, l.shipped_quantity]));
+    const { quantities, error } = transferStepQuantities(transfer, lines, defaults);
+    if (error) return { error, status: 400 };
+
+    const receivedLines = transfer.lines.map(l => ({
+      ...l,
+      received_quantity: quantities[l.product_id],
+      difference: roundQuantity(quantities[l.product_id] - l.shipped_quantity)
+    }));
+    const discrepancies = receivedLines
+      .filter(l => l.difference !== 0)
+      .map(l => ({
+        product_id: l.product_id,
+        name: l.name,
+        shipped_quantity: l.shipped_quantity,
+        received_quantity: l.received_quantity,
+        difference: l.difference
+      }));
+    const received = transferWithStatus(transfer, 'received', user_id, {
+      lines: receivedLines,
+      discrepancies,
+      has_discrepancy: discrepancies.length > 0,
+      received_at: new Date().toISOString(),
+      received_by: user_id,
+      receive_notes: notes ?? null
+    });
+    const changes = Object.fromEntries(receivedLines.map(l => [l.product_id, l.received_quantity]));
+    const saved = await finishTransferStep(transfer, received, transfer.to_store_id, changes, { reason: 'transfer_in', user_id });
 
-    if (!storeId) {
-      return res.status(400).json({ error: 'Store ID is required' });
+    if (received.has_discrepancy) {
+      console.log(`⚠️ Transfer ${transfer.id} received with ${discrepancies.length} discrepancies at store ${transfer.to_store_id}`);
     }
+    return { transfer: saved };
+  });
+}
 
-    // Store products (merge with existing, not replace)
-    if (products && Array.isArray(products) && products.length > 0) {
-      const existingProducts = productsStore.get(storeId) || [];
-      const productMap = new Map();
-      
-      // Add existing products to map
-      existingProducts.forEach(p => {
-        productMap.set(p.id || p.barcode || p.sku, p);
-      });
-      
-      // Merge new products (update or add)
-      products.forEach(p => {
-        const key = p.id || p.barcode || p.sku;
-        productMap.set(key, p);
-      });
-      
-      // Convert back to array
-      const mergedProducts = Array.from(productMap.values());
-      productsStore.set(storeId, mergedProducts);
-      console.log(`✅ Received ${products.length} products from store ${storeId} (Total: ${mergedProducts.length})`);
-      
-      // ✅ SALVAR NO SUPABASE (se configurado)
-      if (useSupabase && supabase) {
-        console.log(`📦 Salvando ${products.length} produtos no Supabase...`);
-        // Salvar em lotes de 100 para evitar timeout
-        const batchSize = 100;
-        for (let i = 0; i < products.length; i += batchSize) {
-          const batch = products.slice(i, i + batchSize).map(p => ({
-            ...p,
-            store_id: storeId,
-            updated_at: new Date().toISOString()
-          }));
-          try {
-            const { error } = await supabase
-              .from('products')
-              .upsert(batch, { onConflict: 'id' });
-            if (error) {
-              console.error('Supabase batch error:', error.message);
-            }
-          } catch (e) {
-            console.error('Supabase save error:', e.message);
-          }
-        }
-        console.log(`✅ Produtos salvos no Supabase!`);
-      }
+// Cancela antes do recebimento; se já foi enviada, devolve o estoque à origem
+function cancelTransfer(id, { user_id = null, reason = null } = {}) {
+  return runTransferStep(id, async (transfer) => {
+    if (!['pending', 'shipped'].includes(transfer.status)) {
+      return { error: `Transferência ${transfer.status} não pode ser cancelada`, status: 409 };
     }
+    const cancelled = transferWithStatus(transfer, 'cancelled', user_id, {
+      cancelled_at: new Date().toISOString(),
+      cancelled_by: user_id,
+      cancel_reason: reason
+    });
+    if (transfer.status !== 'shipped') {
+      await saveTransferStep(transfer, cancelled);
+      return { transfer: cancelled };
+    }
+    const changes = Object.fromEntries(transfer.lines.map(l => [l.product_id, l.shipped_quantity]));
+    return { transfer: await finishTransferStep(transfer, cancelled, transfer.from_store_id, changes, { reason: 'transfer_cancelled', user_id }) };
+  });
+}
 
-    // Store categories (merge with existing)
-    if (categories && Array.isArray(categories) && categories.length > 0) {
-      categories.forEach(cat => {
-        categoriesStore.set(cat.id, cat);
-      });
-      console.log(`✅ Received ${categories.length} categories from store ${storeId} (Total: ${categoriesStore.size})`);
-      
-      // ✅ SALVAR CATEGORIAS NO SUPABASE
-      if (useSupabase && supabase) {
-        for (const cat of categories) {
-          try {
-            await supabase.from('categories').upsert({
-              ...cat,
-              updated_at: new Date().toISOString()
-            }, { onConflict: 'id' });
-          } catch (e) {
-            console.error('Supabase category error:', e.message);
-          }
-        }
-      }
+// =====================================
+// FORNECEDORES E PEDIDOS DE COMPRA
+// =====================================
+// Produtos apontam para o fornecedor principal em supplier_id.
+// Pedido: draft -> sent -> partial/received; cancelled enquanto não foi todo recebido.
+// Cada recebimento soma ao estoque da loja do pedido (movimento 'purchase' com o
+// id do pedido como reference) e o custo unitário recebido vira o custo do produto
+// (cost e last_cost). O que já foi recebido fica no estoque se o pedido for cancelado.
+// O recebimento grava o pedido com stock_pending (entrada e custos) antes de aplicá-lo,
+// como as transferências.
+
+function normalizeSupplier(input) {
+  const name = typeof input.name === 'string' ? input.name.trim() : '';
+  if (!name) return { error: 'Nome do fornecedor é obrigatório' };
+  let leadTime = null;
+  if (input.lead_time_days != null && input.lead_time_days !== '') {
+    leadTime = Number(input.lead_time_days);
+    if (isNaN(leadTime) || leadTime < 0) return { error: 'lead_time_days deve ser um número maior ou igual a zero' };
+  }
+  if (input.contacts != null && !Array.isArray(input.contacts)) return { error: 'contacts deve ser uma lista' };
+  const contacts = (input.contacts || [])
+    .map(c => ({ name: c?.name || null, role: c?.role || null, email: c?.email || null, phone: c?.phone || null }))
+    .filter(c => c.name || c.email || c.phone);
+
+  return {
+    supplier: {
+      name,
+      tax_id: input.tax_id ? String(input.tax_id).trim() : null,
+      email: input.email || null,
+      phone: input.phone || null,
+      contacts,
+      lead_time_days: leadTime,
+      notes: input.notes || null,
+      is_active: input.is_active !== false
     }
+  };
+}
 
-    const currentProducts = productsStore.get(storeId) || [];
-    res.json({
-      success: true,
-      message: `Received ${products?.length || 0} products and ${categories?.length || 0} categories`,
-      totalProducts: currentProducts.length,
-      isLastBatch: isLastBatch || false,
+// Linhas [{ product_id | barcode, quantity, unit_cost }] resolvidas pelo catálogo.
+// Sem unit_cost, usa o custo atual do produto.
+function normalizePurchaseOrderLines(lines, catalogIndex) {
+  if (!Array.isArray(lines) || lines.length === 0) return { error: 'Informe ao menos um produto' };
+  const byProduct = new Map();
+  for (const line of lines) {
+    const ref = line?.product_id ?? line?.barcode;
+    if (ref == null || ref === '') return { error: 'Cada linha precisa de product_id ou barcode' };
+    const quantity = Number(line.quantity);
+    if (!(quantity > 0)) return { error: `Quantidade inválida para o produto ${ref}` };
+    const product = catalogIndex.get(`id:${line.product_id}`) || catalogIndex.get(`barcode:${line.barcode ?? line.product_id}`);
+    if (!product) return { error: `Produto não encontrado: ${ref}` };
+    const unitCost = line.unit_cost != null && line.unit_cost !== '' ? Number(line.unit_cost) : Number(product.cost) || 0;
+    if (isNaN(unitCost) || unitCost < 0) return { error: `Custo inválido para o produto ${ref}` };
+    const productId = String(product.id ?? product.barcode);
+    byProduct.set(productId, {
+      product_id: productId,
+      name: product.name || null,
+      barcode: product.barcode || null,
+      quantity: roundQuantity((byProduct.get(productId)?.quantity || 0) + quantity),
+      unit_cost: roundMoney(unitCost),
+      received_quantity: 0
     });
-  } catch (error) {
-    console.error('Error pushing products:', error);
-    res.status(500).json({ error: 'Internal server error' });
   }
-});
+  return { lines: Array.from(byProduct.values()) };
+}
 
-// Pull products from master store (usually store 1)
-app.get('/api/sync/products/pull', (req, res) => {
-  try {
-    const { storeId } = req.query;
-    
-    // Get products from master store (ID 1) or specified store
-    const masterStoreId = storeId ? parseInt(storeId) : 1;
-    const products = productsStore.get(masterStoreId) || [];
-    const categories = Array.from(categoriesStore.values());
+const purchaseOrderTotal = (lines) => roundMoney(lines.reduce((sum, l) => sum + l.quantity * l.unit_cost, 0));
 
-    console.log(`Sending ${products.length} products and ${categories.length} categories to store ${storeId || 'all'}`);
+// O número vem da sequência no armazenamento; os pedidos já gravados só contam
+// como piso (pedidos criados antes de existir a sequência)
+async function nextPurchaseOrderNumber() {
+  const orders = await db.getPurchaseOrders();
+  const last = orders.reduce((max, order) => Math.max(max, parseInt(String(order.number || '').replace(/\D/g, '')) || 0), 0);
+  const number = await db.nextSequence('purchase_orders', last);
+  return `PC-${String(number).padStart(5, '0')}`;
+}
 
-    res.json({
-      success: true,
-      products: products,
-      categories: categories,
-      count: products.length,
-    });
-  } catch (error) {
-    console.error('Error pulling products:', error);
-    res.status(500).json({ error: 'Internal server error' });
-  }
-});
+async function createPurchaseOrder(input, { user_id = null, catalogIndex = buildCatalogIndex() } = {}) {
+  if (input.store_id == null || input.store_id === '') return { error: 'Informe a loja que vai receber o pedido' };
+  const supplier = (await db.getSuppliers()).find(s => String(s.id) === String(input.supplier_id));
+  if (!supplier) return { error: 'Fornecedor não encontrado' };
+  if (supplier.is_active === false) return { error: 'Fornecedor inativo' };
+  const { lines, error } = normalizePurchaseOrderLines(input.lines, catalogIndex);
+  if (error) return { error };
+
+  const now = new Date().toISOString();
+  return {
+    order: {
+      id: crypto.randomUUID(),
+      number: await nextPurchaseOrderNumber(),
+      supplier_id: supplier.id,
+      supplier_name: supplier.name,
+      store_id: input.store_id,
+      status: 'draft',
+      lines,
+      total: purchaseOrderTotal(lines),
+      received_total: 0,
+      notes: input.notes || null,
+      source: input.source || 'manual',
+      created_by: user_id,
+      created_at: now,
+      sent_at: null,
+      expected_at: null,
+      received_at: null,
+      receipts: [],
+      status_history: [{ status: 'draft', at: now, user_id }],
+      version: 1,
+      updated_at: now
+    }
+  };
+}
 
-// =====================================
-// PAINEL DO PROPRIETÁRIO - Relatórios Centralizados
-// =====================================
+function purchaseOrderWithStatus(order, status, user_id, changes = {}) {
+  const now = new Date().toISOString();
+  const history = order.status === status
+    ? order.status_history || []
+    : [...(order.status_history || []), { from: order.status, status, at: now, user_id }];
+  return { ...order, ...changes, status, status_history: history, version: (order.version || 0) + 1, updated_at: now };
+}
 
-// Middleware de autenticação simples
-const checkOwnerAuth = (req, res, next) => {
-  const password = req.headers['x-owner-password'] || req.query.password;
-  if (password !== OWNER_PASSWORD) {
-    return res.status(401).json({ error: 'Senha inválida' });
+// Mesmo controle das transferências: a etapa grava com savePurchaseOrderStep,
+// que só passa se o pedido ainda estiver na versão lida
+async function runPurchaseOrderStep(id, step) {
+  const stored = await db.getPurchaseOrderById(String(id));
+  if (!stored) return { error: 'Pedido não encontrado', status: 404 };
+  try {
+    const order = await completePurchaseOrderReceipt(stored);
+    return await step(order);
+  } catch (error) {
+    if (error.code === VERSION_CONFLICT) return { error: 'Pedido foi atualizado por outra operação', status: 409 };
+    throw error;
   }
-  next();
-};
+}
 
-// =====================================
-// MIGRAÇÃO DE DADOS PARA SUPABASE
-// =====================================
+function savePurchaseOrderStep(order, updated) {
+  return db.savePurchaseOrder(updated, { expectedVersion: order.version ?? null });
+}
 
-// Endpoint para migrar todos os produtos em memória para o Supabase
-app.post('/api/admin/migrate-to-cloud', checkOwnerAuth, async (req, res) => {
-  if (!useSupabase || !supabase) {
-    return res.status(400).json({ 
-      error: 'Supabase não está configurado',
-      message: 'Configure SUPABASE_URL e SUPABASE_KEY no Vercel'
+// Conclui o recebimento que ficou em stock_pending: custos dos produtos e entrada no estoque
+async function completePurchaseOrderReceipt(order) {
+  if (order.stock_pending?.costs) await updateProductCosts(order.stock_pending.costs);
+  return completeStockPending(order, savePurchaseOrderStep);
+}
+
+// Rascunho: troca linhas e observações
+function updatePurchaseOrder(id, input, { catalogIndex = buildCatalogIndex() } = {}) {
+  return runPurchaseOrderStep(id, async (order) => {
+    if (order.status !== 'draft') return { error: 'Só pedidos em rascunho podem ser alterados', status: 409 };
+    const changes = { notes: input.notes !== undefined ? input.notes || null : order.notes };
+    if (input.lines !== undefined) {
+      const { lines, error } = normalizePurchaseOrderLines(input.lines, catalogIndex);
+      if (error) return { error, status: 400 };
+      changes.lines = lines;
+      changes.total = purchaseOrderTotal(lines);
+    }
+    const updated = { ...order, ...changes, version: (order.version || 0) + 1, updated_at: new Date().toISOString() };
+    await savePurchaseOrderStep(order, updated);
+    return { order: updated };
+  });
+}
+
+// Envio ao fornecedor: a previsão de entrega usa o prazo do fornecedor
+function sendPurchaseOrder(id, { user_id = null } = {}) {
+  return runPurchaseOrderStep(id, async (order) => {
+    if (order.status !== 'draft') return { error: `Pedido já está ${order.status}`, status: 409 };
+    const supplier = (await db.getSuppliers()).find(s => String(s.id) === String(order.supplier_id));
+    const now = new Date();
+    const leadTime = supplier?.lead_time_days;
+    const sent = purchaseOrderWithStatus(order, 'sent', user_id, {
+      sent_at: now.toISOString(),
+      expected_at: leadTime != null ? new Date(now.getTime() + leadTime * 24 * 60 * 60 * 1000).toISOString() : null
     });
-  }
-  
-  try {
-    let totalProducts = 0;
-    let totalCategories = 0;
-    let totalPromotions = 0;
-    let errors = [];
-    
-    // Migrar produtos
-    console.log('🚀 Iniciando migração para Supabase...');
-    
-    for (const [storeId, products] of productsStore) {
-      console.log(`📦 Migrando ${products.length} produtos da loja ${storeId}...`);
-      
-      const batchSize = 100;
-      for (let i = 0; i < products.length; i += batchSize) {
-        const batch = products.slice(i, i + batchSize).map(p => ({
-          ...p,
-          store_id: storeId,
-          updated_at: new Date().toISOString()
-        }));
-        
-        const { error } = await supabase
-          .from('products')
-          .upsert(batch, { onConflict: 'id' });
-        
-        if (error) {
-          errors.push(`Produtos batch ${i}: ${error.message}`);
-        } else {
-          totalProducts += batch.length;
+    await savePurchaseOrderStep(order, sent);
+    return { order: sent };
+  });
+}
+
+// Custo do último recebimento vira o custo do produto (um registro por produto no catálogo)
+async function updateProductCosts(costs) {
+  const now = new Date().toISOString();
+  const updated = new Map();
+  productsStore.forEach(products => {
+    products.forEach((p, i) => {
+      const cost = costs[String(p.id ?? p.barcode)];
+      if (cost === undefined) return;
+      updated.set(String(p.id ?? p.barcode ?? p.sku), { ...p, cost, last_cost: cost, last_cost_at: now, updated_at: now });
+    });
+  });
+  for (const product of updated.values()) await db.saveProduct(product);
+  // O cache só recebe o custo novo depois que o banco confirmou
+  productsStore.forEach(products => {
+    products.forEach((p, i) => {
+      const product = updated.get(String(p.id ?? p.barcode ?? p.sku));
+      if (product) products[i] = { ...p, cost: product.cost, last_cost: product.last_cost, last_cost_at: now, updated_at: now };
+    });
+  });
+  return updated.size;
+}
+
+// Recebimento na loja do pedido: { lines: [{ product_id | barcode, quantity, unit_cost }], notes }.
+// Sem lines, recebe tudo o que falta com o custo do pedido.
+function receivePurchaseOrder(id, { lines, user_id = null, notes = null } = {}) {
+  return runPurchaseOrderStep(id, async (order) => {
+    if (!['sent', 'partial'].includes(order.status)) {
+      return { error: `Pedido está ${order.status}, não pode ser recebido`, status: 409 };
+    }
+    const received = new Map();
+    if (lines == null) {
+      order.lines.forEach(l => {
+        const remaining = roundQuantity(l.quantity - l.received_quantity);
+        if (remaining > 0) received.set(l.product_id, { quantity: remaining, unit_cost: l.unit_cost });
+      });
+    } else {
+      if (!Array.isArray(lines)) return { error: 'lines deve ser uma lista', status: 400 };
+      for (const line of lines) {
+        const match = order.lines.find(l =>
+          (line?.product_id != null && String(l.product_id) === String(line.product_id)) ||
+          (line?.barcode != null && l.barcode === String(line.barcode))
+        );
+        if (!match) return { error: `Produto fora do pedido: ${line?.product_id ?? line?.barcode}`, status: 400 };
+        const quantity = Number(line.quantity);
+        const unitCost = line.unit_cost != null && line.unit_cost !== '' ? Number(line.unit_cost) : match.unit_cost;
+        if (isNaN(quantity) || quantity < 0 || isNaN(unitCost) || unitCost < 0) {
+          return { error: `Quantidade ou custo inválido para o produto ${match.product_id}`, status: 400 };
         }
+        if (quantity > 0) received.set(match.product_id, { quantity: roundQuantity(quantity), unit_cost: roundMoney(unitCost) });
       }
     }
-    
-    // Migrar categorias
-    for (const [id, category] of categoriesStore) {
-      const { error } = await supabase
-        .from('categories')
-        .upsert({
-          ...category,
-          updated_at: new Date().toISOString()
-        }, { onConflict: 'id' });
-      
-      if (error) {
-        errors.push(`Categoria ${id}: ${error.message}`);
-      } else {
-        totalCategories++;
-      }
-    }
-    
-    // Migrar promoções
-    for (const [id, promo] of promotionsStore) {
-      const { error } = await supabase
-        .from('promotions')
-        .upsert({
-          ...promo,
-          updated_at: new Date().toISOString()
-        }, { onConflict: 'id' });
-      
-      if (error) {
-        errors.push(`Promoção ${id}: ${error.message}`);
-      } else {
-        totalPromotions++;
+    if (received.size === 0) return { error: 'Nenhuma quantidade recebida', status: 400 };
+
+    const now = new Date().toISOString();
+    const receipt = {
+      id: crypto.randomUUID(),
+      at: now,
+      user_id,
+      notes,
+      lines: Array.from(received.entries()).map(([product_id, r]) => ({ product_id, ...r }))
+    };
+    const orderLines = order.lines.map(l => {
+      const r = received.get(l.product_id);
+      return r ? { ...l, received_quantity: roundQuantity(l.received_quantity + r.quantity), last_unit_cost: r.unit_cost } : l;
+    });
+    const complete = orderLines.every(l => l.received_quantity >= l.quantity);
+    const changes = Object.fromEntries(receipt.lines.map(l => [l.product_id, l.quantity]));
+    const updated = purchaseOrderWithStatus(order, complete ? 'received' : 'partial', user_id, {
+      lines: orderLines,
+      receipts: [...(order.receipts || []), receipt],
+      received_total: roundMoney((order.received_total || 0) + receipt.lines.reduce((sum, l) => sum + l.quantity * l.unit_cost, 0)),
+      received_at: complete ? now : null,
+      stock_pending: {
+        ...stockPending(order.store_id, changes, { reason: 'purchase', reference: order.id, movement_key: `${order.id}:${receipt.id}`, user_id, note: order.number }),
+        costs: Object.fromEntries(receipt.lines.map(l => [l.product_id, l.unit_cost]))
       }
-    }
-    
-    console.log(`✅ Migração concluída!`);
-    console.log(`   - Produtos: ${totalProducts}`);
-    console.log(`   - Categorias: ${totalCategories}`);
-    console.log(`   - Promoções: ${totalPromotions}`);
-    
-    res.json({
-      success: true,
-      message: 'Migração concluída!',
-      migrated: {
-        products: totalProducts,
-        categories: totalCategories,
-        promotions: totalPromotions
-      },
-      errors: errors.length > 0 ? errors : null
     });
-    
-  } catch (error) {
-    console.error('Erro na migração:', error);
-    res.status(500).json({ error: 'Erro na migração', message: error.message });
-  }
-});
+    await savePurchaseOrderStep(order, updated);
+    const saved = await completePurchaseOrderReceipt(updated);
+    console.log(`📥 Purchase order ${order.number} ${updated.status} at store ${order.store_id} (${receipt.lines.length} products)`);
+    return { order: saved };
+  });
+}
 
-// Verificar status do Supabase
-app.get('/api/admin/cloud-status', checkOwnerAuth, async (req, res) => {
-  const status = {
-    supabaseConfigured: useSupabase,
-    supabaseConnected: false,
-    productsInMemory: 0,
-    productsInCloud: 0,
-    categoriesInMemory: categoriesStore.size,
-    categoriesInCloud: 0
-  };
-  
-  // Contar produtos em memória
-  productsStore.forEach(products => {
-    status.productsInMemory += products.length;
+function cancelPurchaseOrder(id, { user_id = null, reason = null } = {}) {
+  return runPurchaseOrderStep(id, async (order) => {
+    if (!['draft', 'sent', 'partial'].includes(order.status)) {
+      return { error: `Pedido ${order.status} não pode ser cancelado`, status: 409 };
+    }
+    const cancelled = purchaseOrderWithStatus(order, 'cancelled', user_id, {
+      cancelled_at: new Date().toISOString(),
+      cancel_reason: reason
+    });
+    await savePurchaseOrderStep(order, cancelled);
+    return { order: cancelled };
   });
-  
-  // Verificar Supabase
-  if (useSupabase && supabase) {
+}
+
+// =====================================
+// INVENTÁRIO (CONTAGEM DE ESTOQUE)
+// =====================================
+// Contagem: open -> review -> approved; cancelled antes da aprovação.
+// O gerente abre a contagem de uma loja, opcionalmente limitada a categorias e/ou
+// departamentos (scope). Enquanto está aberta, terminais e coletores enviam o que
+// contaram por código de barras; cada envio soma ao já contado (mode 'add') ou
+// substitui a quantidade do produto (mode 'set', para recontagem; linhas repetidas
+// no mesmo envio somam).
+// Ao fechar (review), o contado é comparado com o saldo atual da loja e as
+// diferenças ficam congeladas na contagem (lines e summary, com o valor da quebra
+// por categoria). Na aprovação cada diferença vira um movimento 'count' com o id
+// da contagem como reference; como é aplicada a diferença e não o contado, vendas
+// feitas entre o fechamento e a aprovação não se perdem. A aprovação grava a
+// contagem com as diferenças em stock_pending antes de aplicá-las (ver stockPending).
+
+const STOCK_COUNT_ACTIVE_STATUSES = ['open', 'review'];
+
+// Tentativas de um envio de contagem que perdeu a corrida para outro coletor
+const STOCK_COUNT_SUBMIT_ATTEMPTS = 5;
+
+// Cada alteração grava com saveStockCountStep, que só passa se a contagem ainda
+// estiver na versão lida. Vários coletores enviam ao mesmo tempo e cada envio
+// precisa somar ao que os outros já gravaram, então o envio relê e tenta de novo
+// (attempts); fechamento, aprovação etc. respondem 409.
+// step devolve { count } ou { error, status }.
+async function runStockCountStep(id, step, { attempts = 1 } = {}) {
+  for (let attempt = 1; ; attempt++) {
+    const stored = await db.getStockCountById(String(id));
+    if (!stored) return { error: 'Contagem não encontrada', status: 404 };
     try {
-      const { count: productCount, error: pError } = await supabase
-        .from('products')
-        .select('*', { count: 'exact', head: true });
-      
-      const { count: categoryCount, error: cError } = await supabase
-        .from('categories')
-        .select('*', { count: 'exact', head: true });
-      
-      if (!pError && !cError) {
-        status.supabaseConnected = true;
-        status.productsInCloud = productCount || 0;
-        status.categoriesInCloud = categoryCount || 0;
-      }
-    } catch (e) {
-      console.error('Supabase status check error:', e.message);
+      const count = await completeStockPending(stored, saveStockCountStep);
+      return await step(count);
+    } catch (error) {
+      if (error.code !== VERSION_CONFLICT) throw error;
+      if (attempt >= attempts) return { error: 'Contagem foi atualizada por outra operação', status: 409 };
     }
   }
-  
-  res.json(status);
-});
-
-// Relatório consolidado de todas as lojas
-app.get('/api/owner/report', checkOwnerAuth, async (req, res) => {
-  try {
-    const { startDate, endDate } = req.query;
-    const start = startDate ? new Date(startDate) : new Date(0);
-    const end = endDate ? new Date(endDate + 'T23:59:59') : new Date();
-
-    const report = {
-      generatedAt: new Date().toISOString(),
-      period: { start: start.toISOString(), end: end.toISOString() },
-      stores: [],
-      totals: {
-        totalRevenue: 0,
-        totalTransactions: 0,
-        avgTicket: 0,
-      }
-    };
+}
 
-    // ✅ BUSCAR DO SUPABASE PRIMEIRO
-    if (useSupabase && supabase) {
-      console.log('📊 Gerando relatório do Supabase...');
-      
-      // Buscar lojas
-      const { data: supabaseStores } = await supabase.from('stores').select('*');
-      
-      // Buscar vendas filtradas por data
-      let salesQuery = supabase.from('sales').select('*');
-      if (startDate) salesQuery = salesQuery.gte('created_at', startDate + 'T00:00:00');
-      if (endDate) salesQuery = salesQuery.lte('created_at', endDate + 'T23:59:59');
-      const { data: allSales } = await salesQuery;
-      
-      // Agrupar vendas por loja
-      const salesByStore = {};
-      (allSales || []).forEach(sale => {
-        const sid = sale.store_id || 1;
-        if (!salesByStore[sid]) salesByStore[sid] = [];
-        salesByStore[sid].push(sale);
-      });
-      
-      // Processar cada loja
-      for (const store of (supabaseStores || [])) {
-        const sales = salesByStore[store.id] || [];
-        
-        const storeRevenue = sales.reduce((sum, sale) => sum + (sale.total || 0), 0);
-        const storeTransactions = sales.length;
-        const storeAvgTicket = storeTransactions > 0 ? storeRevenue / storeTransactions : 0;
+function saveStockCountStep(count, updated) {
+  return db.saveStockCount(updated, { expectedVersion: count.version ?? null });
+}
 
-        // Vendas por dia
-        const salesByDay = {};
-        sales.forEach(sale => {
-          const day = new Date(sale.created_at).toISOString().split('T')[0];
-          if (!salesByDay[day]) {
-            salesByDay[day] = { revenue: 0, transactions: 0 };
-          }
-          salesByDay[day].revenue += sale.total || 0;
-          salesByDay[day].transactions += 1;
-        });
+// Como nos pedidos de compra: sequência no armazenamento, com as contagens gravadas como piso
+async function nextStockCountNumber() {
+  const counts = await db.getStockCounts();
+  const last = counts.reduce((max, count) => Math.max(max, parseInt(String(count.number || '').replace(/\D/g, '')) || 0), 0);
+  const number = await db.nextSequence('stock_counts', last);
+  return `INV-${String(number).padStart(5, '0')}`;
+}
 
-        report.stores.push({
-          id: store.id,
-          name: store.name,
-          address: store.address,
-          phone: store.phone,
-          revenue: storeRevenue,
-          transactions: storeTransactions,
-          avgTicket: storeAvgTicket,
-          salesByDay: salesByDay,
-          lastSale: sales.length > 0 ? 
-            sales.sort((a, b) => new Date(b.created_at) - new Date(a.created_at))[0] : null
-        });
+// Escopo vazio (sem categorias nem departamentos) é a loja inteira
+function stockCountInScope(product, scope) {
+  const categoryIds = scope?.category_ids || [];
+  const departments = scope?.departments || [];
+  if (categoryIds.length === 0 && departments.length === 0) return true;
+  if (!product) return false;
+  return (product.category_id != null && categoryIds.includes(String(product.category_id))) ||
+    (!!product.department && departments.includes(product.department));
+}
 
-        report.totals.totalRevenue += storeRevenue;
-        report.totals.totalTransactions += storeTransactions;
-      }
-      
-      report.totals.avgTicket = report.totals.totalTransactions > 0 ? 
-        report.totals.totalRevenue / report.totals.totalTransactions : 0;
+function stockCountWithStatus(count, status, user_id, changes = {}) {
+  const now = new Date().toISOString();
+  return {
+    ...count,
+    ...changes,
+    status,
+    status_history: [...(count.status_history || []), { from: count.status, status, at: now, user_id }],
+    version: (count.version || 0) + 1,
+    updated_at: now
+  };
+}
 
-      report.stores.sort((a, b) => b.revenue - a.revenue);
-      
-      return res.json(report);
+// { store_id, category_ids, departments, zero_uncounted, notes }
+async function openStockCount(input, { user_id = null } = {}) {
+  if (input.store_id == null || input.store_id === '') return { error: 'Informe a loja da contagem' };
+  for (const field of ['category_ids', 'departments']) {
+    if (input[field] != null && !Array.isArray(input[field])) return { error: `${field} deve ser uma lista` };
+  }
+  const active = (await db.getStockCounts({ storeId: input.store_id }))
+    .find(count => STOCK_COUNT_ACTIVE_STATUSES.includes(count.status));
+  if (active) return { error: `Já existe uma contagem em andamento nesta loja (${active.number})`, status: 409 };
+
+  const now = new Date().toISOString();
+  return {
+    count: {
+      id: crypto.randomUUID(),
+      number: await nextStockCountNumber(),
+      store_id: input.store_id,
+      status: 'open',
+      scope: {
+        category_ids: [...new Set((input.category_ids || []).filter(id => id != null && id !== '').map(String))],
+        departments: [...new Set((input.departments || []).map(d => String(d).trim()).filter(Boolean))]
+      },
+      // Produto do escopo com saldo e sem contagem conta como zero
+      zero_uncounted: input.zero_uncounted !== false,
+      notes: input.notes || null,
+      counts: [],
+      submissions: [],
+      lines: null,
+      summary: null,
+      opened_by: user_id,
+      opened_at: now,
+      closed_at: null,
+      closed_by: null,
+      approved_at: null,
+      approved_by: null,
+      status_history: [{ status: 'open', at: now, user_id }],
+      version: 1,
+      updated_at: now
     }
+  };
+}
 
-    // Fallback: memória
-    for (const [storeId, sales] of salesStore.entries()) {
-      const store = stores.get(storeId) || { id: storeId, name: `Loja ${storeId}` };
-      
-      const filteredSales = sales.filter(sale => {
-        const saleDate = new Date(sale.created_at || sale.timestamp);
-        return saleDate >= start && saleDate <= end;
+// Envio de um terminal: { lines: [{ barcode | product_id, quantity }], mode, submission_id, terminal_id }.
+// Sem quantity, cada linha vale 1 (uma leitura do coletor). Linhas de produtos
+// desconhecidos ou fora do escopo são devolvidas em rejected e não impedem as outras.
+// Um submission_id repetido (reenvio após timeout) não soma de novo.
+function submitStockCount(id, { lines, mode = 'add', submission_id = null, terminal_id = null, user_id = null } = {}, catalogIndex = buildCatalogIndex()) {
+  return runStockCountStep(id, async (count) => {
+    if (count.status !== 'open') return { error: `Contagem está ${count.status}, não aceita novas quantidades`, status: 409 };
+    if (!['add', 'set'].includes(mode)) return { error: 'mode deve ser add ou set', status: 400 };
+    if (!Array.isArray(lines) || lines.length === 0) return { error: 'Informe ao menos uma linha', status: 400 };
+    if (submission_id && count.submissions.some(s => s.id === String(submission_id))) {
+      return { count, accepted: [], rejected: [], duplicate: true };
+    }
+
+    const now = new Date().toISOString();
+    const counted = new Map(count.counts.map(entry => [entry.product_id, entry]));
+    const accepted = new Set();
+    const rejected = [];
+    lines.forEach(line => {
+      const ref = line?.barcode ?? line?.product_id;
+      const product = catalogIndex.get(`barcode:${line?.barcode}`) || catalogIndex.get(`id:${line?.product_id ?? line?.barcode}`);
+      const quantity = line?.quantity == null || line.quantity === '' ? 1 : Number(line.quantity);
+      if (!product) return rejected.push({ ref: ref ?? null, reason: 'unknown_product' });
+      if (!stockCountInScope(product, count.scope)) return rejected.push({ ref, reason: 'out_of_scope' });
+      if (isNaN(quantity) || quantity < 0) return rejected.push({ ref, reason: 'invalid_quantity' });
+
+      const productId = String(product.id ?? product.barcode);
+      const current = counted.get(productId);
+      counted.set(productId, {
+        product_id: productId,
+        barcode: product.barcode || null,
+        name: product.name || null,
+        quantity: roundQuantity(mode === 'set' && !accepted.has(productId) ? quantity : (current?.quantity || 0) + quantity),
+        scans: (current?.scans || 0) + 1,
+        last_counted_at: now,
+        last_terminal_id: terminal_id,
+        last_user_id: user_id
       });
+      accepted.add(productId);
+    });
 
-      const storeRevenue = filteredSales.reduce((sum, sale) => sum + (sale.total || 0), 0);
-      const storeTransactions = filteredSales.length;
-      const storeAvgTicket = storeTransactions > 0 ? storeRevenue / storeTransactions : 0;
+    const updated = {
+      ...count,
+      counts: Array.from(counted.values()),
+      submissions: [...count.submissions, {
+        id: submission_id ? String(submission_id) : crypto.randomUUID(),
+        at: now,
+        terminal_id,
+        user_id,
+        mode,
+        accepted: accepted.size,
+        rejected: rejected.length
+      }],
+      version: (count.version || 0) + 1,
+      updated_at: now
+    };
+    if (accepted.size > 0) await saveStockCountStep(count, updated);
+    return { count: updated, accepted: Array.from(accepted).map(productId => counted.get(productId)), rejected, duplicate: false };
+  }, { attempts: STOCK_COUNT_SUBMIT_ATTEMPTS });
+}
 
-      const salesByDay = {};
-      filteredSales.forEach(sale => {
-        const day = new Date(sale.created_at || sale.timestamp).toISOString().split('T')[0];
-        if (!salesByDay[day]) {
-          salesByDay[day] = { revenue: 0, transactions: 0 };
-        }
-        salesByDay[day].revenue += sale.total || 0;
-        salesByDay[day].transactions += 1;
+// Contado x saldo atual da loja para os produtos contados e, com zero_uncounted,
+// para os produtos do escopo que têm saldo e não foram contados.
+// Quebra (shrinkage) é a falta valorizada pelo custo; sobra (surplus), o excesso.
+// levels são os saldos da loja lidos do armazenamento (não do cache desta instância).
+function stockCountVariances(count, { levels, catalogIndex = buildCatalogIndex(), categories = [] }) {
+  const products = new Map();
+  catalogIndex.forEach(product => products.set(String(product.id ?? product.barcode), product));
+  const counted = new Map(count.counts.map(entry => [entry.product_id, entry]));
+  const quantities = new Map(levels.map(level => [String(level.product_id), Number(level.quantity) || 0]));
+
+  const productIds = new Set(counted.keys());
+  if (count.zero_uncounted) {
+    quantities.forEach((quantity, productId) => {
+      if (quantity && stockCountInScope(products.get(productId), count.scope)) productIds.add(productId);
+    });
+  }
+
+  const categoryName = (id) => categories.find(c => String(c.id) === String(id))?.name || (id != null ? `Categoria ${id}` : 'Sem categoria');
+  const lines = Array.from(productIds).map(productId => {
+    const product = products.get(productId);
+    const expected = quantities.get(productId) || 0;
+    const countedQuantity = counted.get(productId)?.quantity ?? 0;
+    const difference = roundQuantity(countedQuantity - expected);
+    const unitCost = product?.cost != null ? Number(product.cost) : null;
+    return {
+      product_id: productId,
+      name: product?.name || counted.get(productId)?.name || null,
+      barcode: product?.barcode || counted.get(productId)?.barcode || null,
+      category_id: product?.category_id ?? null,
+      category_name: categoryName(product?.category_id ?? null),
+      department: product?.department || null,
+      expected_quantity: expected,
+      counted_quantity: countedQuantity,
+      counted: counted.has(productId),
+      difference,
+      unit_cost: unitCost,
+      difference_value: roundMoney(difference * (unitCost || 0))
+    };
+  }).sort((a, b) => a.difference_value - b.difference_value || String(a.name).localeCompare(String(b.name)));
+
+  const byCategory = new Map();
+  const summary = {
+    products: lines.length,
+    counted_products: lines.filter(l => l.counted).length,
+    uncounted_products: lines.filter(l => !l.counted).length,
+    products_with_variance: 0,
+    units_short: 0,
+    units_over: 0,
+    shrinkage_value: 0,
+    surplus_value: 0,
+    net_value: 0,
+    by_category: []
+  };
+  lines.forEach(l => {
+    const key = String(l.category_id ?? '');
+    if (!byCategory.has(key)) {
+      byCategory.set(key, {
+        category_id: l.category_id, category_name: l.category_name, products: 0, products_with_variance: 0,
+        units_short: 0, units_over: 0, shrinkage_value: 0, surplus_value: 0, net_value: 0
       });
+    }
+    const group = byCategory.get(key);
+    group.products++;
+    if (l.difference === 0) return;
+    [summary, group].forEach(target => {
+      target.products_with_variance++;
+      if (l.difference < 0) {
+        target.units_short = roundQuantity(target.units_short - l.difference);
+        target.shrinkage_value = roundMoney(target.shrinkage_value - l.difference_value);
+      } else {
+        target.units_over = roundQuantity(target.units_over + l.difference);
+        target.surplus_value = roundMoney(target.surplus_value + l.difference_value);
+      }
+      target.net_value = roundMoney(target.surplus_value - target.shrinkage_value);
+    });
+  });
+  summary.by_category = Array.from(byCategory.values()).sort((a, b) => b.shrinkage_value - a.shrinkage_value);
+  return { lines, summary };
+}
 
-      report.stores.push({
-        id: storeId,
-        name: store.name,
-        address: store.address,
-        phone: store.phone,
-        revenue: storeRevenue,
-        transactions: storeTransactions,
-        avgTicket: storeAvgTicket,
-        salesByDay: salesByDay,
-        lastSale: filteredSales.length > 0 ? 
-          filteredSales.sort((a, b) => new Date(b.created_at || b.timestamp) - new Date(a.created_at || a.timestamp))[0] : null
-      });
+// Encerra a contagem e congela as diferenças para conferência
+function closeStockCount(id, { user_id = null } = {}) {
+  return runStockCountStep(id, async (count) => {
+    if (count.status !== 'open') return { error: `Contagem já está ${count.status}`, status: 409 };
+    // Saldos lidos direto do armazenamento: as diferenças congeladas aqui viram movimentos na aprovação
+    const levels = await storage.getStockLevels({ storeId: count.store_id });
+    const { lines, summary } = stockCountVariances(count, { levels, categories: await db.getCategories() });
+    const reviewed = stockCountWithStatus(count, 'review', user_id, {
+      lines,
+      summary,
+      closed_at: new Date().toISOString(),
+      closed_by: user_id
+    });
+    await saveStockCountStep(count, reviewed);
+    console.log(`📋 Stock count ${count.number} closed at store ${count.store_id}: ${summary.products_with_variance} variances, shrinkage ${summary.shrinkage_value}`);
+    return { count: reviewed };
+  });
+}
 
-      report.totals.totalRevenue += storeRevenue;
-      report.totals.totalTransactions += storeTransactions;
-    }
+// Volta para contagem (recontar antes de aprovar); as diferenças são recalculadas no próximo fechamento
+function reopenStockCount(id, { user_id = null } = {}) {
+  return runStockCountStep(id, async (count) => {
+    if (count.status !== 'review') return { error: `Contagem está ${count.status}, não pode ser reaberta`, status: 409 };
+    const reopened = stockCountWithStatus(count, 'open', user_id, { lines: null, summary: null, closed_at: null, closed_by: null });
+    await saveStockCountStep(count, reopened);
+    return { count: reopened };
+  });
+}
 
-    report.totals.avgTicket = report.totals.totalTransactions > 0 ? 
-      report.totals.totalRevenue / report.totals.totalTransactions : 0;
+function approveStockCount(id, { user_id = null, notes = null } = {}) {
+  return runStockCountStep(id, async (count) => {
+    if (count.status !== 'review') return { error: `Contagem está ${count.status}, feche a contagem antes de aprovar`, status: 409 };
+    const changes = Object.fromEntries(count.lines.filter(l => l.difference !== 0).map(l => [l.product_id, l.difference]));
+    const approved = stockCountWithStatus(count, 'approved', user_id, {
+      approved_at: new Date().toISOString(),
+      approved_by: user_id,
+      approval_notes: notes ?? null,
+      stock_pending: stockPending(count.store_id, changes, { reason: 'count', reference: count.id, movement_key: `${count.id}:approved`, user_id, note: count.number })
+    });
+    await saveStockCountStep(count, approved);
+    const saved = await completeStockPending(approved, saveStockCountStep);
+    console.log(`✅ Stock count ${count.number} approved at store ${count.store_id}: ${Object.keys(changes).length} products adjusted`);
+    return { count: saved };
+  });
+}
 
-    report.stores.sort((a, b) => b.revenue - a.revenue);
+function cancelStockCount(id, { user_id = null, reason = null } = {}) {
+  return runStockCountStep(id, async (count) => {
+    if (!STOCK_COUNT_ACTIVE_STATUSES.includes(count.status)) {
+      return { error: `Contagem ${count.status} não pode ser cancelada`, status: 409 };
+    }
+    const cancelled = stockCountWithStatus(count, 'cancelled', user_id, {
+      cancelled_at: new Date().toISOString(),
+      cancel_reason: reason
+    });
+    await saveStockCountStep(count, cancelled);
+    return { count: cancelled };
+  });
+}
 
-    res.json(report);
-  } catch (error) {
-    console.error('Error generating owner report:', error);
-    res.status(500).json({ error: 'Erro ao gerar relatório' });
-  }
-});
+// Carregar dados iniciais ao iniciar
+db.loadInitialData().then(() => backfillSaleItems()).then(() => backfillStockPending());
 
-// Lista de todas as lojas com status
-app.get('/api/owner/stores', checkOwnerAuth, async (req, res) => {
-  try {
-    const storesList = [];
-    
-    // ✅ BUSCAR DO SUPABASE PRIMEIRO
-    if (useSupabase && supabase) {
-      console.log('🏪 Buscando lojas do Supabase...');
-      const { data: supabaseStores, error } = await supabase.from('stores').select('*');
-      
-      if (!error && supabaseStores && supabaseStores.length > 0) {
-        console.log(`   ✅ ${supabaseStores.length} lojas encontradas no Supabase`);
-        
-        // Buscar vendas do Supabase para calcular estatísticas
-        const { data: allSales } = await supabase.from('sales').select('*');
-        const salesByStore = {};
-        (allSales || []).forEach(sale => {
-          const sid = sale.store_id || 1;
-          if (!salesByStore[sid]) salesByStore[sid] = [];
-          salesByStore[sid].push(sale);
-        });
-        
-        for (const store of supabaseStores) {
-          const sales = salesByStore[store.id] || [];
-          const lastSale = sales.length > 0 ? 
-            sales.sort((a, b) => new Date(b.created_at) - new Date(a.created_at))[0] : null;
-          
-          const today = new Date();
-          today.setHours(0, 0, 0, 0);
-          const todaySales = sales.filter(sale => new Date(sale.created_at) >= today);
-          const todayRevenue = todaySales.reduce((sum, sale) => sum + (sale.total || 0), 0);
+// Middleware - CORS configurado para aceitar requisições de qualquer origem (incluindo Electron)
+app.use(cors({
+  origin: '*',
+  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'X-Store-Key', 'Idempotency-Key'],
+  credentials: false
+}));
 
-          storesList.push({
-            ...store,
-            totalSales: sales.length,
-            todaySales: todaySales.length,
-            todayRevenue: todayRevenue,
-            lastSaleAt: lastSale ? lastSale.created_at : null,
-            isActive: lastSale ? (new Date() - new Date(lastSale.created_at)) < 24 * 60 * 60 * 1000 : false
-          });
-        }
-        
-        return res.json({ stores: storesList });
-      }
-    }
-    
-    // Fallback: buscar da memória
-    for (const [storeId, store] of stores.entries()) {
-      const sales = salesStore.get(storeId) || [];
-      const lastSale = sales.length > 0 ? 
-        sales.sort((a, b) => new Date(b.created_at || b.timestamp) - new Date(a.created_at || a.timestamp))[0] : null;
-      
-      const today = new Date();
-      today.setHours(0, 0, 0, 0);
-      const todaySales = sales.filter(sale => new Date(sale.created_at || sale.timestamp) >= today);
-      const todayRevenue = todaySales.reduce((sum, sale) => sum + (sale.total || 0), 0);
+// Handle preflight requests
+app.options('*', cors());
 
-      storesList.push({
-        ...store,
-        totalSales: sales.length,
-        todaySales: todaySales.length,
-        todayRevenue: todayRevenue,
-        lastSaleAt: lastSale ? (lastSale.created_at || lastSale.timestamp) : null,
-        isActive: lastSale ? (new Date() - new Date(lastSale.created_at || lastSale.timestamp)) < 24 * 60 * 60 * 1000 : false
-      });
-    }
+app.use(bodyParser.json({ limit: '50mb' }));
+app.use(bodyParser.urlencoded({ limit: '50mb', extended: true }));
 
-    // Adicionar lojas que têm vendas mas não estão registradas
-    for (const [storeId, sales] of salesStore.entries()) {
-      if (!stores.has(storeId)) {
-        const lastSale = sales.length > 0 ? 
-          sales.sort((a, b) => new Date(b.created_at || b.timestamp) - new Date(a.created_at || a.timestamp))[0] : null;
-        
-        const today = new Date();
-        today.setHours(0, 0, 0, 0);
-        const todaySales = sales.filter(sale => new Date(sale.created_at || sale.timestamp) >= today);
-        const todayRevenue = todaySales.reduce((sum, sale) => sum + (sale.total || 0), 0);
+// Servir arquivos estáticos do painel
+app.use('/dashboard', express.static(path.join(__dirname, 'public')));
 
-        storesList.push({
-          id: storeId,
-          name: `Loja ${storeId}`,
-          totalSales: sales.length,
-          todaySales: todaySales.length,
-          todayRevenue: todayRevenue,
-          lastSaleAt: lastSale ? (lastSale.created_at || lastSale.timestamp) : null,
-          isActive: lastSale ? (new Date() - new Date(lastSale.created_at || lastSale.timestamp)) < 24 * 60 * 60 * 1000 : false
-        });
+// Fechar o armazenamento ao encerrar (o modo arquivo grava um snapshot final)
+if (storage.close) {
+  ['SIGINT', 'SIGTERM'].forEach(signal => {
+    process.on(signal, () => {
+      console.log('\n🛑 Shutting down gracefully...');
+      try {
+        storage.close();
+      } catch (error) {
+        console.error('❌ Error closing storage:', error.message);
       }
-    }
+      process.exit(0);
+    });
+  });
+}
 
-    res.json({ stores: storesList });
-  } catch (error) {
-    console.error('Error getting stores for owner:', error);
-    res.status(500).json({ error: 'Erro ao obter lojas' });
-  }
+// Health check endpoint
+app.get('/api/sync/health', (req, res) => {
+  res.json({ status: 'ok', message: 'Sync server is running' });
 });
 
-// Vendas detalhadas de uma loja específica
-app.get('/api/owner/store/:storeId/sales', checkOwnerAuth, (req, res) => {
-  try {
-    const storeId = parseInt(req.params.storeId);
-    const { startDate, endDate, limit = 100 } = req.query;
-    
-    const start = startDate ? new Date(startDate) : new Date(0);
-    const end = endDate ? new Date(endDate + 'T23:59:59') : new Date();
-    
-    const sales = salesStore.get(storeId) || [];
-    
-    const filteredSales = sales
-      .filter(sale => {
-        const saleDate = new Date(sale.created_at || sale.timestamp);
-        return saleDate >= start && saleDate <= end;
-      })
-      .sort((a, b) => new Date(b.created_at || b.timestamp) - new Date(a.created_at || a.timestamp))
-      .slice(0, parseInt(limit));
+// =====================================
+// CHAVES DE API DAS LOJAS
+// =====================================
 
-    const totalRevenue = filteredSales.reduce((sum, sale) => sum + (sale.total || 0), 0);
+function hashStoreKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
 
-    res.json({
-      storeId,
-      store: stores.get(storeId) || { id: storeId, name: `Loja ${storeId}` },
-      sales: filteredSales,
-      count: filteredSales.length,
-      totalRevenue: totalRevenue
-    });
-  } catch (error) {
-    console.error('Error getting store sales:', error);
-    res.status(500).json({ error: 'Erro ao obter vendas da loja' });
-  }
-});
+function generateStoreKey(storeId) {
+  return `gol_${storeId}_${crypto.randomBytes(24).toString('hex')}`;
+}
 
-// Comparativo entre lojas
-app.get('/api/owner/compare', checkOwnerAuth, (req, res) => {
-  try {
-    const { period = '7' } = req.query; // dias
-    const days = parseInt(period);
-    
-    const comparison = [];
-    const now = new Date();
+// Remove o hash da chave antes de devolver a loja em qualquer API
+function publicStore(store) {
+  if (!store) return store;
+  const { api_key_hash, ...rest } = store;
+  return { ...rest, has_api_key: !!api_key_hash };
+}
 
-    for (const [storeId, sales] of salesStore.entries()) {
-      const store = stores.get(storeId) || { id: storeId, name: `Loja ${storeId}` };
-      
-      const dailyData = [];
-      for (let i = days - 1; i >= 0; i--) {
-        const date = new Date(now);
-        date.setDate(date.getDate() - i);
-        date.setHours(0, 0, 0, 0);
-        
-        const nextDate = new Date(date);
-        nextDate.setDate(nextDate.getDate() + 1);
-        
-        const daySales = sales.filter(sale => {
-          const saleDate = new Date(sale.created_at || sale.timestamp);
-          return saleDate >= date && saleDate < nextDate;
-        });
-        
-        dailyData.push({
-          date: date.toISOString().split('T')[0],
-          revenue: daySales.reduce((sum, sale) => sum + (sale.total || 0), 0),
-          transactions: daySales.length
-        });
-      }
+async function findStoreById(storeId) {
+  const cached = stores.get(storeId) || stores.get(parseInt(storeId));
+  if (cached || !useSupabase) return cached || null;
+  const storesList = await db.getStores();
+  return storesList.find(s => s.id == storeId) || null;
+}
 
-      comparison.push({
-        storeId,
-        storeName: store.name,
-        dailyData: dailyData,
-        totalRevenue: dailyData.reduce((sum, d) => sum + d.revenue, 0),
-        totalTransactions: dailyData.reduce((sum, d) => sum + d.transactions, 0)
-      });
+// Autenticação dos terminais. A chave vem em X-Store-Key (ou Authorization: Bearer)
+// e a loja informada na requisição precisa ser a dona da chave.
+// storeIdFrom: onde a rota recebe o ID da loja que está chamando
+const checkStoreAuth = (storeIdFrom = req => req.body?.storeId ?? req.query.storeId) => async (req, res, next) => {
+  try {
+    const authHeader = req.headers['authorization'] || '';
+    const key = req.headers['x-store-key'] || (authHeader.startsWith('Bearer ') ? authHeader.slice(7) : null);
+    const claimedStoreId = storeIdFrom(req);
+
+    if (!key) {
+      if (REQUIRE_STORE_KEY) {
+        return res.status(401).json({ error: 'Store API key required' });
+      }
+      // Modo de migração: só lojas que ainda não têm chave podem sincronizar sem ela.
+      // Sem loja informada não há como saber quem chama, então basta uma loja com chave
+      // para a requisição precisar de uma.
+      if (claimedStoreId != null && claimedStoreId !== '') {
+        const claimedStore = await findStoreById(claimedStoreId);
+        if (claimedStore && claimedStore.api_key_hash) {
+          return res.status(401).json({ error: 'Store API key required' });
+        }
+      } else if ((await db.getStores()).some(store => store.api_key_hash)) {
+        return res.status(401).json({ error: 'Store API key required' });
+      }
+      req.store = null;
+      return next();
     }
 
-    // Ordenar por receita total
-    comparison.sort((a, b) => b.totalRevenue - a.totalRevenue);
+    const store = await db.getStoreByKeyHash(hashStoreKey(key));
+    if (!store || store.is_active === false) {
+      return res.status(401).json({ error: 'Invalid store API key' });
+    }
+    if (claimedStoreId != null && claimedStoreId !== '' && String(claimedStoreId) !== String(store.id)) {
+      return res.status(403).json({ error: 'Store API key does not match storeId' });
+    }
 
-    res.json({ period: days, comparison });
+    req.store = store;
+    next();
   } catch (error) {
-    console.error('Error comparing stores:', error);
-    res.status(500).json({ error: 'Erro ao comparar lojas' });
+    console.error('Error checking store key:', error);
+    res.status(500).json({ error: 'Internal server error' });
   }
-});
+};
+
+// Respostas de push já processadas, por loja + Idempotency-Key, guardadas no
+// armazenamento para valerem em qualquer instância. Um terminal que reenvia o
+// mesmo lote após timeout recebe a mesma resposta.
+// Só respostas sem vendas failed ficam guardadas, para o reenvio tentar de novo;
+// a chave vale para um único lote (hash do corpo). Enquanto o push está em
+// andamento a chave fica reservada por IDEMPOTENCY_PENDING_MS: se a instância
+// cair no meio, um reenvio depois disso é processado de novo.
+const IDEMPOTENCY_TTL_MS = 24 * 60 * 60 * 1000;
+const IDEMPOTENCY_PENDING_MS = 5 * 60 * 1000;
+
+function idempotencyBodyHash(body) {
+  return crypto.createHash('sha256').update(JSON.stringify(body ?? null)).digest('hex');
+}
 
-// Todas as vendas (para o painel do dono)
-app.get('/api/owner/all-sales', checkOwnerAuth, async (req, res) => {
+function cacheSale(storeSales, sale) {
+  const idx = storeSales.findIndex(s => s.sale_number === sale.sale_number);
+  if (idx >= 0) storeSales[idx] = sale;
+  else storeSales.push(sale);
+}
+
+// Push sales from a store
+// Vendas já sincronizadas são aceitas novamente quando trazem uma revisão mais nova
+// (version ou updated_at), o que permite propagar cancelamentos e devoluções.
+// A resposta traz o resultado de cada sale_number:
+//   accepted  - venda nova ou revisão gravada
+//   duplicate - mesma revisão (ou mais antiga) já estava no servidor
+//   rejected  - dados inválidos, transição de status não permitida ou sale_number
+//               de outra loja (ver reason)
+//   failed    - não foi possível persistir a venda, os itens ou a baixa de estoque; o
+//               terminal deve manter no outbox e reenviar (o reenvio completa o que faltou)
+app.post('/api/sync/push', checkStoreAuth(), async (req, res) => {
+  let claimedKey = null;
   try {
-    const { startDate, endDate, store_id } = req.query;
-    
-    let sales = [];
-    let users = [];
-    
-    // Buscar do Supabase primeiro
-    if (useSupabase && supabase) {
-      let query = supabase.from('sales').select('*').order('created_at', { ascending: false });
-      
-      if (startDate) {
-        query = query.gte('created_at', startDate + 'T00:00:00');
+    const { sales, timestamp } = req.body;
+    const storeId = req.body.storeId ?? req.store?.id;
+
+    if (!storeId || !sales || !Array.isArray(sales)) {
+      return res.status(400).json({ error: 'Invalid request data' });
+    }
+
+    const idempotencyKey = req.headers['idempotency-key'];
+    const bodyHash = idempotencyKey ? idempotencyBodyHash(sales) : null;
+    if (idempotencyKey) {
+      const { record: cached, claimed } = await db.claimIdempotencyKey(`${storeId}:${idempotencyKey}`, storeId, bodyHash);
+      if (!claimed && cached.body_hash !== bodyHash) {
+        return res.status(422).json({ error: 'Idempotency-Key was already used with a different request body' });
       }
-      if (endDate) {
-        query = query.lte('created_at', endDate + 'T23:59:59');
+      if (!claimed && !cached.response) {
+        return res.status(409).json({ error: 'Request with this Idempotency-Key is still being processed' });
       }
-      if (store_id && store_id !== 'all') {
-        query = query.eq('store_id', store_id);
+      if (!claimed) {
+        res.set('Idempotent-Replayed', 'true');
+        return res.json(cached.response);
       }
-      
-      const { data, error } = await query.limit(500);
-      if (!error && data) {
-        sales = data;
+      claimedKey = cached;
+    }
+
+    if (!salesStore.has(storeId)) salesStore.set(storeId, []);
+    const storeSales = salesStore.get(storeId);
+
+    const results = [];
+    const summary = { accepted: 0, duplicate: 0, rejected: 0, failed: 0 };
+    let received = 0;
+    let updated = 0;
+    let lastSyncSeqAssigned = null;
+    let catalogIndex = null;
+
+    const addResult = (result) => {
+      results.push(result);
+      summary[result.status]++;
+    };
+
+    for (const sale of sales) {
+      if (!sale || !sale.sale_number) {
+        addResult({ sale_number: sale?.sale_number || null, status: 'rejected', reason: 'missing_sale_number' });
+        continue;
       }
-      
-      // Buscar usuários do Supabase
-      const { data: usersData, error: usersError } = await supabase.from('users').select('id, username, full_name, role');
-      if (!usersError && usersData) {
-        users = usersData;
+      if (sale.total != null && isNaN(Number(sale.total))) {
+        addResult({ sale_number: sale.sale_number, status: 'rejected', reason: 'invalid_total' });
+        continue;
       }
-    } else {
-      // Fallback: memória
-      salesStore.forEach((storeSales, storeId) => {
-        if (!store_id || store_id === 'all' || storeId == store_id) {
-          sales.push(...storeSales);
+
+      const now = new Date().toISOString();
+      let existing = storeSales.find(s => s.sale_number === sale.sale_number);
+      if (!existing) {
+        try {
+          existing = await db.getSaleByNumber(sale.sale_number);
+        } catch (e) {
+          addResult({ sale_number: sale.sale_number, status: 'failed', reason: e.message });
+          continue;
         }
-      });
-      
-      // Filtrar por data
-      if (startDate || endDate) {
-        sales = sales.filter(sale => {
-          const saleDate = new Date(sale.created_at || sale.timestamp);
-          if (startDate && saleDate < new Date(startDate)) return false;
-          if (endDate && saleDate > new Date(endDate + 'T23:59:59')) return false;
-          return true;
-        });
       }
-      
-      sales.sort((a, b) => new Date(b.created_at || b.timestamp) - new Date(a.created_at || a.timestamp));
+      // sale_number é a chave da venda no banco: o de outra loja não pode ser sobrescrito
+      if (existing && String(existing.store_id) !== String(storeId)) {
+        console.warn(`⚠️ Sale ${sale.sale_number} from store ${storeId} already belongs to store ${existing.store_id}`);
+        addResult({ sale_number: sale.sale_number, status: 'rejected', reason: 'sale_number_belongs_to_another_store' });
+        continue;
+      }
+
+      // Revisão anterior gravada sem itens ou baixa (falha no meio do push): completa antes
+      catalogIndex = catalogIndex || buildCatalogIndex();
+      if (existing?.ledger_pending) {
+        try {
+          existing = await applySaleLedger(existing, catalogIndex);
+          cacheSale(storeSales, existing);
+        } catch (e) {
+          console.error(`Error completing ledger of sale ${sale.sale_number}:`, e.message);
+          addResult({ sale_number: sale.sale_number, status: 'failed', reason: e.message });
+          continue;
+        }
+      }
+
+      // Preparar dados para salvar no Supabase
+      const saleData = {
+        sale_number: sale.sale_number,
+        store_id: storeId,
+        store_name: sale.store_name || null,
+        store_address: sale.store_address || null,
+        terminal_id: sale.terminal_id || null,
+        user_id: sale.user_id || null,
+        subtotal: sale.subtotal || 0,
+        discount: sale.discount || 0,
+        tax: sale.tax || 0,
+        total: sale.total || 0,
+        payment_method: sale.payment_method || sale.payment_type || null,
+        payments: normalizeSalePayments(sale),
+        status: sale.status || 'completed',
+        refunded_amount: sale.refunded_amount != null ? sale.refunded_amount : null,
+        items: sale.items || [],
+        version: sale.version != null ? sale.version : null,
+        updated_at: sale.updated_at || null,
+        created_at: sale.created_at || now,
+        timestamp: now
+      };
+
+      if (!existing) {
+        saleData.status_history = [{ status: saleData.status, at: now }];
+      } else {
+        // Same revision (or older) already on the server
+        if (!isNewerSaleRevision(sale, existing)) {
+          addResult({ sale_number: sale.sale_number, status: 'duplicate', sync_seq: existing.sync_seq || null });
+          continue;
+        }
+
+        const fromStatus = existing.status || 'completed';
+        if (saleData.status !== fromStatus && !canTransitionSale(fromStatus, saleData.status)) {
+          console.warn(`⚠️ Invalid status transition for sale ${sale.sale_number}: ${fromStatus} → ${saleData.status}`);
+          addResult({ sale_number: sale.sale_number, status: 'rejected', reason: `invalid_status_transition:${fromStatus}->${saleData.status}` });
+          continue;
+        }
+
+        saleData.created_at = existing.created_at || saleData.created_at;
+        saleData.status_history = [...(existing.status_history || [])];
+        if (saleData.status !== fromStatus) {
+          saleData.status_history.push({ from: fromStatus, status: saleData.status, at: now });
+        }
+      }
+
+      // Toda revisão aceita recebe nova sequência para ser entregue no pull
+      saleData.sync_seq = nextSyncSeq();
+
+      // Baixa de estoque: stock_effect continua com o que já foi baixado até
+      // applySaleLedger gravar os itens e a diferença para a nova revisão
+      const statusChanged = existing && saleData.status !== (existing.status || 'completed');
+      saleData.stock_effect = existing?.stock_effect || {};
+      saleData.ledger_pending = { stock_reason: statusChanged ? `sale_${saleData.status}` : 'sale' };
+
+      // ✅ SALVAR NO SUPABASE - só entra no cache depois de persistida
+      try {
+        await db.saveSale(saleData);
+      } catch (e) {
+        console.error('Error saving sale to Supabase:', e.message);
+        addResult({ sale_number: sale.sale_number, status: 'failed', reason: e.message });
+        continue;
+      }
+      cacheSale(storeSales, saleData);
+
+      // Revisões trocam os itens inteiros (quantidades e status podem ter mudado).
+      // Se falhar, a venda fica pendente e o reenvio da mesma revisão completa.
+      try {
+        cacheSale(storeSales, await applySaleLedger(saleData, catalogIndex));
+      } catch (e) {
+        console.error(`Error writing ledger of sale ${sale.sale_number}:`, e.message);
+        addResult({ sale_number: sale.sale_number, status: 'failed', reason: e.message, sync_seq: saleData.sync_seq });
+        continue;
+      }
+
+      if (existing) updated++;
+      else received++;
+      lastSyncSeqAssigned = saleData.sync_seq;
+      addResult({ sale_number: sale.sale_number, status: 'accepted', action: existing ? 'updated' : 'created', sync_seq: saleData.sync_seq });
     }
     
-    // Buscar lojas para adicionar nomes
-    const stores = await db.getStores();
-    const storeMap = {};
-    stores.forEach(s => storeMap[s.id] = s.name);
-    
-    // Criar mapa de usuários
-    const userMap = {};
-    users.forEach(u => {
-      userMap[u.id] = u.full_name || u.username || 'Usuário ' + u.id;
-    });
-    
-    // Adicionar nome da loja e operador a cada venda
-    sales = sales.map(sale => ({
-      ...sale,
-      store_name: storeMap[sale.store_id] || 'Loja ' + (sale.store_id || 1),
-      user_name: sale.user_name || userMap[sale.user_id] || sale.cashier_name || 'Não identificado',
-      operator: sale.user_name || userMap[sale.user_id] || sale.cashier_name || 'Não identificado'
-    }));
-    
-    res.json({
-      sales,
-      count: sales.length,
-      total: sales.reduce((sum, s) => sum + (s.total || 0), 0)
-    });
+    console.log(`✅ Received ${received} new and ${updated} updated sales from store ${storeId} (${summary.duplicate} duplicate, ${summary.rejected} rejected, ${summary.failed} failed)`);
+
+    const response = {
+      success: summary.failed === 0,
+      message: `Received ${received} sales, updated ${updated} (${summary.accepted} saved to cloud)`,
+      totalSales: storeSales.length,
+      updated: updated,
+      savedToCloud: summary.accepted,
+      lastSyncSeq: lastSyncSeqAssigned,
+      summary,
+      results
+    };
+
+    if (claimedKey) {
+      // Uma falha aqui (já registrada no log) só faz o reenvio ser processado de novo,
+      // e as vendas repetidas voltam como duplicate
+      await (summary.failed > 0 ? db.releaseIdempotencyKey(claimedKey) : db.saveIdempotentResponse(claimedKey, response))
+        .catch(() => {});
+    }
+
+    res.json(response);
   } catch (error) {
-    console.error('Error fetching all sales:', error);
-    res.status(500).json({ error: 'Erro ao buscar vendas' });
+    console.error('Error pushing sales:', error);
+    if (claimedKey) db.releaseIdempotencyKey(claimedKey).catch(() => {});
+    res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// =====================================
-// APIs DE ADMINISTRAÇÃO - Produtos, Categorias, Promoções
-// =====================================
+// Pull sales from other stores
+// Incremental: ?cursor=<nextCursor da chamada anterior>&limit=500; vendas dos
+//   últimos SYNC_OVERLAP_MS podem voltar no pull seguinte (veja pullCursor)
+// Legacy: ?since=<ISO date> (filtra por created_at, sem paginação)
+const PULL_DEFAULT_LIMIT = 500;
+const PULL_MAX_LIMIT = 2000;
 
-// Listar todos os produtos (com paginação do servidor)
-app.get('/api/admin/products', checkOwnerAuth, async (req, res) => {
+app.get('/api/sync/pull', checkStoreAuth(), async (req, res) => {
   try {
-    const { page = 1, limit = 0, search = '' } = req.query;
-    const pageNum = parseInt(page);
-    const limitNum = parseInt(limit);
-    
-    let allProducts = [];
-    
-    // ✅ BUSCAR DO SUPABASE PRIMEIRO (se configurado)
-    if (useSupabase && supabase) {
-      console.log('📦 Buscando produtos do Supabase...');
-      try {
-        let query = supabase.from('products').select('*', { count: 'exact' });
-        
-        // Aplicar busca se fornecida
-        if (search) {
-          query = query.or(`name.ilike.%${search}%,barcode.ilike.%${search}%,sku.ilike.%${search}%`);
-        }
-        
-        // Paginação
-        if (limitNum > 0) {
-          const start = (pageNum - 1) * limitNum;
-          query = query.range(start, start + limitNum - 1);
-        }
-        
-        const { data, error, count } = await query;
-        
-        if (!error && data) {
-          console.log(`✅ ${data.length} produtos carregados do Supabase (total: ${count})`);
-          return res.json({ 
-            products: data, 
-            total: count || data.length,
-            page: pageNum,
-            limit: limitNum,
-            totalPages: limitNum > 0 ? Math.ceil((count || data.length) / limitNum) : 1,
-            source: 'supabase'
-          });
-        } else if (error) {
-          console.error('Supabase query error:', error.message);
-        }
-      } catch (e) {
-        console.error('Supabase error:', e.message);
-      }
-    }
-    
-    // FALLBACK: Usar dados em memória
-    console.log('📦 Usando dados em memória (fallback)...');
-    const productsMap = new Map();
-    
-    productsStore.forEach((products, storeId) => {
-      products.forEach(p => {
-        const key = p.id || p.barcode || p.sku;
-        if (key && !productsMap.has(key)) {
-          productsMap.set(key, { ...p, source_store_id: storeId });
-        }
+    const { since, cursor, limit } = req.query;
+    const storeId = req.query.storeId || req.store?.id;
+
+    if (cursor !== undefined || since === undefined) {
+      const cursorNum = parseInt(cursor) || 0;
+      const limitNum = Math.min(parseInt(limit) || PULL_DEFAULT_LIMIT, PULL_MAX_LIMIT);
+
+      // Busca um registro a mais para saber se existe próxima página
+      const page = await db.getSalesAfterCursor(cursorNum, {
+        excludeStoreId: storeId || null,
+        limit: limitNum + 1
+      });
+      const hasMore = page.length > limitNum;
+      const sales = hasMore ? page.slice(0, limitNum) : page;
+      const lastSeq = sales.length > 0 ? Number(sales[sales.length - 1].sync_seq) : cursorNum;
+      const nextCursor = pullCursor(cursorNum, lastSeq, hasMore);
+
+      console.log(`Sending ${sales.length} sales to store ${storeId || 'all'} (cursor ${cursorNum} -> ${nextCursor})`);
+
+      return res.json({
+        success: true,
+        sales,
+        count: sales.length,
+        nextCursor,
+        hasMore
       });
-    });
-    
-    allProducts = Array.from(productsMap.values());
-    
-    // Aplicar busca no servidor se fornecida
-    if (search) {
-      const searchLower = search.toLowerCase();
-      allProducts = allProducts.filter(p => 
-        (p.name && p.name.toLowerCase().includes(searchLower)) ||
-        (p.barcode && p.barcode.toLowerCase().includes(searchLower)) ||
-        (p.sku && p.sku.toLowerCase().includes(searchLower))
-      );
     }
-    
-    const total = allProducts.length;
-    
-    // Paginação do servidor (se limit > 0)
-    if (limitNum > 0) {
-      const start = (pageNum - 1) * limitNum;
-      allProducts = allProducts.slice(start, start + limitNum);
+
+    const allSales = [];
+
+    // Get sales from all stores except the requesting store
+    for (const [id, sales] of salesStore.entries()) {
+      if (storeId && parseInt(storeId) === id) {
+        continue; // Skip own store
+      }
+
+      // Filter by timestamp
+      const filteredSales = sales.filter(sale => {
+        const saleTime = new Date(sale.created_at || sale.timestamp);
+        const sinceTime = new Date(since);
+        return saleTime > sinceTime;
+      });
+
+      allSales.push(...filteredSales);
     }
-    
-    console.log('📦 Produtos carregados da memória:', allProducts.length, 'de', total, 'total');
-    
-    res.json({ 
-      products: allProducts, 
-      total: total,
-      page: pageNum,
-      limit: limitNum,
-      totalPages: limitNum > 0 ? Math.ceil(total / limitNum) : 1,
-      source: 'memory'
+
+    // Sort by timestamp (newest first)
+    allSales.sort((a, b) => {
+      const timeA = new Date(a.created_at || a.timestamp || 0);
+      const timeB = new Date(b.created_at || b.timestamp || 0);
+      return timeB - timeA;
+    });
+
+    console.log(`Sending ${allSales.length} sales to store ${storeId || 'all'}`);
+
+    res.json({
+      success: true,
+      sales: allSales,
+      count: allSales.length,
+      // Permite que clientes antigos migrem para o modo cursor
+      nextCursor: allSales.reduce((max, sale) => Math.max(max, Number(sale.sync_seq) || 0), 0)
     });
   } catch (error) {
-    console.error('Error listing products:', error);
-    res.status(500).json({ error: 'Erro ao listar produtos' });
+    console.error('Error pulling sales:', error);
+    res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Buscar produto por ID ou barcode
-app.get('/api/admin/products/:id', checkOwnerAuth, (req, res) => {
+// Get all stores
+app.get('/api/sync/stores', checkStoreAuth(() => null), (req, res) => {
+  const storesList = Array.from(stores.values()).map(publicStore);
+  res.json({ stores: storesList });
+});
+
+// Register a store
+// Lojas com chave só podem ser atualizadas pelo terminal que apresenta a chave delas.
+// O terminal altera só nome, endereço e telefone; chave, fuso horário e situação da
+// loja são do painel (o timezone enviado só vale no primeiro cadastro).
+const STORE_TERMINAL_FIELDS = ['name', 'address', 'phone'];
+
+app.post('/api/sync/stores', checkStoreAuth(req => req.body?.id), async (req, res) => {
   try {
-    const { id } = req.params;
-    let found = null;
-    productsStore.forEach((products) => {
-      const product = products.find(p => p.id == id || p.barcode === id);
-      if (product) found = product;
-    });
-    if (found) {
-      res.json(found);
-    } else {
-      res.status(404).json({ error: 'Produto não encontrado' });
-    }
+    const rawId = req.body.id ?? req.store?.id;
+    const id = Number(rawId);
+    if (rawId == null || rawId === '' || !Number.isInteger(id) || id <= 0) {
+      return res.status(400).json({ error: 'Invalid store id' });
+    }
+    const { timezone } = req.body;
+    if (timezone && !isValidTimezone(timezone)) {
+      return res.status(400).json({ error: 'Invalid timezone' });
+    }
+
+    const now = new Date().toISOString();
+    const existingStore = req.store || await findStoreById(id);
+    const changes = Object.fromEntries(STORE_TERMINAL_FIELDS
+      .filter(field => req.body[field] !== undefined)
+      .map(field => [field, req.body[field]]));
+    const storeData = existingStore
+      ? { ...existingStore, ...changes, registeredAt: now, updated_at: now }
+      : {
+        id,
+        name: null,
+        address: null,
+        phone: null,
+        ...changes,
+        timezone: timezone || null,
+        is_active: true,
+        registeredAt: now,
+        created_at: now,
+        updated_at: now
+      };
+
+    await db.saveStore(storeData);
+    stores.set(storeData.id, storeData);
+
+    console.log(`📝 Store registered: ${storeData.name} (ID: ${storeData.id})`);
+    res.json({ success: true, store: publicStore(storeData) });
   } catch (error) {
-    res.status(500).json({ error: 'Erro ao buscar produto' });
+    console.error('❌ Error registering store:', error);
+    res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Criar/Atualizar produto (será sincronizado para todas as lojas)
-app.post('/api/admin/products', checkOwnerAuth, async (req, res) => {
+// Get statistics
+app.get('/api/sync/stats', checkStoreAuth(() => null), (req, res) => {
+  const stats = {
+    totalStores: stores.size,
+    totalSales: Array.from(salesStore.values()).reduce((sum, sales) => sum + sales.length, 0),
+    salesByStore: {},
+  };
+
+  for (const [id, sales] of salesStore.entries()) {
+    stats.salesByStore[id] = sales.length;
+  }
+
+  res.json(stats);
+});
+
+// =====================================
+// FECHAMENTO DE CAIXA (REDUÇÃO Z)
+// =====================================
+// No fim do turno o terminal envia o fechamento: fundo de troco, dinheiro
+// contado por cédula/moeda, totais de cartão e PIX, sangrias e operador.
+// O servidor confere com as vendas recebidas daquele terminal dentro do turno.
+
+// Diferenças menores que meio centavo são arredondamento
+const CLOSING_TOLERANCE = 0.005;
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+// Valida e padroniza o fechamento enviado; devolve { error } se algo obrigatório faltar
+function normalizeClosing(input, storeId) {
+  if (!input.terminal_id) return { error: 'Invalid closing: terminal_id is required' };
+  const openedAt = new Date(input.opened_at);
+  const closedAt = new Date(input.closed_at);
+  if (isNaN(openedAt) || isNaN(closedAt)) return { error: 'Invalid closing: opened_at and closed_at are required' };
+  if (openedAt > closedAt) return { error: 'Invalid closing: opened_at is after closed_at' };
+
+  // Contagem aceita [{ denomination, quantity }] ou { "100": 2, "0.5": 4 }
+  const counts = Array.isArray(input.cash_counts)
+    ? input.cash_counts
+    : Object.entries(input.cash_counts || {}).map(([denomination, quantity]) => ({ denomination, quantity }));
+  const cashCounts = counts.map(c => ({ denomination: Number(c.denomination), quantity: Number(c.quantity) || 0 }));
+  if (cashCounts.some(c => !(c.denomination > 0) || c.quantity < 0)) {
+    return { error: 'Invalid closing: cash_counts must have positive denominations' };
+  }
+
+  const cardTotals = {};
+  Object.entries(input.card_totals || {}).forEach(([method, amount]) => {
+    cardTotals[method] = Number(amount) || 0;
+  });
+
+  const withdrawals = (input.withdrawals || input.sangrias || []).map(w => ({
+    amount: Number(w.amount) || 0,
+    reason: w.reason || null,
+    user_id: w.user_id || null,
+    at: w.at || w.created_at || null
+  }));
+
+  const countedCash = cashCounts.length > 0
+    ? cashCounts.reduce((sum, c) => sum + c.denomination * c.quantity, 0)
+    : Number(input.counted_cash) || 0;
+
+  return {
+    closing: {
+      id: String(input.id || `${storeId}-${input.terminal_id}-${closedAt.getTime()}`),
+      store_id: storeId,
+      terminal_id: input.terminal_id,
+      user_id: input.user_id || null,
+      operator_name: input.operator_name || input.user_name || null,
+      opened_at: openedAt.toISOString(),
+      closed_at: closedAt.toISOString(),
+      opening_float: Number(input.opening_float) || 0,
+      cash_counts: cashCounts,
+      counted_cash: roundMoney(countedCash),
+      card_totals: cardTotals,
+      withdrawals,
+      withdrawals_total: roundMoney(withdrawals.reduce((sum, w) => sum + w.amount, 0)),
+      notes: input.notes || null
+    }
+  };
+}
+
+// Compara o declarado com as vendas do terminal no turno. Dinheiro esperado =
+// fundo de troco + vendas em dinheiro - sangrias; as demais formas são
+// comparadas direto com o total declarado.
+async function reconcileClosing(closing) {
+  const openedAt = new Date(closing.opened_at);
+  const closedAt = new Date(closing.closed_at);
+  const sales = (await db.getSales(closing.store_id, { from: openedAt, to: closedAt })).filter(sale => {
+    const soldAt = new Date(sale.created_at || sale.timestamp);
+    return String(sale.terminal_id) === String(closing.terminal_id) && soldAt >= openedAt && soldAt <= closedAt;
+  });
+
+  const salesByMethod = {};
+  sales.forEach(sale => addPaymentBreakdown(salesByMethod, sale));
+  Object.keys(salesByMethod).forEach(method => { salesByMethod[method] = roundMoney(salesByMethod[method]); });
+
+  const expectedCash = roundMoney(closing.opening_float + (salesByMethod.cash || 0) - closing.withdrawals_total);
+  const differences = { cash: roundMoney(closing.counted_cash - expectedCash) };
+  // Vendas sem forma de pagamento não têm com o que ser comparadas
+  const methods = new Set([...Object.keys(closing.card_totals), ...Object.keys(salesByMethod)]);
+  methods.delete('cash');
+  methods.delete('unknown');
+  methods.forEach(method => {
+    differences[method] = roundMoney((closing.card_totals[method] || 0) - (salesByMethod[method] || 0));
+  });
+
+  const totalDifference = roundMoney(Object.values(differences).reduce((sum, d) => sum + d, 0));
+  const hasDifference = Object.values(differences).some(d => Math.abs(d) > CLOSING_TOLERANCE);
+  let status = 'balanced';
+  if (hasDifference) {
+    if (totalDifference < -CLOSING_TOLERANCE) status = 'shortage';
+    else if (totalDifference > CLOSING_TOLERANCE) status = 'overage';
+    // Falta numa forma compensada por sobra em outra
+    else status = 'mismatch';
+  }
+
+  return {
+    ...closing,
+    expected: {
+      cash: expectedCash,
+      sales: salesByMethod,
+      sales_count: sales.filter(isReportableSale).length,
+      sales_total: roundMoney(sales.reduce((sum, sale) => sum + saleNetTotal(sale), 0))
+    },
+    differences,
+    total_difference: totalDifference,
+    has_difference: hasDifference,
+    status,
+    reconciled_at: new Date().toISOString()
+  };
+}
+
+// Receber o fechamento de um turno. Reenviar o mesmo id refaz a conferência.
+app.post('/api/sync/closings', checkStoreAuth(), async (req, res) => {
   try {
-    const product = req.body;
-    product.updated_at = new Date().toISOString();
-    
-    if (!product.id) {
-      product.id = Date.now();
-      product.created_at = new Date().toISOString();
+    const storeId = req.body.storeId ?? req.store?.id;
+    const input = req.body.closing;
+
+    if (!storeId || !input || typeof input !== 'object') {
+      return res.status(400).json({ error: 'Invalid request data' });
     }
 
-    // Salvar no banco de dados (Supabase ou memória)
-    await db.saveProduct(product);
-    
-    // Também atualizar cache em memória
-    if (!productsStore.has(1)) {
-      productsStore.set(1, []);
+    const { closing, error } = normalizeClosing(input, storeId);
+    if (error) {
+      return res.status(400).json({ error });
     }
-    const products = productsStore.get(1);
-    const existingIndex = products.findIndex(p => p.id === product.id || (p.barcode && p.barcode === product.barcode));
-    if (existingIndex >= 0) {
-      products[existingIndex] = { ...products[existingIndex], ...product };
-    } else {
-      products.push(product);
+
+    const existing = await db.getClosingById(closing.id);
+    if (existing && String(existing.store_id) !== String(storeId)) {
+      return res.status(409).json({ error: 'Closing id belongs to another store' });
     }
-    
-    console.log(`✅ Produto ${product.name} salvo com sucesso`);
-    res.json({ success: true, product });
+
+    const now = new Date().toISOString();
+    closing.created_at = existing?.created_at || now;
+    closing.updated_at = now;
+
+    const reconciled = await reconcileClosing(closing);
+    await db.saveClosing(reconciled);
+
+    const icon = reconciled.has_difference ? '⚠️' : '✅';
+    console.log(`${icon} Closing ${reconciled.id} from store ${storeId} terminal ${reconciled.terminal_id}: ${reconciled.status} (${reconciled.total_difference})`);
+    res.json({ success: true, closing: reconciled });
   } catch (error) {
-    console.error('Error saving product:', error);
-    res.status(500).json({ error: 'Erro ao salvar produto' });
+    console.error('Error receiving closing:', error);
+    res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Deletar produto
-app.delete('/api/admin/products/:id', checkOwnerAuth, async (req, res) => {
+// Transferências em que a loja é origem ou destino, alteradas depois do cursor.
+// O terminal da origem usa para separar e enviar; o do destino, para conferir o recebimento.
+// Como nas vendas, as alterações dos últimos SYNC_OVERLAP_MS podem voltar no pull seguinte.
+app.get('/api/sync/transfers', checkStoreAuth(), async (req, res) => {
   try {
-    const { id } = req.params;
-    
-    // Deletar do banco de dados
-    await db.deleteProduct(parseInt(id));
-    
-    // Deletar do cache em memória
-    productsStore.forEach((products, storeId) => {
-      const index = products.findIndex(p => p.id == id);
-      if (index >= 0) {
-        products.splice(index, 1);
-      }
-    });
-    
-    res.json({ success: true, message: 'Produto deletado' });
+    const storeId = parseInt(req.query.storeId ?? req.store?.id);
+    if (!storeId) {
+      return res.status(400).json({ error: 'storeId is required' });
+    }
+    const cursorNum = parseInt(req.query.cursor) || 0;
+
+    const transfers = (await db.getTransfers({ storeId }))
+      .filter(transfer => (Number(transfer.sync_seq) || 0) > cursorNum)
+      .sort((a, b) => a.sync_seq - b.sync_seq);
+    const nextCursor = pullCursor(cursorNum, maxSyncSeq(transfers, cursorNum));
+
+    res.json({ success: true, transfers, count: transfers.length, nextCursor });
   } catch (error) {
-    console.error('Error deleting product:', error);
-    res.status(500).json({ error: 'Erro ao deletar produto' });
+    console.error('Error pulling transfers:', error);
+    res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Listar todas as categorias
-app.get('/api/admin/categories', checkOwnerAuth, (req, res) => {
+// Envio (loja de origem) e recebimento (loja de destino) confirmados no PDV:
+// { storeId, lines: [{ product_id | barcode, quantity }], user_id, notes }
+['ship', 'receive'].forEach(step => {
+  app.post(`/api/sync/transfers/:id/${step}`, checkStoreAuth(), async (req, res) => {
+    try {
+      const storeId = req.body.storeId ?? req.store?.id;
+      if (!storeId) {
+        return res.status(400).json({ error: 'Invalid request data' });
+      }
+      const transfer = await db.getTransferById(req.params.id);
+      const side = step === 'ship' ? 'from_store_id' : 'to_store_id';
+      if (!transfer) {
+        return res.status(404).json({ error: 'Transfer not found' });
+      }
+      if (String(transfer[side]) !== String(storeId)) {
+        return res.status(403).json({ error: `Transfer can only be ${step === 'ship' ? 'shipped by the origin' : 'received by the destination'} store` });
+      }
+
+      const run = step === 'ship' ? shipTransfer : receiveTransfer;
+      const result = await run(transfer.id, { lines: req.body.lines, user_id: req.body.user_id || null, notes: req.body.notes });
+      if (result.error) {
+        return res.status(result.status).json({ error: result.error });
+      }
+      console.log(`🚚 Transfer ${transfer.id} ${result.transfer.status} by store ${storeId}`);
+      res.json({ success: true, transfer: result.transfer });
+    } catch (error) {
+      console.error(`Error on transfer ${step}:`, error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+});
+
+// Contagens de estoque da loja (padrão: as abertas, que aceitam quantidades).
+// ?storeId&status (all para todas)
+app.get('/api/sync/stock-counts', checkStoreAuth(), async (req, res) => {
   try {
-    const allCategories = [];
-    categoriesStore.forEach((categories) => {
-      categories.forEach(c => {
-        if (!allCategories.find(ac => ac.id === c.id)) {
-          allCategories.push(c);
-        }
-      });
-    });
-    res.json({ categories: allCategories, total: allCategories.length });
+    const storeId = req.query.storeId ?? req.store?.id;
+    if (!storeId) {
+      return res.status(400).json({ error: 'storeId is required' });
+    }
+    const status = req.query.status === 'all' ? null : (req.query.status || 'open');
+
+    const counts = (await db.getStockCounts({ storeId, status }))
+      .sort((a, b) => new Date(b.opened_at) - new Date(a.opened_at))
+      .map(({ submissions, ...count }) => count);
+    res.json({ success: true, counts, count: counts.length });
   } catch (error) {
-    res.status(500).json({ error: 'Erro ao listar categorias' });
+    console.error('Error pulling stock counts:', error);
+    res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Criar/Atualizar categoria
-app.post('/api/admin/categories', checkOwnerAuth, async (req, res) => {
+// Quantidades contadas no terminal ou coletor:
+// { storeId, lines: [{ barcode | product_id, quantity }], mode: 'add' | 'set', submission_id, terminal_id, user_id }
+// A resposta traz o total já contado de cada produto aceito e as linhas rejeitadas
+// (reason: unknown_product, out_of_scope, invalid_quantity).
+app.post('/api/sync/stock-counts/:id/counts', checkStoreAuth(), async (req, res) => {
   try {
-    const category = req.body;
-    category.updated_at = new Date().toISOString();
-    
-    if (!category.id) {
-      category.id = Date.now();
-      category.created_at = new Date().toISOString();
+    const storeId = req.body.storeId ?? req.store?.id;
+    if (!storeId) {
+      return res.status(400).json({ error: 'Invalid request data' });
     }
-
-    // Salvar no banco de dados
-    await db.saveCategory(category);
-
-    // Atualizar cache em memória
-    if (!categoriesStore.has(1)) {
-      categoriesStore.set(1, []);
+    const existing = await db.getStockCountById(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ error: 'Stock count not found' });
     }
-    const categories = categoriesStore.get(1);
-    const existingIndex = categories.findIndex(c => c.id === category.id);
-    if (existingIndex >= 0) {
-      categories[existingIndex] = { ...categories[existingIndex], ...category };
-    } else {
-      categories.push(category);
+    if (String(existing.store_id) !== String(storeId)) {
+      return res.status(403).json({ error: 'Stock count belongs to another store' });
     }
-    
-    res.json({ success: true, category });
-  } catch (error) {
-    console.error('Error saving category:', error);
-    res.status(500).json({ error: 'Erro ao salvar categoria' });
-  }
-});
 
-// Deletar categoria
-app.delete('/api/admin/categories/:id', checkOwnerAuth, async (req, res) => {
-  try {
-    const { id } = req.params;
-    
-    // Deletar do banco de dados
-    await db.deleteCategory(parseInt(id));
-    
-    // Deletar do cache em memória
-    categoriesStore.forEach((categories) => {
-      const index = categories.findIndex(c => c.id == id);
-      if (index >= 0) {
-        categories.splice(index, 1);
-      }
+    const result = await submitStockCount(existing.id, {
+      lines: req.body.lines,
+      mode: req.body.mode || 'add',
+      submission_id: req.body.submission_id || req.headers['idempotency-key'] || null,
+      terminal_id: req.body.terminal_id || null,
+      user_id: req.body.user_id || null
+    });
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    const { count, accepted, rejected, duplicate } = result;
+    if (!duplicate) {
+      console.log(`📋 Stock count ${count.number}: ${accepted.length} products counted by store ${storeId}${rejected.length ? `, ${rejected.length} rejected` : ''}`);
+    }
+    res.json({
+      success: true,
+      duplicate,
+      stock_count: { id: count.id, number: count.number, status: count.status, counted_products: count.counts.length },
+      accepted: accepted.map(entry => ({ product_id: entry.product_id, barcode: entry.barcode, quantity: entry.quantity })),
+      rejected
     });
-    
-    res.json({ success: true, message: 'Categoria deletada' });
   } catch (error) {
-    console.error('Error deleting category:', error);
-    res.status(500).json({ error: 'Erro ao deletar categoria' });
+    console.error('Error receiving stock count:', error);
+    res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Listar todas as promoções
-app.get('/api/admin/promotions', checkOwnerAuth, async (req, res) => {
+// Push products from a store
+// O stock enviado só vira o saldo da loja quando ela ainda não tem saldo para o
+// produto (carga inicial); depois disso o estoque segue as vendas e os ajustes.
+// min_stock e reorder_point, quando enviados, viram os limites da loja para o produto.
+// Campos do produto que só o servidor altera (compras, exclusões e sincronização)
+const SERVER_PRODUCT_FIELDS = ['supplier_id', 'last_cost', 'last_cost_at', 'deleted_at', 'sync_seq'];
+
+// Produto enviado por um terminal mesclado com o registro salvo. Um produto excluído
+// continua excluído, a não ser que o terminal o tenha alterado depois da exclusão
+// (updated_at do terminal mais novo que deleted_at).
+function mergePushedProduct(stored, pushed, storeId, now) {
+  const changes = { ...pushed };
+  SERVER_PRODUCT_FIELDS.forEach(field => delete changes[field]);
+  const changedAfterDelete = !!stored?.deleted_at && !!pushed.updated_at &&
+    new Date(pushed.updated_at) > new Date(stored.deleted_at);
+  return {
+    ...stored,
+    ...changes,
+    store_id: storeId,
+    deleted_at: stored?.deleted_at && !changedAfterDelete ? stored.deleted_at : null,
+    updated_at: now
+  };
+}
+
+app.post('/api/sync/products/push', checkStoreAuth(), async (req, res) => {
   try {
-    // Buscar do Supabase primeiro
-    if (useSupabase && supabase) {
-      const { data, error } = await supabase
-        .from('promotions')
-        .select('*')
-        .order('created_at', { ascending: false });
-      
-      if (!error && data) {
-        console.log(`📦 ${data.length} promoções carregadas do Supabase`);
-        return res.json({ promotions: data, total: data.length, source: 'supabase' });
+    const { storeId, products, categories, timestamp, isLastBatch } = req.body;
+
+    if (!storeId) {
+      return res.status(400).json({ error: 'Store ID is required' });
+    }
+
+    // Store products (merge with existing, not replace)
+    if (products && Array.isArray(products) && products.length > 0) {
+      const now = new Date().toISOString();
+      const storedProducts = new Map((await db.getProducts()).map(p => [String(productKey(p)), p]));
+      const merged = products.map(p => mergePushedProduct(storedProducts.get(String(productKey(p))), p, storeId, now));
+
+      // ✅ SALVAR NO BANCO (o cache só muda depois que o banco confirmou)
+      await db.saveProducts(merged);
+
+      const productMap = new Map((productsStore.get(storeId) || []).map(p => [String(productKey(p)), p]));
+      merged.forEach(p => {
+        if (p.deleted_at) productMap.delete(String(productKey(p)));
+        else productMap.set(String(productKey(p)), p);
+      });
+      const mergedProducts = Array.from(productMap.values());
+      productsStore.set(storeId, mergedProducts);
+      const kept = merged.filter(p => p.deleted_at).length;
+      console.log(`✅ Received ${products.length} products from store ${storeId} (Total: ${mergedProducts.length}${kept ? `, ${kept} still deleted` : ''})`);
+
+      const initialStock = {};
+      const stockLimits = {};
+      products.forEach((p, i) => {
+        if (merged[i].deleted_at) return;
+        const productId = p.id ?? p.barcode;
+        if (productId == null) return;
+        if (p.min_stock !== undefined || p.reorder_point !== undefined) {
+          const { limits, error } = normalizeStockLimits(p);
+          if (error) console.error(`⚠️ Store ${storeId} product ${productId}: ${error}`);
+          else stockLimits[productId] = limits;
+        }
+        if (p.stock == null || isNaN(Number(p.stock))) return;
+        // O cache só poupa a leitura dos saldos que já existem; onlyNew confere no armazenamento
+        if (!stockStore.has(stockKey(storeId, productId))) initialStock[productId] = Number(p.stock);
+      });
+      await setStock(storeId, initialStock, { reason: 'initial', onlyNew: true });
+      await setStockLimits(storeId, stockLimits);
+    }
+
+    // Store categories (merge with existing)
+    if (categories && Array.isArray(categories) && categories.length > 0) {
+      // ✅ SALVAR CATEGORIAS NO BANCO
+      for (const cat of categories) {
+        await db.saveCategory({
+          ...cat,
+          updated_at: new Date().toISOString()
+        });
+        upsertCached(categoriesStore, 1, cat);
       }
+      console.log(`✅ Received ${categories.length} categories from store ${storeId} (Total: ${categoriesStore.get(1).length})`);
     }
-    
-    // Fallback para memória
-    const promotions = Array.from(promotionsStore.values()).flat();
-    res.json({ promotions, total: promotions.length, source: 'memory' });
+
+    const currentProducts = productsStore.get(storeId) || [];
+    res.json({
+      success: true,
+      message: `Received ${products?.length || 0} products and ${categories?.length || 0} categories`,
+      totalProducts: currentProducts.length,
+      isLastBatch: isLastBatch || false,
+    });
   } catch (error) {
-    console.error('Error listing promotions:', error);
-    res.status(500).json({ error: 'Erro ao listar promoções' });
+    console.error('Error pushing products:', error);
+    res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Criar/Atualizar promoção
-app.post('/api/admin/promotions', checkOwnerAuth, async (req, res) => {
+// Pull products from master store (usually store 1)
+// O storeId aqui indica a loja de origem do catálogo, não quem está chamando
+// Completo: sem cursor, devolve o catálogo inteiro (sem itens excluídos)
+// Incremental: ?cursor=<nextCursor anterior>&limit=2000 ou ?since=<ISO date>
+//   devolve só o que mudou (o dos últimos SYNC_OVERLAP_MS pode voltar no pull
+//   seguinte), com os itens excluídos em deleted. Um cursor mais
+//   antigo que a retenção de tombstones recebe o catálogo completo com resync: true.
+const PRODUCTS_PULL_DEFAULT_LIMIT = 2000;
+const PRODUCTS_PULL_MAX_LIMIT = 10000;
+
+// Produtos enviados pela loja de origem ou cadastrados no painel (sem loja)
+function isCatalogProduct(product, masterStoreId) {
+  return product.store_id == null || String(product.store_id) === String(masterStoreId);
+}
+
+const maxSyncSeq = (records, start = 0) =>
+  records.reduce((max, record) => Math.max(max, Number(record.sync_seq) || 0), start);
+
+app.get('/api/sync/products/pull', checkStoreAuth(() => null), async (req, res) => {
   try {
-    const promotion = req.body;
-    promotion.updated_at = new Date().toISOString();
+    const { storeId, cursor, since, limit } = req.query;
     
-    if (!promotion.id) {
-      promotion.id = Date.now();
-      promotion.created_at = new Date().toISOString();
+    // Get products from master store (ID 1) or specified store
+    const masterStoreId = storeId ? parseInt(storeId) : 1;
+
+    // sync_seq segue o relógio, então uma data serve como cursor
+    const cursorNum = cursor !== undefined ? (parseInt(cursor) || 0) : (Date.parse(since) || 0);
+    const resync = cursorNum > 0 && cursorNum < Date.now() - TOMBSTONE_RETENTION_MS;
+
+    if ((cursor === undefined && since === undefined) || resync) {
+      const products = (await db.getProducts())
+        .filter(p => isCatalogProduct(p, masterStoreId) && !p.deleted_at);
+      const categories = (await db.getCategories()).filter(c => !c.deleted_at);
+      const promotions = (await db.getPromotions()).filter(p => !p.deleted_at);
+
+      console.log(`Sending ${products.length} products and ${categories.length} categories to store ${storeId || 'all'}${resync ? ' (resync)' : ''}`);
+
+      return res.json({
+        success: true,
+        products: products,
+        categories: categories,
+        promotions,
+        count: products.length,
+        nextCursor: pullCursor(0, maxSyncSeq([...products, ...categories, ...promotions])),
+        hasMore: false,
+        resync
+      });
     }
 
-    // Salvar no banco de dados
-    await db.savePromotion(promotion);
+    const limitNum = Math.min(parseInt(limit) || PRODUCTS_PULL_DEFAULT_LIMIT, PRODUCTS_PULL_MAX_LIMIT);
 
-    // Atualizar cache em memória
-    if (!promotionsStore.has(1)) {
-      promotionsStore.set(1, []);
-    }
-    const promotions = promotionsStore.get(1);
-    const existingIndex = promotions.findIndex(p => p.id === promotion.id);
-    if (existingIndex >= 0) {
-      promotions[existingIndex] = { ...promotions[existingIndex], ...promotion };
-    } else {
-      promotions.push(promotion);
-    }
-    
-    console.log(`✅ Promoção salva: ${promotion.name || promotion.product_name}`);
-    res.json({ success: true, promotion });
+    // Busca um registro a mais para saber se existe próxima página
+    const page = await db.getProductsAfterCursor(cursorNum, { limit: limitNum + 1 });
+    const hasMore = page.length > limitNum;
+    const changedProducts = hasMore ? page.slice(0, limitNum) : page;
+    const pageCursor = maxSyncSeq(changedProducts, cursorNum);
+
+    // Categorias e promoções são poucas: filtradas aqui mesmo, até o mesmo cursor dos produtos
+    const inRange = record => Number(record.sync_seq) > cursorNum && (!hasMore || Number(record.sync_seq) <= pageCursor);
+    const changedCategories = (await db.getCategories()).filter(inRange);
+    const changedPromotions = (await db.getPromotions()).filter(inRange);
+    const catalogProducts = changedProducts.filter(p => isCatalogProduct(p, masterStoreId));
+
+    const products = catalogProducts.filter(p => !p.deleted_at);
+    const categories = changedCategories.filter(c => !c.deleted_at);
+    const promotions = changedPromotions.filter(p => !p.deleted_at);
+    const deleted = {
+      products: catalogProducts.filter(p => p.deleted_at).map(p => p.id ?? p.barcode ?? p.sku),
+      categories: changedCategories.filter(c => c.deleted_at).map(c => c.id),
+      promotions: changedPromotions.filter(p => p.deleted_at).map(p => p.id)
+    };
+    const deletedCount = deleted.products.length + deleted.categories.length + deleted.promotions.length;
+    const nextCursor = pullCursor(cursorNum, maxSyncSeq([...changedCategories, ...changedPromotions], pageCursor), hasMore);
+
+    console.log(`Sending ${products.length} changed products, ${categories.length} categories, ${promotions.length} promotions and ${deletedCount} deletions to store ${storeId || 'all'} (cursor ${cursorNum} -> ${nextCursor})`);
+
+    res.json({
+      success: true,
+      products,
+      categories,
+      promotions,
+      deleted,
+      count: products.length,
+      nextCursor,
+      hasMore,
+      resync: false
+    });
   } catch (error) {
-    console.error('Error saving promotion:', error);
-    res.status(500).json({ error: 'Erro ao salvar promoção' });
+    console.error('Error pulling products:', error);
+    res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Deletar promoção
-app.delete('/api/admin/promotions/:id', checkOwnerAuth, async (req, res) => {
+// =====================================
+// PAINEL DO PROPRIETÁRIO - Relatórios Centralizados
+// =====================================
+
+// =====================================
+// SESSÕES DO PAINEL
+// =====================================
+// O login gera um token assinado (HMAC) com validade; o painel envia o token no
+// header Authorization em vez de repetir a senha em cada URL.
+// Defina SESSION_SECRET e OWNER_PASSWORD em produção (veja loadInstanceSecret).
+const SESSION_TTL_MS = (parseInt(process.env.OWNER_SESSION_TTL_HOURS) || 12) * 60 * 60 * 1000;
+
+// Segredos desta instalação (SESSION_SECRET, OWNER_PASSWORD): a variável de ambiente
+// tem prioridade. Sem ela, instalações locais geram um valor aleatório e o guardam
+// junto dos dados (no arquivo file), para continuar o mesmo após reiniciar; no Supabase
+// ou no Vercel, com várias instâncias, o servidor não sobe.
+function loadInstanceSecret(name, file, { bytes = 32 } = {}) {
+  if (process.env[name]) return process.env[name];
+
+  const dir = storage.dir || (storage.file ? path.dirname(storage.file) : null);
+  if (!dir) {
+    if (useSupabase || process.env.VERCEL === '1' || process.env.VERCEL_ENV) {
+      throw new Error(`${name} não configurada: defina o valor, o mesmo em todas as instâncias`);
+    }
+    return null;
+  }
+
+  const secretFile = path.join(dir, file);
   try {
-    const { id } = req.params;
-    
-    // Deletar do banco de dados
-    await db.deletePromotion(parseInt(id));
-    
-    // Deletar do cache em memória
-    promotionsStore.forEach((promotions) => {
-      const index = promotions.findIndex(p => p.id == id);
-      if (index >= 0) {
-        promotions.splice(index, 1);
-      }
-    });
-    
-    res.json({ success: true, message: 'Promoção deletada' });
+    const saved = fs.readFileSync(secretFile, 'utf8').trim();
+    if (saved) return saved;
   } catch (error) {
-    console.error('Error deleting promotion:', error);
-    res.status(500).json({ error: 'Erro ao deletar promoção' });
+    if (error.code !== 'ENOENT') throw error;
   }
-});
+  const secret = crypto.randomBytes(bytes).toString('hex');
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(secretFile, secret, { mode: 0o600 });
+  console.log(`🔑 ${name} gerada em ${secretFile}`);
+  return secret;
+}
 
-// =====================
-// USUÁRIOS (USERS) API
-// =====================
+function loadSessionSecret() {
+  const secret = loadInstanceSecret('SESSION_SECRET', 'session-secret');
+  if (secret) return secret;
+  console.warn('⚠️ SESSION_SECRET não configurada. Usando um segredo temporário (sessões caem ao reiniciar).');
+  return crypto.randomBytes(32).toString('hex');
+}
 
-// Cache de usuários em memória
-const usersStore = new Map();
+const SESSION_SECRET = loadSessionSecret();
+
+// Senha do painel do proprietário. Não existe senha padrão: sem OWNER_PASSWORD a
+// instalação local usa a senha gerada em owner-password (junto dos dados) e, sem
+// pasta de dados, o login do proprietário fica desativado.
+const OWNER_PASSWORD = loadInstanceSecret('OWNER_PASSWORD', 'owner-password', { bytes: 12 });
+if (!OWNER_PASSWORD) {
+  console.warn('⚠️ OWNER_PASSWORD não configurada. Login do proprietário desativado (usuários cadastrados continuam entrando).');
+}
+
+function safeEqual(a, b) {
+  const bufA = Buffer.from(String(a));
+  const bufB = Buffer.from(String(b));
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+function signSessionToken(payload) {
+  const body = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  const signature = crypto.createHmac('sha256', SESSION_SECRET).update(body).digest('base64url');
+  return `${body}.${signature}`;
+}
+
+// Retorna o payload da sessão ou null se o token for inválido ou expirado.
+// A revogação por logout fica no banco e é conferida em checkOwnerAuth.
+function verifySessionToken(token) {
+  const [body, signature] = String(token).split('.');
+  if (!body || !signature) return null;
+
+  const expected = crypto.createHmac('sha256', SESSION_SECRET).update(body).digest('base64url');
+  if (!safeEqual(signature, expected)) return null;
 
-// Listar todos os usuários
-app.get('/api/admin/users', checkOwnerAuth, async (req, res) => {
   try {
-    // Buscar do Supabase primeiro
-    if (useSupabase && supabase) {
-      const { data, error } = await supabase
-        .from('users')
-        .select('*')
-        .order('full_name');
-      
-      if (!error && data) {
-        console.log(`👥 ${data.length} usuários carregados do Supabase`);
-        return res.json({ users: data, total: data.length, source: 'supabase' });
+    const payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+    if (!payload.exp || payload.exp < Date.now()) return null;
+    return payload;
+  } catch (e) {
+    return null;
+  }
+}
+
+function createSession(claims) {
+  const payload = {
+    ...claims,
+    sid: crypto.randomBytes(16).toString('hex'),
+    iat: Date.now(),
+    exp: Date.now() + SESSION_TTL_MS
+  };
+  return { token: signSessionToken(payload), expiresAt: new Date(payload.exp).toISOString(), session: payload };
+}
+
+// =====================================
+// PERMISSÕES POR FUNÇÃO
+// =====================================
+// owner (senha do dono) e admin têm acesso total. Gerentes veem apenas a própria loja
+// (store_id) e, por padrão, podem editar promoções e o estoque da loja mas não o catálogo.
+// O campo permissions do usuário, quando definido, substitui a lista padrão da função.
+const ALL_PERMISSIONS = [
+  'reports:read',
+  'catalog:read', 'catalog:write',
+  'promotions:read', 'promotions:write',
+  'inventory:read', 'inventory:write', 'inventory:approve',
+  'users:read', 'users:write',
+  'stores:manage',
+  'system:manage'
+];
+
+const ROLE_PERMISSIONS = {
+  owner: ALL_PERMISSIONS,
+  admin: ALL_PERMISSIONS,
+  manager: ['reports:read', 'catalog:read', 'promotions:read', 'promotions:write', 'inventory:read', 'inventory:write', 'users:read'],
+  cashier: []
+};
+
+// Quem não é dono/admin só cria ou edita usuários de funções abaixo da sua
+const ROLE_RANK = { cashier: 1, manager: 2, admin: 3, owner: 4 };
+
+function roleRank(role) {
+  return ROLE_RANK[role] || 0;
+}
+
+function isGlobalRole(role) {
+  return role === 'owner' || role === 'admin';
+}
+
+function permissionsForUser(user) {
+  if (isGlobalRole(user.role)) return ALL_PERMISSIONS;
+  if (Array.isArray(user.permissions)) {
+    return user.permissions.filter(p => ALL_PERMISSIONS.includes(p));
+  }
+  return ROLE_PERMISSIONS[user.role] || [];
+}
+
+function hasPermission(session, permission) {
+  if (!session) return false;
+  if (isGlobalRole(session.role)) return true;
+  return (session.permissions || []).includes(permission);
+}
+
+// Loja à qual a sessão está restrita (null = todas as lojas). Só dono e admin têm
+// sessão sem loja: gerente sem loja vinculada não entra no painel (canAccessPanel)
+function sessionStoreScope(session) {
+  if (!session || isGlobalRole(session.role)) return null;
+  return session.store_id || null;
+}
+
+// Loja filtrada por uma listagem do painel (?store_id; 'all' ou vazio = todas, null).
+// Gerentes ficam presos à própria loja, independente do filtro enviado.
+function resolveStoreFilter(req, requested = req.query.store_id) {
+  return sessionStoreScope(req.session) || (requested && requested !== 'all' ? requested : null);
+}
+
+// Deve ser usado depois de checkOwnerAuth
+const requirePermission = (permission) => (req, res, next) => {
+  if (!hasPermission(req.session, permission)) {
+    return res.status(403).json({ error: 'Sem permissão para esta operação' });
+  }
+  next();
+};
+
+// Senhas de usuários: scrypt com salt aleatório, formato scrypt$<salt>$<hash>
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = crypto.scryptSync(String(password), salt, 64).toString('hex');
+  return `scrypt$${salt}$${hash}`;
+}
+
+function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = String(stored || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+  const candidate = crypto.scryptSync(String(password), salt, 64).toString('hex');
+  return safeEqual(candidate, hash);
+}
+
+// Remove o hash da senha antes de devolver o usuário em qualquer API
+function publicUser(user) {
+  if (!user) return user;
+  const { password_hash, password, ...rest } = user;
+  return { ...rest, has_password: !!password_hash };
+}
+
+function canAccessPanel(user) {
+  return isGlobalRole(user.role) || (user.role === 'manager' && user.store_id != null && user.store_id !== '');
+}
+
+// Dados do usuário que a sessão carrega (função, loja e permissões)
+function sessionClaimsForUser(user) {
+  return {
+    sub: `user:${user.id}`,
+    role: user.role,
+    user_id: user.id,
+    store_id: user.store_id || null,
+    name: user.full_name || user.name || user.username,
+    permissions: permissionsForUser(user)
+  };
+}
+
+// Middleware de autenticação do painel: token de sessão no header Authorization.
+// Scripts fazem login em /api/owner/login; a senha não é aceita em headers nem na query string.
+// Sessões de usuários cadastrados relêem o usuário a cada requisição: desativar, excluir
+// ou mudar a função vale na hora, em todas as instâncias, sem esperar o token expirar.
+const checkOwnerAuth = async (req, res, next) => {
+  try {
+    const authHeader = req.headers['authorization'] || '';
+    const token = authHeader.startsWith('Bearer ') ? authHeader.slice(7) : null;
+
+    if (!token) {
+      return res.status(401).json({ error: 'Não autenticado' });
+    }
+
+    const session = verifySessionToken(token);
+    if (!session || await db.isSessionRevoked(session.sid)) {
+      return res.status(401).json({ error: 'Sessão inválida ou expirada' });
+    }
+
+    if (session.sub !== 'owner') {
+      const user = session.user_id != null ? await db.getUserById(session.user_id) : null;
+      if (!user || user.is_active === false) {
+        return res.status(401).json({ error: 'Usuário desativado ou sem acesso ao painel' });
       }
+      if (!canAccessPanel(user)) {
+        return res.status(403).json({ error: 'Usuário sem acesso ao painel' });
+      }
+      req.session = { ...session, ...sessionClaimsForUser(user) };
+      return next();
     }
-    
-    // Fallback para memória
-    const users = Array.from(usersStore.values()).flat();
-    res.json({ users, total: users.length, source: 'memory' });
+
+    req.session = session;
+    next();
   } catch (error) {
-    console.error('Error listing users:', error);
-    res.status(500).json({ error: 'Erro ao listar usuários' });
+    console.error('Error checking owner session:', error);
+    res.status(500).json({ error: 'Erro ao verificar sessão' });
   }
-});
+};
 
-// Criar/Atualizar usuário
-app.post('/api/admin/users', checkOwnerAuth, async (req, res) => {
+// Login do painel: sem username usa a senha do proprietário;
+// com username autentica um usuário gerente/administrador cadastrado
+app.post('/api/owner/login', async (req, res) => {
   try {
-    const user = req.body;
-    user.updated_at = new Date().toISOString();
-    
-    if (!user.id) {
-      user.id = Date.now();
-      user.created_at = new Date().toISOString();
-    }
+    const { username, password } = req.body || {};
 
-    // Salvar no Supabase
-    if (useSupabase && supabase) {
-      const { error } = await supabase
-        .from('users')
-        .upsert({
-          id: user.id,
-          username: user.username,
-          full_name: user.full_name,
-          role: user.role || 'cashier',
-          store_id: user.store_id || null,
-          email: user.email || null,
-          phone: user.phone || null,
-          is_active: user.is_active !== false,
-          created_at: user.created_at || new Date().toISOString(),
-          updated_at: new Date().toISOString()
-        }, { onConflict: 'id' });
-        
-      if (error) {
-        console.error('Error saving user to Supabase:', error.message);
+    if (!username) {
+      if (!OWNER_PASSWORD || !password || !safeEqual(password, OWNER_PASSWORD)) {
+        console.warn('⚠️ Tentativa de login inválida no painel');
+        return res.status(401).json({ error: 'Senha inválida' });
       }
+
+      const { token, expiresAt } = createSession({ sub: 'owner', role: 'owner' });
+      console.log('🔐 Login no painel do proprietário');
+      return res.json({
+        success: true,
+        token,
+        expiresAt,
+        user: { role: 'owner', name: 'Proprietário', store_id: null, permissions: ALL_PERMISSIONS }
+      });
     }
 
-    // Atualizar cache em memória
-    if (!usersStore.has(1)) {
-      usersStore.set(1, []);
+    const user = await db.getUserByUsername(username);
+    if (!user || user.is_active === false || !password || !verifyPassword(password, user.password_hash)) {
+      console.warn(`⚠️ Tentativa de login inválida no painel: ${username}`);
+      return res.status(401).json({ error: 'Usuário ou senha inválidos' });
     }
-    const users = usersStore.get(1);
-    const existingIndex = users.findIndex(u => u.id === user.id);
-    if (existingIndex >= 0) {
-      users[existingIndex] = { ...users[existingIndex], ...user };
-    } else {
-      users.push(user);
+    if (!canAccessPanel(user)) {
+      return res.status(403).json({ error: 'Usuário sem acesso ao painel' });
     }
-    
-    console.log(`✅ Usuário salvo: ${user.full_name || user.username}`);
-    res.json({ success: true, user });
+
+    const claims = sessionClaimsForUser(user);
+    const { token, expiresAt } = createSession(claims);
+    console.log(`🔐 Login no painel: ${user.username} (${user.role})`);
+    res.json({
+      success: true,
+      token,
+      expiresAt,
+      user: { role: claims.role, name: claims.name, store_id: claims.store_id, permissions: claims.permissions }
+    });
   } catch (error) {
-    console.error('Error saving user:', error);
-    res.status(500).json({ error: 'Erro ao salvar usuário' });
+    console.error('Error on owner login:', error);
+    res.status(500).json({ error: 'Erro ao fazer login' });
   }
 });
 
-// Deletar usuário
-app.delete('/api/admin/users/:id', checkOwnerAuth, async (req, res) => {
+// Logout: revoga o token atual no banco, para valer em todas as instâncias
+app.post('/api/owner/logout', checkOwnerAuth, async (req, res) => {
   try {
-    const { id } = req.params;
-    
-    // Deletar do Supabase
-    if (useSupabase && supabase) {
-      await supabase.from('users').delete().eq('id', id);
+    if (req.session?.sid) {
+      await db.revokeSession(req.session.sid, req.session.exp);
+      // Encerra os streams de eventos abertos com este token
+      eventClients.forEach(client => {
+        if (client.sid === req.session.sid) client.res.end();
+      });
     }
-    
-    // Deletar do cache em memória
-    usersStore.forEach((users) => {
-      const index = users.findIndex(u => u.id == id);
-      if (index >= 0) {
-        users.splice(index, 1);
-      }
-    });
-    
-    res.json({ success: true, message: 'Usuário deletado' });
+    res.json({ success: true });
   } catch (error) {
-    console.error('Error deleting user:', error);
-    res.status(500).json({ error: 'Erro ao deletar usuário' });
+    console.error('Error on owner logout:', error);
+    res.status(500).json({ error: 'Erro ao encerrar sessão' });
   }
 });
 
-// Estatísticas gerais do sistema
-app.get('/api/admin/stats', checkOwnerAuth, (req, res) => {
-  try {
-    let totalProducts = 0;
-    productsStore.forEach(products => {
-      totalProducts = Math.max(totalProducts, products.length);
-    });
+// =====================================
+// EVENTOS EM TEMPO REAL (SERVER-SENT EVENTS)
+// =====================================
+// Terminais e painel recebem um aviso assim que algo muda, em vez de consultar
+// em intervalos. O evento só diz o que mudou; os dados continuam vindo do pull
+// (por cursor) e dos relatórios.
+//   sale      - venda aceita no push
+//   catalog   - produtos ou categorias gravados ou excluídos
+//   promotion - promoção gravada ou excluída
+//   store     - loja registrada ou atualizada
+//   stock     - saldos de estoque de uma loja alterados
+// Cada instância avisa apenas os clientes conectados a ela. No Vercel a conexão
+// cai no limite de tempo da função e o cliente reconecta (retry).
+const EVENTS_HEARTBEAT_MS = 25000;
+const eventClients = new Set();
+let lastEventId = 0;
+
+function publishEvent(type, data) {
+  if (eventClients.size === 0) return;
+  const payload = `id: ${++lastEventId}\nevent: ${type}\ndata: ${JSON.stringify(data)}\n\n`;
+  eventClients.forEach(client => {
+    if (client.accepts(type, data)) client.res.write(payload);
+  });
+}
 
-    let totalCategories = 0;
-    categoriesStore.forEach(categories => {
-      totalCategories = Math.max(totalCategories, categories.length);
-    });
+// Encerra os streams do painel abertos por um usuário alterado ou excluído
+function closeUserEventStreams(userId) {
+  eventClients.forEach(client => {
+    if (client.user_id != null && client.user_id == userId) client.res.end();
+  });
+}
+
+// accepts(type, data): filtro do que este cliente pode receber
+function openEventStream(req, res, { accepts, sid = null, user_id = null }) {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write('retry: 5000\n\n');
 
-    const totalPromotions = Array.from(promotionsStore.values()).flat().length;
-    const totalStores = stores.size;
+  const client = { res, accepts, sid, user_id };
+  eventClients.add(client);
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), EVENTS_HEARTBEAT_MS);
 
-    let totalSales = 0;
-    let totalRevenue = 0;
-    salesStore.forEach(sales => {
-      totalSales += sales.length;
-      totalRevenue += sales.reduce((sum, s) => sum + (s.total || 0), 0);
-    });
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    eventClients.delete(client);
+  });
+}
+
+// Terminais: vendas das outras lojas (como no pull), catálogo, promoções, lojas, o próprio estoque,
+// as transferências e as contagens de estoque da loja
+app.get('/api/sync/events', checkStoreAuth(), (req, res) => {
+  const storeId = req.query.storeId ?? req.store?.id ?? null;
+  openEventStream(req, res, {
+    accepts: (type, data) => {
+      // Fechamentos de caixa e pedidos de compra são só para o painel
+      if (type === 'closing' || type === 'purchase_order') return false;
+      // Estoque, alertas e contagens de estoque: só os da própria loja
+      if (type === 'stock' || type === 'stock_alert' || type === 'stock_count') {
+        return storeId == null || String(data.store_id) === String(storeId);
+      }
+      // Transferências: só as que saem ou chegam na própria loja
+      if (type === 'transfer') {
+        return storeId == null || [data.from_store_id, data.to_store_id].some(id => String(id) === String(storeId));
+      }
+      return type !== 'sale' || storeId == null || String(data.store_id) !== String(storeId);
+    }
+  });
+});
+
+// Painel: token no header Authorization, então o painel lê o stream via fetch
+app.get('/api/owner/events', checkOwnerAuth, requirePermission('reports:read'), (req, res) => {
+  const scopeStoreId = sessionStoreScope(req.session);
+  openEventStream(req, res, {
+    sid: req.session.sid,
+    user_id: req.session.user_id ?? null,
+    accepts: (type, data) => {
+      if (!scopeStoreId) return true;
+      if (type === 'transfer') return transferInScope(data, scopeStoreId);
+      if (!['sale', 'store', 'closing', 'stock', 'stock_alert', 'purchase_order', 'stock_count'].includes(type)) return true;
+      return String(data.store_id) === String(scopeStoreId);
+    }
+  });
+});
+
+// =====================================
+// MIGRAÇÃO DE DADOS PARA SUPABASE
+// =====================================
 
+// Endpoint para migrar todos os produtos em memória para o Supabase
+app.post('/api/admin/migrate-to-cloud', checkOwnerAuth, requirePermission('system:manage'), async (req, res) => {
+  if (!useSupabase || !supabase) {
+    return res.status(400).json({ 
+      error: 'Supabase não está configurado',
+      message: 'Configure SUPABASE_URL e SUPABASE_KEY no Vercel'
+    });
+  }
+  
+  try {
+    let totalProducts = 0;
+    let totalCategories = 0;
+    let totalPromotions = 0;
+    let errors = [];
+    
+    // Migrar produtos
+    console.log('🚀 Iniciando migração para Supabase...');
+    
+    for (const [storeId, products] of productsStore) {
+      console.log(`📦 Migrando ${products.length} produtos da loja ${storeId}...`);
+      
+      const batchSize = 100;
+      for (let i = 0; i < products.length; i += batchSize) {
+        const batch = products.slice(i, i + batchSize).map(p => ({
+          ...p,
+          store_id: storeId,
+          updated_at: new Date().toISOString()
+        }));
+        
+        try {
+          await storage.saveProducts(batch);
+          totalProducts += batch.length;
+        } catch (error) {
+          errors.push(`Produtos batch ${i}: ${error.message}`);
+        }
+      }
+    }
+    
+    // Migrar categorias
+    for (const category of Array.from(categoriesStore.values()).flat()) {
+      const id = category.id;
+      try {
+        await storage.saveCategory({
+          ...category,
+          updated_at: new Date().toISOString()
+        });
+        totalCategories++;
+      } catch (error) {
+        errors.push(`Categoria ${id}: ${error.message}`);
+      }
+    }
+    
+    // Migrar promoções
+    for (const promo of Array.from(promotionsStore.values()).flat()) {
+      const id = promo.id;
+      try {
+        await storage.savePromotion({
+          ...promo,
+          updated_at: new Date().toISOString()
+        });
+        totalPromotions++;
+      } catch (error) {
+        errors.push(`Promoção ${id}: ${error.message}`);
+      }
+    }
+    
+    console.log(`✅ Migração concluída!`);
+    console.log(`   - Produtos: ${totalProducts}`);
+    console.log(`   - Categorias: ${totalCategories}`);
+    console.log(`   - Promoções: ${totalPromotions}`);
+    
     res.json({
-      totalProducts,
-      totalCategories,
-      totalPromotions,
-      totalStores,
-      totalSales,
-      totalRevenue
+      success: true,
+      message: 'Migração concluída!',
+      migrated: {
+        products: totalProducts,
+        categories: totalCategories,
+        promotions: totalPromotions
+      },
+      errors: errors.length > 0 ? errors : null
     });
+    
   } catch (error) {
-    res.status(500).json({ error: 'Erro ao obter estatísticas' });
+    console.error('Erro na migração:', error);
+    res.status(500).json({ error: 'Erro na migração', message: error.message });
   }
 });
 
-// Página principal do painel do proprietário (HTML embutido)
-app.get('/owner', (req, res) => {
-  res.send(getOwnerDashboardHTML());
+// Verificar status do Supabase
+app.get('/api/admin/cloud-status', checkOwnerAuth, requirePermission('system:manage'), async (req, res) => {
+  const status = {
+    storageDriver: storage.driver,
+    supabaseConfigured: useSupabase,
+    supabaseConnected: false,
+    productsInMemory: 0,
+    productsInCloud: 0,
+    categoriesInMemory: Array.from(categoriesStore.values()).flat().length,
+    categoriesInCloud: 0
+  };
+  
+  // Contar produtos em memória
+  productsStore.forEach(products => {
+    status.productsInMemory += products.length;
+  });
+  
+  // Verificar Supabase
+  if (useSupabase && supabase) {
+    try {
+      const { count: productCount, error: pError } = await supabase
+        .from('products')
+        .select('*', { count: 'exact', head: true });
+      
+      const { count: categoryCount, error: cError } = await supabase
+        .from('categories')
+        .select('*', { count: 'exact', head: true });
+      
+      if (!pError && !cError) {
+        status.supabaseConnected = true;
+        status.productsInCloud = productCount || 0;
+        status.categoriesInCloud = categoryCount || 0;
+      }
+    } catch (e) {
+      console.error('Supabase status check error:', e.message);
+    }
+  }
+  
+  res.json(status);
 });
 
-// Função que retorna o HTML do painel do proprietário
-function getOwnerDashboardHTML() {
-  return `<!DOCTYPE html>
-<html lang="pt-BR">
-<head>
-  <meta charset="UTF-8">
-  <meta name="viewport" content="width=device-width, initial-scale=1.0">
-  <title>🏪 Gol Supermarket - Painel Administrativo</title>
-  <script src="https://cdn.tailwindcss.com"></script>
-  <script src="https://cdn.jsdelivr.net/npm/chart.js"></script>
-  <style>
-    @import url('https://fonts.googleapis.com/css2?family=Inter:wght@300;400;500;600;700;800&display=swap');
-    body { font-family: 'Inter', sans-serif; }
-    .gradient-bg { background: linear-gradient(135deg, #1e3a5f 0%, #0f2744 100%); }
-    .card-shadow { box-shadow: 0 4px 6px -1px rgba(0, 0, 0, 0.1), 0 2px 4px -1px rgba(0, 0, 0, 0.06); }
-    .glow { box-shadow: 0 0 20px rgba(59, 130, 246, 0.3); }
-    .store-card:hover { transform: translateY(-2px); transition: all 0.2s; }
-    .pulse { animation: pulse 2s infinite; }
-    @keyframes pulse {
-      0%, 100% { opacity: 1; }
-      50% { opacity: 0.5; }
-    }
-    .tab-btn { transition: all 0.2s; }
-    .tab-btn.active { background: white; color: #1e3a5f; }
-    .tab-content { display: none; }
-    .tab-content.active { display: block; }
-    .table-row:hover { background: #f8fafc; }
-    .modal-overlay { background: rgba(0,0,0,0.5); backdrop-filter: blur(4px); }
-  </style>
-</head>
-<body class="bg-gray-100 min-h-screen">
-  <!-- Login Screen -->
-  <div id="loginScreen" class="min-h-screen gradient-bg flex items-center justify-center">
-    <div class="bg-white rounded-2xl shadow-2xl p-8 w-full max-w-md mx-4">
-      <div class="text-center mb-8">
-        <div class="text-6xl mb-4">🏪</div>
-        <h1 class="text-2xl font-bold text-gray-800">Gol Supermarket</h1>
-        <p class="text-gray-500">Painel do Proprietário</p>
-      </div>
-      <form id="loginForm" class="space-y-4">
-        <div>
-          <label class="block text-sm font-medium text-gray-700 mb-2">Senha de Acesso</label>
-          <input type="password" id="passwordInput" placeholder="Digite a senha" 
-            class="w-full px-4 py-3 border border-gray-300 rounded-xl focus:ring-2 focus:ring-blue-500 focus:border-transparent text-lg">
-        </div>
-        <button type="submit" 
-          class="w-full bg-blue-600 text-white py-3 rounded-xl font-semibold hover:bg-blue-700 transition-colors text-lg">
-          Entrar
-        </button>
-        <p id="loginError" class="text-red-500 text-center hidden">Senha incorreta</p>
-      </form>
-    </div>
-  </div>
+// =====================================
+// COMPARATIVO DO RELATÓRIO
+// =====================================
+// compare=previous compara com o período anterior de mesma duração;
+// compare=year, com as mesmas datas do ano anterior. A série de cada loja é
+// alinhada dia a dia: cada dia do período traz o dia correspondente da comparação.
+const REPORT_COMPARE_MODES = ['previous', 'year'];
+// Mesmo teto do comparativo entre lojas (/api/owner/compare)
+const REPORT_COMPARE_MAX_DAYS = 366;
+
+// Data YYYY-MM-DD que existe no calendário (2026-02-30 não passa)
+function isCalendarDay(value) {
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+  const date = new Date(value + 'T00:00:00Z');
+  return !Number.isNaN(date.getTime()) && date.toISOString().startsWith(value);
+}
 
-    <!-- Dashboard Screen -->
-  <div id="dashboardScreen" class="hidden">
-    <!-- Header -->
-    <header class="gradient-bg text-white shadow-lg">
-      <div class="max-w-7xl mx-auto px-4 py-3">
-        <div class="flex items-center justify-between">
-          <div class="flex items-center gap-4">
-            <span class="text-3xl">🏪</span>
-            <div>
-              <h1 class="text-xl font-bold">GOL SUPERMARKET</h1>
-              <p class="text-blue-200 text-xs">Painel do Proprietário</p>
-            </div>
-          </div>
-          
-          <!-- Seletor de Loja -->
-          <div class="flex items-center gap-3">
-            <div class="bg-white/10 rounded-xl px-3 py-2 flex items-center gap-2">
-              <span class="text-sm">🏪</span>
-              <select id="storeSelector" onchange="changeSelectedStore()" 
-                class="bg-transparent text-white border-0 focus:ring-0 text-sm font-medium cursor-pointer min-w-[180px]">
-                <option value="all" class="text-gray-800">📊 Todas as Lojas</option>
-              </select>
-            </div>
-            <div class="flex items-center gap-2 bg-green-500/30 px-2 py-1 rounded-full">
-              <span class="w-2 h-2 bg-green-400 rounded-full animate-pulse"></span>
-              <span class="text-xs font-medium text-green-200">TEMPO REAL</span>
-            </div>
-            <span id="lastUpdate" class="text-xs text-blue-200">--</span>
-            <button onclick="refreshCurrentTab()" class="p-2 bg-white/20 rounded-lg hover:bg-white/30 transition-colors" title="Atualizar">🔄</button>
-            <button onclick="logout()" class="p-2 bg-red-500/80 rounded-lg hover:bg-red-600 transition-colors" title="Sair">🚪</button>
-          </div>
-        </div>
-        <!-- Navigation Tabs -->
-        <div class="flex gap-2 mt-3 flex-wrap">
-          <button onclick="switchTab('dashboard')" class="tab-btn active px-4 py-2 rounded-lg text-sm font-medium bg-white/20">📊 Dashboard</button>
-          <button onclick="switchTab('sales')" class="tab-btn px-4 py-2 rounded-lg text-sm font-medium bg-white/20">💵 Vendas</button>
-          <button onclick="switchTab('employees')" class="tab-btn px-4 py-2 rounded-lg text-sm font-medium bg-white/20">👔 Funcionários</button>
-          <button onclick="switchTab('products')" class="tab-btn px-4 py-2 rounded-lg text-sm font-medium bg-white/20">📦 Produtos</button>
-          <button onclick="switchTab('categories')" class="tab-btn px-4 py-2 rounded-lg text-sm font-medium bg-white/20">📁 Categorias</button>
-          <button onclick="switchTab('promotions')" class="tab-btn px-4 py-2 rounded-lg text-sm font-medium bg-white/20">🏷️ Promoções</button>
-          <button onclick="switchTab('users')" class="tab-btn px-4 py-2 rounded-lg text-sm font-medium bg-white/20">👥 Usuários</button>
-          <button onclick="switchTab('cloud')" class="tab-btn px-4 py-2 rounded-lg text-sm font-medium bg-white/20">☁️ Nuvem</button>
-        </div>
-      </div>
-    </header>
+function comparisonRange(mode, startDate, endDate) {
+  if (mode === 'year') return { start: shiftYear(startDate, -1), end: shiftYear(endDate, -1) };
+  const days = dayCount(startDate, endDate);
+  return { start: shiftDay(startDate, -days), end: shiftDay(startDate, -1) };
+}
 
-    <main class="max-w-7xl mx-auto px-4 py-6">
-      <!-- DASHBOARD TAB -->
-      <div id="tab-dashboard" class="tab-content active">
-      <!-- Period Filter -->
-      <div class="bg-white rounded-xl p-4 mb-6 card-shadow flex flex-wrap items-center gap-4">
-        <span class="font-medium text-gray-700">📅 Período:</span>
-        <button onclick="setPeriod('today')" class="period-btn px-4 py-2 rounded-lg bg-gray-100 hover:bg-blue-100 transition-colors" data-period="today">Hoje</button>
-        <button onclick="setPeriod('week')" class="period-btn px-4 py-2 rounded-lg bg-blue-600 text-white" data-period="week">7 Dias</button>
-        <button onclick="setPeriod('month')" class="period-btn px-4 py-2 rounded-lg bg-gray-100 hover:bg-blue-100 transition-colors" data-period="month">30 Dias</button>
-        <div class="flex items-center gap-2 ml-auto">
-          <input type="date" id="startDate" class="px-3 py-2 border rounded-lg">
-          <span>até</span>
-          <input type="date" id="endDate" class="px-3 py-2 border rounded-lg">
-          <button onclick="applyCustomPeriod()" class="px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700">Filtrar</button>
-        </div>
-      </div>
+function metricChange(current, previous) {
+  return { delta: current - previous, percent: percentChange(current, previous) };
+}
 
-      <!-- KPI Cards -->
-      <div class="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4 mb-6">
-        <div class="bg-gradient-to-br from-green-500 to-green-600 text-white rounded-xl p-6 card-shadow">
-          <div class="flex items-center justify-between">
-            <div>
-              <p class="text-green-100 text-sm font-medium">💰 Receita Total</p>
-              <p id="totalRevenue" class="text-3xl font-bold mt-2">$0.00</p>
-            </div>
-            <div class="text-5xl opacity-30">$</div>
-          </div>
-        </div>
+function reportChange(current, previous) {
+  return {
+    revenue: metricChange(current.revenue, previous.revenue),
+    transactions: metricChange(current.transactions, previous.transactions),
+    avgTicket: metricChange(current.avgTicket, previous.avgTicket)
+  };
+}
 
-        <div class="bg-gradient-to-br from-blue-500 to-blue-600 text-white rounded-xl p-6 card-shadow">
-          <div class="flex items-center justify-between">
-            <div>
-              <p class="text-blue-100 text-sm font-medium">📊 Total Vendas</p>
-              <p id="totalTransactions" class="text-3xl font-bold mt-2">0</p>
-            </div>
-            <div class="text-5xl opacity-30">📋</div>
-          </div>
-        </div>
+// Acrescenta comparison, change e series a cada loja do relatório e o comparativo consolidado
+async function attachReportComparison(report, { mode, startDate, endDate, scopeStoreId }) {
+  const range = comparisonRange(mode, startDate, endDate);
+  const sales = await db.getSales(scopeStoreId, queryBounds(range.start, range.end));
+  const days = [];
+  for (let day = startDate; day <= endDate; day = shiftDay(day, 1)) days.push(day);
+  const compareDays = days.map((day, i) => (mode === 'year' ? shiftYear(day, -1) : shiftDay(range.start, i)));
+
+  const totals = { revenue: 0, transactions: 0 };
+  const series = days.map((date, i) => ({
+    date, compareDate: compareDays[i], revenue: 0, transactions: 0, compareRevenue: 0, compareTransactions: 0
+  }));
+
+  report.stores.forEach(store => {
+    const salesByDay = {};
+    let revenue = 0;
+    let transactions = 0;
+    sales
+      .filter(sale => String(sale.store_id) === String(store.id))
+      .forEach(sale => {
+        const day = saleLocalDate(sale, store.timezone);
+        if (!inLocalRange(day, range.start, range.end)) return;
+        if (!salesByDay[day]) salesByDay[day] = { revenue: 0, transactions: 0 };
+        salesByDay[day].revenue += saleNetTotal(sale);
+        revenue += saleNetTotal(sale);
+        if (isReportableSale(sale)) {
+          salesByDay[day].transactions += 1;
+          transactions += 1;
+        }
+      });
 
-        <div class="bg-gradient-to-br from-purple-500 to-purple-600 text-white rounded-xl p-6 card-shadow">
-          <div class="flex items-center justify-between">
-            <div>
-              <p class="text-purple-100 text-sm font-medium">🎫 Ticket Médio</p>
-              <p id="avgTicket" class="text-3xl font-bold mt-2">$0.00</p>
-            </div>
-            <div class="text-5xl opacity-30">🧾</div>
-          </div>
-        </div>
+    store.comparison = {
+      startDate: range.start,
+      endDate: range.end,
+      revenue,
+      transactions,
+      avgTicket: transactions > 0 ? revenue / transactions : 0,
+      salesByDay
+    };
+    store.change = reportChange(store, store.comparison);
+    store.series = days.map((date, i) => ({
+      date,
+      compareDate: compareDays[i],
+      revenue: store.salesByDay[date]?.revenue || 0,
+      transactions: store.salesByDay[date]?.transactions || 0,
+      compareRevenue: salesByDay[compareDays[i]]?.revenue || 0,
+      compareTransactions: salesByDay[compareDays[i]]?.transactions || 0
+    }));
 
-        <div class="bg-gradient-to-br from-orange-500 to-orange-600 text-white rounded-xl p-6 card-shadow">
-          <div class="flex items-center justify-between">
-            <div>
-              <p class="text-orange-100 text-sm font-medium">🏪 Lojas Ativas</p>
-              <p id="activeStores" class="text-3xl font-bold mt-2">0</p>
-            </div>
-            <div class="text-5xl opacity-30">🏬</div>
-          </div>
-        </div>
-      </div>
+    store.series.forEach((point, i) => {
+      series[i].revenue += point.revenue;
+      series[i].transactions += point.transactions;
+      series[i].compareRevenue += point.compareRevenue;
+      series[i].compareTransactions += point.compareTransactions;
+    });
+    totals.revenue += revenue;
+    totals.transactions += transactions;
+  });
 
-      <!-- Charts Row -->
-      <div class="grid grid-cols-1 lg:grid-cols-2 gap-6 mb-6">
-        <!-- Revenue Chart -->
-        <div class="bg-white rounded-xl p-6 card-shadow">
-          <h3 class="text-lg font-bold text-gray-800 mb-4">📈 Receita por Dia</h3>
-          <canvas id="revenueChart" height="200"></canvas>
-        </div>
+  const previous = { ...totals, avgTicket: totals.transactions > 0 ? totals.revenue / totals.transactions : 0 };
+  report.comparison = {
+    mode,
+    startDate: range.start,
+    endDate: range.end,
+    totals: { totalRevenue: previous.revenue, totalTransactions: previous.transactions, avgTicket: previous.avgTicket },
+    change: reportChange({
+      revenue: report.totals.totalRevenue,
+      transactions: report.totals.totalTransactions,
+      avgTicket: report.totals.avgTicket
+    }, previous),
+    series
+  };
+}
 
-        <!-- Store Comparison -->
-        <div class="bg-white rounded-xl p-6 card-shadow">
-          <h3 class="text-lg font-bold text-gray-800 mb-4">🏆 Comparativo de Lojas</h3>
-          <canvas id="storeComparisonChart" height="200"></canvas>
-        </div>
-      </div>
+// Relatório consolidado de todas as lojas
+// ?startDate&endDate&compare=previous|year
+app.get('/api/owner/report', checkOwnerAuth, requirePermission('reports:read'), async (req, res) => {
+  try {
+    const { startDate, endDate, compare } = req.query;
+    if (compare) {
+      if (!REPORT_COMPARE_MODES.includes(compare)) {
+        return res.status(400).json({ error: 'compare deve ser previous ou year' });
+      }
+      if (!isCalendarDay(startDate) || !isCalendarDay(endDate) || startDate > endDate) {
+        return res.status(400).json({ error: 'compare exige startDate e endDate válidos' });
+      }
+      if (dayCount(startDate, endDate) > REPORT_COMPARE_MAX_DAYS) {
+        return res.status(400).json({ error: `compare aceita no máximo ${REPORT_COMPARE_MAX_DAYS} dias` });
+      }
+    }
+    const bounds = queryBounds(startDate, endDate);
+    const scopeStoreId = sessionStoreScope(req.session);
 
-      <!-- Stores Grid -->
-      <div class="bg-white rounded-xl p-6 card-shadow">
-        <h3 class="text-xl font-bold text-gray-800 mb-4">🏪 Desempenho por Loja</h3>
-        <div id="storesGrid" class="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
-          <!-- Store cards will be inserted here -->
-        </div>
-      </div>
+    const report = {
+      generatedAt: new Date().toISOString(),
+      // Datas do calendário local de cada loja
+      period: { start: startDate || null, end: endDate || null },
+      stores: [],
+      totals: {
+        totalRevenue: 0,
+        totalTransactions: 0,
+        avgTicket: 0,
+        paymentMethods: {}
+      }
+    };
 
-      </div><!-- End Dashboard Tab -->
+    // ✅ BUSCAR DO SUPABASE PRIMEIRO
+    if (useSupabase && supabase) {
+      console.log('📊 Gerando relatório do Supabase...');
+      
+      // Buscar lojas
+      let storesQuery = supabase.from('stores').select('*');
+      if (scopeStoreId) storesQuery = storesQuery.eq('id', scopeStoreId);
+      const { data: supabaseStores } = await storesQuery;
+      
+      // Buscar vendas filtradas por data (em páginas: o Supabase limita cada resposta)
+      const allSales = await db.getSales(scopeStoreId, { from: bounds.from, to: bounds.to });
+      
+      // Agrupar vendas por loja
+      const salesByStore = {};
+      (allSales || []).forEach(sale => {
+        const sid = sale.store_id || 1;
+        if (!salesByStore[sid]) salesByStore[sid] = [];
+        salesByStore[sid].push(sale);
+      });
+      
+      // Processar cada loja
+      for (const store of (supabaseStores || [])) {
+        const timezone = storeTimezone(store);
+        const sales = (salesByStore[store.id] || [])
+          .filter(sale => inLocalRange(saleLocalDate(sale, timezone), startDate, endDate));
+        
+        // Canceladas e devolvidas são descontadas da receita
+        const storeRevenue = sales.reduce((sum, sale) => sum + saleNetTotal(sale), 0);
+        const storeTransactions = sales.filter(isReportableSale).length;
+        const storeAvgTicket = storeTransactions > 0 ? storeRevenue / storeTransactions : 0;
 
-      <!-- SALES TAB -->
-      <div id="tab-sales" class="tab-content">
-        <!-- Header com Título e Ações -->
-        <div class="bg-gradient-to-r from-green-600 to-green-700 rounded-xl p-6 mb-6 text-white">
-          <div class="flex items-center justify-between">
-            <div>
-              <h2 class="text-2xl font-bold flex items-center gap-2">💵 Central de Vendas</h2>
-              <p id="salesStoreInfo" class="text-green-100 mt-1">Todas as lojas</p>
-            </div>
-            <div class="flex items-center gap-3">
-              <button onclick="exportSales('csv')" class="px-4 py-2 bg-white/20 rounded-lg hover:bg-white/30 text-sm font-medium flex items-center gap-2">
-                📥 CSV
-              </button>
-              <button onclick="printSalesReport()" class="px-4 py-2 bg-white/20 rounded-lg hover:bg-white/30 text-sm font-medium flex items-center gap-2">
-                🖨️ Imprimir
-              </button>
-            </div>
-          </div>
-        </div>
+        // Vendas por dia
+        const salesByDay = {};
+        sales.forEach(sale => {
+          const day = saleLocalDate(sale, timezone);
+          if (!salesByDay[day]) {
+            salesByDay[day] = { revenue: 0, transactions: 0, paymentMethods: {} };
+          }
+          salesByDay[day].revenue += saleNetTotal(sale);
+          if (isReportableSale(sale)) salesByDay[day].transactions += 1;
+          addPaymentBreakdown(salesByDay[day].paymentMethods, sale);
+        });
 
-        <!-- Cards de Resumo Grande -->
-        <div class="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-5 gap-4 mb-6">
-          <div class="bg-gradient-to-br from-green-500 to-green-600 rounded-xl p-5 text-white shadow-lg">
-            <div class="flex items-center justify-between">
-              <div>
-                <p class="text-green-100 text-sm">Receita Total</p>
-                <p id="salesTotalRevenue" class="text-3xl font-bold mt-1">$0.00</p>
-              </div>
-              <div class="text-4xl opacity-50">💰</div>
-            </div>
-          </div>
-          <div class="bg-gradient-to-br from-blue-500 to-blue-600 rounded-xl p-5 text-white shadow-lg">
-            <div class="flex items-center justify-between">
-              <div>
-                <p class="text-blue-100 text-sm">Total Vendas</p>
-                <p id="salesTotalCount" class="text-3xl font-bold mt-1">0</p>
-              </div>
-              <div class="text-4xl opacity-50">🧾</div>
-            </div>
-          </div>
-          <div class="bg-gradient-to-br from-purple-500 to-purple-600 rounded-xl p-5 text-white shadow-lg">
-            <div class="flex items-center justify-between">
-              <div>
-                <p class="text-purple-100 text-sm">Ticket Médio</p>
-                <p id="salesAvgTicket" class="text-3xl font-bold mt-1">$0.00</p>
-              </div>
-              <div class="text-4xl opacity-50">📊</div>
-            </div>
-          </div>
-          <div class="bg-gradient-to-br from-orange-500 to-orange-600 rounded-xl p-5 text-white shadow-lg">
-            <div class="flex items-center justify-between">
-              <div>
-                <p class="text-orange-100 text-sm">Dinheiro</p>
-                <p id="salesCashTotal" class="text-3xl font-bold mt-1">$0.00</p>
-              </div>
-              <div class="text-4xl opacity-50">💵</div>
-            </div>
-          </div>
-          <div class="bg-gradient-to-br from-pink-500 to-pink-600 rounded-xl p-5 text-white shadow-lg">
-            <div class="flex items-center justify-between">
-              <div>
-                <p class="text-pink-100 text-sm">Cartões/PIX</p>
-                <p id="salesCardTotal" class="text-3xl font-bold mt-1">$0.00</p>
-              </div>
-              <div class="text-4xl opacity-50">💳</div>
-            </div>
-          </div>
-        </div>
-        
-        <div class="bg-white rounded-xl p-6 card-shadow mb-6">
-          <!-- Filtros Avançados -->
-          <div class="bg-gray-50 rounded-xl p-4 mb-6">
-            <div class="flex items-center gap-2 mb-3">
-              <span class="text-lg">🔍</span>
-              <h3 class="font-semibold text-gray-700">Filtros</h3>
-            </div>
-            <div class="grid grid-cols-1 md:grid-cols-5 gap-4">
-              <div>
-                <label class="block text-xs font-medium text-gray-600 mb-1">📅 Data Início</label>
-                <input type="date" id="salesStartDate" class="w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-green-500" onchange="filterSalesData()">
-              </div>
-              <div>
-                <label class="block text-xs font-medium text-gray-600 mb-1">📅 Data Fim</label>
-                <input type="date" id="salesEndDate" class="w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-green-500" onchange="filterSalesData()">
-              </div>
-              <div>
-                <label class="block text-xs font-medium text-gray-600 mb-1">👤 Operador/Caixa</label>
-                <select id="salesOperator" class="w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-green-500" onchange="filterSalesData()">
-                  <option value="">Todos os operadores</option>
-                </select>
-              </div>
-              <div>
-                <label class="block text-xs font-medium text-gray-600 mb-1">💳 Pagamento</label>
-                <select id="salesPayment" class="w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-green-500" onchange="filterSalesData()">
-                  <option value="">Todos</option>
-                  <option value="cash">💵 Dinheiro</option>
-                  <option value="credit">💳 Crédito</option>
-                  <option value="debit">💳 Débito</option>
-                  <option value="pix">📱 PIX</option>
-                </select>
-              </div>
-              <div class="flex items-end">
-                <button onclick="loadSalesData()" class="w-full px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 font-medium">
-                  🔄 Atualizar
-                </button>
-              </div>
-            </div>
-          </div>
-          
-          <!-- Tabela de Vendas Profissional -->
-          <div class="overflow-x-auto border rounded-xl">
-            <table class="w-full">
-              <thead class="bg-gradient-to-r from-gray-800 to-gray-900 text-white">
-                <tr>
-                  <th class="px-4 py-4 text-left text-xs font-semibold uppercase tracking-wider">Venda</th>
-                  <th class="px-4 py-4 text-left text-xs font-semibold uppercase tracking-wider">🏪 Loja</th>
-                  <th class="px-4 py-4 text-left text-xs font-semibold uppercase tracking-wider">📅 Data/Hora</th>
-                  <th class="px-4 py-4 text-left text-xs font-semibold uppercase tracking-wider">👤 Operador</th>
-                  <th class="px-4 py-4 text-center text-xs font-semibold uppercase tracking-wider">💳 Pagamento</th>
-                  <th class="px-4 py-4 text-center text-xs font-semibold uppercase tracking-wider">📦 Itens</th>
-                  <th class="px-4 py-4 text-right text-xs font-semibold uppercase tracking-wider">💰 Total</th>
-                  <th class="px-4 py-4 text-center text-xs font-semibold uppercase tracking-wider">Ações</th>
-                </tr>
-              </thead>
-              <tbody id="salesTableBody" class="divide-y divide-gray-100 bg-white">
-                <tr><td colspan="8" class="text-center py-12 text-gray-400">
-                  <div class="animate-pulse">⏳ Carregando vendas...</div>
-                </td></tr>
-              </tbody>
-            </table>
-          </div>
-          
-          <!-- Paginação Melhorada -->
-          <div class="flex items-center justify-between mt-6 px-2">
-            <div id="salesPaginationInfo" class="text-sm text-gray-600 font-medium">Mostrando 0 de 0</div>
-            <div class="flex items-center gap-2">
-              <button onclick="changeSalesPage(-10)" class="px-3 py-2 rounded-lg border hover:bg-gray-100 text-sm" title="10 páginas anteriores">⏮️</button>
-              <button onclick="changeSalesPage(-1)" class="px-4 py-2 rounded-lg border hover:bg-gray-100 text-sm font-medium">◀️ Anterior</button>
-              <span id="salesCurrentPage" class="px-4 py-2 bg-green-600 text-white rounded-lg font-medium">1</span>
-              <button onclick="changeSalesPage(1)" class="px-4 py-2 rounded-lg border hover:bg-gray-100 text-sm font-medium">Próxima ▶️</button>
-              <button onclick="changeSalesPage(10)" class="px-3 py-2 rounded-lg border hover:bg-gray-100 text-sm" title="10 páginas seguintes">⏭️</button>
-            </div>
-          </div>
-        </div>
-        
-        <!-- Modal de Detalhes da Venda -->
-        <div id="saleDetailModal" class="fixed inset-0 bg-black/50 hidden items-center justify-center z-50">
-          <div class="bg-white rounded-2xl w-full max-w-2xl max-h-[90vh] overflow-hidden mx-4 shadow-2xl">
-            <div class="bg-gradient-to-r from-green-600 to-green-700 text-white px-6 py-4 flex justify-between items-center">
-              <div>
-                <h3 id="saleDetailTitle" class="text-xl font-bold">Detalhes da Venda</h3>
-                <p id="saleDetailSubtitle" class="text-green-100 text-sm"></p>
-              </div>
-              <button onclick="closeSaleDetailModal()" class="p-2 hover:bg-white/20 rounded-lg text-xl">✕</button>
-            </div>
-            <div id="saleDetailContent" class="p-6 overflow-y-auto max-h-[calc(90vh-80px)]">
-              <!-- Conteúdo será preenchido dinamicamente -->
-            </div>
-          </div>
-        </div>
-      </div>
-
-      <!-- EMPLOYEES TAB -->
-      <div id="tab-employees" class="tab-content">
-        <div class="bg-white rounded-xl p-6 card-shadow mb-6">
-          <div class="flex items-center justify-between mb-6">
-            <div>
-              <h2 class="text-xl font-bold text-gray-800">👔 Funcionários por Loja</h2>
-              <p id="employeesStoreInfo" class="text-sm text-gray-500">Visualize o desempenho dos funcionários</p>
-            </div>
-          </div>
-          
-          <!-- Resumo de Funcionários -->
-          <div class="grid grid-cols-1 md:grid-cols-4 gap-4 mb-6">
-            <div class="bg-blue-50 rounded-xl p-4 text-center border border-blue-200">
-              <p id="totalEmployees" class="text-2xl font-bold text-blue-600">0</p>
-              <p class="text-xs text-gray-600">Total Funcionários</p>
-            </div>
-            <div class="bg-green-50 rounded-xl p-4 text-center border border-green-200">
-              <p id="activeEmployees" class="text-2xl font-bold text-green-600">0</p>
-              <p class="text-xs text-gray-600">Ativos Hoje</p>
-            </div>
-            <div class="bg-purple-50 rounded-xl p-4 text-center border border-purple-200">
-              <p id="totalCashiers" class="text-2xl font-bold text-purple-600">0</p>
-              <p class="text-xs text-gray-600">Caixas</p>
-            </div>
-            <div class="bg-orange-50 rounded-xl p-4 text-center border border-orange-200">
-              <p id="totalManagers" class="text-2xl font-bold text-orange-600">0</p>
-              <p class="text-xs text-gray-600">Gerentes</p>
-            </div>
-          </div>
-          
-          <!-- Grid de Funcionários -->
-          <div id="employeesGrid" class="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
-            <div class="text-center py-8 text-gray-400 col-span-full">Carregando funcionários...</div>
-          </div>
-        </div>
-        
-        <!-- Ranking de Vendas por Funcionário -->
-        <div class="bg-white rounded-xl p-6 card-shadow">
-          <h3 class="text-lg font-bold text-gray-800 mb-4">🏆 Ranking de Vendas (Período Selecionado)</h3>
-          <div id="employeesRanking" class="space-y-3">
-            <div class="text-center py-8 text-gray-400">Carregando ranking...</div>
-          </div>
-        </div>
-      </div>
+        // Receita por forma de pagamento (base do fechamento de caixa)
+        const paymentMethods = {};
+        sales.forEach(sale => {
+          addPaymentBreakdown(paymentMethods, sale);
+          addPaymentBreakdown(report.totals.paymentMethods, sale);
+        });
 
-      <!-- PRODUCTS TAB -->
-      <div id="tab-products" class="tab-content">
-        <div class="bg-white rounded-xl p-6 card-shadow mb-6">
-          <!-- Header com título e botão -->
-          <div class="flex items-center justify-between mb-4">
-            <div>
-              <h2 class="text-xl font-bold text-gray-800">📦 Gerenciar Produtos</h2>
-              <p id="productsCount" class="text-sm text-gray-500">Carregando...</p>
-            </div>
-            <button onclick="openProductModal()" class="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 flex items-center gap-2">
-              <span>➕</span> Novo Produto
-            </button>
-          </div>
+        report.stores.push({
+          id: store.id,
+          name: store.name,
+          address: store.address,
+          phone: store.phone,
+          timezone,
+          revenue: storeRevenue,
+          transactions: storeTransactions,
+          avgTicket: storeAvgTicket,
+          voidedCount: sales.filter(sale => sale.status === 'voided').length,
+          refundedAmount: sales.reduce((sum, sale) => sum + (sale.status === 'refunded' ? (sale.total || 0) - saleNetTotal(sale) : 0), 0),
+          paymentMethods: paymentMethods,
+          salesByDay: salesByDay,
+          lastSale: sales.length > 0 ? 
+            sales.sort((a, b) => new Date(b.created_at) - new Date(a.created_at))[0] : null
+        });
 
-          <!-- Filtros Avançados -->
-          <div class="bg-gray-50 rounded-xl p-4 mb-4">
-            <div class="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-5 gap-3">
-              <!-- Busca -->
-              <div class="lg:col-span-2">
-                <label class="block text-xs font-medium text-gray-600 mb-1">🔍 Buscar</label>
-                <input type="text" id="productSearch" placeholder="Nome, código ou barcode..." 
-                  class="w-full px-3 py-2 border rounded-lg text-sm focus:ring-2 focus:ring-blue-500" 
-                  oninput="debounceSearch()">
-              </div>
-              <!-- Categoria -->
-              <div>
-                <label class="block text-xs font-medium text-gray-600 mb-1">📁 Categoria</label>
-                <select id="filterCategory" class="w-full px-3 py-2 border rounded-lg text-sm" onchange="filterProducts()">
-                  <option value="">Todas</option>
-                </select>
-              </div>
-              <!-- Departamento -->
-              <div>
-                <label class="block text-xs font-medium text-gray-600 mb-1">🏢 Departamento</label>
-                <select id="filterDepartment" class="w-full px-3 py-2 border rounded-lg text-sm" onchange="filterProducts()">
-                  <option value="">Todos</option>
-                </select>
-              </div>
-              <!-- Status -->
-              <div>
-                <label class="block text-xs font-medium text-gray-600 mb-1">📊 Status</label>
-                <select id="filterStatus" class="w-full px-3 py-2 border rounded-lg text-sm" onchange="filterProducts()">
-                  <option value="">Todos</option>
-                  <option value="active">Ativos</option>
-                  <option value="inactive">Inativos</option>
-                </select>
-              </div>
-            </div>
-            <div class="flex items-center justify-between mt-3 pt-3 border-t border-gray-200">
-              <div class="flex items-center gap-2">
-                <span class="text-xs text-gray-600">Exibir:</span>
-                <select id="productsPerPageSelect" class="px-2 py-1 border rounded text-sm" onchange="changeProductsPerPage()">
-                  <option value="25">25</option>
-                  <option value="50" selected>50</option>
-                  <option value="100">100</option>
-                  <option value="200">200</option>
-                </select>
-                <span class="text-xs text-gray-600">por página</span>
-              </div>
-              <button onclick="clearProductFilters()" class="text-xs text-blue-600 hover:text-blue-800">
-                🔄 Limpar filtros
-              </button>
-            </div>
-          </div>
+        report.totals.totalRevenue += storeRevenue;
+        report.totals.totalTransactions += storeTransactions;
+      }
+      
+      report.totals.avgTicket = report.totals.totalTransactions > 0 ? 
+        report.totals.totalRevenue / report.totals.totalTransactions : 0;
 
-          <!-- Tabela de Produtos -->
-          <div class="overflow-x-auto border rounded-lg">
-            <table class="w-full">
-              <thead class="bg-gray-100">
-                <tr>
-                  <th class="px-3 py-3 text-left text-xs font-semibold text-gray-600 uppercase tracking-wider cursor-pointer hover:bg-gray-200" onclick="sortProducts('barcode')">
-                    Código <span id="sort-barcode" class="text-gray-400">↕</span>
-                  </th>
-                  <th class="px-3 py-3 text-left text-xs font-semibold text-gray-600 uppercase tracking-wider cursor-pointer hover:bg-gray-200" onclick="sortProducts('name')">
-                    Nome <span id="sort-name" class="text-gray-400">↕</span>
-                  </th>
-                  <th class="px-3 py-3 text-left text-xs font-semibold text-gray-600 uppercase tracking-wider">Categoria</th>
-                  <th class="px-3 py-3 text-left text-xs font-semibold text-gray-600 uppercase tracking-wider">Dept.</th>
-                  <th class="px-3 py-3 text-right text-xs font-semibold text-gray-600 uppercase tracking-wider cursor-pointer hover:bg-gray-200" onclick="sortProducts('price')">
-                    Preço <span id="sort-price" class="text-gray-400">↕</span>
-                  </th>
-                  <th class="px-3 py-3 text-center text-xs font-semibold text-gray-600 uppercase tracking-wider">Status</th>
-                  <th class="px-3 py-3 text-center text-xs font-semibold text-gray-600 uppercase tracking-wider w-24">Ações</th>
-                </tr>
-              </thead>
-              <tbody id="productsTableBody" class="divide-y divide-gray-100 bg-white">
-                <tr><td colspan="7" class="text-center py-12 text-gray-400">
-                  <div class="animate-pulse">⏳ Carregando produtos...</div>
-                </td></tr>
-              </tbody>
-            </table>
-          </div>
+      report.stores.sort((a, b) => b.revenue - a.revenue);
+      if (compare) await attachReportComparison(report, { mode: compare, startDate, endDate, scopeStoreId });
+      
+      return res.json(report);
+    }
 
-          <!-- Paginação Avançada -->
-          <div class="flex items-center justify-between mt-4 px-2">
-            <div id="paginationInfo" class="text-sm text-gray-600">
-              Mostrando 0 de 0 produtos
-            </div>
-            <div class="flex items-center gap-1">
-              <button onclick="goToProductPage(1)" class="px-3 py-1 rounded border hover:bg-gray-100 text-sm" title="Primeira página">⏮️</button>
-              <button onclick="goToProductPage(productPage - 1)" class="px-3 py-1 rounded border hover:bg-gray-100 text-sm" title="Anterior">◀️</button>
-              <div id="pageNumbers" class="flex gap-1"></div>
-              <button onclick="goToProductPage(productPage + 1)" class="px-3 py-1 rounded border hover:bg-gray-100 text-sm" title="Próxima">▶️</button>
-              <button onclick="goToProductPage(totalProductPages)" class="px-3 py-1 rounded border hover:bg-gray-100 text-sm" title="Última página">⏭️</button>
-              <span class="mx-2 text-gray-400">|</span>
-              <span class="text-sm text-gray-600">Ir para:</span>
-              <input type="number" id="gotoPage" min="1" class="w-16 px-2 py-1 border rounded text-sm text-center" 
-                onkeypress="if(event.key==='Enter')goToProductPage(parseInt(this.value))">
-            </div>
-          </div>
-        </div>
-      </div>
+    // Fallback: memória
+    for (const [storeId, sales] of salesStore.entries()) {
+      if (scopeStoreId && storeId != scopeStoreId) continue;
+      const store = stores.get(storeId) || { id: storeId, name: `Loja ${storeId}` };
+      const timezone = storeTimezone(store);
+      
+      const filteredSales = sales.filter(sale => inLocalRange(saleLocalDate(sale, timezone), startDate, endDate));
 
-      <!-- CATEGORIES TAB -->
-      <div id="tab-categories" class="tab-content">
-        <div class="bg-white rounded-xl p-6 card-shadow mb-6">
-          <div class="flex items-center justify-between mb-6">
-            <h2 class="text-xl font-bold text-gray-800">📁 Gerenciar Categorias</h2>
-            <button onclick="openCategoryModal()" class="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700">
-              ➕ Nova Categoria
-            </button>
-          </div>
-          <div id="categoriesGrid" class="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
-            <div class="text-center py-8 text-gray-400 col-span-full">Carregando categorias...</div>
-          </div>
-        </div>
-      </div>
+      const storeRevenue = filteredSales.reduce((sum, sale) => sum + saleNetTotal(sale), 0);
+      const storeTransactions = filteredSales.filter(isReportableSale).length;
+      const storeAvgTicket = storeTransactions > 0 ? storeRevenue / storeTransactions : 0;
 
-      <!-- PROMOTIONS TAB -->
-      <div id="tab-promotions" class="tab-content">
-        <div class="bg-white rounded-xl p-6 card-shadow mb-6">
-          <div class="flex items-center justify-between mb-6">
-            <h2 class="text-xl font-bold text-gray-800">🏷️ Gerenciar Promoções</h2>
-            <button onclick="openPromotionModal()" class="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700">
-              ➕ Nova Promoção
-            </button>
-          </div>
-          <div id="promotionsGrid" class="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
-            <div class="text-center py-8 text-gray-400 col-span-full">Carregando promoções...</div>
-          </div>
-        </div>
-      </div>
+      const salesByDay = {};
+      filteredSales.forEach(sale => {
+        const day = saleLocalDate(sale, timezone);
+        if (!salesByDay[day]) {
+          salesByDay[day] = { revenue: 0, transactions: 0, paymentMethods: {} };
+        }
+        salesByDay[day].revenue += saleNetTotal(sale);
+        if (isReportableSale(sale)) salesByDay[day].transactions += 1;
+        addPaymentBreakdown(salesByDay[day].paymentMethods, sale);
+      });
 
-      <!-- USERS TAB -->
-      <div id="tab-users" class="tab-content hidden">
-        <div class="bg-white rounded-xl p-6 card-shadow mb-6">
-          <div class="flex items-center justify-between mb-6">
-            <h2 class="text-xl font-bold text-gray-800">👥 Gerenciar Usuários</h2>
-            <button onclick="openUserModal()" class="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 font-medium">
-              ➕ Novo Usuário
-            </button>
-          </div>
-          <div id="usersGrid" class="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
-            <div class="text-center py-8 text-gray-400 col-span-full">Carregando usuários...</div>
-          </div>
-        </div>
-      </div>
+      const paymentMethods = {};
+      filteredSales.forEach(sale => {
+        addPaymentBreakdown(paymentMethods, sale);
+        addPaymentBreakdown(report.totals.paymentMethods, sale);
+      });
 
-      <!-- User Modal -->
-      <div id="userModal" class="fixed inset-0 bg-black/50 hidden items-center justify-center z-50">
-        <div class="bg-white rounded-2xl w-full max-w-md shadow-2xl">
-          <div class="bg-gradient-to-r from-blue-500 to-blue-600 text-white px-6 py-4 rounded-t-2xl flex justify-between items-center">
-            <h3 id="userModalTitle" class="text-lg font-bold">Novo Usuário</h3>
-            <button onclick="closeUserModal()" class="text-white/80 hover:text-white text-2xl">&times;</button>
-          </div>
-          <form id="userForm" class="p-6" onsubmit="saveUser(event)">
-            <input type="hidden" id="userId">
-            <div class="space-y-4">
-              <div>
-                <label class="block text-sm font-medium text-gray-700 mb-1">Nome Completo *</label>
-                <input type="text" id="userFullName" required class="w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500" placeholder="Nome do funcionário">
-              </div>
-              <div>
-                <label class="block text-sm font-medium text-gray-700 mb-1">Usuário (login) *</label>
-                <input type="text" id="userUsername" required class="w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500" placeholder="Ex: joao.silva">
-              </div>
-              <div>
-                <label class="block text-sm font-medium text-gray-700 mb-1">Função *</label>
-                <select id="userRole" class="w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500">
-                  <option value="cashier">🛒 Caixa</option>
-                  <option value="manager">📋 Gerente</option>
-                  <option value="admin">⚙️ Administrador</option>
-                </select>
-              </div>
-              <div>
-                <label class="block text-sm font-medium text-gray-700 mb-1">Loja</label>
-                <select id="userStore" class="w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500">
-                  <option value="">Todas as lojas</option>
-                </select>
-              </div>
-              <div>
-                <label class="block text-sm font-medium text-gray-700 mb-1">Email</label>
-                <input type="email" id="userEmail" class="w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500" placeholder="email@exemplo.com">
-              </div>
-              <div>
-                <label class="block text-sm font-medium text-gray-700 mb-1">Telefone</label>
-                <input type="tel" id="userPhone" class="w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500" placeholder="(11) 99999-9999">
-              </div>
-              <div class="flex items-center gap-2">
-                <input type="checkbox" id="userActive" checked class="w-4 h-4 text-blue-600">
-                <label for="userActive" class="text-sm text-gray-700">Usuário Ativo</label>
-              </div>
-            </div>
-            <div class="flex justify-end gap-3 mt-6 pt-4 border-t">
-              <button type="button" onclick="closeUserModal()" class="px-4 py-2 border rounded-lg hover:bg-gray-50">Cancelar</button>
-              <button type="submit" class="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 font-medium">💾 Salvar</button>
-            </div>
-          </form>
-        </div>
-      </div>
+      report.stores.push({
+        id: storeId,
+        name: store.name,
+        address: store.address,
+        phone: store.phone,
+        timezone,
+        revenue: storeRevenue,
+        transactions: storeTransactions,
+        avgTicket: storeAvgTicket,
+        voidedCount: filteredSales.filter(sale => sale.status === 'voided').length,
+        refundedAmount: filteredSales.reduce((sum, sale) => sum + (sale.status === 'refunded' ? (sale.total || 0) - saleNetTotal(sale) : 0), 0),
+        paymentMethods: paymentMethods,
+        salesByDay: salesByDay,
+        lastSale: filteredSales.length > 0 ? 
+          filteredSales.sort((a, b) => new Date(b.created_at || b.timestamp) - new Date(a.created_at || a.timestamp))[0] : null
+      });
 
-      <!-- TAB NUVEM / CLOUD -->
-      <div id="tab-cloud" class="tab-content hidden">
-        <div class="max-w-2xl mx-auto">
-          <!-- Status Card -->
-          <div class="bg-white rounded-xl p-6 card-shadow mb-6">
-            <h2 class="text-xl font-bold text-gray-800 mb-4">☁️ Status da Nuvem</h2>
-            <div id="cloudStatus" class="space-y-4">
-              <div class="text-center py-8">
-                <div class="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600 mx-auto"></div>
-                <p class="text-gray-500 mt-2">Verificando conexão...</p>
-              </div>
-            </div>
-          </div>
-          
-          <!-- Migration Card -->
-          <div class="bg-gradient-to-r from-blue-500 to-purple-600 rounded-xl p-6 text-white card-shadow mb-6">
-            <h2 class="text-xl font-bold mb-2">🚀 Migrar Dados para a Nuvem</h2>
-            <p class="text-blue-100 mb-4">
-              Envie todos os produtos, categorias e promoções do sistema local para o banco de dados na nuvem (Supabase).
-              Assim você poderá acessar os dados mesmo quando o sistema local estiver fechado.
-            </p>
-            <button onclick="migrateToCloud()" id="migrateBtn" class="w-full py-3 bg-white text-blue-600 rounded-lg font-bold hover:bg-blue-50 transition-colors">
-              ☁️ Migrar Agora
-            </button>
-            <div id="migrateProgress" class="hidden mt-4">
-              <div class="bg-white/20 rounded-full h-2">
-                <div id="migrateProgressBar" class="bg-white h-2 rounded-full transition-all" style="width: 0%"></div>
-              </div>
-              <p id="migrateStatus" class="text-center text-sm mt-2">Migrando...</p>
-            </div>
-          </div>
+      report.totals.totalRevenue += storeRevenue;
+      report.totals.totalTransactions += storeTransactions;
+    }
+
+    report.totals.avgTicket = report.totals.totalTransactions > 0 ? 
+      report.totals.totalRevenue / report.totals.totalTransactions : 0;
+
+    report.stores.sort((a, b) => b.revenue - a.revenue);
+    if (compare) await attachReportComparison(report, { mode: compare, startDate, endDate, scopeStoreId });
+
+    res.json(report);
+  } catch (error) {
+    console.error('Error generating owner report:', error);
+    res.status(500).json({ error: 'Erro ao gerar relatório' });
+  }
+});
+
+// Vendas por dia da semana × hora, no horário local de cada loja (escala de caixas)
+// ?startDate&endDate&store_id — datas também no calendário local da loja
+app.get('/api/owner/heatmap', checkOwnerAuth, requirePermission('reports:read'), async (req, res) => {
+  try {
+    const { startDate, endDate } = req.query;
+    const storeId = resolveStoreFilter(req);
+
+    const [sales, storesList] = await Promise.all([db.getSales(storeId, queryBounds(startDate, endDate)), db.getStores()]);
+    const timezones = {};
+    const timezoneOf = (sid) => {
+      if (!timezones[sid]) timezones[sid] = storeTimezone(storesList.find(st => String(st.id) === String(sid)));
+      return timezones[sid];
+    };
+
+    // buckets[diaDaSemana][hora], domingo = 0
+    const buckets = Array.from({ length: 7 }, () => Array.from({ length: 24 }, () => ({ transactions: 0, revenue: 0 })));
+    const totals = { transactions: 0, revenue: 0 };
+
+    sales.forEach(sale => {
+      const local = zonedDateParts(sale.created_at || sale.timestamp, timezoneOf(sale.store_id));
+      if (startDate && local.date < startDate) return;
+      if (endDate && local.date > endDate) return;
+      const bucket = buckets[local.weekday][local.hour];
+      const revenue = saleNetTotal(sale);
+      bucket.revenue += revenue;
+      totals.revenue += revenue;
+      if (isReportableSale(sale)) {
+        bucket.transactions++;
+        totals.transactions++;
+      }
+    });
+
+    let peak = null;
+    buckets.forEach((hours, weekday) => hours.forEach((bucket, hour) => {
+      bucket.revenue = roundMoney(bucket.revenue);
+      if (bucket.transactions > 0 && (!peak || bucket.transactions > peak.transactions)) {
+        peak = { weekday, hour, ...bucket };
+      }
+    }));
+    totals.revenue = roundMoney(totals.revenue);
+
+    res.json({
+      period: { startDate: startDate || null, endDate: endDate || null },
+      store_id: storeId,
+      timezones,
+      buckets,
+      totals,
+      peak
+    });
+  } catch (error) {
+    console.error('Error generating heatmap:', error);
+    res.status(500).json({ error: 'Erro ao gerar mapa de calor' });
+  }
+});
+
+// Lista de todas as lojas com status
+app.get('/api/owner/stores', checkOwnerAuth, requirePermission('reports:read'), async (req, res) => {
+  try {
+    const storesList = [];
+    const scopeStoreId = sessionStoreScope(req.session);
+    
+    // ✅ BUSCAR DO SUPABASE PRIMEIRO
+    if (useSupabase && supabase) {
+      console.log('🏪 Buscando lojas do Supabase...');
+      let storesQuery = supabase.from('stores').select('*');
+      if (scopeStoreId) storesQuery = storesQuery.eq('id', scopeStoreId);
+      const { data: supabaseStores, error } = await storesQuery;
+      
+      if (!error && supabaseStores && supabaseStores.length > 0) {
+        console.log(`   ✅ ${supabaseStores.length} lojas encontradas no Supabase`);
+        
+        // Total e última venda de cada loja agregados no banco; só as vendas de hoje são lidas
+        const [overview, recentSales] = await Promise.all([
+          db.getSalesOverview(scopeStoreId),
+          db.getSales(scopeStoreId, queryBounds(zonedToday('UTC'), zonedToday('UTC')))
+        ]);
+        const statsByStore = new Map(overview.map(row => [String(row.store_id), row]));
+        const recentByStore = {};
+        recentSales.forEach(sale => {
+          const sid = sale.store_id || 1;
+          if (!recentByStore[sid]) recentByStore[sid] = [];
+          recentByStore[sid].push(sale);
+        });
+        
+        for (const store of supabaseStores) {
+          const stats = statsByStore.get(String(store.id));
+          const lastSaleAt = stats ? stats.last_sale_at : null;
           
-          <!-- Info Card -->
-          <div class="bg-yellow-50 border border-yellow-200 rounded-xl p-6">
-            <h3 class="font-bold text-yellow-800 mb-2">ℹ️ Importante</h3>
-            <ul class="text-sm text-yellow-700 space-y-2">
-              <li>• O Supabase precisa estar configurado no Vercel (SUPABASE_URL e SUPABASE_KEY)</li>
-              <li>• A migração envia os dados que estão em memória no servidor</li>
-              <li>• Para sincronizar novos produtos, use o botão "Sincronizar" no sistema local</li>
-              <li>• Após a migração, os dados ficam salvos permanentemente na nuvem</li>
-            </ul>
-          </div>
-        </div>
-      </div>
+          // "Hoje" no fuso da loja
+          const timezone = storeTimezone(store);
+          const today = zonedToday(timezone);
+          const todaySales = (recentByStore[store.id] || []).filter(sale => saleLocalDate(sale, timezone) === today);
+          const todayRevenue = todaySales.reduce((sum, sale) => sum + saleNetTotal(sale), 0);
 
-      <!-- Store Detail Modal -->
-      <div id="storeModal" class="fixed inset-0 bg-black/50 hidden items-center justify-center z-50">
-        <div class="bg-white rounded-2xl w-full max-w-4xl max-h-[90vh] overflow-hidden mx-4">
-          <div class="gradient-bg text-white px-6 py-4 flex justify-between items-center">
-            <div>
-              <h2 id="modalStoreName" class="text-xl font-bold">Loja</h2>
-              <p id="modalStoreAddress" class="text-blue-200 text-sm"></p>
-            </div>
-            <button onclick="closeStoreModal()" class="p-2 hover:bg-white/20 rounded-lg">✕</button>
-          </div>
-          <div id="modalContent" class="p-6 overflow-y-auto max-h-[calc(90vh-80px)]"></div>
-        </div>
-      </div>
+          storesList.push({
+            ...publicStore(store),
+            timezone,
+            totalSales: stats ? Number(stats.count) : 0,
+            todaySales: todaySales.length,
+            todayRevenue: todayRevenue,
+            lastSaleAt,
+            isActive: lastSaleAt ? (new Date() - new Date(lastSaleAt)) < 24 * 60 * 60 * 1000 : false
+          });
+        }
+        
+        return res.json({ stores: storesList });
+      }
+    }
+    
+    // Fallback: buscar da memória
+    for (const [storeId, store] of stores.entries()) {
+      const sales = salesStore.get(storeId) || [];
+      const lastSale = sales.length > 0 ? 
+        sales.sort((a, b) => new Date(b.created_at || b.timestamp) - new Date(a.created_at || a.timestamp))[0] : null;
+      
+      const timezone = storeTimezone(store);
+      const today = zonedToday(timezone);
+      const todaySales = sales.filter(sale => saleLocalDate(sale, timezone) === today);
+      const todayRevenue = todaySales.reduce((sum, sale) => sum + saleNetTotal(sale), 0);
 
-      <!-- Product Modal -->
-      <div id="productModal" class="fixed inset-0 modal-overlay hidden items-center justify-center z-50">
-        <div class="bg-white rounded-2xl w-full max-w-3xl max-h-[90vh] overflow-hidden mx-4">
-          <div class="gradient-bg text-white px-6 py-4 flex justify-between items-center">
-            <h2 id="productModalTitle" class="text-xl font-bold">Novo Produto</h2>
-            <button onclick="closeProductModal()" class="p-2 hover:bg-white/20 rounded-lg">✕</button>
-          </div>
-          <form id="productForm" class="p-6 overflow-y-auto max-h-[calc(90vh-80px)]" onsubmit="saveProduct(event)">
-            <input type="hidden" id="productId">
-            
-            <!-- Tabs do Modal -->
-            <div class="flex border-b mb-4">
-              <button type="button" onclick="switchProductTab('info')" class="product-tab-btn px-4 py-2 text-sm font-medium border-b-2 border-blue-600 text-blue-600" data-tab="info">
-                📋 Informações
-              </button>
-              <button type="button" onclick="switchProductTab('barcodes')" class="product-tab-btn px-4 py-2 text-sm font-medium border-b-2 border-transparent text-gray-500 hover:text-gray-700" data-tab="barcodes">
-                📊 Códigos de Barras
-              </button>
-              <button type="button" onclick="switchProductTab('promos')" class="product-tab-btn px-4 py-2 text-sm font-medium border-b-2 border-transparent text-gray-500 hover:text-gray-700" data-tab="promos">
-                🏷️ Promoções
-              </button>
-            </div>
-            
-            <!-- Tab Informações -->
-            <div id="productTab-info" class="product-tab-content">
-              <div class="grid grid-cols-2 gap-4">
-                <div class="col-span-2">
-                  <label class="block text-sm font-medium text-gray-700 mb-1">Nome do Produto *</label>
-                  <input type="text" id="productName" required class="w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500">
-                </div>
-                <div>
-                  <label class="block text-sm font-medium text-gray-700 mb-1">SKU</label>
-                  <input type="text" id="productSku" class="w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500">
-                </div>
-                <div>
-                  <label class="block text-sm font-medium text-gray-700 mb-1">Categoria</label>
-                  <select id="productCategory" class="w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500">
-                    <option value="">Selecione...</option>
-                  </select>
-                </div>
-                <div>
-                  <label class="block text-sm font-medium text-gray-700 mb-1">Departamento</label>
-                  <input type="text" id="productDepartment" class="w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500">
-                </div>
-                <div>
-                  <label class="block text-sm font-medium text-gray-700 mb-1">Preço de Venda *</label>
-                  <input type="number" step="0.01" id="productPrice" required class="w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500">
-                </div>
-                <div>
-                  <label class="block text-sm font-medium text-gray-700 mb-1">Preço de Custo</label>
-                  <input type="number" step="0.01" id="productCost" class="w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500">
-                </div>
-                <div>
-                  <label class="block text-sm font-medium text-gray-700 mb-1">Estoque</label>
-                  <input type="number" id="productStock" class="w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500">
-                </div>
-                <div>
-                  <label class="block text-sm font-medium text-gray-700 mb-1">Unidade</label>
-                  <select id="productUnit" class="w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500">
-                    <option value="unit">Unidade</option>
-                    <option value="kg">Kg</option>
-                    <option value="g">Gramas</option>
-                    <option value="l">Litros</option>
-                    <option value="ml">ML</option>
-                  </select>
-                </div>
-                <div class="col-span-2 flex items-center gap-4">
-                  <label class="flex items-center gap-2">
-                    <input type="checkbox" id="productActive" checked class="w-5 h-5">
-                    <span class="text-sm text-gray-700">Ativo</span>
-                  </label>
-                  <label class="flex items-center gap-2">
-                    <input type="checkbox" id="productRequiresScale" class="w-5 h-5">
-                    <span class="text-sm text-gray-700">Requer Balança</span>
-                  </label>
-                </div>
-              </div>
-            </div>
-            
-            <!-- Tab Códigos de Barras -->
-            <div id="productTab-barcodes" class="product-tab-content hidden">
-              <div class="bg-blue-50 border border-blue-200 rounded-lg p-4 mb-4">
-                <h3 class="font-semibold text-blue-800 mb-1">📊 Códigos de Barras Múltiplos</h3>
-                <p class="text-sm text-blue-700">
-                  Adicione quantos códigos de barras precisar. O primeiro será o principal.
-                  Útil para produtos com embalagens diferentes ou códigos alternativos.
-                </p>
-              </div>
-              
-              <!-- Adicionar novo barcode -->
-              <div class="flex gap-2 mb-4">
-                <input type="text" id="newBarcodeInput" placeholder="Digite ou escaneie o código de barras..." 
-                  class="flex-1 px-3 py-2 border-2 rounded-lg focus:ring-2 focus:ring-green-500 font-mono"
-                  onkeypress="if(event.key==='Enter'){event.preventDefault();addBarcode();}">
-                <button type="button" onclick="addBarcode()" class="px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700">
-                  ➕ Adicionar
-                </button>
-              </div>
-              
-              <!-- Lista de barcodes -->
-              <div id="barcodesList" class="space-y-2 max-h-[300px] overflow-y-auto">
-                <div class="text-center py-4 text-gray-400">
-                  Nenhum código de barras cadastrado
-                </div>
-              </div>
-              
-              <!-- Contador -->
-              <div id="barcodesCount" class="text-sm text-gray-500 mt-2 text-right">
-                0 códigos de barras
-              </div>
-            </div>
-            
-            <!-- Tab Promoções -->
-            <div id="productTab-promos" class="product-tab-content hidden">
-              <div class="bg-gradient-to-r from-yellow-50 to-orange-50 border border-yellow-200 rounded-lg p-4 mb-4">
-                <h3 class="font-semibold text-yellow-800 mb-1">🏷️ Promoções do Produto</h3>
-                <p class="text-sm text-yellow-700">
-                  Crie e gerencie promoções diretamente para este produto.
-                </p>
-              </div>
-              
-              <!-- Promoções Ativas -->
-              <div class="mb-4">
-                <div class="flex justify-between items-center mb-3">
-                  <h4 class="font-medium text-gray-700">Promoções Ativas</h4>
-                  <span id="productPromosCount" class="text-xs bg-yellow-100 text-yellow-700 px-2 py-1 rounded-full">0 promoções</span>
-                </div>
-                <div id="productPromosList" class="space-y-2 max-h-[200px] overflow-y-auto">
-                  <div class="text-center py-4 text-gray-400">
-                    Nenhuma promoção ativa para este produto
-                  </div>
-                </div>
-              </div>
-              
-              <!-- Criar Promoção Rápida -->
-              <div class="border-t pt-4">
-                <h4 class="font-medium text-gray-700 mb-3">➕ Criar Promoção Rápida</h4>
-                
-                <!-- Tipo de Promoção -->
-                <div class="grid grid-cols-2 gap-2 mb-4">
-                  <button type="button" onclick="selectQuickPromoType('fixed_price')" class="quick-promo-btn p-3 border-2 rounded-lg text-left hover:bg-blue-50 transition-colors" data-type="fixed_price">
-                    <span class="text-lg">💲</span>
-                    <span class="text-sm font-medium">Preço Fixo</span>
-                  </button>
-                  <button type="button" onclick="selectQuickPromoType('multi_buy')" class="quick-promo-btn p-3 border-2 rounded-lg text-left hover:bg-green-50 transition-colors" data-type="multi_buy">
-                    <span class="text-lg">📦</span>
-                    <span class="text-sm font-medium">Leve X por $Y</span>
-                  </button>
-                  <button type="button" onclick="selectQuickPromoType('buy_get')" class="quick-promo-btn p-3 border-2 rounded-lg text-left hover:bg-purple-50 transition-colors" data-type="buy_get">
-                    <span class="text-lg">🎁</span>
-                    <span class="text-sm font-medium">Compre X Leve Y</span>
-                  </button>
-                  <button type="button" onclick="selectQuickPromoType('percent_off')" class="quick-promo-btn p-3 border-2 rounded-lg text-left hover:bg-orange-50 transition-colors" data-type="percent_off">
-                    <span class="text-lg">📊</span>
-                    <span class="text-sm font-medium">Desconto %</span>
-                  </button>
-                </div>
-                
-                <!-- Campos da Promoção Rápida -->
-                <div id="quickPromoFields" class="hidden">
-                  <!-- Preço Fixo -->
-                  <div id="quickPromoFixed" class="quick-promo-field hidden">
-                    <div class="bg-blue-50 rounded-lg p-4">
-                      <label class="block text-sm font-medium text-gray-700 mb-2">Preço Promocional *</label>
-                      <div class="flex items-center gap-2">
-                        <span class="text-gray-500">$</span>
-                        <input type="number" step="0.01" id="quickPromoPrice" class="flex-1 px-3 py-2 border-2 rounded-lg focus:ring-2 focus:ring-blue-500 text-lg font-bold" placeholder="0.00">
-                      </div>
-                      <p id="quickPromoSavings" class="text-sm text-green-600 mt-2"></p>
-                    </div>
-                  </div>
-                  
-                  <!-- Leve X por $Y -->
-                  <div id="quickPromoMultiBuy" class="quick-promo-field hidden">
-                    <div class="bg-green-50 rounded-lg p-4">
-                      <div class="grid grid-cols-3 gap-3 items-center">
-                        <div>
-                          <label class="block text-xs font-medium text-gray-700 mb-1">Leve</label>
-                          <input type="number" id="quickPromoQty" min="2" value="2" class="w-full px-3 py-2 border rounded-lg text-center font-bold">
-                        </div>
-                        <div class="text-center text-xl font-bold text-green-600">por</div>
-                        <div>
-                          <label class="block text-xs font-medium text-gray-700 mb-1">Valor $</label>
-                          <input type="number" step="0.01" id="quickPromoMultiPrice" class="w-full px-3 py-2 border rounded-lg text-center font-bold" placeholder="0.00">
-                        </div>
-                      </div>
-                      <p id="quickPromoMultiSavings" class="text-sm text-green-600 mt-2 text-center"></p>
-                    </div>
-                  </div>
-                  
-                  <!-- Compre X Leve Y -->
-                  <div id="quickPromoBuyGet" class="quick-promo-field hidden">
-                    <div class="bg-purple-50 rounded-lg p-4">
-                      <div class="grid grid-cols-3 gap-3 items-center">
-                        <div>
-                          <label class="block text-xs font-medium text-gray-700 mb-1">Compre</label>
-                          <input type="number" id="quickPromoBuy" min="1" value="2" class="w-full px-3 py-2 border rounded-lg text-center font-bold">
-                        </div>
-                        <div class="text-center text-xl font-bold text-purple-600">Leve</div>
-                        <div>
-                          <label class="block text-xs font-medium text-gray-700 mb-1">Unidades</label>
-                          <input type="number" id="quickPromoGet" min="2" value="3" class="w-full px-3 py-2 border rounded-lg text-center font-bold">
-                        </div>
-                      </div>
-                      <p id="quickPromoBuyGetInfo" class="text-sm text-purple-600 mt-2 text-center"></p>
-                    </div>
-                  </div>
-                  
-                  <!-- Desconto % -->
-                  <div id="quickPromoPercent" class="quick-promo-field hidden">
-                    <div class="bg-orange-50 rounded-lg p-4">
-                      <div class="flex items-center justify-center gap-2">
-                        <input type="number" id="quickPromoPercentValue" min="1" max="99" value="20" class="w-24 px-3 py-2 border rounded-lg text-center text-2xl font-bold">
-                        <span class="text-2xl font-bold text-orange-600">%</span>
-                        <span class="text-gray-600">de desconto</span>
-                      </div>
-                      <p id="quickPromoPercentInfo" class="text-sm text-orange-600 mt-2 text-center"></p>
-                    </div>
-                  </div>
-                  
-                  <!-- Datas -->
-                  <div class="grid grid-cols-2 gap-3 mt-4">
-                    <div>
-                      <label class="block text-xs font-medium text-gray-700 mb-1">Data Início</label>
-                      <input type="date" id="quickPromoStart" class="w-full px-3 py-2 border rounded-lg">
-                    </div>
-                    <div>
-                      <label class="block text-xs font-medium text-gray-700 mb-1">Data Fim</label>
-                      <input type="date" id="quickPromoEnd" class="w-full px-3 py-2 border rounded-lg">
-                    </div>
-                  </div>
-                  
-                  <!-- Botão Salvar -->
-                  <button type="button" onclick="saveQuickPromo()" class="w-full mt-4 px-4 py-3 bg-gradient-to-r from-yellow-500 to-orange-500 text-white rounded-lg hover:from-yellow-600 hover:to-orange-600 font-bold">
-                    🏷️ Criar Promoção
-                  </button>
-                </div>
-              </div>
-            </div>
-            
-            <div class="flex justify-end gap-3 mt-6 pt-4 border-t">
-              <button type="button" onclick="closeProductModal()" class="px-4 py-2 border rounded-lg hover:bg-gray-50">Cancelar</button>
-              <button type="submit" class="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700">💾 Salvar Produto</button>
-            </div>
-          </form>
-        </div>
-      </div>
+      storesList.push({
+        ...publicStore(store),
+        timezone,
+        totalSales: sales.length,
+        todaySales: todaySales.length,
+        todayRevenue: todayRevenue,
+        lastSaleAt: lastSale ? (lastSale.created_at || lastSale.timestamp) : null,
+        isActive: lastSale ? (new Date() - new Date(lastSale.created_at || lastSale.timestamp)) < 24 * 60 * 60 * 1000 : false
+      });
+    }
 
-      <!-- Category Modal -->
-      <div id="categoryModal" class="fixed inset-0 modal-overlay hidden items-center justify-center z-50">
-        <div class="bg-white rounded-2xl w-full max-w-md max-h-[90vh] overflow-hidden mx-4">
-          <div class="gradient-bg text-white px-6 py-4 flex justify-between items-center">
-            <h2 id="categoryModalTitle" class="text-xl font-bold">Nova Categoria</h2>
-            <button onclick="closeCategoryModal()" class="p-2 hover:bg-white/20 rounded-lg">✕</button>
-          </div>
-          <form id="categoryForm" class="p-6" onsubmit="saveCategory(event)">
-            <input type="hidden" id="categoryId">
-            <div class="space-y-4">
-              <div>
-                <label class="block text-sm font-medium text-gray-700 mb-1">Nome da Categoria *</label>
-                <input type="text" id="categoryName" required class="w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500">
-              </div>
-              <div>
-                <label class="block text-sm font-medium text-gray-700 mb-1">Descrição</label>
-                <textarea id="categoryDescription" rows="3" class="w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500"></textarea>
-              </div>
-            </div>
-            <div class="flex justify-end gap-3 mt-6 pt-4 border-t">
-              <button type="button" onclick="closeCategoryModal()" class="px-4 py-2 border rounded-lg hover:bg-gray-50">Cancelar</button>
-              <button type="submit" class="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700">Salvar</button>
-            </div>
-          </form>
-        </div>
-      </div>
+    // Adicionar lojas que têm vendas mas não estão registradas
+    for (const [storeId, sales] of salesStore.entries()) {
+      if (!stores.has(storeId)) {
+        const lastSale = sales.length > 0 ? 
+          sales.sort((a, b) => new Date(b.created_at || b.timestamp) - new Date(a.created_at || a.timestamp))[0] : null;
+        
+        const timezone = DEFAULT_TIMEZONE;
+        const today = zonedToday(timezone);
+        const todaySales = sales.filter(sale => saleLocalDate(sale, timezone) === today);
+        const todayRevenue = todaySales.reduce((sum, sale) => sum + saleNetTotal(sale), 0);
 
-      <!-- Promotion Modal -->
-      <div id="promotionModal" class="fixed inset-0 modal-overlay hidden items-center justify-center z-50">
-        <div class="bg-white rounded-2xl w-full max-w-xl max-h-[90vh] overflow-hidden mx-4">
-          <div class="gradient-bg text-white px-6 py-4 flex justify-between items-center">
-            <h2 id="promotionModalTitle" class="text-xl font-bold">Nova Promoção</h2>
-            <button onclick="closePromotionModal()" class="p-2 hover:bg-white/20 rounded-lg">✕</button>
-          </div>
-          <form id="promotionForm" class="p-6 overflow-y-auto max-h-[calc(90vh-100px)]" onsubmit="savePromotion(event)">
-            <input type="hidden" id="promotionId">
-            <div class="space-y-4">
-              <!-- Nome da Promoção -->
-              <div>
-                <label class="block text-sm font-medium text-gray-700 mb-1">Nome da Promoção *</label>
-                <input type="text" id="promotionName" required class="w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500" placeholder="Ex: Refrigerante 2 por $4">
-              </div>
-              
-              <!-- Produto -->
-              <div>
-                <label class="block text-sm font-medium text-gray-700 mb-1">Produto (Barcode ou ID)</label>
-                <input type="text" id="promotionProduct" class="w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500" placeholder="Digite o código de barras">
-              </div>
-              
-              <!-- Tipo de Promoção -->
-              <div>
-                <label class="block text-sm font-medium text-gray-700 mb-2">🏷️ Tipo de Promoção</label>
-                <div class="grid grid-cols-1 gap-2">
-                  <label class="flex items-center p-3 border-2 rounded-lg cursor-pointer hover:bg-blue-50 transition-colors promo-type-option" onclick="selectPromoType('fixed_price')">
-                    <input type="radio" name="promoType" value="fixed_price" checked class="mr-3">
-                    <div>
-                      <span class="font-medium">💲 Preço Fixo</span>
-                      <p class="text-xs text-gray-500">Ex: De $2.99 por $1.99</p>
-                    </div>
-                  </label>
-                  <label class="flex items-center p-3 border-2 rounded-lg cursor-pointer hover:bg-green-50 transition-colors promo-type-option" onclick="selectPromoType('multi_buy')">
-                    <input type="radio" name="promoType" value="multi_buy" class="mr-3">
-                    <div>
-                      <span class="font-medium">📦 Leve X por $Y</span>
-                      <p class="text-xs text-gray-500">Ex: Leve 2 por $4.00</p>
-                    </div>
-                  </label>
-                  <label class="flex items-center p-3 border-2 rounded-lg cursor-pointer hover:bg-purple-50 transition-colors promo-type-option" onclick="selectPromoType('buy_get')">
-                    <input type="radio" name="promoType" value="buy_get" class="mr-3">
-                    <div>
-                      <span class="font-medium">🎁 Compre X Leve Y</span>
-                      <p class="text-xs text-gray-500">Ex: Compre 2 Leve 3</p>
-                    </div>
-                  </label>
+        storesList.push({
+          id: storeId,
+          name: `Loja ${storeId}`,
+          timezone,
+          totalSales: sales.length,
+          todaySales: todaySales.length,
+          todayRevenue: todayRevenue,
+          lastSaleAt: lastSale ? (lastSale.created_at || lastSale.timestamp) : null,
+          isActive: lastSale ? (new Date() - new Date(lastSale.created_at || lastSale.timestamp)) < 24 * 60 * 60 * 1000 : false
+        });
+      }
+    }
+
+    // Gerentes só enxergam a própria loja
+    res.json({ stores: scopeStoreId ? storesList.filter(s => s.id == scopeStoreId) : storesList });
+  } catch (error) {
+    console.error('Error getting stores for owner:', error);
+    res.status(500).json({ error: 'Erro ao obter lojas' });
+  }
+});
+
+// Status da chave de API de uma loja (sem revelar a chave)
+app.get('/api/owner/stores/:storeId/key', checkOwnerAuth, requirePermission('stores:manage'), async (req, res) => {
+  try {
+    const store = await findStoreById(req.params.storeId);
+    if (!store) {
+      return res.status(404).json({ error: 'Loja não encontrada' });
+    }
+    res.json({
+      storeId: store.id,
+      hasKey: !!store.api_key_hash,
+      prefix: store.api_key_prefix || null,
+      createdAt: store.api_key_created_at || null
+    });
+  } catch (error) {
+    console.error('Error getting store key status:', error);
+    res.status(500).json({ error: 'Erro ao obter chave da loja' });
+  }
+});
+
+// Gerar ou rotacionar a chave de API de uma loja.
+// A chave em texto puro só é retornada nesta resposta; o servidor guarda apenas o hash.
+app.post('/api/owner/stores/:storeId/key', checkOwnerAuth, requirePermission('stores:manage'), async (req, res) => {
+  try {
+    const storeId = parseInt(req.params.storeId);
+    if (isNaN(storeId)) {
+      return res.status(400).json({ error: 'ID de loja inválido' });
+    }
+
+    const existing = await findStoreById(storeId);
+    const key = generateStoreKey(storeId);
+    const store = {
+      ...(existing || { id: storeId, name: req.body?.name || `Loja ${storeId}`, is_active: true, created_at: new Date().toISOString() }),
+      api_key_hash: hashStoreKey(key),
+      api_key_prefix: key.slice(0, 12),
+      api_key_created_at: new Date().toISOString(),
+      updated_at: new Date().toISOString()
+    };
+
+    await db.saveStore(store);
+    stores.set(storeId, store);
+
+    console.log(`🔑 API key ${existing?.api_key_hash ? 'rotated' : 'generated'} for store ${storeId}`);
+    res.json({ success: true, storeId, key, prefix: store.api_key_prefix, rotated: !!existing?.api_key_hash });
+  } catch (error) {
+    console.error('Error generating store key:', error);
+    res.status(500).json({ error: 'Erro ao gerar chave da loja' });
+  }
+});
+
+// Revogar a chave de API de uma loja
+app.delete('/api/owner/stores/:storeId/key', checkOwnerAuth, requirePermission('stores:manage'), async (req, res) => {
+  try {
+    const storeId = parseInt(req.params.storeId);
+    const existing = await findStoreById(storeId);
+    if (!existing) {
+      return res.status(404).json({ error: 'Loja não encontrada' });
+    }
+
+    const store = {
+      ...existing,
+      api_key_hash: null,
+      api_key_prefix: null,
+      api_key_created_at: null,
+      updated_at: new Date().toISOString()
+    };
+
+    await db.saveStore(store);
+    stores.set(storeId, store);
+
+    console.log(`🔑 API key revoked for store ${storeId}`);
+    res.json({ success: true, message: 'Chave revogada' });
+  } catch (error) {
+    console.error('Error revoking store key:', error);
+    res.status(500).json({ error: 'Erro ao revogar chave da loja' });
+  }
+});
+
+// Configurar o fuso horário (IANA) da loja; vazio volta ao DEFAULT_TIMEZONE
+app.put('/api/owner/stores/:storeId/timezone', checkOwnerAuth, requirePermission('stores:manage'), async (req, res) => {
+  try {
+    const storeId = parseInt(req.params.storeId);
+    const timezone = req.body?.timezone || null;
+    if (timezone && !isValidTimezone(timezone)) {
+      return res.status(400).json({ error: 'Fuso horário inválido' });
+    }
+
+    const existing = await findStoreById(storeId);
+    if (!existing) {
+      return res.status(404).json({ error: 'Loja não encontrada' });
+    }
+
+    const store = { ...existing, timezone, updated_at: new Date().toISOString() };
+    await db.saveStore(store);
+    stores.set(storeId, store);
+
+    console.log(`🕐 Timezone of store ${storeId} set to ${storeTimezone(store)}`);
+    res.json({ success: true, store: publicStore(store), timezone: storeTimezone(store) });
+  } catch (error) {
+    console.error('Error setting store timezone:', error);
+    res.status(500).json({ error: 'Erro ao configurar fuso horário' });
+  }
+});
+
+// Vendas detalhadas de uma loja específica
+// ?startDate&endDate (calendário local da loja)&limit=100
+app.get('/api/owner/store/:storeId/sales', checkOwnerAuth, requirePermission('reports:read'), async (req, res) => {
+  try {
+    const storeId = parseInt(req.params.storeId);
+    const { startDate, endDate, limit = 100 } = req.query;
+    const scopeStoreId = sessionStoreScope(req.session);
+    if (scopeStoreId && storeId != scopeStoreId) {
+      return res.status(403).json({ error: 'Sem acesso a esta loja' });
+    }
+
+    const store = await findStoreById(storeId);
+    const timezone = storeTimezone(store);
+    const sales = (await db.getSales(storeId, queryBounds(startDate, endDate)))
+      .filter(sale => inLocalRange(saleLocalDate(sale, timezone), startDate, endDate))
+      .sort((a, b) => new Date(b.created_at || b.timestamp) - new Date(a.created_at || a.timestamp));
+
+    // Totais sobre o período inteiro; só a lista é limitada
+    const totalRevenue = sales.reduce((sum, sale) => sum + saleNetTotal(sale), 0);
+
+    res.json({
+      storeId,
+      store: publicStore(store) || { id: storeId, name: `Loja ${storeId}` },
+      timezone,
+      sales: sales.slice(0, parseInt(limit) || 100),
+      count: sales.filter(isReportableSale).length,
+      totalRevenue: totalRevenue
+    });
+  } catch (error) {
+    console.error('Error getting store sales:', error);
+    res.status(500).json({ error: 'Erro ao obter vendas da loja' });
+  }
+});
+
+// Número de dias entre duas datas YYYY-MM-DD, inclusive
+function dayCount(startDate, endDate) {
+  return Math.round((new Date(endDate + 'T00:00:00Z') - new Date(startDate + 'T00:00:00Z')) / 86400000) + 1;
+}
+
+const percentChange = (current, previous) =>
+  previous > 0 ? ((current - previous) / previous) * 100 : null;
+
+// Comparativo entre lojas, com o período anterior de mesma duração
+// ?period=7 (últimos N dias até "hoje" de cada loja) ou ?startDate&endDate
+app.get('/api/owner/compare', checkOwnerAuth, requirePermission('reports:read'), async (req, res) => {
+  try {
+    const { startDate, endDate } = req.query;
+    const customRange = !!(startDate && endDate);
+    if (customRange && startDate > endDate) {
+      return res.status(400).json({ error: 'startDate deve ser anterior a endDate' });
+    }
+    const days = customRange ? dayCount(startDate, endDate) : Math.min(Math.max(parseInt(req.query.period) || 7, 1), 366);
+    const scopeStoreId = sessionStoreScope(req.session);
+
+    // Intervalo de cada loja: o informado ou os últimos N dias no fuso dela
+    const rangeFor = (timezone) => {
+      const end = customRange ? endDate : zonedToday(timezone);
+      const start = customRange ? startDate : shiftDay(end, -(days - 1));
+      return { start, end, previousStart: shiftDay(start, -days), previousEnd: shiftDay(start, -1) };
+    };
+
+    // Uma consulta cobre os dois períodos; os fusos das lojas diferem em até um dia
+    const widest = rangeFor(DEFAULT_TIMEZONE);
+    const [sales, storesList] = await Promise.all([
+      db.getSales(scopeStoreId, queryBounds(shiftDay(widest.previousStart, -1), shiftDay(widest.end, 1))),
+      db.getStores()
+    ]);
+
+    const salesByStore = new Map();
+    sales.forEach(sale => {
+      const sid = String(sale.store_id);
+      if (!salesByStore.has(sid)) salesByStore.set(sid, []);
+      salesByStore.get(sid).push(sale);
+    });
+    storesList
+      .filter(store => !scopeStoreId || String(store.id) === String(scopeStoreId))
+      .forEach(store => {
+        if (!salesByStore.has(String(store.id))) salesByStore.set(String(store.id), []);
+      });
+
+    const comparison = [];
+    for (const [sid, storeSales] of salesByStore.entries()) {
+      const store = storesList.find(st => String(st.id) === sid) || { id: storeSales[0]?.store_id ?? sid, name: `Loja ${sid}` };
+      const timezone = storeTimezone(store);
+      const range = rangeFor(timezone);
+
+      const byDay = {};
+      storeSales.forEach(sale => {
+        const day = saleLocalDate(sale, timezone);
+        if (!byDay[day]) byDay[day] = { revenue: 0, transactions: 0 };
+        byDay[day].revenue += saleNetTotal(sale);
+        if (isReportableSale(sale)) byDay[day].transactions += 1;
+      });
+
+      const series = (start) => Array.from({ length: days }, (_, i) => {
+        const date = shiftDay(start, i);
+        return { date, revenue: byDay[date]?.revenue || 0, transactions: byDay[date]?.transactions || 0 };
+      });
+      const dailyData = series(range.start);
+      const previousData = series(range.previousStart);
+      const sum = (data, field) => data.reduce((total, d) => total + d[field], 0);
+
+      const totalRevenue = sum(dailyData, 'revenue');
+      const totalTransactions = sum(dailyData, 'transactions');
+      const previousRevenue = sum(previousData, 'revenue');
+      const previousTransactions = sum(previousData, 'transactions');
+
+      comparison.push({
+        storeId: store.id,
+        storeName: store.name,
+        timezone,
+        startDate: range.start,
+        endDate: range.end,
+        dailyData: dailyData,
+        totalRevenue,
+        totalTransactions,
+        previous: {
+          startDate: range.previousStart,
+          endDate: range.previousEnd,
+          dailyData: previousData,
+          totalRevenue: previousRevenue,
+          totalTransactions: previousTransactions
+        },
+        change: {
+          revenue: percentChange(totalRevenue, previousRevenue),
+          transactions: percentChange(totalTransactions, previousTransactions)
+        }
+      });
+    }
+
+    // Ordenar por receita total
+    comparison.sort((a, b) => b.totalRevenue - a.totalRevenue);
+
+    res.json({
+      period: days,
+      startDate: widest.start,
+      endDate: widest.end,
+      previousPeriod: { startDate: widest.previousStart, endDate: widest.previousEnd },
+      comparison
+    });
+  } catch (error) {
+    console.error('Error comparing stores:', error);
+    res.status(500).json({ error: 'Erro ao comparar lojas' });
+  }
+});
+
+// Itens vendidos (ledger), mais recentes primeiro
+// ?startDate&endDate&store_id&productId&barcode&categoryId&page=1&limit=100
+app.get('/api/owner/items', checkOwnerAuth, requirePermission('reports:read'), async (req, res) => {
+  try {
+    const { startDate, endDate, productId, barcode, categoryId, page = 1, limit = 100 } = req.query;
+    const pageNum = Math.max(parseInt(page) || 1, 1);
+    const limitNum = Math.min(Math.max(parseInt(limit) || 100, 1), 1000);
+    const storeId = resolveStoreFilter(req);
+
+    const bounds = queryBounds(startDate, endDate);
+    const timezoneOf = await storeTimezoneLookup();
+    const items = (await db.getSaleItems({
+      storeId,
+      from: bounds.from,
+      to: bounds.to,
+      productId: productId || null,
+      barcode: barcode || null,
+      categoryId: categoryId || null
+    })).filter(item => inLocalRange(zonedDateParts(item.sold_at, timezoneOf(item.store_id)).date, startDate, endDate));
+    items.sort((a, b) => new Date(b.sold_at) - new Date(a.sold_at));
+
+    // Totais só com itens efetivamente vendidos
+    const totals = { lines: items.length, quantity: 0, revenue: 0, cost: 0 };
+    items.filter(isReportableItem).forEach(item => {
+      totals.quantity += item.quantity;
+      totals.revenue += item.line_total;
+      if (item.cost != null) totals.cost += item.cost * item.quantity;
+    });
+
+    const start = (pageNum - 1) * limitNum;
+    res.json({
+      items: items.slice(start, start + limitNum),
+      total: items.length,
+      page: pageNum,
+      limit: limitNum,
+      totalPages: Math.ceil(items.length / limitNum),
+      totals
+    });
+  } catch (error) {
+    console.error('Error listing sale items:', error);
+    res.status(500).json({ error: 'Erro ao listar itens vendidos' });
+  }
+});
+
+// Ranking de produtos por período, loja e categoria (mais e menos vendidos)
+// ?startDate&endDate&store_id&categoryId&sortBy=revenue|units|margin&order=top|bottom&limit=50
+// Produtos do catálogo sem nenhuma venda no período entram com zero (estoque parado).
+app.get('/api/owner/products/ranking', checkOwnerAuth, requirePermission('reports:read'), async (req, res) => {
+  try {
+    const { startDate, endDate, categoryId, sortBy = 'revenue', order = 'top', limit = 50 } = req.query;
+    const limitNum = Math.min(Math.max(parseInt(limit) || 50, 1), 1000);
+    const sortField = ['revenue', 'units', 'margin'].includes(sortBy) ? sortBy : 'revenue';
+    const storeId = resolveStoreFilter(req);
+
+    const bounds = queryBounds(startDate, endDate);
+    const [ledger, products, categories, timezoneOf] = await Promise.all([
+      db.getSaleItems({ storeId, from: bounds.from, to: bounds.to, categoryId: categoryId || null }),
+      db.getProducts(),
+      db.getCategories(),
+      storeTimezoneLookup()
+    ]);
+    const items = ledger.filter(item =>
+      inLocalRange(zonedDateParts(item.sold_at, timezoneOf(item.store_id)).date, startDate, endDate));
+    const catalog = products.filter(p => !p.deleted_at && (!categoryId || String(p.category_id) === String(categoryId)));
+    const categoryNames = new Map(categories.map(c => [String(c.id), c.name]));
+    const catalogIndex = new Map();
+    catalog.forEach(p => {
+      if (p.id != null) catalogIndex.set(`id:${p.id}`, p);
+      if (p.barcode) catalogIndex.set(`barcode:${p.barcode}`, p);
+    });
+
+    const ranking = new Map();
+    const entryFor = (key, source) => {
+      if (!ranking.has(key)) {
+        ranking.set(key, {
+          product_id: source.product_id ?? source.id ?? null,
+          barcode: source.barcode || null,
+          sku: source.sku || null,
+          name: source.name || null,
+          category_id: source.category_id ?? null,
+          units: 0,
+          revenue: 0,
+          cost: 0,
+          costMissing: false,
+          lastSoldAt: null
+        });
+      }
+      return ranking.get(key);
+    };
+
+    items.filter(isReportableItem).forEach(item => {
+      const product = catalogIndex.get(`id:${item.product_id}`) || catalogIndex.get(`barcode:${item.barcode}`);
+      const key = product ? String(product.id ?? product.barcode) : String(item.product_id ?? item.barcode ?? item.name);
+      const entry = entryFor(key, product || item);
+      entry.units += item.quantity;
+      entry.revenue += item.line_total;
+      // Custo do momento da venda; sem ele, o custo atual do cadastro
+      const cost = item.cost ?? product?.cost;
+      if (cost != null) entry.cost += Number(cost) * item.quantity;
+      else entry.costMissing = true;
+      if (!entry.lastSoldAt || new Date(item.sold_at) > new Date(entry.lastSoldAt)) entry.lastSoldAt = item.sold_at;
+    });
+
+    catalog.forEach(p => entryFor(String(p.id ?? p.barcode), p));
+
+    const totals = { products: ranking.size, unsold: 0, units: 0, revenue: 0, cost: 0, margin: 0 };
+    ranking.forEach(entry => {
+      totals.units += entry.units;
+      totals.revenue += entry.revenue;
+      totals.cost += entry.cost;
+      if (entry.units === 0) totals.unsold++;
+    });
+
+    const rows = Array.from(ranking.values()).map(({ costMissing, ...entry }) => {
+      // Margem só quando todo o custo é conhecido, para não inflar o lucro
+      const margin = costMissing ? null : entry.revenue - entry.cost;
+      return {
+        ...entry,
+        category_name: categoryNames.get(String(entry.category_id)) || null,
+        margin,
+        marginPercent: margin != null && entry.revenue > 0 ? (margin / entry.revenue) * 100 : null,
+        share: totals.revenue > 0 ? (entry.revenue / totals.revenue) * 100 : 0
+      };
+    });
+
+    totals.margin = rows.reduce((sum, row) => sum + (row.margin || 0), 0);
+
+    const direction = order === 'bottom' ? 1 : -1;
+    // Sem custo conhecido a margem fica no fim, nos dois sentidos
+    rows.sort((a, b) => {
+      if (a[sortField] == null || b[sortField] == null) return (a[sortField] == null) - (b[sortField] == null);
+      return direction * (a[sortField] - b[sortField]) || b.units - a.units;
+    });
+    rows.forEach((row, i) => { row.rank = i + 1; });
+
+    res.json({
+      period: { startDate: startDate || null, endDate: endDate || null },
+      store_id: storeId,
+      sortBy: sortField,
+      order: order === 'bottom' ? 'bottom' : 'top',
+      totals,
+      total: rows.length,
+      products: rows.slice(0, limitNum)
+    });
+  } catch (error) {
+    console.error('Error ranking products:', error);
+    res.status(500).json({ error: 'Erro ao gerar ranking de produtos' });
+  }
+});
+
+// Fechamentos de caixa com faltas e sobras por loja e operador
+// ?startDate&endDate&store_id&status=balanced|shortage|overage|mismatch&user_id
+app.get('/api/owner/closings', checkOwnerAuth, requirePermission('reports:read'), async (req, res) => {
+  try {
+    const { startDate, endDate, status, user_id } = req.query;
+    const storeId = resolveStoreFilter(req);
+
+    const bounds = queryBounds(startDate, endDate);
+    const [allClosings, storesList, users] = await Promise.all([
+      db.getClosings({ storeId, from: bounds.from, to: bounds.to }),
+      db.getStores(),
+      db.getUsers()
+    ]);
+    const timezoneOf = (sid) => storeTimezone(storesList.find(st => String(st.id) === String(sid)));
+
+    const closings = allClosings
+      .filter(c => inLocalRange(zonedDateParts(c.closed_at, timezoneOf(c.store_id)).date, startDate, endDate))
+      .filter(c => (!status || c.status === status) && (!user_id || String(c.user_id) === String(user_id)))
+      .map(c => {
+        const user = users.find(u => String(u.id) === String(c.user_id));
+        return {
+          ...c,
+          store_name: storesList.find(st => String(st.id) === String(c.store_id))?.name || `Loja ${c.store_id}`,
+          operator_name: c.operator_name || user?.full_name || user?.username || null
+        };
+      })
+      .sort((a, b) => new Date(b.closed_at) - new Date(a.closed_at));
+
+    const summarize = (keyOf, describe) => {
+      const groups = new Map();
+      closings.forEach(c => {
+        const key = keyOf(c);
+        if (!groups.has(key)) {
+          groups.set(key, { ...describe(c), closings: 0, shortages: 0, overages: 0, shortageTotal: 0, overageTotal: 0, netDifference: 0 });
+        }
+        const group = groups.get(key);
+        group.closings++;
+        group.netDifference = roundMoney(group.netDifference + c.total_difference);
+        if (c.total_difference < -CLOSING_TOLERANCE) {
+          group.shortages++;
+          group.shortageTotal = roundMoney(group.shortageTotal + c.total_difference);
+        } else if (c.total_difference > CLOSING_TOLERANCE) {
+          group.overages++;
+          group.overageTotal = roundMoney(group.overageTotal + c.total_difference);
+        }
+      });
+      // Maiores faltas primeiro
+      return Array.from(groups.values()).sort((a, b) => a.netDifference - b.netDifference);
+    };
+
+    res.json({
+      closings,
+      total: closings.length,
+      byStore: summarize(c => String(c.store_id), c => ({ store_id: c.store_id, store_name: c.store_name })),
+      byOperator: summarize(
+        c => `${c.store_id}:${c.user_id || c.operator_name || ''}`,
+        c => ({ store_id: c.store_id, store_name: c.store_name, user_id: c.user_id, operator_name: c.operator_name })
+      )
+    });
+  } catch (error) {
+    console.error('Error listing closings:', error);
+    res.status(500).json({ error: 'Erro ao listar fechamentos' });
+  }
+});
+
+// Refazer a conferência (vendas offline podem chegar depois do fechamento).
+// Grava o fechamento de novo, então exige permissão de gestão da loja, não só de leitura.
+app.post('/api/owner/closings/:id/reconcile', checkOwnerAuth, requirePermission('stores:manage'), async (req, res) => {
+  try {
+    const closing = await db.getClosingById(req.params.id);
+    const scopeStoreId = sessionStoreScope(req.session);
+    if (!closing || (scopeStoreId && String(closing.store_id) !== String(scopeStoreId))) {
+      return res.status(404).json({ error: 'Fechamento não encontrado' });
+    }
+
+    const reconciled = await reconcileClosing(closing);
+    await db.saveClosing(reconciled);
+    res.json({ success: true, closing: reconciled });
+  } catch (error) {
+    console.error('Error reconciling closing:', error);
+    res.status(500).json({ error: 'Erro ao conferir fechamento' });
+  }
+});
+
+// Regerar o ledger das vendas que ainda não têm itens registrados
+app.post('/api/admin/sale-items/backfill', checkOwnerAuth, requirePermission('system:manage'), async (req, res) => {
+  const backfilled = await backfillSaleItems();
+  res.json({ success: true, backfilled });
+});
+
+// Todas as vendas (para o painel do dono), paginadas no servidor
+// ?startDate&endDate&store_id&operator&payment_method&status&minTotal&maxTotal&page&limit
+// operator aceita o id do usuário ou o nome exibido; payment_method também
+// encontra vendas "mixed" que tenham aquela forma entre os pagamentos.
+// Os totais valem para todas as vendas filtradas, não só para a página.
+app.get('/api/owner/all-sales', checkOwnerAuth, requirePermission('reports:read'), async (req, res) => {
+  try {
+    const { startDate, endDate, operator, payment_method, status, minTotal, maxTotal } = req.query;
+    const storeId = resolveStoreFilter(req);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 500);
+    const min = minTotal !== undefined && minTotal !== '' ? Number(minTotal) : null;
+    const max = maxTotal !== undefined && maxTotal !== '' ? Number(maxTotal) : null;
+    if (Number.isNaN(min) || Number.isNaN(max)) {
+      return res.status(400).json({ error: 'minTotal e maxTotal devem ser números' });
+    }
+
+    const [storesList, users] = await Promise.all([db.getStores(), db.getUsers()]);
+    const storeMap = {};
+    storesList.forEach(s => storeMap[s.id] = s);
+    const userMap = {};
+    users.forEach(u => {
+      userMap[u.id] = u.full_name || u.username || 'Usuário ' + u.id;
+    });
+    const operatorName = (sale) => sale.user_name || userMap[sale.user_id] || sale.cashier_name || 'Não identificado';
+
+    // Filtro, página e totais saem do banco; o período é cortado nas datas locais de cada loja.
+    // operator é o id do usuário ou o nome exibido (de um usuário cadastrado ou o enviado pelo terminal).
+    const filters = {
+      storeId,
+      ranges: localPeriodRanges(storesList, storeId, startDate, endDate),
+      status: status || null,
+      operator: operator ? {
+        ids: [operator, ...users.filter(u => userMap[u.id] === operator).map(u => String(u.id))],
+        names: [operator]
+      } : null,
+      paymentMethod: payment_method || null,
+      minTotal: min,
+      maxTotal: max
+    };
+    const requestedPage = Math.max(parseInt(req.query.page) || 1, 1);
+    let report = await db.querySales(filters, { offset: (requestedPage - 1) * limit, limit });
+    const totalPages = Math.max(1, Math.ceil(report.count / limit));
+    const page = Math.min(requestedPage, totalPages);
+    if (page < requestedPage) report = await db.querySales(filters, { offset: (page - 1) * limit, limit });
+
+    // Operadores do período com seus totais, para o filtro e o ranking de
+    // funcionários do painel (antes dos demais filtros)
+    const operators = new Map();
+    report.operators.forEach(entry => {
+      const name = operatorName(entry);
+      const id = entry.user_id != null ? String(entry.user_id) : name;
+      if (!operators.has(id)) operators.set(id, { id, name, count: 0, total: 0 });
+      operators.get(id).count += Number(entry.count) || 0;
+      operators.get(id).total += Number(entry.total) || 0;
+    });
+
+    const { total, transactions } = report.summary;
+    res.json({
+      sales: report.sales.map(sale => ({
+        ...sale,
+        store_name: storeMap[sale.store_id]?.name || 'Loja ' + (sale.store_id || 1),
+        user_name: operatorName(sale),
+        operator: operatorName(sale)
+      })),
+      page,
+      limit,
+      totalPages,
+      count: report.count,
+      // Total líquido: vendas canceladas e devolvidas não somam
+      total,
+      grossTotal: report.summary.grossTotal,
+      voidedCount: report.summary.voidedCount,
+      transactions,
+      avgTicket: transactions > 0 ? total / transactions : 0,
+      paymentMethods: report.summary.paymentMethods,
+      operators: Array.from(operators.values()).sort((a, b) => a.name.localeCompare(b.name))
+    });
+  } catch (error) {
+    console.error('Error fetching all sales:', error);
+    res.status(500).json({ error: 'Erro ao buscar vendas' });
+  }
+});
+
+// =====================================
+// ESTOQUE (PAINEL)
+// =====================================
+
+// Saldo de cada produto do catálogo por loja
+// ?store_id&product_id&search&category_id&page&limit
+app.get('/api/owner/stock', checkOwnerAuth, requirePermission('inventory:read'), async (req, res) => {
+  try {
+    const { product_id, search, category_id } = req.query;
+    const storeId = resolveStoreFilter(req);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 100, 1), 1000);
+
+    const [levels, catalog, storesList, categories] = await Promise.all([
+      db.getStockLevels({ storeId, productId: product_id }),
+      db.getProducts(),
+      db.getStores(),
+      db.getCategories()
+    ]);
+
+    // Colunas: as lojas cadastradas (ou só a filtrada) e as que já têm saldo
+    const storeIds = new Set(storeId ? [String(storeId)] : storesList.map(st => String(st.id)));
+    levels.forEach(level => storeIds.add(String(level.store_id)));
+    const storeColumns = Array.from(storeIds).map(sid => ({
+      id: sid,
+      name: storesList.find(st => String(st.id) === sid)?.name || `Loja ${sid}`
+    }));
+
+    const rows = new Map();
+    catalog.filter(p => !p.deleted_at).forEach(p => {
+      const productId = String(p.id ?? p.barcode);
+      if (product_id && productId !== String(product_id)) return;
+      rows.set(productId, {
+        product_id: productId,
+        name: p.name || null,
+        barcode: p.barcode || null,
+        sku: p.sku || null,
+        category_id: p.category_id ?? null,
+        cost: p.cost != null ? Number(p.cost) : null,
+        byStore: {},
+        limits: {},
+        alerts: {}
+      });
+    });
+    // Saldos de produtos fora do catálogo (vendidos por código não cadastrado) também aparecem
+    levels.forEach(level => {
+      if (!rows.has(level.product_id)) {
+        rows.set(level.product_id, {
+          product_id: level.product_id, name: null, barcode: null, sku: null, category_id: null, cost: null,
+          byStore: {}, limits: {}, alerts: {}
+        });
+      }
+      const row = rows.get(level.product_id);
+      row.byStore[level.store_id] = level.quantity;
+      if (level.min_stock != null || level.reorder_point != null) {
+        row.limits[level.store_id] = { min_stock: level.min_stock ?? null, reorder_point: level.reorder_point ?? null };
+      }
+      if (level.alert) row.alerts[level.store_id] = level.alert;
+    });
+
+    const term = (search || '').toLowerCase();
+    const products = Array.from(rows.values())
+      .filter(row => !category_id || String(row.category_id) === String(category_id))
+      .filter(row => !term || [row.name, row.barcode, row.sku, row.product_id].some(v => v && String(v).toLowerCase().includes(term)))
+      .map(row => {
+        const total = roundQuantity(storeColumns.reduce((sum, st) => sum + (row.byStore[st.id] || 0), 0));
+        return {
+          ...row,
+          category_name: categories.find(c => String(c.id) === String(row.category_id))?.name || null,
+          total,
+          value: row.cost != null ? roundMoney(total * row.cost) : null
+        };
+      })
+      .sort((a, b) => (a.name || a.product_id).localeCompare(b.name || b.product_id));
+
+    const totalPages = Math.max(1, Math.ceil(products.length / limit));
+    const page = Math.min(Math.max(parseInt(req.query.page) || 1, 1), totalPages);
+
+    res.json({
+      stores: storeColumns,
+      products: products.slice((page - 1) * limit, page * limit),
+      count: products.length,
+      page,
+      limit,
+      totalPages,
+      totals: {
+        units: roundQuantity(products.reduce((sum, p) => sum + p.total, 0)),
+        value: roundMoney(products.reduce((sum, p) => sum + (p.value || 0), 0)),
+        negative: products.filter(p => Object.values(p.byStore).some(q => q < 0)).length,
+        alerts: products.filter(p => Object.keys(p.alerts).length > 0).length
+      }
+    });
+  } catch (error) {
+    console.error('Error getting stock:', error);
+    res.status(500).json({ error: 'Erro ao buscar estoque' });
+  }
+});
+
+// Movimentos de estoque (vendas, cancelamentos, ajustes), mais recentes primeiro
+// ?store_id&product_id&reference&startDate&endDate&limit
+app.get('/api/owner/stock/movements', checkOwnerAuth, requirePermission('inventory:read'), async (req, res) => {
+  try {
+    const { product_id, reference, startDate, endDate } = req.query;
+    const storeId = resolveStoreFilter(req);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 200, 1), 1000);
+
+    const bounds = queryBounds(startDate, endDate);
+    const [allMovements, timezoneOf] = await Promise.all([
+      db.getStockMovements({ storeId, productId: product_id, reference, from: bounds.from, to: bounds.to }),
+      storeTimezoneLookup()
+    ]);
+    const movements = allMovements
+      .filter(m => inLocalRange(zonedDateParts(m.created_at, timezoneOf(m.store_id)).date, startDate, endDate))
+      .sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+
+    res.json({ movements: movements.slice(0, limit), count: movements.length });
+  } catch (error) {
+    console.error('Error getting stock movements:', error);
+    res.status(500).json({ error: 'Erro ao buscar movimentos de estoque' });
+  }
+});
+
+// Alertas abertos (da loja ou de todas) com a sugestão de compra, críticos primeiro
+async function listStockAlerts(storeId = null) {
+  const [levels, catalog, storesList, velocity] = await Promise.all([
+    db.getStockLevels({ storeId }),
+    db.getProducts(),
+    db.getStores(),
+    salesVelocity(storeId)
+  ]);
+  const catalogById = new Map();
+  catalog.filter(p => !p.deleted_at).forEach(p => catalogById.set(String(p.id ?? p.barcode), p));
+
+  return levels
+    .filter(level => level.alert)
+    .map(level => {
+      const product = catalogById.get(String(level.product_id));
+      return {
+        store_id: level.store_id,
+        store_name: storesList.find(st => String(st.id) === String(level.store_id))?.name || `Loja ${level.store_id}`,
+        product_id: level.product_id,
+        name: product?.name || null,
+        barcode: product?.barcode || null,
+        cost: product?.cost != null ? Number(product.cost) : null,
+        supplier_id: product?.supplier_id ?? null,
+        quantity: level.quantity,
+        min_stock: level.min_stock ?? null,
+        reorder_point: level.reorder_point ?? null,
+        alert: level.alert,
+        alert_since: level.alert_since || null,
+        ...reorderSuggestion(level, velocity.get(stockKey(level.store_id, level.product_id)))
+      };
+    })
+    // Críticos primeiro, depois os que acabam antes
+    .sort((a, b) => (a.alert === b.alert ? 0 : a.alert === 'critical' ? -1 : 1) ||
+      (a.days_of_cover ?? Infinity) - (b.days_of_cover ?? Infinity) ||
+      (a.name || a.product_id).localeCompare(b.name || b.product_id));
+}
+
+// Produtos no ponto de pedido ou abaixo do mínimo, com a sugestão de compra
+// ?store_id&alert=critical|reorder
+app.get('/api/owner/alerts/stock', checkOwnerAuth, requirePermission('inventory:read'), async (req, res) => {
+  try {
+    const storeId = resolveStoreFilter(req);
+    const severity = req.query.alert && req.query.alert !== 'all' ? req.query.alert : null;
+
+    const open = await listStockAlerts(storeId);
+    const alerts = open.filter(alert => !severity || alert.alert === severity);
+
+    res.json({
+      alerts,
+      count: alerts.length,
+      counts: {
+        critical: open.filter(alert => alert.alert === 'critical').length,
+        reorder: open.filter(alert => alert.alert === 'reorder').length
+      },
+      velocity_days: REORDER_VELOCITY_DAYS,
+      cover_days: REORDER_COVER_DAYS
+    });
+  } catch (error) {
+    console.error('Error getting stock alerts:', error);
+    res.status(500).json({ error: 'Erro ao buscar alertas de estoque' });
+  }
+});
+
+// Ajuste manual do saldo de um produto numa loja: { quantity, note }
+app.put('/api/admin/stock/:storeId/:productId', checkOwnerAuth, requirePermission('inventory:write'), async (req, res) => {
+  try {
+    const { storeId, productId } = req.params;
+    const scopeStoreId = sessionStoreScope(req.session);
+    if (scopeStoreId && String(storeId) !== String(scopeStoreId)) {
+      return res.status(403).json({ error: 'Sem acesso a esta loja' });
+    }
+    const quantity = Number(req.body?.quantity);
+    if (req.body?.quantity === undefined || req.body.quantity === '' || isNaN(quantity)) {
+      return res.status(400).json({ error: 'quantity deve ser um número' });
+    }
+
+    const [movement] = await setStock(storeId, { [productId]: quantity }, {
+      reason: 'adjustment',
+      user_id: req.session.user_id || null,
+      note: req.body.note || null
+    });
+    res.json({ success: true, level: stockStore.get(stockKey(storeId, productId)) || null, movement: movement || null });
+  } catch (error) {
+    console.error('Error adjusting stock:', error);
+    res.status(500).json({ error: 'Erro ao ajustar estoque' });
+  }
+});
+
+// =====================================
+// TRANSFERÊNCIAS (PAINEL)
+// =====================================
+
+// Gerentes só veem e movimentam transferências em que a própria loja é origem ou destino
+function transferInScope(transfer, scopeStoreId) {
+  return !scopeStoreId ||
+    String(transfer.from_store_id) === String(scopeStoreId) ||
+    String(transfer.to_store_id) === String(scopeStoreId);
+}
+
+// ?store_id&status
+app.get('/api/admin/transfers', checkOwnerAuth, requirePermission('inventory:read'), async (req, res) => {
+  try {
+    const storeId = resolveStoreFilter(req);
+    if (storeId != null && Number.isNaN(parseInt(storeId))) {
+      return res.status(400).json({ error: 'Loja inválida' });
+    }
+    const status = req.query.status && req.query.status !== 'all' ? req.query.status : null;
+
+    const [transfers, storesList] = await Promise.all([db.getTransfers({ storeId, status }), db.getStores()]);
+    const storeName = (id) => storesList.find(st => String(st.id) === String(id))?.name || `Loja ${id}`;
+
+    res.json({
+      transfers: transfers
+        .map(transfer => ({ ...transfer, from_store_name: storeName(transfer.from_store_id), to_store_name: storeName(transfer.to_store_id) }))
+        .sort((a, b) => new Date(b.created_at) - new Date(a.created_at)),
+      count: transfers.length,
+      // Origens e destinos possíveis para uma nova transferência
+      stores: storesList.filter(st => st.is_active !== false).map(st => ({ id: st.id, name: st.name || `Loja ${st.id}` }))
+    });
+  } catch (error) {
+    console.error('Error listing transfers:', error);
+    res.status(500).json({ error: 'Erro ao buscar transferências' });
+  }
+});
+
+app.get('/api/admin/transfers/:id', checkOwnerAuth, requirePermission('inventory:read'), async (req, res) => {
+  try {
+    const transfer = await db.getTransferById(req.params.id);
+    if (!transfer || !transferInScope(transfer, sessionStoreScope(req.session))) {
+      return res.status(404).json({ error: 'Transferência não encontrada' });
+    }
+    res.json({ transfer });
+  } catch (error) {
+    console.error('Error getting transfer:', error);
+    res.status(500).json({ error: 'Erro ao buscar transferência' });
+  }
+});
+
+// { from_store_id, to_store_id, lines: [{ product_id | barcode, quantity }], notes }
+app.post('/api/admin/transfers', checkOwnerAuth, requirePermission('inventory:write'), async (req, res) => {
+  try {
+    const { transfer, error } = createTransfer(req.body || {}, { user_id: req.session.user_id || null });
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    if (!transferInScope(transfer, sessionStoreScope(req.session))) {
+      return res.status(403).json({ error: 'Sem acesso a esta loja' });
+    }
+    const storesList = await db.getStores();
+    const unknown = [transfer.from_store_id, transfer.to_store_id].find(id => !storesList.some(st => String(st.id) === String(id)));
+    if (unknown != null) {
+      return res.status(400).json({ error: `Loja não encontrada: ${unknown}` });
+    }
+
+    await db.saveTransfer(transfer);
+    console.log(`🚚 Transfer ${transfer.id} created: store ${transfer.from_store_id} -> ${transfer.to_store_id} (${transfer.lines.length} products)`);
+    res.json({ success: true, transfer });
+  } catch (error) {
+    console.error('Error creating transfer:', error);
+    res.status(500).json({ error: 'Erro ao criar transferência' });
+  }
+});
+
+// Envio pela origem, recebimento pelo destino e cancelamento por qualquer um dos lados.
+// ship/receive: { lines: [{ product_id | barcode, quantity }], notes }; cancel: { reason }
+const TRANSFER_STEPS = {
+  ship: { run: shipTransfer, side: 'from_store_id' },
+  receive: { run: receiveTransfer, side: 'to_store_id' },
+  cancel: { run: cancelTransfer, side: null }
+};
+
+Object.entries(TRANSFER_STEPS).forEach(([step, { run, side }]) => {
+  app.post(`/api/admin/transfers/:id/${step}`, checkOwnerAuth, requirePermission('inventory:write'), async (req, res) => {
+    try {
+      const scopeStoreId = sessionStoreScope(req.session);
+      const transfer = await db.getTransferById(req.params.id);
+      if (!transfer || !transferInScope(transfer, scopeStoreId)) {
+        return res.status(404).json({ error: 'Transferência não encontrada' });
+      }
+      if (scopeStoreId && side && String(transfer[side]) !== String(scopeStoreId)) {
+        return res.status(403).json({ error: step === 'ship' ? 'Só a loja de origem pode enviar' : 'Só a loja de destino pode receber' });
+      }
+
+      const result = await run(transfer.id, {
+        lines: req.body?.lines,
+        notes: req.body?.notes,
+        reason: req.body?.reason || null,
+        user_id: req.session.user_id || null
+      });
+      if (result.error) {
+        return res.status(result.status).json({ error: result.error });
+      }
+      res.json({ success: true, transfer: result.transfer });
+    } catch (error) {
+      console.error(`Error on transfer ${step}:`, error);
+      res.status(500).json({ error: 'Erro ao atualizar transferência' });
+    }
+  });
+});
+
+// =====================================
+// FORNECEDORES E COMPRAS (PAINEL)
+// =====================================
+
+const OPEN_PURCHASE_ORDER_STATUSES = ['draft', 'sent', 'partial'];
+
+// ?search&active=true|false
+app.get('/api/admin/suppliers', checkOwnerAuth, requirePermission('catalog:read'), async (req, res) => {
+  try {
+    const [suppliers, catalog, orders] = await Promise.all([db.getSuppliers(), db.getProducts(), db.getPurchaseOrders()]);
+    const term = (req.query.search || '').toLowerCase();
+    const active = req.query.active === undefined || req.query.active === '' ? null : req.query.active === 'true';
+
+    const list = suppliers
+      .filter(s => active === null || (s.is_active !== false) === active)
+      .filter(s => !term || [s.name, s.tax_id, s.email].some(v => v && String(v).toLowerCase().includes(term)))
+      .map(s => ({
+        ...s,
+        product_count: catalog.filter(p => !p.deleted_at && String(p.supplier_id) === String(s.id)).length,
+        open_orders: orders.filter(o => String(o.supplier_id) === String(s.id) && OPEN_PURCHASE_ORDER_STATUSES.includes(o.status)).length
+      }))
+      .sort((a, b) => a.name.localeCompare(b.name));
+
+    res.json({ suppliers: list, count: list.length });
+  } catch (error) {
+    console.error('Error listing suppliers:', error);
+    res.status(500).json({ error: 'Erro ao listar fornecedores' });
+  }
+});
+
+// Fornecedor com os produtos que ele fornece
+app.get('/api/admin/suppliers/:id', checkOwnerAuth, requirePermission('catalog:read'), async (req, res) => {
+  try {
+    const supplier = (await db.getSuppliers()).find(s => String(s.id) === String(req.params.id));
+    if (!supplier) {
+      return res.status(404).json({ error: 'Fornecedor não encontrado' });
+    }
+    const products = (await db.getProducts())
+      .filter(p => !p.deleted_at && String(p.supplier_id) === String(supplier.id))
+      .map(p => ({
+        product_id: String(p.id ?? p.barcode),
+        name: p.name || null,
+        barcode: p.barcode || null,
+        cost: p.cost != null ? Number(p.cost) : null,
+        last_cost_at: p.last_cost_at || null
+      }));
+    res.json({ supplier, products });
+  } catch (error) {
+    console.error('Error getting supplier:', error);
+    res.status(500).json({ error: 'Erro ao buscar fornecedor' });
+  }
+});
+
+// Criar/atualizar fornecedor: { id?, name, tax_id, email, phone, contacts: [{ name, role, email, phone }], lead_time_days, notes, is_active }
+app.post('/api/admin/suppliers', checkOwnerAuth, requirePermission('catalog:write'), async (req, res) => {
+  try {
+    const { supplier, error } = normalizeSupplier(req.body || {});
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    const suppliers = await db.getSuppliers();
+    const existing = req.body.id != null ? suppliers.find(s => String(s.id) === String(req.body.id)) : null;
+    if (req.body.id != null && !existing) {
+      return res.status(404).json({ error: 'Fornecedor não encontrado' });
+    }
+    if (supplier.tax_id && suppliers.some(s => s.tax_id === supplier.tax_id && s !== existing)) {
+      return res.status(409).json({ error: `Já existe um fornecedor com o documento ${supplier.tax_id}` });
+    }
+
+    const now = new Date().toISOString();
+    const saved = {
+      ...existing,
+      ...supplier,
+      id: existing?.id ?? String(Date.now()),
+      created_at: existing?.created_at || now,
+      updated_at: now
+    };
+    await db.saveSupplier(saved);
+    console.log(`✅ Fornecedor ${saved.name} salvo`);
+    res.json({ success: true, supplier: saved });
+  } catch (error) {
+    console.error('Error saving supplier:', error);
+    res.status(500).json({ error: 'Erro ao salvar fornecedor' });
+  }
+});
+
+// Fornecedores com pedidos em aberto não podem ser excluídos (desative em vez disso)
+app.delete('/api/admin/suppliers/:id', checkOwnerAuth, requirePermission('catalog:write'), async (req, res) => {
+  try {
+    const supplier = (await db.getSuppliers()).find(s => String(s.id) === String(req.params.id));
+    if (!supplier) {
+      return res.status(404).json({ error: 'Fornecedor não encontrado' });
+    }
+    const openOrders = (await db.getPurchaseOrders({ supplierId: supplier.id }))
+      .filter(o => OPEN_PURCHASE_ORDER_STATUSES.includes(o.status));
+    if (openOrders.length > 0) {
+      return res.status(409).json({ error: `Fornecedor tem ${openOrders.length} pedido(s) em aberto` });
+    }
+    await db.deleteSupplier(supplier.id);
+    res.json({ success: true, message: 'Fornecedor excluído' });
+  } catch (error) {
+    console.error('Error deleting supplier:', error);
+    res.status(500).json({ error: 'Erro ao excluir fornecedor' });
+  }
+});
+
+// Gerentes só veem e movimentam pedidos da própria loja
+function purchaseOrderInScope(order, scopeStoreId) {
+  return !scopeStoreId || String(order.store_id) === String(scopeStoreId);
+}
+
+// ?store_id&supplier_id&status
+app.get('/api/admin/purchase-orders', checkOwnerAuth, requirePermission('inventory:read'), async (req, res) => {
+  try {
+    const storeId = resolveStoreFilter(req);
+    const status = req.query.status && req.query.status !== 'all' ? req.query.status : null;
+
+    const [orders, storesList] = await Promise.all([
+      db.getPurchaseOrders({ storeId, supplierId: req.query.supplier_id || null, status }),
+      db.getStores()
+    ]);
+    const open = orders.filter(o => OPEN_PURCHASE_ORDER_STATUSES.includes(o.status));
+
+    res.json({
+      orders: orders
+        .map(o => ({ ...o, store_name: storesList.find(st => String(st.id) === String(o.store_id))?.name || `Loja ${o.store_id}` }))
+        .sort((a, b) => new Date(b.created_at) - new Date(a.created_at)),
+      count: orders.length,
+      totals: {
+        open: open.length,
+        open_value: roundMoney(open.reduce((sum, o) => sum + o.total - (o.received_total || 0), 0))
+      },
+      // Lojas que podem receber um pedido novo
+      stores: storesList
+        .filter(st => st.is_active !== false && purchaseOrderInScope({ store_id: st.id }, sessionStoreScope(req.session)))
+        .map(st => ({ id: st.id, name: st.name || `Loja ${st.id}` }))
+    });
+  } catch (error) {
+    console.error('Error listing purchase orders:', error);
+    res.status(500).json({ error: 'Erro ao buscar pedidos de compra' });
+  }
+});
+
+app.get('/api/admin/purchase-orders/:id', checkOwnerAuth, requirePermission('inventory:read'), async (req, res) => {
+  try {
+    const order = await db.getPurchaseOrderById(req.params.id);
+    if (!order || !purchaseOrderInScope(order, sessionStoreScope(req.session))) {
+      return res.status(404).json({ error: 'Pedido não encontrado' });
+    }
+    res.json({ order });
+  } catch (error) {
+    console.error('Error getting purchase order:', error);
+    res.status(500).json({ error: 'Erro ao buscar pedido de compra' });
+  }
+});
+
+// { supplier_id, store_id, lines: [{ product_id | barcode, quantity, unit_cost }], notes }
+app.post('/api/admin/purchase-orders', checkOwnerAuth, requirePermission('inventory:write'), async (req, res) => {
+  try {
+    const input = req.body || {};
+    if (!purchaseOrderInScope(input, sessionStoreScope(req.session))) {
+      return res.status(403).json({ error: 'Sem acesso a esta loja' });
+    }
+    const { order, error } = await createPurchaseOrder({ ...input, source: 'manual' }, { user_id: req.session.user_id || null });
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    await db.savePurchaseOrder(order);
+    console.log(`🛒 Purchase order ${order.number} created for supplier ${order.supplier_name} (store ${order.store_id})`);
+    res.json({ success: true, order });
+  } catch (error) {
+    console.error('Error creating purchase order:', error);
+    res.status(500).json({ error: 'Erro ao criar pedido de compra' });
+  }
+});
+
+// Rascunhos a partir das sugestões de compra dos alertas de estoque, um por loja e fornecedor.
+// { store_id, supplier_id } opcionais. Produtos sem fornecedor ficam de fora (skipped).
+app.post('/api/admin/purchase-orders/from-suggestions', checkOwnerAuth, requirePermission('inventory:write'), async (req, res) => {
+  try {
+    const storeId = resolveStoreFilter(req, req.body?.store_id);
+    const supplierId = req.body?.supplier_id || null;
+
+    const [alerts, suppliers] = await Promise.all([listStockAlerts(storeId), db.getSuppliers()]);
+    const activeSuppliers = new Set(suppliers.filter(s => s.is_active !== false).map(s => String(s.id)));
+    const groups = new Map();
+    const skipped = [];
+    alerts.filter(a => a.suggested_quantity > 0).forEach(a => {
+      if (a.supplier_id == null || !activeSuppliers.has(String(a.supplier_id))) {
+        skipped.push({ store_id: a.store_id, product_id: a.product_id, name: a.name, reason: 'Produto sem fornecedor ativo' });
+        return;
+      }
+      if (supplierId && String(a.supplier_id) !== String(supplierId)) return;
+      const key = `${a.store_id}:${a.supplier_id}`;
+      if (!groups.has(key)) groups.set(key, { store_id: a.store_id, supplier_id: a.supplier_id, lines: [] });
+      groups.get(key).lines.push({ product_id: a.product_id, quantity: a.suggested_quantity });
+    });
+
+    const orders = [];
+    const catalogIndex = buildCatalogIndex();
+    for (const group of groups.values()) {
+      const { order, error } = await createPurchaseOrder({ ...group, source: 'suggestion' }, {
+        user_id: req.session.user_id || null,
+        catalogIndex
+      });
+      if (error) {
+        group.lines.forEach(line => skipped.push({ store_id: group.store_id, product_id: line.product_id, reason: error }));
+        continue;
+      }
+      await db.savePurchaseOrder(order);
+      orders.push(order);
+    }
+    console.log(`🛒 ${orders.length} purchase orders created from reorder suggestions (${skipped.length} products skipped)`);
+    res.json({ success: true, orders, count: orders.length, skipped });
+  } catch (error) {
+    console.error('Error creating purchase orders from suggestions:', error);
+    res.status(500).json({ error: 'Erro ao gerar pedidos de compra' });
+  }
+});
+
+// Rascunho: { lines, notes }
+app.put('/api/admin/purchase-orders/:id', checkOwnerAuth, requirePermission('inventory:write'), async (req, res) => {
+  try {
+    const order = await db.getPurchaseOrderById(req.params.id);
+    if (!order || !purchaseOrderInScope(order, sessionStoreScope(req.session))) {
+      return res.status(404).json({ error: 'Pedido não encontrado' });
+    }
+    const result = await updatePurchaseOrder(order.id, req.body || {});
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    res.json({ success: true, order: result.order });
+  } catch (error) {
+    console.error('Error updating purchase order:', error);
+    res.status(500).json({ error: 'Erro ao atualizar pedido de compra' });
+  }
+});
+
+// send: {}; receive: { lines: [{ product_id | barcode, quantity, unit_cost }], notes }; cancel: { reason }
+const PURCHASE_ORDER_STEPS = {
+  send: sendPurchaseOrder,
+  receive: receivePurchaseOrder,
+  cancel: cancelPurchaseOrder
+};
+
+Object.entries(PURCHASE_ORDER_STEPS).forEach(([step, run]) => {
+  app.post(`/api/admin/purchase-orders/:id/${step}`, checkOwnerAuth, requirePermission('inventory:write'), async (req, res) => {
+    try {
+      const order = await db.getPurchaseOrderById(req.params.id);
+      if (!order || !purchaseOrderInScope(order, sessionStoreScope(req.session))) {
+        return res.status(404).json({ error: 'Pedido não encontrado' });
+      }
+      const result = await run(order.id, {
+        lines: req.body?.lines,
+        notes: req.body?.notes || null,
+        reason: req.body?.reason || null,
+        user_id: req.session.user_id || null
+      });
+      if (result.error) {
+        return res.status(result.status).json({ error: result.error });
+      }
+      res.json({ success: true, order: result.order });
+    } catch (error) {
+      console.error(`Error on purchase order ${step}:`, error);
+      res.status(500).json({ error: 'Erro ao atualizar pedido de compra' });
+    }
+  });
+});
+
+// =====================================
+// INVENTÁRIO (PAINEL)
+// =====================================
+
+// Gerentes só veem e movimentam contagens da própria loja
+function stockCountInSessionScope(count, scopeStoreId) {
+  return !scopeStoreId || String(count.store_id) === String(scopeStoreId);
+}
+
+// ?store_id&status. A lista não traz o detalhe da contagem (counts, submissions, lines).
+app.get('/api/admin/stock-counts', checkOwnerAuth, requirePermission('inventory:read'), async (req, res) => {
+  try {
+    const scopeStoreId = sessionStoreScope(req.session);
+    const storeId = resolveStoreFilter(req);
+    const status = req.query.status && req.query.status !== 'all' ? req.query.status : null;
+
+    const [counts, storesList, categories, catalog] = await Promise.all([
+      db.getStockCounts({ storeId, status }),
+      db.getStores(),
+      db.getCategories(),
+      db.getProducts()
+    ]);
+    const approved = counts.filter(c => c.status === 'approved');
+
+    res.json({
+      counts: counts
+        .map(({ counts: counted, submissions, lines, ...count }) => ({
+          ...count,
+          counted_products: counted.length,
+          submissions: submissions.length,
+          store_name: storesList.find(st => String(st.id) === String(count.store_id))?.name || `Loja ${count.store_id}`
+        }))
+        .sort((a, b) => new Date(b.opened_at) - new Date(a.opened_at)),
+      count: counts.length,
+      totals: {
+        open: counts.filter(c => c.status === 'open').length,
+        review: counts.filter(c => c.status === 'review').length,
+        approved_shrinkage_value: roundMoney(approved.reduce((sum, c) => sum + c.summary.shrinkage_value, 0))
+      },
+      // Lojas e escopos possíveis para uma contagem nova
+      stores: storesList
+        .filter(st => st.is_active !== false && stockCountInSessionScope({ store_id: st.id }, scopeStoreId))
+        .map(st => ({ id: st.id, name: st.name || `Loja ${st.id}` })),
+      categories: categories.filter(c => !c.deleted_at).map(c => ({ id: c.id, name: c.name })),
+      departments: [...new Set(catalog.filter(p => !p.deleted_at && p.department).map(p => p.department))].sort()
+    });
+  } catch (error) {
+    console.error('Error listing stock counts:', error);
+    res.status(500).json({ error: 'Erro ao buscar contagens de estoque' });
+  }
+});
+
+// Contagem aberta vem com a prévia das diferenças contra o saldo atual (preview);
+// nas demais, as diferenças congeladas no fechamento estão em lines e summary
+app.get('/api/admin/stock-counts/:id', checkOwnerAuth, requirePermission('inventory:read'), async (req, res) => {
+  try {
+    const count = await db.getStockCountById(req.params.id);
+    if (!count || !stockCountInSessionScope(count, sessionStoreScope(req.session))) {
+      return res.status(404).json({ error: 'Contagem não encontrada' });
+    }
+    const preview = count.status === 'open'
+      ? stockCountVariances(count, { levels: await db.getStockLevels({ storeId: count.store_id }), categories: await db.getCategories() })
+      : null;
+    res.json({ count, preview });
+  } catch (error) {
+    console.error('Error getting stock count:', error);
+    res.status(500).json({ error: 'Erro ao buscar contagem de estoque' });
+  }
+});
+
+// { store_id, category_ids, departments, zero_uncounted, notes }
+app.post('/api/admin/stock-counts', checkOwnerAuth, requirePermission('inventory:write'), async (req, res) => {
+  try {
+    const input = req.body || {};
+    if (input.store_id != null && !stockCountInSessionScope(input, sessionStoreScope(req.session))) {
+      return res.status(403).json({ error: 'Sem acesso a esta loja' });
+    }
+    const [storesList, categories] = await Promise.all([db.getStores(), db.getCategories()]);
+    if (input.store_id != null && input.store_id !== '' && !storesList.some(st => String(st.id) === String(input.store_id))) {
+      return res.status(400).json({ error: `Loja não encontrada: ${input.store_id}` });
+    }
+    const unknownCategory = (Array.isArray(input.category_ids) ? input.category_ids : [])
+      .find(id => !categories.some(c => String(c.id) === String(id)));
+    if (unknownCategory != null) {
+      return res.status(400).json({ error: `Categoria não encontrada: ${unknownCategory}` });
+    }
+
+    const { count, error, status } = await openStockCount(input, { user_id: req.session.user_id || null });
+    if (error) {
+      return res.status(status || 400).json({ error });
+    }
+    await db.saveStockCount(count);
+    console.log(`📋 Stock count ${count.number} opened at store ${count.store_id}`);
+    res.json({ success: true, count });
+  } catch (error) {
+    console.error('Error opening stock count:', error);
+    res.status(500).json({ error: 'Erro ao abrir contagem de estoque' });
+  }
+});
+
+// close/reopen/cancel: quem conduz a contagem; approve aplica o ajuste no estoque
+// e exige inventory:approve. approve: { notes }; cancel: { reason }
+const STOCK_COUNT_STEPS = {
+  close: { run: closeStockCount, permission: 'inventory:write' },
+  reopen: { run: reopenStockCount, permission: 'inventory:write' },
+  approve: { run: approveStockCount, permission: 'inventory:approve' },
+  cancel: { run: cancelStockCount, permission: 'inventory:write' }
+};
+
+Object.entries(STOCK_COUNT_STEPS).forEach(([step, { run, permission }]) => {
+  app.post(`/api/admin/stock-counts/:id/${step}`, checkOwnerAuth, requirePermission(permission), async (req, res) => {
+    try {
+      const count = await db.getStockCountById(req.params.id);
+      if (!count || !stockCountInSessionScope(count, sessionStoreScope(req.session))) {
+        return res.status(404).json({ error: 'Contagem não encontrada' });
+      }
+      const result = await run(count.id, {
+        notes: req.body?.notes || null,
+        reason: req.body?.reason || null,
+        user_id: req.session.user_id || null
+      });
+      if (result.error) {
+        return res.status(result.status).json({ error: result.error });
+      }
+      res.json({ success: true, count: result.count });
+    } catch (error) {
+      console.error(`Error on stock count ${step}:`, error);
+      res.status(500).json({ error: 'Erro ao atualizar contagem de estoque' });
+    }
+  });
+});
+
+// =====================================
+// EXCLUSÕES (TOMBSTONES)
+// =====================================
+// Produtos, categorias e promoções excluídos não são apagados: recebem deleted_at
+// e um sync_seq novo, para que o pull incremental avise as lojas. Depois do prazo
+// de retenção o tombstone é apagado de vez; terminais com cursor mais antigo que
+// isso recebem o catálogo completo (resync).
+const TOMBSTONE_RETENTION_DAYS = parseInt(process.env.TOMBSTONE_RETENTION_DAYS) || 90;
+const TOMBSTONE_RETENTION_MS = TOMBSTONE_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+
+// key: chave do registro no banco. Produtos sem id são gravados pelo barcode ou
+// sku (storage/keys.js), então excluir, restaurar e apagar usam essa mesma chave.
+const CATALOG_ENTITIES = {
+  products: {
+    key: productKey,
+    cache: productsStore,
+    permission: 'catalog:write',
+    list: () => db.getProducts(),
+    save: (record) => db.saveProduct(record),
+    purge: (id) => db.deleteProduct(id)
+  },
+  categories: {
+    key: r => r.id,
+    cache: categoriesStore,
+    permission: 'catalog:write',
+    list: () => db.getCategories(),
+    save: (record) => db.saveCategory(record),
+    purge: (id) => db.deleteCategory(id)
+  },
+  promotions: {
+    key: r => r.id,
+    cache: promotionsStore,
+    permission: 'promotions:write',
+    list: () => db.getPromotions(),
+    save: (record) => db.savePromotion(record),
+    purge: (id) => db.deletePromotion(id)
+  }
+};
+
+async function findCatalogRecord(entity, id) {
+  const { list, key } = CATALOG_ENTITIES[entity];
+  return (await list()).find(r => String(key(r)) === String(id)) || null;
+}
+
+async function softDeleteCatalogRecord(entity, id) {
+  const { cache, save, key } = CATALOG_ENTITIES[entity];
+  const record = await findCatalogRecord(entity, id);
+  if (!record || record.deleted_at) return null;
+
+  const now = new Date().toISOString();
+  const tombstone = { ...record, deleted_at: now, updated_at: now };
+  await save(tombstone);
+  removeCached(cache, id, r => String(key(r)));
+  return tombstone;
+}
+
+// Apaga de vez os tombstones mais antigos que o prazo de retenção
+async function purgeTombstones() {
+  const cutoff = Date.now() - TOMBSTONE_RETENTION_MS;
+  const purged = {};
+  for (const [entity, { list, purge, key }] of Object.entries(CATALOG_ENTITIES)) {
+    const expired = (await list()).filter(r => r.deleted_at && new Date(r.deleted_at).getTime() < cutoff);
+    for (const record of expired) {
+      await purge(key(record));
+    }
+    purged[entity] = expired.length;
+  }
+  const total = Object.values(purged).reduce((sum, n) => sum + n, 0);
+  if (total > 0) console.log(`🗑️ ${total} tombstones removidos (retenção de ${TOMBSTONE_RETENTION_DAYS} dias)`);
+  return purged;
+}
+
+setInterval(() => {
+  purgeTombstones().catch(error => console.error('❌ Erro ao limpar tombstones:', error.message));
+}, 24 * 60 * 60 * 1000).unref();
+
+// Itens excluídos que ainda podem ser restaurados
+app.get('/api/admin/trash', checkOwnerAuth, requirePermission('catalog:read'), async (req, res) => {
+  try {
+    const trash = {};
+    for (const [entity, { list }] of Object.entries(CATALOG_ENTITIES)) {
+      trash[entity] = (await list())
+        .filter(r => r.deleted_at)
+        .sort((a, b) => new Date(b.deleted_at) - new Date(a.deleted_at));
+    }
+    res.json({ ...trash, retentionDays: TOMBSTONE_RETENTION_DAYS });
+  } catch (error) {
+    console.error('Error listing trash:', error);
+    res.status(500).json({ error: 'Erro ao listar itens excluídos' });
+  }
+});
+
+// Restaurar um produto, categoria ou promoção excluído por engano
+app.post('/api/admin/trash/:entity/:id/restore', checkOwnerAuth, async (req, res) => {
+  try {
+    const { entity, id } = req.params;
+    const config = CATALOG_ENTITIES[entity];
+    if (!config) {
+      return res.status(400).json({ error: 'Tipo inválido (use products, categories ou promotions)' });
+    }
+    if (!hasPermission(req.session, config.permission)) {
+      return res.status(403).json({ error: 'Sem permissão para esta operação' });
+    }
+
+    const record = await findCatalogRecord(entity, id);
+    if (!record || !record.deleted_at) {
+      return res.status(404).json({ error: 'Item excluído não encontrado' });
+    }
+
+    const restored = { ...record, deleted_at: null, updated_at: new Date().toISOString() };
+    await config.save(restored);
+    upsertCached(config.cache, 1, restored, r => String(config.key(r)) === String(id));
+
+    console.log(`♻️ ${entity} ${id} restaurado`);
+    res.json({ success: true, entity, record: restored });
+  } catch (error) {
+    console.error('Error restoring item:', error);
+    res.status(500).json({ error: 'Erro ao restaurar item' });
+  }
+});
+
+// Limpar agora os tombstones vencidos (normalmente roda uma vez por dia)
+app.post('/api/admin/trash/purge', checkOwnerAuth, requirePermission('system:manage'), async (req, res) => {
+  try {
+    const purged = await purgeTombstones();
+    res.json({ success: true, purged, retentionDays: TOMBSTONE_RETENTION_DAYS });
+  } catch (error) {
+    console.error('Error purging tombstones:', error);
+    res.status(500).json({ error: 'Erro ao limpar itens excluídos' });
+  }
+});
+
+// =====================================
+// APIs DE ADMINISTRAÇÃO - Produtos, Categorias, Promoções
+// =====================================
+
+// Listar todos os produtos (com paginação do servidor)
+app.get('/api/admin/products', checkOwnerAuth, requirePermission('catalog:read'), async (req, res) => {
+  try {
+    const { page = 1, limit = 0, search = '' } = req.query;
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+    
+    let allProducts = [];
+    
+    // ✅ BUSCAR DO SUPABASE PRIMEIRO (se configurado)
+    if (useSupabase && supabase) {
+      console.log('📦 Buscando produtos do Supabase...');
+      try {
+        let query = supabase.from('products').select('*', { count: 'exact' }).is('deleted_at', null);
+        
+        // Aplicar busca se fornecida
+        if (search) {
+          query = query.or(`name.ilike.%${search}%,barcode.ilike.%${search}%,sku.ilike.%${search}%`);
+        }
+        
+        // Paginação
+        if (limitNum > 0) {
+          const start = (pageNum - 1) * limitNum;
+          query = query.range(start, start + limitNum - 1);
+        }
+        
+        const { data, error, count } = await query;
+        
+        if (!error && data) {
+          console.log(`✅ ${data.length} produtos carregados do Supabase (total: ${count})`);
+          return res.json({ 
+            products: data, 
+            total: count || data.length,
+            page: pageNum,
+            limit: limitNum,
+            totalPages: limitNum > 0 ? Math.ceil((count || data.length) / limitNum) : 1,
+            source: 'supabase'
+          });
+        } else if (error) {
+          console.error('Supabase query error:', error.message);
+        }
+      } catch (e) {
+        console.error('Supabase error:', e.message);
+      }
+    }
+    
+    // FALLBACK: Usar dados em memória
+    console.log('📦 Usando dados em memória (fallback)...');
+    const productsMap = new Map();
+    
+    productsStore.forEach((products, storeId) => {
+      products.forEach(p => {
+        const key = p.id || p.barcode || p.sku;
+        if (key && !productsMap.has(key)) {
+          productsMap.set(key, { ...p, source_store_id: storeId });
+        }
+      });
+    });
+    
+    allProducts = Array.from(productsMap.values());
+    
+    // Aplicar busca no servidor se fornecida
+    if (search) {
+      const searchLower = search.toLowerCase();
+      allProducts = allProducts.filter(p => 
+        (p.name && p.name.toLowerCase().includes(searchLower)) ||
+        (p.barcode && p.barcode.toLowerCase().includes(searchLower)) ||
+        (p.sku && p.sku.toLowerCase().includes(searchLower))
+      );
+    }
+    
+    const total = allProducts.length;
+    
+    // Paginação do servidor (se limit > 0)
+    if (limitNum > 0) {
+      const start = (pageNum - 1) * limitNum;
+      allProducts = allProducts.slice(start, start + limitNum);
+    }
+    
+    console.log('📦 Produtos carregados da memória:', allProducts.length, 'de', total, 'total');
+    
+    res.json({ 
+      products: allProducts, 
+      total: total,
+      page: pageNum,
+      limit: limitNum,
+      totalPages: limitNum > 0 ? Math.ceil(total / limitNum) : 1,
+      source: 'memory'
+    });
+  } catch (error) {
+    console.error('Error listing products:', error);
+    res.status(500).json({ error: 'Erro ao listar produtos' });
+  }
+});
+
+// Buscar produto por ID ou barcode
+app.get('/api/admin/products/:id', checkOwnerAuth, requirePermission('catalog:read'), (req, res) => {
+  try {
+    const { id } = req.params;
+    let found = null;
+    productsStore.forEach((products) => {
+      const product = products.find(p => p.id == id || p.barcode === id);
+      if (product) found = product;
+    });
+    if (found) {
+      res.json(found);
+    } else {
+      res.status(404).json({ error: 'Produto não encontrado' });
+    }
+  } catch (error) {
+    res.status(500).json({ error: 'Erro ao buscar produto' });
+  }
+});
+
+// Criar/Atualizar produto (será sincronizado para todas as lojas)
+// stock_by_store opcional: { [storeId]: saldo } ajusta o estoque de cada loja (inventory:write)
+// stock_limits_by_store opcional: { [storeId]: { min_stock, reorder_point } } (inventory:write)
+// supplier_id opcional: fornecedor principal do produto
+app.post('/api/admin/products', checkOwnerAuth, requirePermission('catalog:write'), async (req, res) => {
+  try {
+    const { stock_by_store: stockByStore, stock_limits_by_store: limitsByStore, ...product } = req.body;
+    const scopeStoreId = sessionStoreScope(req.session);
+    if ((stockByStore || limitsByStore) && !hasPermission(req.session, 'inventory:write')) {
+      return res.status(403).json({ error: 'Sem permissão para ajustar estoque' });
+    }
+    if (stockByStore) {
+      const invalid = Object.entries(stockByStore).find(([storeId, quantity]) =>
+        isNaN(Number(quantity)) || (scopeStoreId && String(storeId) !== String(scopeStoreId)));
+      if (invalid) {
+        return res.status(400).json({ error: `Estoque inválido para a loja ${invalid[0]}` });
+      }
+    }
+    if (product.supplier_id != null && product.supplier_id !== '') {
+      const supplier = (await db.getSuppliers()).find(s => String(s.id) === String(product.supplier_id));
+      if (!supplier) {
+        return res.status(400).json({ error: 'Fornecedor não encontrado' });
+      }
+    }
+    const stockLimits = {};
+    for (const [storeId, input] of Object.entries(limitsByStore || {})) {
+      const { limits, error } = normalizeStockLimits(input);
+      if (error || (scopeStoreId && String(storeId) !== String(scopeStoreId))) {
+        return res.status(400).json({ error: `Limites de estoque inválidos para a loja ${storeId}${error ? ': ' + error : ''}` });
+      }
+      stockLimits[storeId] = limits;
+    }
+    product.updated_at = new Date().toISOString();
+    
+    if (!product.id) {
+      product.id = Date.now();
+      product.created_at = new Date().toISOString();
+    }
+
+    // Salvar no banco de dados (Supabase ou memória)
+    await db.saveProduct(product);
+    
+    // Também atualizar cache em memória
+    if (!productsStore.has(1)) {
+      productsStore.set(1, []);
+    }
+    const products = productsStore.get(1);
+    const existingIndex = products.findIndex(p => p.id === product.id || (p.barcode && p.barcode === product.barcode));
+    if (existingIndex >= 0) {
+      products[existingIndex] = { ...products[existingIndex], ...product };
+    } else {
+      products.push(product);
+    }
+    
+    const productId = product.id ?? product.barcode;
+    if (stockByStore) {
+      for (const [storeId, quantity] of Object.entries(stockByStore)) {
+        await setStock(storeId, { [productId]: quantity }, { reason: 'adjustment', user_id: req.session.user_id || null });
+      }
+    }
+    for (const [storeId, limits] of Object.entries(stockLimits)) {
+      await setStockLimits(storeId, { [productId]: limits });
+    }
+    
+    console.log(`✅ Produto ${product.name} salvo com sucesso`);
+    res.json({ success: true, product });
+  } catch (error) {
+    console.error('Error saving product:', error);
+    res.status(500).json({ error: 'Erro ao salvar produto' });
+  }
+});
+
+// Deletar produto
+app.delete('/api/admin/products/:id', checkOwnerAuth, requirePermission('catalog:write'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    // Exclusão lógica: o tombstone vai para as lojas no próximo pull
+    const deleted = await softDeleteCatalogRecord('products', id);
+    if (!deleted) {
+      return res.status(404).json({ error: 'Produto não encontrado' });
+    }
+    
+    res.json({ success: true, message: 'Produto deletado' });
+  } catch (error) {
+    console.error('Error deleting product:', error);
+    res.status(500).json({ error: 'Erro ao deletar produto' });
+  }
+});
+
+// Listar todas as categorias
+app.get('/api/admin/categories', checkOwnerAuth, requirePermission('catalog:read'), (req, res) => {
+  try {
+    const allCategories = [];
+    categoriesStore.forEach((categories) => {
+      categories.forEach(c => {
+        if (!allCategories.find(ac => ac.id === c.id)) {
+          allCategories.push(c);
+        }
+      });
+    });
+    res.json({ categories: allCategories, total: allCategories.length });
+  } catch (error) {
+    res.status(500).json({ error: 'Erro ao listar categorias' });
+  }
+});
+
+// Criar/Atualizar categoria
+app.post('/api/admin/categories', checkOwnerAuth, requirePermission('catalog:write'), async (req, res) => {
+  try {
+    const category = req.body;
+    category.updated_at = new Date().toISOString();
+    
+    if (!category.id) {
+      category.id = Date.now();
+      category.created_at = new Date().toISOString();
+    }
+
+    // Salvar no banco de dados
+    await db.saveCategory(category);
+
+    // Atualizar cache em memória
+    if (!categoriesStore.has(1)) {
+      categoriesStore.set(1, []);
+    }
+    const categories = categoriesStore.get(1);
+    const existingIndex = categories.findIndex(c => c.id === category.id);
+    if (existingIndex >= 0) {
+      categories[existingIndex] = { ...categories[existingIndex], ...category };
+    } else {
+      categories.push(category);
+    }
+    
+    res.json({ success: true, category });
+  } catch (error) {
+    console.error('Error saving category:', error);
+    res.status(500).json({ error: 'Erro ao salvar categoria' });
+  }
+});
+
+// Deletar categoria
+app.delete('/api/admin/categories/:id', checkOwnerAuth, requirePermission('catalog:write'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    // Exclusão lógica: o tombstone vai para as lojas no próximo pull
+    const deleted = await softDeleteCatalogRecord('categories', id);
+    if (!deleted) {
+      return res.status(404).json({ error: 'Categoria não encontrada' });
+    }
+    
+    res.json({ success: true, message: 'Categoria deletada' });
+  } catch (error) {
+    console.error('Error deleting category:', error);
+    res.status(500).json({ error: 'Erro ao deletar categoria' });
+  }
+});
+
+// Listar todas as promoções
+app.get('/api/admin/promotions', checkOwnerAuth, requirePermission('promotions:read'), async (req, res) => {
+  try {
+    // Buscar do Supabase primeiro
+    if (useSupabase && supabase) {
+      const { data, error } = await supabase
+        .from('promotions')
+        .select('*')
+        .is('deleted_at', null)
+        .order('created_at', { ascending: false });
+      
+      if (!error && data) {
+        console.log(`📦 ${data.length} promoções carregadas do Supabase`);
+        return res.json({ promotions: data, total: data.length, source: 'supabase' });
+      }
+    }
+    
+    // Fallback para memória
+    const promotions = Array.from(promotionsStore.values()).flat();
+    res.json({ promotions, total: promotions.length, source: 'memory' });
+  } catch (error) {
+    console.error('Error listing promotions:', error);
+    res.status(500).json({ error: 'Erro ao listar promoções' });
+  }
+});
+
+// Criar/Atualizar promoção
+app.post('/api/admin/promotions', checkOwnerAuth, requirePermission('promotions:write'), async (req, res) => {
+  try {
+    const promotion = req.body;
+    promotion.updated_at = new Date().toISOString();
+    
+    if (!promotion.id) {
+      promotion.id = Date.now();
+      promotion.created_at = new Date().toISOString();
+    }
+
+    // Salvar no banco de dados
+    await db.savePromotion(promotion);
+
+    // Atualizar cache em memória
+    if (!promotionsStore.has(1)) {
+      promotionsStore.set(1, []);
+    }
+    const promotions = promotionsStore.get(1);
+    const existingIndex = promotions.findIndex(p => p.id === promotion.id);
+    if (existingIndex >= 0) {
+      promotions[existingIndex] = { ...promotions[existingIndex], ...promotion };
+    } else {
+      promotions.push(promotion);
+    }
+    
+    console.log(`✅ Promoção salva: ${promotion.name || promotion.product_name}`);
+    res.json({ success: true, promotion });
+  } catch (error) {
+    console.error('Error saving promotion:', error);
+    res.status(500).json({ error: 'Erro ao salvar promoção' });
+  }
+});
+
+// Deletar promoção
+app.delete('/api/admin/promotions/:id', checkOwnerAuth, requirePermission('promotions:write'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    // Exclusão lógica: o tombstone vai para as lojas no próximo pull
+    const deleted = await softDeleteCatalogRecord('promotions', id);
+    if (!deleted) {
+      return res.status(404).json({ error: 'Promoção não encontrada' });
+    }
+    
+    res.json({ success: true, message: 'Promoção deletada' });
+  } catch (error) {
+    console.error('Error deleting promotion:', error);
+    res.status(500).json({ error: 'Erro ao deletar promoção' });
+  }
+});
+
+// =====================
+// USUÁRIOS (USERS) API
+// =====================
+
+// Listar todos os usuários
+app.get('/api/admin/users', checkOwnerAuth, requirePermission('users:read'), async (req, res) => {
+  try {
+    const scopeStoreId = sessionStoreScope(req.session);
+
+    // Buscar do Supabase primeiro
+    if (useSupabase && supabase) {
+      let query = supabase
+        .from('users')
+        .select('*')
+        .order('full_name');
+      if (scopeStoreId) query = query.eq('store_id', scopeStoreId);
+      const { data, error } = await query;
+      
+      if (!error && data) {
+        console.log(`👥 ${data.length} usuários carregados do Supabase`);
+        return res.json({ users: data.map(publicUser), total: data.length, source: 'supabase' });
+      }
+    }
+    
+    // Fallback para memória
+    const users = Array.from(usersStore.values()).flat()
+      .filter(u => !scopeStoreId || u.store_id == scopeStoreId)
+      .map(publicUser);
+    res.json({ users, total: users.length, source: 'memory' });
+  } catch (error) {
+    console.error('Error listing users:', error);
+    res.status(500).json({ error: 'Erro ao listar usuários' });
+  }
+});
+
+// Criar/Atualizar usuário
+app.post('/api/admin/users', checkOwnerAuth, requirePermission('users:write'), async (req, res) => {
+  try {
+    // Edição parcial: só os campos enviados mudam; o resto vem do usuário salvo
+    const { password: newPassword, password_hash, ...changes } = req.body || {};
+    ['store_id', 'email', 'phone'].forEach(field => {
+      if (field in changes) changes[field] = changes[field] || null;
+    });
+    if ('is_active' in changes) changes.is_active = changes.is_active !== false;
+
+    // Quem não é dono/admin só gerencia usuários da própria loja, de funções abaixo
+    // da sua, e só concede permissões que ele mesmo tem
+    const scopeStoreId = sessionStoreScope(req.session);
+    const existingUser = changes.id != null ? await db.getUserById(changes.id) : null;
+    const role = changes.role || existingUser?.role || 'cashier';
+    if (!isGlobalRole(req.session.role)) {
+      if (existingUser && existingUser.store_id != scopeStoreId) {
+        return res.status(403).json({ error: 'Sem acesso a este usuário' });
+      }
+      const ownRank = roleRank(req.session.role);
+      if (roleRank(role) >= ownRank || (existingUser && roleRank(existingUser.role) >= ownRank)) {
+        return res.status(403).json({ error: 'Sem permissão para criar ou editar usuários com esta função' });
+      }
+      if (changes.permissions != null &&
+          (!Array.isArray(changes.permissions) || changes.permissions.some(p => !hasPermission(req.session, p)))) {
+        return res.status(403).json({ error: 'Sem permissão para conceder estas permissões' });
+      }
+      changes.store_id = scopeStoreId;
+    }
+
+    // A senha nunca é armazenada em texto puro
+    if (newPassword) {
+      if (String(newPassword).length < 6) {
+        return res.status(400).json({ error: 'A senha deve ter pelo menos 6 caracteres' });
+      }
+      changes.password_hash = hashPassword(newPassword);
+    }
+
+    const now = new Date().toISOString();
+    const savedUser = {
+      ...(existingUser || { id: changes.id ?? Date.now(), store_id: null, email: null, phone: null, is_active: true, created_at: now }),
+      ...changes,
+      role,
+      updated_at: now
+    };
+    if (savedUser.role === 'manager' && savedUser.store_id == null) {
+      return res.status(400).json({ error: 'Gerente precisa estar vinculado a uma loja' });
+    }
+    await db.saveUser(savedUser);
+    // Streams abertos reconectam e passam de novo pela autenticação com os dados novos
+    if (existingUser) closeUserEventStreams(savedUser.id);
+
+    // Atualizar cache em memória
+    if (!usersStore.has(1)) {
+      usersStore.set(1, []);
+    }
+    const users = usersStore.get(1);
+    const existingIndex = users.findIndex(u => u.id == savedUser.id);
+    if (existingIndex >= 0) {
+      users[existingIndex] = savedUser;
+    } else {
+      users.push(savedUser);
+    }
+    
+    console.log(`✅ Usuário salvo: ${savedUser.full_name || savedUser.username}`);
+    res.json({ success: true, user: publicUser(savedUser) });
+  } catch (error) {
+    console.error('Error saving user:', error);
+    res.status(500).json({ error: 'Erro ao salvar usuário' });
+  }
+});
+
+// Deletar usuário
+app.delete('/api/admin/users/:id', checkOwnerAuth, requirePermission('users:write'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const scopeStoreId = sessionStoreScope(req.session);
+    if (scopeStoreId) {
+      const existingUser = await db.getUserById(id);
+      if (!existingUser || existingUser.store_id != scopeStoreId) {
+        return res.status(403).json({ error: 'Sem acesso a este usuário' });
+      }
+    }
+    
+    // Deletar do banco de dados
+    await db.deleteUser(id);
+    closeUserEventStreams(id);
+    
+    // Deletar do cache em memória
+    usersStore.forEach((users) => {
+      const index = users.findIndex(u => u.id == id);
+      if (index >= 0) {
+        users.splice(index, 1);
+      }
+    });
+    
+    res.json({ success: true, message: 'Usuário deletado' });
+  } catch (error) {
+    console.error('Error deleting user:', error);
+    res.status(500).json({ error: 'Erro ao deletar usuário' });
+  }
+});
+
+// Estatísticas gerais do sistema
+app.get('/api/admin/stats', checkOwnerAuth, requirePermission('reports:read'), async (req, res) => {
+  try {
+    const scopeStoreId = sessionStoreScope(req.session);
+    const [products, categories, promotions, storesList, sales] = await Promise.all([
+      db.getProducts(),
+      db.getCategories(),
+      db.getPromotions(),
+      db.getStores(),
+      db.getSales(scopeStoreId)
+    ]);
+
+    // Vendas canceladas não contam; devoluções entram pelo valor líquido
+    const reportable = sales.filter(isReportableSale);
+
+    res.json({
+      totalProducts: products.filter(p => !p.deleted_at).length,
+      totalCategories: categories.filter(c => !c.deleted_at).length,
+      totalPromotions: promotions.filter(p => !p.deleted_at).length,
+      totalStores: scopeStoreId ? 1 : storesList.length,
+      totalSales: reportable.length,
+      totalRevenue: roundMoney(reportable.reduce((sum, s) => sum + saleNetTotal(s), 0))
+    });
+  } catch (error) {
+    console.error('Error getting stats:', error);
+    res.status(500).json({ error: 'Erro ao obter estatísticas' });
+  }
+});
+
+// Página principal do painel do proprietário (HTML embutido)
+app.get('/owner', (req, res) => {
+  res.send(getOwnerDashboardHTML());
+});
+
+// Função que retorna o HTML do painel do proprietário
+function getOwnerDashboardHTML() {
+  return `<!DOCTYPE html>
+<html lang="pt-BR">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>🏪 Gol Supermarket - Painel Administrativo</title>
+  <script src="https://cdn.tailwindcss.com"></script>
+  <script src="https://cdn.jsdelivr.net/npm/chart.js"></script>
+  <style>
+    @import url('https://fonts.googleapis.com/css2?family=Inter:wght@300;400;500;600;700;800&display=swap');
+    body { font-family: 'Inter', sans-serif; }
+    .gradient-bg { background: linear-gradient(135deg, #1e3a5f 0%, #0f2744 100%); }
+    .card-shadow { box-shadow: 0 4px 6px -1px rgba(0, 0, 0, 0.1), 0 2px 4px -1px rgba(0, 0, 0, 0.06); }
+    .glow { box-shadow: 0 0 20px rgba(59, 130, 246, 0.3); }
+    .store-card:hover { transform: translateY(-2px); transition: all 0.2s; }
+    .pulse { animation: pulse 2s infinite; }
+    @keyframes pulse {
+      0%, 100% { opacity: 1; }
+      50% { opacity: 0.5; }
+    }
+    .tab-btn { transition: all 0.2s; }
+    .tab-btn.active { background: white; color: #1e3a5f; }
+    .tab-content { display: none; }
+    .tab-content.active { display: block; }
+    .table-row:hover { background: #f8fafc; }
+    .modal-overlay { background: rgba(0,0,0,0.5); backdrop-filter: blur(4px); }
+  </style>
+</head>
+<body class="bg-gray-100 min-h-screen">
+  <!-- Login Screen -->
+  <div id="loginScreen" class="min-h-screen gradient-bg flex items-center justify-center">
+    <div class="bg-white rounded-2xl shadow-2xl p-8 w-full max-w-md mx-4">
+      <div class="text-center mb-8">
+        <div class="text-6xl mb-4">🏪</div>
+        <h1 class="text-2xl font-bold text-gray-800">Gol Supermarket</h1>
+        <p class="text-gray-500">Painel do Proprietário</p>
+      </div>
+      <form id="loginForm" class="space-y-4">
+        <div>
+          <label class="block text-sm font-medium text-gray-700 mb-2">Usuário</label>
+          <input type="text" id="usernameInput" placeholder="Deixe em branco para o proprietário" autocomplete="username"
+            class="w-full px-4 py-3 border border-gray-300 rounded-xl focus:ring-2 focus:ring-blue-500 focus:border-transparent text-lg">
+        </div>
+        <div>
+          <label class="block text-sm font-medium text-gray-700 mb-2">Senha de Acesso</label>
+          <input type="password" id="passwordInput" placeholder="Digite a senha" 
+            class="w-full px-4 py-3 border border-gray-300 rounded-xl focus:ring-2 focus:ring-blue-500 focus:border-transparent text-lg">
+        </div>
+        <button type="submit" 
+          class="w-full bg-blue-600 text-white py-3 rounded-xl font-semibold hover:bg-blue-700 transition-colors text-lg">
+          Entrar
+        </button>
+        <p id="loginError" class="text-red-500 text-center hidden">Senha incorreta</p>
+      </form>
+    </div>
+  </div>
+
+    <!-- Dashboard Screen -->
+  <div id="dashboardScreen" class="hidden">
+    <!-- Header -->
+    <header class="gradient-bg text-white shadow-lg">
+      <div class="max-w-7xl mx-auto px-4 py-3">
+        <div class="flex items-center justify-between">
+          <div class="flex items-center gap-4">
+            <span class="text-3xl">🏪</span>
+            <div>
+              <h1 class="text-xl font-bold">GOL SUPERMARKET</h1>
+              <p class="text-blue-200 text-xs">Painel do Proprietário</p>
+            </div>
+          </div>
+          
+          <!-- Seletor de Loja -->
+          <div class="flex items-center gap-3">
+            <div class="bg-white/10 rounded-xl px-3 py-2 flex items-center gap-2">
+              <span class="text-sm">🏪</span>
+              <select id="storeSelector" onchange="changeSelectedStore()" 
+                class="bg-transparent text-white border-0 focus:ring-0 text-sm font-medium cursor-pointer min-w-[180px]">
+                <option value="all" class="text-gray-800">📊 Todas as Lojas</option>
+              </select>
+            </div>
+            <div class="flex items-center gap-2 bg-green-500/30 px-2 py-1 rounded-full">
+              <span class="w-2 h-2 bg-green-400 rounded-full animate-pulse"></span>
+              <span class="text-xs font-medium text-green-200">TEMPO REAL</span>
+            </div>
+            <span id="lastUpdate" class="text-xs text-blue-200">--</span>
+            <button onclick="refreshCurrentTab()" class="p-2 bg-white/20 rounded-lg hover:bg-white/30 transition-colors" title="Atualizar">🔄</button>
+            <button onclick="logout()" class="p-2 bg-red-500/80 rounded-lg hover:bg-red-600 transition-colors" title="Sair">🚪</button>
+          </div>
+        </div>
+        <!-- Navigation Tabs -->
+        <div class="flex gap-2 mt-3 flex-wrap">
+          <button onclick="switchTab('dashboard')" data-permission="reports:read" class="tab-btn active px-4 py-2 rounded-lg text-sm font-medium bg-white/20">📊 Dashboard</button>
+          <button onclick="switchTab('sales')" data-permission="reports:read" class="tab-btn px-4 py-2 rounded-lg text-sm font-medium bg-white/20">💵 Vendas</button>
+          <button onclick="switchTab('ranking')" data-permission="reports:read" class="tab-btn px-4 py-2 rounded-lg text-sm font-medium bg-white/20">🏆 Ranking</button>
+          <button onclick="switchTab('closings')" data-permission="reports:read" class="tab-btn px-4 py-2 rounded-lg text-sm font-medium bg-white/20">🧾 Fechamentos</button>
+          <button onclick="switchTab('stock')" data-permission="inventory:read" class="tab-btn px-4 py-2 rounded-lg text-sm font-medium bg-white/20">📋 Estoque <span id="stockAlertBadge" class="hidden ml-1 px-2 py-0.5 rounded-full text-xs font-bold text-white bg-red-500" title="Produtos no ponto de pedido ou abaixo do mínimo">0</span></button>
+          <button onclick="switchTab('transfers')" data-permission="inventory:read" class="tab-btn px-4 py-2 rounded-lg text-sm font-medium bg-white/20">🚚 Transferências</button>
+          <button onclick="switchTab('purchases')" data-permission="inventory:read" class="tab-btn px-4 py-2 rounded-lg text-sm font-medium bg-white/20">🛒 Compras</button>
+          <button onclick="switchTab('counts')" data-permission="inventory:read" class="tab-btn px-4 py-2 rounded-lg text-sm font-medium bg-white/20">📋 Inventário</button>
+          <button onclick="switchTab('employees')" data-permission="users:read" class="tab-btn px-4 py-2 rounded-lg text-sm font-medium bg-white/20">👔 Funcionários</button>
+          <button onclick="switchTab('products')" data-permission="catalog:read" class="tab-btn px-4 py-2 rounded-lg text-sm font-medium bg-white/20">📦 Produtos</button>
+          <button onclick="switchTab('categories')" data-permission="catalog:read" class="tab-btn px-4 py-2 rounded-lg text-sm font-medium bg-white/20">📁 Categorias</button>
+          <button onclick="switchTab('promotions')" data-permission="promotions:read" class="tab-btn px-4 py-2 rounded-lg text-sm font-medium bg-white/20">🏷️ Promoções</button>
+          <button onclick="switchTab('users')" data-permission="users:write" class="tab-btn px-4 py-2 rounded-lg text-sm font-medium bg-white/20">👥 Usuários</button>
+          <button onclick="switchTab('cloud')" data-permission="system:manage" class="tab-btn px-4 py-2 rounded-lg text-sm font-medium bg-white/20">☁️ Nuvem</button>
+        </div>
+      </div>
+    </header>
+
+    <main class="max-w-7xl mx-auto px-4 py-6">
+      <!-- DASHBOARD TAB -->
+      <div id="tab-dashboard" class="tab-content active">
+      <!-- Period Filter -->
+      <div class="bg-white rounded-xl p-4 mb-6 card-shadow flex flex-wrap items-center gap-4">
+        <span class="font-medium text-gray-700">📅 Período:</span>
+        <button onclick="setPeriod('today')" class="period-btn px-4 py-2 rounded-lg bg-gray-100 hover:bg-blue-100 transition-colors" data-period="today">Hoje</button>
+        <button onclick="setPeriod('week')" class="period-btn px-4 py-2 rounded-lg bg-blue-600 text-white" data-period="week">7 Dias</button>
+        <button onclick="setPeriod('month')" class="period-btn px-4 py-2 rounded-lg bg-gray-100 hover:bg-blue-100 transition-colors" data-period="month">30 Dias</button>
+        <select id="compareMode" onchange="loadData()" class="px-3 py-2 border rounded-lg text-sm" title="Comparar com">
+          <option value="">Sem comparação</option>
+          <option value="previous">↔️ vs período anterior</option>
+          <option value="year">📅 vs ano anterior</option>
+        </select>
+        <div class="flex items-center gap-2 ml-auto">
+          <input type="date" id="startDate" class="px-3 py-2 border rounded-lg">
+          <span>até</span>
+          <input type="date" id="endDate" class="px-3 py-2 border rounded-lg">
+          <button onclick="applyCustomPeriod()" class="px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700">Filtrar</button>
+        </div>
+      </div>
+
+      <!-- KPI Cards -->
+      <div class="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4 mb-6">
+        <div class="bg-gradient-to-br from-green-500 to-green-600 text-white rounded-xl p-6 card-shadow">
+          <div class="flex items-center justify-between">
+            <div>
+              <p class="text-green-100 text-sm font-medium">💰 Receita Total</p>
+              <p id="totalRevenue" class="text-3xl font-bold mt-2">$0.00</p>
+              <p id="totalRevenueChange" class="text-sm font-medium mt-1 opacity-90 hidden"></p>
+            </div>
+            <div class="text-5xl opacity-30">$</div>
+          </div>
+        </div>
+
+        <div class="bg-gradient-to-br from-blue-500 to-blue-600 text-white rounded-xl p-6 card-shadow">
+          <div class="flex items-center justify-between">
+            <div>
+              <p class="text-blue-100 text-sm font-medium">📊 Total Vendas</p>
+              <p id="totalTransactions" class="text-3xl font-bold mt-2">0</p>
+              <p id="totalTransactionsChange" class="text-sm font-medium mt-1 opacity-90 hidden"></p>
+            </div>
+            <div class="text-5xl opacity-30">📋</div>
+          </div>
+        </div>
+
+        <div class="bg-gradient-to-br from-purple-500 to-purple-600 text-white rounded-xl p-6 card-shadow">
+          <div class="flex items-center justify-between">
+            <div>
+              <p class="text-purple-100 text-sm font-medium">🎫 Ticket Médio</p>
+              <p id="avgTicket" class="text-3xl font-bold mt-2">$0.00</p>
+              <p id="avgTicketChange" class="text-sm font-medium mt-1 opacity-90 hidden"></p>
+            </div>
+            <div class="text-5xl opacity-30">🧾</div>
+          </div>
+        </div>
+
+        <div class="bg-gradient-to-br from-orange-500 to-orange-600 text-white rounded-xl p-6 card-shadow">
+          <div class="flex items-center justify-between">
+            <div>
+              <p class="text-orange-100 text-sm font-medium">🏪 Lojas Ativas</p>
+              <p id="activeStores" class="text-3xl font-bold mt-2">0</p>
+            </div>
+            <div class="text-5xl opacity-30">🏬</div>
+          </div>
+        </div>
+      </div>
+
+      <!-- Charts Row -->
+      <div class="grid grid-cols-1 lg:grid-cols-2 gap-6 mb-6">
+        <!-- Revenue Chart -->
+        <div class="bg-white rounded-xl p-6 card-shadow">
+          <h3 class="text-lg font-bold text-gray-800 mb-4">📈 Receita por Dia</h3>
+          <canvas id="revenueChart" height="200"></canvas>
+        </div>
+
+        <!-- Hourly Heatmap -->
+        <div class="bg-white rounded-xl p-6 card-shadow">
+          <div class="flex items-center justify-between mb-4">
+            <h3 class="text-lg font-bold text-gray-800">🕐 Movimento por Hora</h3>
+            <select id="heatmapMetric" onchange="renderHeatmap()" class="px-3 py-1 border rounded-lg text-sm">
+              <option value="transactions">Vendas</option>
+              <option value="revenue">Receita</option>
+            </select>
+          </div>
+          <div id="salesHeatmap" class="overflow-x-auto text-xs text-gray-400">Carregando...</div>
+          <p id="heatmapPeak" class="text-xs text-gray-500 mt-3"></p>
+        </div>
+
+        <!-- Store Comparison -->
+        <div class="bg-white rounded-xl p-6 card-shadow lg:col-span-2">
+          <h3 class="text-lg font-bold text-gray-800 mb-4">🏆 Comparativo de Lojas</h3>
+          <canvas id="storeComparisonChart" height="200"></canvas>
+        </div>
+      </div>
+
+      <!-- Payment Methods -->
+      <div class="grid grid-cols-1 lg:grid-cols-3 gap-6 mb-6">
+        <div class="bg-white rounded-xl p-6 card-shadow lg:col-span-2">
+          <h3 class="text-lg font-bold text-gray-800 mb-4">💳 Receita por Forma de Pagamento</h3>
+          <canvas id="paymentMethodsChart" height="120"></canvas>
+        </div>
+        <div class="bg-white rounded-xl p-6 card-shadow">
+          <h3 class="text-lg font-bold text-gray-800 mb-4">🧾 Totais por Pagamento</h3>
+          <div id="paymentMethodsTotals" class="space-y-3 text-sm text-gray-500">Sem vendas no período</div>
+        </div>
+      </div>
+
+      <!-- Stores Grid -->
+      <div class="bg-white rounded-xl p-6 card-shadow">
+        <h3 class="text-xl font-bold text-gray-800 mb-4">🏪 Desempenho por Loja</h3>
+        <div id="storesGrid" class="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
+          <!-- Store cards will be inserted here -->
+        </div>
+      </div>
+
+      </div><!-- End Dashboard Tab -->
+
+      <!-- SALES TAB -->
+      <div id="tab-sales" class="tab-content">
+        <!-- Header com Título e Ações -->
+        <div class="bg-gradient-to-r from-green-600 to-green-700 rounded-xl p-6 mb-6 text-white">
+          <div class="flex items-center justify-between">
+            <div>
+              <h2 class="text-2xl font-bold flex items-center gap-2">💵 Central de Vendas</h2>
+              <p id="salesStoreInfo" class="text-green-100 mt-1">Todas as lojas</p>
+            </div>
+            <div class="flex items-center gap-3">
+              <button onclick="exportSales('csv')" class="px-4 py-2 bg-white/20 rounded-lg hover:bg-white/30 text-sm font-medium flex items-center gap-2">
+                📥 CSV
+              </button>
+              <button onclick="printSalesReport()" class="px-4 py-2 bg-white/20 rounded-lg hover:bg-white/30 text-sm font-medium flex items-center gap-2">
+                🖨️ Imprimir
+              </button>
+            </div>
+          </div>
+        </div>
+
+        <!-- Cards de Resumo Grande -->
+        <div class="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-5 gap-4 mb-6">
+          <div class="bg-gradient-to-br from-green-500 to-green-600 rounded-xl p-5 text-white shadow-lg">
+            <div class="flex items-center justify-between">
+              <div>
+                <p class="text-green-100 text-sm">Receita Total</p>
+                <p id="salesTotalRevenue" class="text-3xl font-bold mt-1">$0.00</p>
+              </div>
+              <div class="text-4xl opacity-50">💰</div>
+            </div>
+          </div>
+          <div class="bg-gradient-to-br from-blue-500 to-blue-600 rounded-xl p-5 text-white shadow-lg">
+            <div class="flex items-center justify-between">
+              <div>
+                <p class="text-blue-100 text-sm">Total Vendas</p>
+                <p id="salesTotalCount" class="text-3xl font-bold mt-1">0</p>
+              </div>
+              <div class="text-4xl opacity-50">🧾</div>
+            </div>
+          </div>
+          <div class="bg-gradient-to-br from-purple-500 to-purple-600 rounded-xl p-5 text-white shadow-lg">
+            <div class="flex items-center justify-between">
+              <div>
+                <p class="text-purple-100 text-sm">Ticket Médio</p>
+                <p id="salesAvgTicket" class="text-3xl font-bold mt-1">$0.00</p>
+              </div>
+              <div class="text-4xl opacity-50">📊</div>
+            </div>
+          </div>
+          <div class="bg-gradient-to-br from-orange-500 to-orange-600 rounded-xl p-5 text-white shadow-lg">
+            <div class="flex items-center justify-between">
+              <div>
+                <p class="text-orange-100 text-sm">Dinheiro</p>
+                <p id="salesCashTotal" class="text-3xl font-bold mt-1">$0.00</p>
+              </div>
+              <div class="text-4xl opacity-50">💵</div>
+            </div>
+          </div>
+          <div class="bg-gradient-to-br from-pink-500 to-pink-600 rounded-xl p-5 text-white shadow-lg">
+            <div class="flex items-center justify-between">
+              <div>
+                <p class="text-pink-100 text-sm">Cartões/PIX</p>
+                <p id="salesCardTotal" class="text-3xl font-bold mt-1">$0.00</p>
+              </div>
+              <div class="text-4xl opacity-50">💳</div>
+            </div>
+          </div>
+        </div>
+        
+        <div class="bg-white rounded-xl p-6 card-shadow mb-6">
+          <!-- Filtros Avançados -->
+          <div class="bg-gray-50 rounded-xl p-4 mb-6">
+            <div class="flex items-center gap-2 mb-3">
+              <span class="text-lg">🔍</span>
+              <h3 class="font-semibold text-gray-700">Filtros</h3>
+            </div>
+            <div class="grid grid-cols-1 md:grid-cols-4 gap-4">
+              <div>
+                <label class="block text-xs font-medium text-gray-600 mb-1">📅 Data Início</label>
+                <input type="date" id="salesStartDate" class="w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-green-500" onchange="filterSalesData()">
+              </div>
+              <div>
+                <label class="block text-xs font-medium text-gray-600 mb-1">📅 Data Fim</label>
+                <input type="date" id="salesEndDate" class="w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-green-500" onchange="filterSalesData()">
+              </div>
+              <div>
+                <label class="block text-xs font-medium text-gray-600 mb-1">👤 Operador/Caixa</label>
+                <select id="salesOperator" class="w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-green-500" onchange="filterSalesData()">
+                  <option value="">Todos os operadores</option>
+                </select>
+              </div>
+              <div>
+                <label class="block text-xs font-medium text-gray-600 mb-1">💳 Pagamento</label>
+                <select id="salesPayment" class="w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-green-500" onchange="filterSalesData()">
+                  <option value="">Todos</option>
+                  <option value="cash">💵 Dinheiro</option>
+                  <option value="credit">💳 Crédito</option>
+                  <option value="debit">💳 Débito</option>
+                  <option value="pix">📱 PIX</option>
+                </select>
+              </div>
+              <div>
+                <label class="block text-xs font-medium text-gray-600 mb-1">📋 Status</label>
+                <select id="salesStatus" class="w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-green-500" onchange="filterSalesData()">
+                  <option value="">Todos</option>
+                  <option value="completed">✅ Concluída</option>
+                  <option value="voided">🚫 Cancelada</option>
+                  <option value="refunded">↩️ Devolvida</option>
+                </select>
+              </div>
+              <div>
+                <label class="block text-xs font-medium text-gray-600 mb-1">💰 Total mínimo</label>
+                <input type="number" id="salesMinTotal" min="0" step="0.01" placeholder="0.00" class="w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-green-500" onchange="filterSalesData()">
+              </div>
+              <div>
+                <label class="block text-xs font-medium text-gray-600 mb-1">💰 Total máximo</label>
+                <input type="number" id="salesMaxTotal" min="0" step="0.01" placeholder="0.00" class="w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-green-500" onchange="filterSalesData()">
+              </div>
+              <div class="flex items-end">
+                <button onclick="loadSalesData()" class="w-full px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 font-medium">
+                  🔄 Atualizar
+                </button>
+              </div>
+            </div>
+          </div>
+          
+          <!-- Tabela de Vendas Profissional -->
+          <div class="overflow-x-auto border rounded-xl">
+            <table class="w-full">
+              <thead class="bg-gradient-to-r from-gray-800 to-gray-900 text-white">
+                <tr>
+                  <th class="px-4 py-4 text-left text-xs font-semibold uppercase tracking-wider">Venda</th>
+                  <th class="px-4 py-4 text-left text-xs font-semibold uppercase tracking-wider">🏪 Loja</th>
+                  <th class="px-4 py-4 text-left text-xs font-semibold uppercase tracking-wider">📅 Data/Hora</th>
+                  <th class="px-4 py-4 text-left text-xs font-semibold uppercase tracking-wider">👤 Operador</th>
+                  <th class="px-4 py-4 text-center text-xs font-semibold uppercase tracking-wider">💳 Pagamento</th>
+                  <th class="px-4 py-4 text-center text-xs font-semibold uppercase tracking-wider">📦 Itens</th>
+                  <th class="px-4 py-4 text-right text-xs font-semibold uppercase tracking-wider">💰 Total</th>
+                  <th class="px-4 py-4 text-center text-xs font-semibold uppercase tracking-wider">Ações</th>
+                </tr>
+              </thead>
+              <tbody id="salesTableBody" class="divide-y divide-gray-100 bg-white">
+                <tr><td colspan="8" class="text-center py-12 text-gray-400">
+                  <div class="animate-pulse">⏳ Carregando vendas...</div>
+                </td></tr>
+              </tbody>
+            </table>
+          </div>
+          
+          <!-- Paginação Melhorada -->
+          <div class="flex items-center justify-between mt-6 px-2">
+            <div id="salesPaginationInfo" class="text-sm text-gray-600 font-medium">Mostrando 0 de 0</div>
+            <div class="flex items-center gap-2">
+              <button onclick="changeSalesPage(-10)" class="px-3 py-2 rounded-lg border hover:bg-gray-100 text-sm" title="10 páginas anteriores">⏮️</button>
+              <button onclick="changeSalesPage(-1)" class="px-4 py-2 rounded-lg border hover:bg-gray-100 text-sm font-medium">◀️ Anterior</button>
+              <span id="salesCurrentPage" class="px-4 py-2 bg-green-600 text-white rounded-lg font-medium">1</span>
+              <button onclick="changeSalesPage(1)" class="px-4 py-2 rounded-lg border hover:bg-gray-100 text-sm font-medium">Próxima ▶️</button>
+              <button onclick="changeSalesPage(10)" class="px-3 py-2 rounded-lg border hover:bg-gray-100 text-sm" title="10 páginas seguintes">⏭️</button>
+            </div>
+          </div>
+        </div>
+        
+        <!-- Modal de Detalhes da Venda -->
+        <div id="saleDetailModal" class="fixed inset-0 bg-black/50 hidden items-center justify-center z-50">
+          <div class="bg-white rounded-2xl w-full max-w-2xl max-h-[90vh] overflow-hidden mx-4 shadow-2xl">
+            <div class="bg-gradient-to-r from-green-600 to-green-700 text-white px-6 py-4 flex justify-between items-center">
+              <div>
+                <h3 id="saleDetailTitle" class="text-xl font-bold">Detalhes da Venda</h3>
+                <p id="saleDetailSubtitle" class="text-green-100 text-sm"></p>
+              </div>
+              <button onclick="closeSaleDetailModal()" class="p-2 hover:bg-white/20 rounded-lg text-xl">✕</button>
+            </div>
+            <div id="saleDetailContent" class="p-6 overflow-y-auto max-h-[calc(90vh-80px)]">
+              <!-- Conteúdo será preenchido dinamicamente -->
+            </div>
+          </div>
+        </div>
+      </div>
+
+      <!-- RANKING TAB -->
+      <div id="tab-ranking" class="tab-content">
+        <div class="bg-gradient-to-r from-amber-500 to-amber-600 rounded-xl p-6 mb-6 text-white">
+          <div class="flex items-center justify-between">
+            <div>
+              <h2 class="text-2xl font-bold flex items-center gap-2">🏆 Ranking de Produtos</h2>
+              <p id="rankingInfo" class="text-amber-100 mt-1">Mais vendidos, menos vendidos e estoque parado</p>
+            </div>
+            <button onclick="exportRanking()" class="px-4 py-2 bg-white/20 rounded-lg hover:bg-white/30 text-sm font-medium flex items-center gap-2">
+              📥 CSV
+            </button>
+          </div>
+        </div>
+
+        <div class="grid grid-cols-1 md:grid-cols-4 gap-4 mb-6">
+          <div class="bg-white rounded-xl p-5 card-shadow">
+            <p class="text-gray-500 text-sm">Unidades Vendidas</p>
+            <p id="rankingTotalUnits" class="text-2xl font-bold text-gray-800 mt-1">0</p>
+          </div>
+          <div class="bg-white rounded-xl p-5 card-shadow">
+            <p class="text-gray-500 text-sm">Receita</p>
+            <p id="rankingTotalRevenue" class="text-2xl font-bold text-green-600 mt-1">$0.00</p>
+          </div>
+          <div class="bg-white rounded-xl p-5 card-shadow">
+            <p class="text-gray-500 text-sm">Margem</p>
+            <p id="rankingTotalMargin" class="text-2xl font-bold text-blue-600 mt-1">$0.00</p>
+          </div>
+          <div class="bg-white rounded-xl p-5 card-shadow">
+            <p class="text-gray-500 text-sm">Produtos sem Venda</p>
+            <p id="rankingUnsold" class="text-2xl font-bold text-red-600 mt-1">0</p>
+          </div>
+        </div>
+
+        <div class="bg-white rounded-xl p-6 card-shadow mb-6">
+          <div class="bg-gray-50 rounded-xl p-4 mb-6">
+            <div class="grid grid-cols-1 md:grid-cols-6 gap-4">
+              <div>
+                <label class="block text-xs font-medium text-gray-600 mb-1">📅 Data Início</label>
+                <input type="date" id="rankingStartDate" class="w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-amber-500" onchange="loadProductRanking()">
+              </div>
+              <div>
+                <label class="block text-xs font-medium text-gray-600 mb-1">📅 Data Fim</label>
+                <input type="date" id="rankingEndDate" class="w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-amber-500" onchange="loadProductRanking()">
+              </div>
+              <div>
+                <label class="block text-xs font-medium text-gray-600 mb-1">📁 Categoria</label>
+                <select id="rankingCategory" class="w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-amber-500" onchange="loadProductRanking()">
+                  <option value="">Todas</option>
+                </select>
+              </div>
+              <div>
+                <label class="block text-xs font-medium text-gray-600 mb-1">📊 Ordenar por</label>
+                <select id="rankingSortBy" class="w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-amber-500" onchange="loadProductRanking()">
+                  <option value="revenue">Receita</option>
+                  <option value="units">Unidades</option>
+                  <option value="margin">Margem</option>
+                </select>
+              </div>
+              <div>
+                <label class="block text-xs font-medium text-gray-600 mb-1">↕️ Mostrar</label>
+                <select id="rankingOrder" class="w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-amber-500" onchange="loadProductRanking()">
+                  <option value="top">Mais vendidos</option>
+                  <option value="bottom">Menos vendidos</option>
+                </select>
+              </div>
+              <div class="flex items-end">
+                <button onclick="loadProductRanking()" class="w-full px-4 py-2 bg-amber-600 text-white rounded-lg hover:bg-amber-700 font-medium">
+                  🔄 Atualizar
+                </button>
+              </div>
+            </div>
+          </div>
+
+          <div class="overflow-x-auto border rounded-xl">
+            <table class="w-full">
+              <thead class="bg-gradient-to-r from-gray-800 to-gray-900 text-white">
+                <tr>
+                  <th class="px-4 py-4 text-left text-xs font-semibold uppercase tracking-wider">#</th>
+                  <th class="px-4 py-4 text-left text-xs font-semibold uppercase tracking-wider">📦 Produto</th>
+                  <th class="px-4 py-4 text-left text-xs font-semibold uppercase tracking-wider">📁 Categoria</th>
+                  <th class="px-4 py-4 text-right text-xs font-semibold uppercase tracking-wider">Unidades</th>
+                  <th class="px-4 py-4 text-right text-xs font-semibold uppercase tracking-wider">💰 Receita</th>
+                  <th class="px-4 py-4 text-right text-xs font-semibold uppercase tracking-wider">Margem</th>
+                  <th class="px-4 py-4 text-right text-xs font-semibold uppercase tracking-wider">% do Total</th>
+                </tr>
+              </thead>
+              <tbody id="rankingTableBody" class="divide-y divide-gray-100 bg-white">
+                <tr><td colspan="7" class="text-center py-12 text-gray-400">
+                  <div class="animate-pulse">⏳ Carregando ranking...</div>
+                </td></tr>
+              </tbody>
+            </table>
+          </div>
+          <p id="rankingFooter" class="text-sm text-gray-500 mt-4"></p>
+        </div>
+      </div>
+
+      <!-- CLOSINGS TAB -->
+      <div id="tab-closings" class="tab-content">
+        <div class="bg-gradient-to-r from-teal-600 to-teal-700 rounded-xl p-6 mb-6 text-white">
+          <h2 class="text-2xl font-bold flex items-center gap-2">🧾 Fechamentos de Caixa</h2>
+          <p class="text-teal-100 mt-1">Conferência dos turnos enviados pelos terminais: faltas e sobras por loja e operador</p>
+        </div>
+
+        <div class="grid grid-cols-1 md:grid-cols-4 gap-4 mb-6">
+          <div class="bg-white rounded-xl p-5 card-shadow">
+            <p class="text-gray-500 text-sm">Fechamentos</p>
+            <p id="closingsCount" class="text-2xl font-bold text-gray-800 mt-1">0</p>
+          </div>
+          <div class="bg-white rounded-xl p-5 card-shadow">
+            <p class="text-gray-500 text-sm">Conferidos sem diferença</p>
+            <p id="closingsBalanced" class="text-2xl font-bold text-green-600 mt-1">0</p>
+          </div>
+          <div class="bg-white rounded-xl p-5 card-shadow">
+            <p class="text-gray-500 text-sm">Faltas</p>
+            <p id="closingsShortageTotal" class="text-2xl font-bold text-red-600 mt-1">$0.00</p>
+          </div>
+          <div class="bg-white rounded-xl p-5 card-shadow">
+            <p class="text-gray-500 text-sm">Sobras</p>
+            <p id="closingsOverageTotal" class="text-2xl font-bold text-blue-600 mt-1">$0.00</p>
+          </div>
+        </div>
+
+        <div class="bg-white rounded-xl p-6 card-shadow mb-6">
+          <div class="bg-gray-50 rounded-xl p-4 mb-6">
+            <div class="grid grid-cols-1 md:grid-cols-4 gap-4">
+              <div>
+                <label class="block text-xs font-medium text-gray-600 mb-1">📅 Data Início</label>
+                <input type="date" id="closingsStartDate" class="w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-teal-500" onchange="loadClosings()">
+              </div>
+              <div>
+                <label class="block text-xs font-medium text-gray-600 mb-1">📅 Data Fim</label>
+                <input type="date" id="closingsEndDate" class="w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-teal-500" onchange="loadClosings()">
+              </div>
+              <div>
+                <label class="block text-xs font-medium text-gray-600 mb-1">📊 Situação</label>
+                <select id="closingsStatus" class="w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-teal-500" onchange="loadClosings()">
+                  <option value="">Todas</option>
+                  <option value="shortage">🔻 Falta</option>
+                  <option value="overage">🔺 Sobra</option>
+                  <option value="mismatch">🔀 Divergência entre formas</option>
+                  <option value="balanced">✅ Conferido</option>
+                </select>
+              </div>
+              <div class="flex items-end">
+                <button onclick="loadClosings()" class="w-full px-4 py-2 bg-teal-600 text-white rounded-lg hover:bg-teal-700 font-medium">
+                  🔄 Atualizar
+                </button>
+              </div>
+            </div>
+          </div>
+
+          <div class="grid grid-cols-1 lg:grid-cols-2 gap-6 mb-6">
+            <div>
+              <h3 class="font-bold text-gray-800 mb-3">🏪 Por Loja</h3>
+              <div id="closingsByStore" class="space-y-2 text-sm"></div>
+            </div>
+            <div>
+              <h3 class="font-bold text-gray-800 mb-3">👤 Por Operador</h3>
+              <div id="closingsByOperator" class="space-y-2 text-sm"></div>
+            </div>
+          </div>
+
+          <div class="overflow-x-auto border rounded-xl">
+            <table class="w-full">
+              <thead class="bg-gradient-to-r from-gray-800 to-gray-900 text-white">
+                <tr>
+                  <th class="px-4 py-4 text-left text-xs font-semibold uppercase tracking-wider">📅 Fechamento</th>
+                  <th class="px-4 py-4 text-left text-xs font-semibold uppercase tracking-wider">🏪 Loja / Terminal</th>
+                  <th class="px-4 py-4 text-left text-xs font-semibold uppercase tracking-wider">👤 Operador</th>
+                  <th class="px-4 py-4 text-right text-xs font-semibold uppercase tracking-wider">💵 Contado / Esperado</th>
+                  <th class="px-4 py-4 text-left text-xs font-semibold uppercase tracking-wider">Diferenças</th>
+                  <th class="px-4 py-4 text-center text-xs font-semibold uppercase tracking-wider">Situação</th>
+                  <th class="px-4 py-4 text-center text-xs font-semibold uppercase tracking-wider">Ações</th>
+                </tr>
+              </thead>
+              <tbody id="closingsTableBody" class="divide-y divide-gray-100 bg-white">
+                <tr><td colspan="7" class="text-center py-12 text-gray-400">
+                  <div class="animate-pulse">⏳ Carregando fechamentos...</div>
+                </td></tr>
+              </tbody>
+            </table>
+          </div>
+        </div>
+      </div>
+
+      <!-- STOCK TAB -->
+      <div id="tab-stock" class="tab-content">
+        <div class="bg-gradient-to-r from-indigo-600 to-indigo-700 rounded-xl p-6 mb-6 text-white">
+          <h2 class="text-2xl font-bold flex items-center gap-2">📋 Estoque por Loja</h2>
+          <p class="text-indigo-100 mt-1">Saldo atual de cada produto, baixado pelas vendas e devolvido por cancelamentos e devoluções</p>
+        </div>
+
+        <div class="grid grid-cols-1 md:grid-cols-4 gap-4 mb-6">
+          <div class="bg-white rounded-xl p-5 card-shadow">
+            <p class="text-gray-500 text-sm">Produtos</p>
+            <p id="stockProductsCount" class="text-2xl font-bold text-gray-800 mt-1">0</p>
+          </div>
+          <div class="bg-white rounded-xl p-5 card-shadow">
+            <p class="text-gray-500 text-sm">Unidades em Estoque</p>
+            <p id="stockTotalUnits" class="text-2xl font-bold text-indigo-600 mt-1">0</p>
+          </div>
+          <div class="bg-white rounded-xl p-5 card-shadow">
+            <p class="text-gray-500 text-sm">Valor em Estoque (custo)</p>
+            <p id="stockTotalValue" class="text-2xl font-bold text-green-600 mt-1">$0.00</p>
+          </div>
+          <div class="bg-white rounded-xl p-5 card-shadow">
+            <p class="text-gray-500 text-sm">Produtos com Saldo Negativo</p>
+            <p id="stockNegative" class="text-2xl font-bold text-red-600 mt-1">0</p>
+          </div>
+        </div>
+
+        <div class="bg-white rounded-xl p-6 card-shadow mb-6">
+          <div class="bg-gray-50 rounded-xl p-4 mb-6">
+            <div class="grid grid-cols-1 md:grid-cols-4 gap-4">
+              <div class="md:col-span-2">
+                <label class="block text-xs font-medium text-gray-600 mb-1">🔍 Produto</label>
+                <input type="text" id="stockSearch" placeholder="Nome, código de barras ou SKU" class="w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-indigo-500" onchange="stockPage = 1; loadStock()">
+              </div>
+              <div>
+                <label class="block text-xs font-medium text-gray-600 mb-1">📁 Categoria</label>
+                <select id="stockCategory" class="w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-indigo-500" onchange="stockPage = 1; loadStock()">
+                  <option value="">Todas</option>
+                </select>
+              </div>
+              <div class="flex items-end">
+                <button onclick="loadStock()" class="w-full px-4 py-2 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 font-medium">
+                  🔄 Atualizar
+                </button>
+              </div>
+            </div>
+          </div>
+
+          <div class="overflow-x-auto border rounded-xl">
+            <table class="w-full">
+              <thead id="stockTableHead" class="bg-gradient-to-r from-gray-800 to-gray-900 text-white"></thead>
+              <tbody id="stockTableBody" class="divide-y divide-gray-100 bg-white">
+                <tr><td class="text-center py-12 text-gray-400">
+                  <div class="animate-pulse">⏳ Carregando estoque...</div>
+                </td></tr>
+              </tbody>
+            </table>
+          </div>
+
+          <div class="flex items-center justify-between mt-4">
+            <div id="stockPaginationInfo" class="text-sm text-gray-600 font-medium">Mostrando 0 de 0</div>
+            <div class="flex items-center gap-2">
+              <button onclick="changeStockPage(-1)" class="px-4 py-2 rounded-lg border hover:bg-gray-100 text-sm font-medium">◀️ Anterior</button>
+              <span id="stockCurrentPage" class="px-4 py-2 text-sm font-bold">1 / 1</span>
+              <button onclick="changeStockPage(1)" class="px-4 py-2 rounded-lg border hover:bg-gray-100 text-sm font-medium">Próxima ▶️</button>
+            </div>
+          </div>
+        </div>
+
+        <div class="bg-white rounded-xl p-6 card-shadow mb-6">
+          <div class="flex items-center justify-between mb-4">
+            <h3 class="font-bold text-gray-800">🔔 Alertas de Estoque</h3>
+            <span id="stockAlertsInfo" class="text-sm text-gray-500"></span>
+          </div>
+          <div class="overflow-x-auto">
+            <table class="w-full text-sm">
+              <thead class="text-xs text-gray-500 uppercase">
+                <tr>
+                  <th class="text-left py-2">Produto</th>
+                  <th class="text-left py-2">Loja</th>
+                  <th class="text-right py-2">Saldo</th>
+                  <th class="text-right py-2">Mínimo</th>
+                  <th class="text-right py-2">Ponto de Pedido</th>
+                  <th class="text-right py-2">Venda/dia</th>
+                  <th class="text-right py-2">Cobertura</th>
+                  <th class="text-right py-2">Comprar</th>
+                </tr>
+              </thead>
+              <tbody id="stockAlertsBody" class="divide-y divide-gray-100"></tbody>
+            </table>
+          </div>
+        </div>
+
+        <div class="bg-white rounded-xl p-6 card-shadow mb-6">
+          <div class="flex items-center justify-between mb-4">
+            <h3 class="font-bold text-gray-800">🔁 Movimentos Recentes</h3>
+            <span id="stockMovementsInfo" class="text-sm text-gray-500">Todos os produtos</span>
+          </div>
+          <div id="stockMovements" class="space-y-2 text-sm"></div>
+        </div>
+      </div>
+
+      <!-- TRANSFERS TAB -->
+      <div id="tab-transfers" class="tab-content">
+        <div class="bg-gradient-to-r from-amber-500 to-orange-600 rounded-xl p-6 mb-6 text-white flex items-center justify-between">
+          <div>
+            <h2 class="text-2xl font-bold flex items-center gap-2">🚚 Transferências entre Lojas</h2>
+            <p class="text-amber-100 mt-1">A origem baixa o estoque no envio e o destino soma o que conferir no recebimento</p>
+          </div>
+          <button onclick="openTransferModal()" data-permission="inventory:write" class="px-4 py-2 bg-white text-orange-600 rounded-lg hover:bg-orange-50 font-medium">
+            ➕ Nova Transferência
+          </button>
+        </div>
+
+        <div class="grid grid-cols-1 md:grid-cols-3 gap-4 mb-6">
+          <div class="bg-white rounded-xl p-5 card-shadow">
+            <p class="text-gray-500 text-sm">Aguardando Envio</p>
+            <p id="transfersPending" class="text-2xl font-bold text-yellow-600 mt-1">0</p>
+          </div>
+          <div class="bg-white rounded-xl p-5 card-shadow">
+            <p class="text-gray-500 text-sm">Em Trânsito</p>
+            <p id="transfersShipped" class="text-2xl font-bold text-blue-600 mt-1">0</p>
+          </div>
+          <div class="bg-white rounded-xl p-5 card-shadow">
+            <p class="text-gray-500 text-sm">Recebidas com Divergência</p>
+            <p id="transfersDiscrepancies" class="text-2xl font-bold text-red-600 mt-1">0</p>
+          </div>
+        </div>
+
+        <div class="bg-white rounded-xl p-6 card-shadow mb-6">
+          <div class="bg-gray-50 rounded-xl p-4 mb-6">
+            <div class="grid grid-cols-1 md:grid-cols-4 gap-4">
+              <div>
+                <label class="block text-xs font-medium text-gray-600 mb-1">📌 Situação</label>
+                <select id="transfersStatus" class="w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-orange-500" onchange="loadTransfers()">
+                  <option value="">Todas</option>
+                  <option value="pending">Aguardando envio</option>
+                  <option value="shipped">Em trânsito</option>
+                  <option value="received">Recebidas</option>
+                  <option value="cancelled">Canceladas</option>
+                </select>
+              </div>
+              <div class="md:col-start-4 flex items-end">
+                <button onclick="loadTransfers()" class="w-full px-4 py-2 bg-orange-600 text-white rounded-lg hover:bg-orange-700 font-medium">
+                  🔄 Atualizar
+                </button>
+              </div>
+            </div>
+          </div>
+
+          <div id="transfersList" class="space-y-4">
+            <div class="text-center py-12 text-gray-400 animate-pulse">⏳ Carregando transferências...</div>
+          </div>
+        </div>
+      </div>
+
+      <!-- PURCHASES TAB -->
+      <div id="tab-purchases" class="tab-content">
+        <div class="bg-gradient-to-r from-teal-600 to-emerald-700 rounded-xl p-6 mb-6 text-white flex flex-wrap items-center justify-between gap-4">
+          <div>
+            <h2 class="text-2xl font-bold flex items-center gap-2">🛒 Compras e Fornecedores</h2>
+            <p class="text-teal-100 mt-1">Pedidos de compra recebidos na loja entram no estoque e atualizam o custo dos produtos</p>
+          </div>
+          <div class="flex flex-wrap gap-2">
+            <button onclick="createOrdersFromSuggestions()" data-permission="inventory:write" class="px-4 py-2 bg-white/20 rounded-lg hover:bg-white/30 font-medium">⚡ Gerar das Sugestões</button>
+            <button onclick="openPurchaseOrderModal()" data-permission="inventory:write" class="px-4 py-2 bg-white text-teal-700 rounded-lg hover:bg-teal-50 font-medium">➕ Novo Pedido</button>
+          </div>
+        </div>
+
+        <div class="grid grid-cols-1 md:grid-cols-3 gap-4 mb-6">
+          <div class="bg-white rounded-xl p-5 card-shadow">
+            <p class="text-gray-500 text-sm">Pedidos em Aberto</p>
+            <p id="purchaseOpenCount" class="text-2xl font-bold text-teal-600 mt-1">0</p>
+          </div>
+          <div class="bg-white rounded-xl p-5 card-shadow">
+            <p class="text-gray-500 text-sm">Valor a Receber</p>
+            <p id="purchaseOpenValue" class="text-2xl font-bold text-gray-800 mt-1">$0.00</p>
+          </div>
+          <div class="bg-white rounded-xl p-5 card-shadow">
+            <p class="text-gray-500 text-sm">Fornecedores Ativos</p>
+            <p id="purchaseSupplierCount" class="text-2xl font-bold text-gray-800 mt-1">0</p>
+          </div>
+        </div>
+
+        <div class="bg-white rounded-xl p-6 card-shadow mb-6">
+          <div class="bg-gray-50 rounded-xl p-4 mb-6">
+            <div class="grid grid-cols-1 md:grid-cols-4 gap-4">
+              <div>
+                <label class="block text-xs font-medium text-gray-600 mb-1">📌 Situação</label>
+                <select id="purchaseStatus" class="w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-teal-500" onchange="loadPurchaseOrders()">
+                  <option value="">Todos</option>
+                  <option value="draft">Rascunho</option>
+                  <option value="sent">Enviado</option>
+                  <option value="partial">Recebido em parte</option>
+                  <option value="received">Recebido</option>
+                  <option value="cancelled">Cancelado</option>
+                </select>
+              </div>
+              <div>
+                <label class="block text-xs font-medium text-gray-600 mb-1">🏭 Fornecedor</label>
+                <select id="purchaseSupplierFilter" class="w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-teal-500" onchange="loadPurchaseOrders()">
+                  <option value="">Todos</option>
+                </select>
+              </div>
+              <div class="md:col-start-4 flex items-end">
+                <button onclick="loadPurchases()" class="w-full px-4 py-2 bg-teal-600 text-white rounded-lg hover:bg-teal-700 font-medium">
+                  🔄 Atualizar
+                </button>
+              </div>
+            </div>
+          </div>
+
+          <div id="purchaseOrdersList" class="space-y-4">
+            <div class="text-center py-12 text-gray-400 animate-pulse">⏳ Carregando pedidos...</div>
+          </div>
+        </div>
+
+        <div class="bg-white rounded-xl p-6 card-shadow mb-6">
+          <div class="flex items-center justify-between mb-4">
+            <h3 class="font-bold text-gray-800">🏭 Fornecedores</h3>
+            <button onclick="openSupplierModal()" data-permission="catalog:write" class="px-4 py-2 bg-teal-600 text-white rounded-lg hover:bg-teal-700 text-sm">➕ Novo Fornecedor</button>
+          </div>
+          <div class="overflow-x-auto">
+            <table class="w-full text-sm">
+              <thead class="text-xs text-gray-500 uppercase">
+                <tr>
+                  <th class="text-left py-2">Fornecedor</th>
+                  <th class="text-left py-2">Documento</th>
+                  <th class="text-left py-2">Contato</th>
+                  <th class="text-right py-2">Prazo</th>
+                  <th class="text-right py-2">Produtos</th>
+                  <th class="text-right py-2">Pedidos em Aberto</th>
+                  <th class="py-2"></th>
+                </tr>
+              </thead>
+              <tbody id="suppliersBody" class="divide-y divide-gray-100"></tbody>
+            </table>
+          </div>
+        </div>
+      </div>
+
+      <!-- STOCK COUNTS TAB -->
+      <div id="tab-counts" class="tab-content">
+        <div class="bg-gradient-to-r from-teal-500 to-cyan-600 rounded-xl p-6 mb-6 text-white flex items-center justify-between">
+          <div>
+            <h2 class="text-2xl font-bold flex items-center gap-2">📋 Inventário</h2>
+            <p class="text-teal-100 mt-1">Contagens feitas nos terminais e coletores; o ajuste só entra no estoque depois de aprovado</p>
+          </div>
+          <button onclick="openStockCountModal()" data-permission="inventory:write" class="px-4 py-2 bg-white text-teal-600 rounded-lg hover:bg-teal-50 font-medium">
+            ➕ Nova Contagem
+          </button>
+        </div>
+
+        <div class="grid grid-cols-1 md:grid-cols-3 gap-4 mb-6">
+          <div class="bg-white rounded-xl p-5 card-shadow">
+            <p class="text-gray-500 text-sm">Em Contagem</p>
+            <p id="stockCountsOpen" class="text-2xl font-bold text-blue-600 mt-1">0</p>
+          </div>
+          <div class="bg-white rounded-xl p-5 card-shadow">
+            <p class="text-gray-500 text-sm">Aguardando Aprovação</p>
+            <p id="stockCountsReview" class="text-2xl font-bold text-yellow-600 mt-1">0</p>
+          </div>
+          <div class="bg-white rounded-xl p-5 card-shadow">
+            <p class="text-gray-500 text-sm">Quebra Aprovada</p>
+            <p id="stockCountsShrinkage" class="text-2xl font-bold text-red-600 mt-1">$0.00</p>
+          </div>
+        </div>
+
+        <div class="bg-white rounded-xl p-6 card-shadow mb-6">
+          <div class="bg-gray-50 rounded-xl p-4 mb-6">
+            <div class="grid grid-cols-1 md:grid-cols-4 gap-4">
+              <div>
+                <label class="block text-xs font-medium text-gray-600 mb-1">📌 Situação</label>
+                <select id="stockCountsStatus" class="w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-teal-500" onchange="loadStockCounts()">
+                  <option value="">Todas</option>
+                  <option value="open">Em contagem</option>
+                  <option value="review">Aguardando aprovação</option>
+                  <option value="approved">Aprovadas</option>
+                  <option value="cancelled">Canceladas</option>
+                </select>
+              </div>
+              <div class="md:col-start-4 flex items-end">
+                <button onclick="loadStockCounts()" class="w-full px-4 py-2 bg-teal-600 text-white rounded-lg hover:bg-teal-700 font-medium">
+                  🔄 Atualizar
+                </button>
+              </div>
+            </div>
+          </div>
+
+          <div class="overflow-x-auto">
+            <table class="w-full text-sm">
+              <thead class="text-xs text-gray-500 uppercase border-b">
+                <tr>
+                  <th class="text-left py-2">Contagem</th>
+                  <th class="text-left py-2">Loja</th>
+                  <th class="text-left py-2">Escopo</th>
+                  <th class="text-left py-2">Situação</th>
+                  <th class="text-right py-2">Produtos Contados</th>
+                  <th class="text-right py-2">Quebra</th>
+                  <th class="text-right py-2"></th>
+                </tr>
+              </thead>
+              <tbody id="stockCountsBody" class="divide-y divide-gray-100">
+                <tr><td colspan="7" class="text-center py-12 text-gray-400 animate-pulse">⏳ Carregando contagens...</td></tr>
+              </tbody>
+            </table>
+          </div>
+        </div>
+      </div>
+
+      <!-- EMPLOYEES TAB -->
+      <div id="tab-employees" class="tab-content">
+        <div class="bg-white rounded-xl p-6 card-shadow mb-6">
+          <div class="flex items-center justify-between mb-6">
+            <div>
+              <h2 class="text-xl font-bold text-gray-800">👔 Funcionários por Loja</h2>
+              <p id="employeesStoreInfo" class="text-sm text-gray-500">Visualize o desempenho dos funcionários</p>
+            </div>
+          </div>
+          
+          <!-- Resumo de Funcionários -->
+          <div class="grid grid-cols-1 md:grid-cols-4 gap-4 mb-6">
+            <div class="bg-blue-50 rounded-xl p-4 text-center border border-blue-200">
+              <p id="totalEmployees" class="text-2xl font-bold text-blue-600">0</p>
+              <p class="text-xs text-gray-600">Total Funcionários</p>
+            </div>
+            <div class="bg-green-50 rounded-xl p-4 text-center border border-green-200">
+              <p id="activeEmployees" class="text-2xl font-bold text-green-600">0</p>
+              <p class="text-xs text-gray-600">Ativos Hoje</p>
+            </div>
+            <div class="bg-purple-50 rounded-xl p-4 text-center border border-purple-200">
+              <p id="totalCashiers" class="text-2xl font-bold text-purple-600">0</p>
+              <p class="text-xs text-gray-600">Caixas</p>
+            </div>
+            <div class="bg-orange-50 rounded-xl p-4 text-center border border-orange-200">
+              <p id="totalManagers" class="text-2xl font-bold text-orange-600">0</p>
+              <p class="text-xs text-gray-600">Gerentes</p>
+            </div>
+          </div>
+          
+          <!-- Grid de Funcionários -->
+          <div id="employeesGrid" class="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
+            <div class="text-center py-8 text-gray-400 col-span-full">Carregando funcionários...</div>
+          </div>
+        </div>
+        
+        <!-- Ranking de Vendas por Funcionário -->
+        <div class="bg-white rounded-xl p-6 card-shadow">
+          <h3 class="text-lg font-bold text-gray-800 mb-4">🏆 Ranking de Vendas (Período Selecionado)</h3>
+          <div id="employeesRanking" class="space-y-3">
+            <div class="text-center py-8 text-gray-400">Carregando ranking...</div>
+          </div>
+        </div>
+      </div>
+
+      <!-- PRODUCTS TAB -->
+      <div id="tab-products" class="tab-content">
+        <div class="bg-white rounded-xl p-6 card-shadow mb-6">
+          <!-- Header com título e botão -->
+          <div class="flex items-center justify-between mb-4">
+            <div>
+              <h2 class="text-xl font-bold text-gray-800">📦 Gerenciar Produtos</h2>
+              <p id="productsCount" class="text-sm text-gray-500">Carregando...</p>
+            </div>
+            <button onclick="openProductModal()" data-permission="catalog:write" class="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 flex items-center gap-2">
+              <span>➕</span> Novo Produto
+            </button>
+          </div>
+
+          <!-- Filtros Avançados -->
+          <div class="bg-gray-50 rounded-xl p-4 mb-4">
+            <div class="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-5 gap-3">
+              <!-- Busca -->
+              <div class="lg:col-span-2">
+                <label class="block text-xs font-medium text-gray-600 mb-1">🔍 Buscar</label>
+                <input type="text" id="productSearch" placeholder="Nome, código ou barcode..." 
+                  class="w-full px-3 py-2 border rounded-lg text-sm focus:ring-2 focus:ring-blue-500" 
+                  oninput="debounceSearch()">
+              </div>
+              <!-- Categoria -->
+              <div>
+                <label class="block text-xs font-medium text-gray-600 mb-1">📁 Categoria</label>
+                <select id="filterCategory" class="w-full px-3 py-2 border rounded-lg text-sm" onchange="filterProducts()">
+                  <option value="">Todas</option>
+                </select>
+              </div>
+              <!-- Departamento -->
+              <div>
+                <label class="block text-xs font-medium text-gray-600 mb-1">🏢 Departamento</label>
+                <select id="filterDepartment" class="w-full px-3 py-2 border rounded-lg text-sm" onchange="filterProducts()">
+                  <option value="">Todos</option>
+                </select>
+              </div>
+              <!-- Status -->
+              <div>
+                <label class="block text-xs font-medium text-gray-600 mb-1">📊 Status</label>
+                <select id="filterStatus" class="w-full px-3 py-2 border rounded-lg text-sm" onchange="filterProducts()">
+                  <option value="">Todos</option>
+                  <option value="active">Ativos</option>
+                  <option value="inactive">Inativos</option>
+                </select>
+              </div>
+            </div>
+            <div class="flex items-center justify-between mt-3 pt-3 border-t border-gray-200">
+              <div class="flex items-center gap-2">
+                <span class="text-xs text-gray-600">Exibir:</span>
+                <select id="productsPerPageSelect" class="px-2 py-1 border rounded text-sm" onchange="changeProductsPerPage()">
+                  <option value="25">25</option>
+                  <option value="50" selected>50</option>
+                  <option value="100">100</option>
+                  <option value="200">200</option>
+                </select>
+                <span class="text-xs text-gray-600">por página</span>
+              </div>
+              <button onclick="clearProductFilters()" class="text-xs text-blue-600 hover:text-blue-800">
+                🔄 Limpar filtros
+              </button>
+            </div>
+          </div>
+
+          <!-- Tabela de Produtos -->
+          <div class="overflow-x-auto border rounded-lg">
+            <table class="w-full">
+              <thead class="bg-gray-100">
+                <tr>
+                  <th class="px-3 py-3 text-left text-xs font-semibold text-gray-600 uppercase tracking-wider cursor-pointer hover:bg-gray-200" onclick="sortProducts('barcode')">
+                    Código <span id="sort-barcode" class="text-gray-400">↕</span>
+                  </th>
+                  <th class="px-3 py-3 text-left text-xs font-semibold text-gray-600 uppercase tracking-wider cursor-pointer hover:bg-gray-200" onclick="sortProducts('name')">
+                    Nome <span id="sort-name" class="text-gray-400">↕</span>
+                  </th>
+                  <th class="px-3 py-3 text-left text-xs font-semibold text-gray-600 uppercase tracking-wider">Categoria</th>
+                  <th class="px-3 py-3 text-left text-xs font-semibold text-gray-600 uppercase tracking-wider">Dept.</th>
+                  <th class="px-3 py-3 text-right text-xs font-semibold text-gray-600 uppercase tracking-wider cursor-pointer hover:bg-gray-200" onclick="sortProducts('price')">
+                    Preço <span id="sort-price" class="text-gray-400">↕</span>
+                  </th>
+                  <th class="px-3 py-3 text-center text-xs font-semibold text-gray-600 uppercase tracking-wider">Status</th>
+                  <th class="px-3 py-3 text-center text-xs font-semibold text-gray-600 uppercase tracking-wider w-24">Ações</th>
+                </tr>
+              </thead>
+              <tbody id="productsTableBody" class="divide-y divide-gray-100 bg-white">
+                <tr><td colspan="7" class="text-center py-12 text-gray-400">
+                  <div class="animate-pulse">⏳ Carregando produtos...</div>
+                </td></tr>
+              </tbody>
+            </table>
+          </div>
+
+          <!-- Paginação Avançada -->
+          <div class="flex items-center justify-between mt-4 px-2">
+            <div id="paginationInfo" class="text-sm text-gray-600">
+              Mostrando 0 de 0 produtos
+            </div>
+            <div class="flex items-center gap-1">
+              <button onclick="goToProductPage(1)" class="px-3 py-1 rounded border hover:bg-gray-100 text-sm" title="Primeira página">⏮️</button>
+              <button onclick="goToProductPage(productPage - 1)" class="px-3 py-1 rounded border hover:bg-gray-100 text-sm" title="Anterior">◀️</button>
+              <div id="pageNumbers" class="flex gap-1"></div>
+              <button onclick="goToProductPage(productPage + 1)" class="px-3 py-1 rounded border hover:bg-gray-100 text-sm" title="Próxima">▶️</button>
+              <button onclick="goToProductPage(totalProductPages)" class="px-3 py-1 rounded border hover:bg-gray-100 text-sm" title="Última página">⏭️</button>
+              <span class="mx-2 text-gray-400">|</span>
+              <span class="text-sm text-gray-600">Ir para:</span>
+              <input type="number" id="gotoPage" min="1" class="w-16 px-2 py-1 border rounded text-sm text-center" 
+                onkeypress="if(event.key==='Enter')goToProductPage(parseInt(this.value))">
+            </div>
+          </div>
+        </div>
+      </div>
+
+      <!-- CATEGORIES TAB -->
+      <div id="tab-categories" class="tab-content">
+        <div class="bg-white rounded-xl p-6 card-shadow mb-6">
+          <div class="flex items-center justify-between mb-6">
+            <h2 class="text-xl font-bold text-gray-800">📁 Gerenciar Categorias</h2>
+            <button onclick="openCategoryModal()" data-permission="catalog:write" class="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700">
+              ➕ Nova Categoria
+            </button>
+          </div>
+          <div id="categoriesGrid" class="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
+            <div class="text-center py-8 text-gray-400 col-span-full">Carregando categorias...</div>
+          </div>
+        </div>
+      </div>
+
+      <!-- PROMOTIONS TAB -->
+      <div id="tab-promotions" class="tab-content">
+        <div class="bg-white rounded-xl p-6 card-shadow mb-6">
+          <div class="flex items-center justify-between mb-6">
+            <h2 class="text-xl font-bold text-gray-800">🏷️ Gerenciar Promoções</h2>
+            <button onclick="openPromotionModal()" data-permission="promotions:write" class="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700">
+              ➕ Nova Promoção
+            </button>
+          </div>
+          <div id="promotionsGrid" class="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
+            <div class="text-center py-8 text-gray-400 col-span-full">Carregando promoções...</div>
+          </div>
+        </div>
+      </div>
+
+      <!-- USERS TAB -->
+      <div id="tab-users" class="tab-content hidden">
+        <div class="bg-white rounded-xl p-6 card-shadow mb-6">
+          <div class="flex items-center justify-between mb-6">
+            <h2 class="text-xl font-bold text-gray-800">👥 Gerenciar Usuários</h2>
+            <button onclick="openUserModal()" class="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 font-medium">
+              ➕ Novo Usuário
+            </button>
+          </div>
+          <div id="usersGrid" class="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
+            <div class="text-center py-8 text-gray-400 col-span-full">Carregando usuários...</div>
+          </div>
+        </div>
+      </div>
+
+      <!-- User Modal -->
+      <div id="userModal" class="fixed inset-0 bg-black/50 hidden items-center justify-center z-50">
+        <div class="bg-white rounded-2xl w-full max-w-md shadow-2xl">
+          <div class="bg-gradient-to-r from-blue-500 to-blue-600 text-white px-6 py-4 rounded-t-2xl flex justify-between items-center">
+            <h3 id="userModalTitle" class="text-lg font-bold">Novo Usuário</h3>
+            <button onclick="closeUserModal()" class="text-white/80 hover:text-white text-2xl">&times;</button>
+          </div>
+          <form id="userForm" class="p-6" onsubmit="saveUser(event)">
+            <input type="hidden" id="userId">
+            <div class="space-y-4">
+              <div>
+                <label class="block text-sm font-medium text-gray-700 mb-1">Nome Completo *</label>
+                <input type="text" id="userFullName" required class="w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500" placeholder="Nome do funcionário">
+              </div>
+              <div>
+                <label class="block text-sm font-medium text-gray-700 mb-1">Usuário (login) *</label>
+                <input type="text" id="userUsername" required class="w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500" placeholder="Ex: joao.silva">
+              </div>
+              <div>
+                <label class="block text-sm font-medium text-gray-700 mb-1">Função *</label>
+                <select id="userRole" class="w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500">
+                  <option value="cashier">🛒 Caixa</option>
+                  <option value="manager">📋 Gerente</option>
+                  <option value="admin">⚙️ Administrador</option>
+                </select>
+              </div>
+              <div>
+                <label class="block text-sm font-medium text-gray-700 mb-1">Loja</label>
+                <select id="userStore" class="w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500">
+                  <option value="">Todas as lojas</option>
+                </select>
+              </div>
+              <div>
+                <label class="block text-sm font-medium text-gray-700 mb-1">Email</label>
+                <input type="email" id="userEmail" class="w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500" placeholder="email@exemplo.com">
+              </div>
+              <div>
+                <label class="block text-sm font-medium text-gray-700 mb-1">Telefone</label>
+                <input type="tel" id="userPhone" class="w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500" placeholder="(11) 99999-9999">
+              </div>
+              <div>
+                <label class="block text-sm font-medium text-gray-700 mb-1">Senha do Painel</label>
+                <input type="password" id="userPassword" autocomplete="new-password" class="w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500" placeholder="Deixe em branco para manter a atual">
+                <p class="text-xs text-gray-400 mt-1">Gerentes e administradores usam usuário e senha para entrar no painel</p>
+              </div>
+              <div id="userPermissionsBox" class="bg-gray-50 rounded-lg p-3 space-y-2">
+                <p class="text-xs font-medium text-gray-600">Permissões do gerente</p>
+                <div class="flex items-center gap-2">
+                  <input type="checkbox" id="userPermCatalog" class="w-4 h-4 text-blue-600">
+                  <label for="userPermCatalog" class="text-sm text-gray-700">Editar produtos e categorias</label>
+                </div>
+                <div class="flex items-center gap-2">
+                  <input type="checkbox" id="userPermPromotions" checked class="w-4 h-4 text-blue-600">
+                  <label for="userPermPromotions" class="text-sm text-gray-700">Editar promoções</label>
+                </div>
+                <div class="flex items-center gap-2">
+                  <input type="checkbox" id="userPermInventory" checked class="w-4 h-4 text-blue-600">
+                  <label for="userPermInventory" class="text-sm text-gray-700">Ajustar estoque da loja</label>
+                </div>
+                <div class="flex items-center gap-2">
+                  <input type="checkbox" id="userPermInventoryApprove" class="w-4 h-4 text-blue-600">
+                  <label for="userPermInventoryApprove" class="text-sm text-gray-700">Aprovar ajustes de inventário</label>
+                </div>
+              </div>
+              <div class="flex items-center gap-2">
+                <input type="checkbox" id="userActive" checked class="w-4 h-4 text-blue-600">
+                <label for="userActive" class="text-sm text-gray-700">Usuário Ativo</label>
+              </div>
+            </div>
+            <div class="flex justify-end gap-3 mt-6 pt-4 border-t">
+              <button type="button" onclick="closeUserModal()" class="px-4 py-2 border rounded-lg hover:bg-gray-50">Cancelar</button>
+              <button type="submit" class="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 font-medium">💾 Salvar</button>
+            </div>
+          </form>
+        </div>
+      </div>
+
+      <!-- TAB NUVEM / CLOUD -->
+      <div id="tab-cloud" class="tab-content hidden">
+        <div class="max-w-2xl mx-auto">
+          <!-- Status Card -->
+          <div class="bg-white rounded-xl p-6 card-shadow mb-6">
+            <h2 class="text-xl font-bold text-gray-800 mb-4">☁️ Status da Nuvem</h2>
+            <div id="cloudStatus" class="space-y-4">
+              <div class="text-center py-8">
+                <div class="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600 mx-auto"></div>
+                <p class="text-gray-500 mt-2">Verificando conexão...</p>
+              </div>
+            </div>
+          </div>
+          
+          <!-- Migration Card -->
+          <div class="bg-gradient-to-r from-blue-500 to-purple-600 rounded-xl p-6 text-white card-shadow mb-6">
+            <h2 class="text-xl font-bold mb-2">🚀 Migrar Dados para a Nuvem</h2>
+            <p class="text-blue-100 mb-4">
+              Envie todos os produtos, categorias e promoções do sistema local para o banco de dados na nuvem (Supabase).
+              Assim você poderá acessar os dados mesmo quando o sistema local estiver fechado.
+            </p>
+            <button onclick="migrateToCloud()" id="migrateBtn" class="w-full py-3 bg-white text-blue-600 rounded-lg font-bold hover:bg-blue-50 transition-colors">
+              ☁️ Migrar Agora
+            </button>
+            <div id="migrateProgress" class="hidden mt-4">
+              <div class="bg-white/20 rounded-full h-2">
+                <div id="migrateProgressBar" class="bg-white h-2 rounded-full transition-all" style="width: 0%"></div>
+              </div>
+              <p id="migrateStatus" class="text-center text-sm mt-2">Migrando...</p>
+            </div>
+          </div>
+          
+          <!-- Info Card -->
+          <div class="bg-yellow-50 border border-yellow-200 rounded-xl p-6">
+            <h3 class="font-bold text-yellow-800 mb-2">ℹ️ Importante</h3>
+            <ul class="text-sm text-yellow-700 space-y-2">
+              <li>• O Supabase precisa estar configurado no Vercel (SUPABASE_URL e SUPABASE_KEY)</li>
+              <li>• A migração envia os dados que estão em memória no servidor</li>
+              <li>• Para sincronizar novos produtos, use o botão "Sincronizar" no sistema local</li>
+              <li>• Após a migração, os dados ficam salvos permanentemente na nuvem</li>
+            </ul>
+          </div>
+        </div>
+      </div>
+
+      <!-- Store Detail Modal -->
+      <div id="storeModal" class="fixed inset-0 bg-black/50 hidden items-center justify-center z-50">
+        <div class="bg-white rounded-2xl w-full max-w-4xl max-h-[90vh] overflow-hidden mx-4">
+          <div class="gradient-bg text-white px-6 py-4 flex justify-between items-center">
+            <div>
+              <h2 id="modalStoreName" class="text-xl font-bold">Loja</h2>
+              <p id="modalStoreAddress" class="text-blue-200 text-sm"></p>
+            </div>
+            <button onclick="closeStoreModal()" class="p-2 hover:bg-white/20 rounded-lg">✕</button>
+          </div>
+          <div id="modalContent" class="p-6 overflow-y-auto max-h-[calc(90vh-80px)]"></div>
+        </div>
+      </div>
+
+      <!-- Product Modal -->
+      <div id="productModal" class="fixed inset-0 modal-overlay hidden items-center justify-center z-50">
+        <div class="bg-white rounded-2xl w-full max-w-3xl max-h-[90vh] overflow-hidden mx-4">
+          <div class="gradient-bg text-white px-6 py-4 flex justify-between items-center">
+            <h2 id="productModalTitle" class="text-xl font-bold">Novo Produto</h2>
+            <button onclick="closeProductModal()" class="p-2 hover:bg-white/20 rounded-lg">✕</button>
+          </div>
+          <form id="productForm" class="p-6 overflow-y-auto max-h-[calc(90vh-80px)]" onsubmit="saveProduct(event)">
+            <input type="hidden" id="productId">
+            
+            <!-- Tabs do Modal -->
+            <div class="flex border-b mb-4">
+              <button type="button" onclick="switchProductTab('info')" class="product-tab-btn px-4 py-2 text-sm font-medium border-b-2 border-blue-600 text-blue-600" data-tab="info">
+                📋 Informações
+              </button>
+              <button type="button" onclick="switchProductTab('barcodes')" class="product-tab-btn px-4 py-2 text-sm font-medium border-b-2 border-transparent text-gray-500 hover:text-gray-700" data-tab="barcodes">
+                📊 Códigos de Barras
+              </button>
+              <button type="button" onclick="switchProductTab('promos')" class="product-tab-btn px-4 py-2 text-sm font-medium border-b-2 border-transparent text-gray-500 hover:text-gray-700" data-tab="promos">
+                🏷️ Promoções
+              </button>
+            </div>
+            
+            <!-- Tab Informações -->
+            <div id="productTab-info" class="product-tab-content">
+              <div class="grid grid-cols-2 gap-4">
+                <div class="col-span-2">
+                  <label class="block text-sm font-medium text-gray-700 mb-1">Nome do Produto *</label>
+                  <input type="text" id="productName" required class="w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500">
+                </div>
+                <div>
+                  <label class="block text-sm font-medium text-gray-700 mb-1">SKU</label>
+                  <input type="text" id="productSku" class="w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500">
+                </div>
+                <div>
+                  <label class="block text-sm font-medium text-gray-700 mb-1">Categoria</label>
+                  <select id="productCategory" class="w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500">
+                    <option value="">Selecione...</option>
+                  </select>
+                </div>
+                <div>
+                  <label class="block text-sm font-medium text-gray-700 mb-1">Departamento</label>
+                  <input type="text" id="productDepartment" class="w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500">
+                </div>
+                <div>
+                  <label class="block text-sm font-medium text-gray-700 mb-1">Preço de Venda *</label>
+                  <input type="number" step="0.01" id="productPrice" required class="w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500">
+                </div>
+                <div>
+                  <label class="block text-sm font-medium text-gray-700 mb-1">Preço de Custo</label>
+                  <input type="number" step="0.01" id="productCost" class="w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500">
+                </div>
+                <div class="col-span-2">
+                  <label class="block text-sm font-medium text-gray-700 mb-1">Fornecedor</label>
+                  <select id="productSupplier" class="w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500">
+                    <option value="">Sem fornecedor</option>
+                  </select>
+                </div>
+                <div id="productStockBox" class="col-span-2">
+                  <label class="block text-sm font-medium text-gray-700 mb-1">Estoque por Loja</label>
+                  <div class="grid grid-cols-4 gap-2 text-xs text-gray-500 mb-1">
+                    <span>Loja</span><span>Saldo</span><span>Mínimo</span><span>Ponto de pedido</span>
+                  </div>
+                  <div id="productStockByStore" class="space-y-2"></div>
+                  <p class="text-xs text-gray-400 mt-1">Alterar um saldo registra um ajuste manual no histórico de estoque da loja. Abaixo do ponto de pedido o produto entra nos alertas de estoque.</p>
+                </div>
+                <div>
+                  <label class="block text-sm font-medium text-gray-700 mb-1">Unidade</label>
+                  <select id="productUnit" class="w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500">
+                    <option value="unit">Unidade</option>
+                    <option value="kg">Kg</option>
+                    <option value="g">Gramas</option>
+                    <option value="l">Litros</option>
+                    <option value="ml">ML</option>
+                  </select>
+                </div>
+                <div class="col-span-2 flex items-center gap-4">
+                  <label class="flex items-center gap-2">
+                    <input type="checkbox" id="productActive" checked class="w-5 h-5">
+                    <span class="text-sm text-gray-700">Ativo</span>
+                  </label>
+                  <label class="flex items-center gap-2">
+                    <input type="checkbox" id="productRequiresScale" class="w-5 h-5">
+                    <span class="text-sm text-gray-700">Requer Balança</span>
+                  </label>
+                </div>
+              </div>
+            </div>
+            
+            <!-- Tab Códigos de Barras -->
+            <div id="productTab-barcodes" class="product-tab-content hidden">
+              <div class="bg-blue-50 border border-blue-200 rounded-lg p-4 mb-4">
+                <h3 class="font-semibold text-blue-800 mb-1">📊 Códigos de Barras Múltiplos</h3>
+                <p class="text-sm text-blue-700">
+                  Adicione quantos códigos de barras precisar. O primeiro será o principal.
+                  Útil para produtos com embalagens diferentes ou códigos alternativos.
+                </p>
+              </div>
+              
+              <!-- Adicionar novo barcode -->
+              <div class="flex gap-2 mb-4">
+                <input type="text" id="newBarcodeInput" placeholder="Digite ou escaneie o código de barras..." 
+                  class="flex-1 px-3 py-2 border-2 rounded-lg focus:ring-2 focus:ring-green-500 font-mono"
+                  onkeypress="if(event.key==='Enter'){event.preventDefault();addBarcode();}">
+                <button type="button" onclick="addBarcode()" class="px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700">
+                  ➕ Adicionar
+                </button>
+              </div>
+              
+              <!-- Lista de barcodes -->
+              <div id="barcodesList" class="space-y-2 max-h-[300px] overflow-y-auto">
+                <div class="text-center py-4 text-gray-400">
+                  Nenhum código de barras cadastrado
+                </div>
+              </div>
+              
+              <!-- Contador -->
+              <div id="barcodesCount" class="text-sm text-gray-500 mt-2 text-right">
+                0 códigos de barras
+              </div>
+            </div>
+            
+            <!-- Tab Promoções -->
+            <div id="productTab-promos" class="product-tab-content hidden">
+              <div class="bg-gradient-to-r from-yellow-50 to-orange-50 border border-yellow-200 rounded-lg p-4 mb-4">
+                <h3 class="font-semibold text-yellow-800 mb-1">🏷️ Promoções do Produto</h3>
+                <p class="text-sm text-yellow-700">
+                  Crie e gerencie promoções diretamente para este produto.
+                </p>
+              </div>
+              
+              <!-- Promoções Ativas -->
+              <div class="mb-4">
+                <div class="flex justify-between items-center mb-3">
+                  <h4 class="font-medium text-gray-700">Promoções Ativas</h4>
+                  <span id="productPromosCount" class="text-xs bg-yellow-100 text-yellow-700 px-2 py-1 rounded-full">0 promoções</span>
+                </div>
+                <div id="productPromosList" class="space-y-2 max-h-[200px] overflow-y-auto">
+                  <div class="text-center py-4 text-gray-400">
+                    Nenhuma promoção ativa para este produto
+                  </div>
+                </div>
+              </div>
+              
+              <!-- Criar Promoção Rápida -->
+              <div class="border-t pt-4">
+                <h4 class="font-medium text-gray-700 mb-3">➕ Criar Promoção Rápida</h4>
+                
+                <!-- Tipo de Promoção -->
+                <div class="grid grid-cols-2 gap-2 mb-4">
+                  <button type="button" onclick="selectQuickPromoType('fixed_price')" class="quick-promo-btn p-3 border-2 rounded-lg text-left hover:bg-blue-50 transition-colors" data-type="fixed_price">
+                    <span class="text-lg">💲</span>
+                    <span class="text-sm font-medium">Preço Fixo</span>
+                  </button>
+                  <button type="button" onclick="selectQuickPromoType('multi_buy')" class="quick-promo-btn p-3 border-2 rounded-lg text-left hover:bg-green-50 transition-colors" data-type="multi_buy">
+                    <span class="text-lg">📦</span>
+                    <span class="text-sm font-medium">Leve X por $Y</span>
+                  </button>
+                  <button type="button" onclick="selectQuickPromoType('buy_get')" class="quick-promo-btn p-3 border-2 rounded-lg text-left hover:bg-purple-50 transition-colors" data-type="buy_get">
+                    <span class="text-lg">🎁</span>
+                    <span class="text-sm font-medium">Compre X Leve Y</span>
+                  </button>
+                  <button type="button" onclick="selectQuickPromoType('percent_off')" class="quick-promo-btn p-3 border-2 rounded-lg text-left hover:bg-orange-50 transition-colors" data-type="percent_off">
+                    <span class="text-lg">📊</span>
+                    <span class="text-sm font-medium">Desconto %</span>
+                  </button>
+                </div>
+                
+                <!-- Campos da Promoção Rápida -->
+                <div id="quickPromoFields" class="hidden">
+                  <!-- Preço Fixo -->
+                  <div id="quickPromoFixed" class="quick-promo-field hidden">
+                    <div class="bg-blue-50 rounded-lg p-4">
+                      <label class="block text-sm font-medium text-gray-700 mb-2">Preço Promocional *</label>
+                      <div class="flex items-center gap-2">
+                        <span class="text-gray-500">$</span>
+                        <input type="number" step="0.01" id="quickPromoPrice" class="flex-1 px-3 py-2 border-2 rounded-lg focus:ring-2 focus:ring-blue-500 text-lg font-bold" placeholder="0.00">
+                      </div>
+                      <p id="quickPromoSavings" class="text-sm text-green-600 mt-2"></p>
+                    </div>
+                  </div>
+                  
+                  <!-- Leve X por $Y -->
+                  <div id="quickPromoMultiBuy" class="quick-promo-field hidden">
+                    <div class="bg-green-50 rounded-lg p-4">
+                      <div class="grid grid-cols-3 gap-3 items-center">
+                        <div>
+                          <label class="block text-xs font-medium text-gray-700 mb-1">Leve</label>
+                          <input type="number" id="quickPromoQty" min="2" value="2" class="w-full px-3 py-2 border rounded-lg text-center font-bold">
+                        </div>
+                        <div class="text-center text-xl font-bold text-green-600">por</div>
+                        <div>
+                          <label class="block text-xs font-medium text-gray-700 mb-1">Valor $</label>
+                          <input type="number" step="0.01" id="quickPromoMultiPrice" class="w-full px-3 py-2 border rounded-lg text-center font-bold" placeholder="0.00">
+                        </div>
+                      </div>
+                      <p id="quickPromoMultiSavings" class="text-sm text-green-600 mt-2 text-center"></p>
+                    </div>
+                  </div>
+                  
+                  <!-- Compre X Leve Y -->
+                  <div id="quickPromoBuyGet" class="quick-promo-field hidden">
+                    <div class="bg-purple-50 rounded-lg p-4">
+                      <div class="grid grid-cols-3 gap-3 items-center">
+                        <div>
+                          <label class="block text-xs font-medium text-gray-700 mb-1">Compre</label>
+                          <input type="number" id="quickPromoBuy" min="1" value="2" class="w-full px-3 py-2 border rounded-lg text-center font-bold">
+                        </div>
+                        <div class="text-center text-xl font-bold text-purple-600">Leve</div>
+                        <div>
+                          <label class="block text-xs font-medium text-gray-700 mb-1">Unidades</label>
+                          <input type="number" id="quickPromoGet" min="2" value="3" class="w-full px-3 py-2 border rounded-lg text-center font-bold">
+                        </div>
+                      </div>
+                      <p id="quickPromoBuyGetInfo" class="text-sm text-purple-600 mt-2 text-center"></p>
+                    </div>
+                  </div>
+                  
+                  <!-- Desconto % -->
+                  <div id="quickPromoPercent" class="quick-promo-field hidden">
+                    <div class="bg-orange-50 rounded-lg p-4">
+                      <div class="flex items-center justify-center gap-2">
+                        <input type="number" id="quickPromoPercentValue" min="1" max="99" value="20" class="w-24 px-3 py-2 border rounded-lg text-center text-2xl font-bold">
+                        <span class="text-2xl font-bold text-orange-600">%</span>
+                        <span class="text-gray-600">de desconto</span>
+                      </div>
+                      <p id="quickPromoPercentInfo" class="text-sm text-orange-600 mt-2 text-center"></p>
+                    </div>
+                  </div>
+                  
+                  <!-- Datas -->
+                  <div class="grid grid-cols-2 gap-3 mt-4">
+                    <div>
+                      <label class="block text-xs font-medium text-gray-700 mb-1">Data Início</label>
+                      <input type="date" id="quickPromoStart" class="w-full px-3 py-2 border rounded-lg">
+                    </div>
+                    <div>
+                      <label class="block text-xs font-medium text-gray-700 mb-1">Data Fim</label>
+                      <input type="date" id="quickPromoEnd" class="w-full px-3 py-2 border rounded-lg">
+                    </div>
+                  </div>
+                  
+                  <!-- Botão Salvar -->
+                  <button type="button" onclick="saveQuickPromo()" class="w-full mt-4 px-4 py-3 bg-gradient-to-r from-yellow-500 to-orange-500 text-white rounded-lg hover:from-yellow-600 hover:to-orange-600 font-bold">
+                    🏷️ Criar Promoção
+                  </button>
+                </div>
+              </div>
+            </div>
+            
+            <div class="flex justify-end gap-3 mt-6 pt-4 border-t">
+              <button type="button" onclick="closeProductModal()" class="px-4 py-2 border rounded-lg hover:bg-gray-50">Cancelar</button>
+              <button type="submit" class="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700">💾 Salvar Produto</button>
+            </div>
+          </form>
+        </div>
+      </div>
+
+      <!-- Category Modal -->
+      <div id="categoryModal" class="fixed inset-0 modal-overlay hidden items-center justify-center z-50">
+        <div class="bg-white rounded-2xl w-full max-w-md max-h-[90vh] overflow-hidden mx-4">
+          <div class="gradient-bg text-white px-6 py-4 flex justify-between items-center">
+            <h2 id="categoryModalTitle" class="text-xl font-bold">Nova Categoria</h2>
+            <button onclick="closeCategoryModal()" class="p-2 hover:bg-white/20 rounded-lg">✕</button>
+          </div>
+          <form id="categoryForm" class="p-6" onsubmit="saveCategory(event)">
+            <input type="hidden" id="categoryId">
+            <div class="space-y-4">
+              <div>
+                <label class="block text-sm font-medium text-gray-700 mb-1">Nome da Categoria *</label>
+                <input type="text" id="categoryName" required class="w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500">
+              </div>
+              <div>
+                <label class="block text-sm font-medium text-gray-700 mb-1">Descrição</label>
+                <textarea id="categoryDescription" rows="3" class="w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500"></textarea>
+              </div>
+            </div>
+            <div class="flex justify-end gap-3 mt-6 pt-4 border-t">
+              <button type="button" onclick="closeCategoryModal()" class="px-4 py-2 border rounded-lg hover:bg-gray-50">Cancelar</button>
+              <button type="submit" class="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700">Salvar</button>
+            </div>
+          </form>
+        </div>
+      </div>
+
+      <!-- Transfer Modal -->
+      <div id="transferModal" class="fixed inset-0 modal-overlay hidden items-center justify-center z-50">
+        <div class="bg-white rounded-2xl w-full max-w-3xl max-h-[90vh] overflow-hidden mx-4">
+          <div class="gradient-bg text-white px-6 py-4 flex justify-between items-center">
+            <h2 class="text-xl font-bold">🚚 Nova Transferência</h2>
+            <button onclick="closeTransferModal()" class="p-2 hover:bg-white/20 rounded-lg">✕</button>
+          </div>
+          <form id="transferForm" class="p-6 overflow-y-auto max-h-[calc(90vh-80px)]" onsubmit="saveTransfer(event)">
+            <div class="grid grid-cols-1 md:grid-cols-2 gap-4 mb-4">
+              <div>
+                <label class="block text-sm font-medium text-gray-700 mb-1">Loja de origem *</label>
+                <select id="transferFrom" required class="w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500" onchange="transferLines = []; renderTransferLines(); searchTransferProducts()"></select>
+              </div>
+              <div>
+                <label class="block text-sm font-medium text-gray-700 mb-1">Loja de destino *</label>
+                <select id="transferTo" required class="w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500"></select>
+              </div>
+            </div>
+            <div class="mb-4">
+              <label class="block text-sm font-medium text-gray-700 mb-1">🔍 Adicionar produto</label>
+              <input type="text" id="transferProductSearch" placeholder="Nome, código de barras ou SKU" class="w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500" oninput="clearTimeout(transferSearchTimer); transferSearchTimer = setTimeout(searchTransferProducts, 300)">
+              <div id="transferProductResults" class="mt-2 space-y-1 text-sm"></div>
+            </div>
+            <div class="border rounded-xl overflow-hidden mb-4">
+              <table class="w-full text-sm">
+                <thead class="bg-gray-50 text-gray-600">
+                  <tr>
+                    <th class="px-4 py-2 text-left">Produto</th>
+                    <th class="px-4 py-2 text-right">Saldo na origem</th>
+                    <th class="px-4 py-2 text-right">Quantidade</th>
+                    <th class="px-4 py-2"></th>
+                  </tr>
+                </thead>
+                <tbody id="transferLinesBody" class="divide-y divide-gray-100"></tbody>
+              </table>
+            </div>
+            <div>
+              <label class="block text-sm font-medium text-gray-700 mb-1">Observações</label>
+              <textarea id="transferNotes" rows="2" class="w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500"></textarea>
+            </div>
+            <div class="flex justify-end gap-3 mt-6 pt-4 border-t">
+              <button type="button" onclick="closeTransferModal()" class="px-4 py-2 border rounded-lg hover:bg-gray-50">Cancelar</button>
+              <button type="submit" class="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700">Criar Transferência</button>
+            </div>
+          </form>
+        </div>
+      </div>
+
+      <!-- Transfer Ship/Receive Modal -->
+      <div id="transferStepModal" class="fixed inset-0 modal-overlay hidden items-center justify-center z-50">
+        <div class="bg-white rounded-2xl w-full max-w-2xl max-h-[90vh] overflow-hidden mx-4">
+          <div class="gradient-bg text-white px-6 py-4 flex justify-between items-center">
+            <div>
+              <h2 id="transferStepTitle" class="text-xl font-bold">Enviar Transferência</h2>
+              <p id="transferStepInfo" class="text-blue-200 text-sm"></p>
+            </div>
+            <button onclick="closeTransferStepModal()" class="p-2 hover:bg-white/20 rounded-lg">✕</button>
+          </div>
+          <form class="p-6 overflow-y-auto max-h-[calc(90vh-80px)]" onsubmit="confirmTransferStep(event)">
+            <div class="border rounded-xl overflow-hidden mb-4">
+              <table class="w-full text-sm">
+                <thead class="bg-gray-50 text-gray-600">
+                  <tr>
+                    <th class="px-4 py-2 text-left">Produto</th>
+                    <th id="transferStepReference" class="px-4 py-2 text-right">Solicitado</th>
+                    <th id="transferStepQuantity" class="px-4 py-2 text-right">Enviado</th>
+                  </tr>
+                </thead>
+                <tbody id="transferStepBody" class="divide-y divide-gray-100"></tbody>
+              </table>
+            </div>
+            <div>
+              <label class="block text-sm font-medium text-gray-700 mb-1">Observações</label>
+              <textarea id="transferStepNotes" rows="2" class="w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500"></textarea>
+            </div>
+            <div class="flex justify-end gap-3 mt-6 pt-4 border-t">
+              <button type="button" onclick="closeTransferStepModal()" class="px-4 py-2 border rounded-lg hover:bg-gray-50">Cancelar</button>
+              <button type="submit" id="transferStepSubmit" class="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700">Confirmar</button>
+            </div>
+          </form>
+        </div>
+      </div>
+
+      <!-- Supplier Modal -->
+      <div id="supplierModal" class="fixed inset-0 modal-overlay hidden items-center justify-center z-50">
+        <div class="bg-white rounded-2xl w-full max-w-2xl max-h-[90vh] overflow-hidden mx-4">
+          <div class="gradient-bg text-white px-6 py-4 flex justify-between items-center">
+            <h2 id="supplierModalTitle" class="text-xl font-bold">Novo Fornecedor</h2>
+            <button onclick="closeSupplierModal()" class="p-2 hover:bg-white/20 rounded-lg">✕</button>
+          </div>
+          <form class="p-6 overflow-y-auto max-h-[calc(90vh-80px)]" onsubmit="saveSupplier(event)">
+            <input type="hidden" id="supplierId">
+            <div class="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <div class="md:col-span-2">
+                <label class="block text-sm font-medium text-gray-700 mb-1">Nome *</label>
+                <input type="text" id="supplierName" required class="w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500">
+              </div>
+              <div>
+                <label class="block text-sm font-medium text-gray-700 mb-1">CNPJ / Documento</label>
+                <input type="text" id="supplierTaxId" class="w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500">
+              </div>
+              <div>
+                <label class="block text-sm font-medium text-gray-700 mb-1">Prazo de entrega (dias)</label>
+                <input type="number" id="supplierLeadTime" min="0" step="1" class="w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500">
+              </div>
+              <div>
+                <label class="block text-sm font-medium text-gray-700 mb-1">E-mail</label>
+                <input type="email" id="supplierEmail" class="w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500">
+              </div>
+              <div>
+                <label class="block text-sm font-medium text-gray-700 mb-1">Telefone</label>
+                <input type="text" id="supplierPhone" class="w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500">
+              </div>
+            </div>
+            <div class="mt-4">
+              <div class="flex items-center justify-between mb-1">
+                <label class="block text-sm font-medium text-gray-700">Contatos</label>
+                <button type="button" onclick="addSupplierContact()" class="text-sm text-blue-600 hover:underline">➕ Adicionar contato</button>
+              </div>
+              <div id="supplierContacts" class="space-y-2"></div>
+            </div>
+            <div class="mt-4">
+              <label class="block text-sm font-medium text-gray-700 mb-1">Observações</label>
+              <textarea id="supplierNotes" rows="2" class="w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500"></textarea>
+            </div>
+            <label class="flex items-center gap-2 mt-4 text-sm text-gray-700">
+              <input type="checkbox" id="supplierActive" checked> Fornecedor ativo
+            </label>
+            <div class="flex justify-end gap-3 mt-6 pt-4 border-t">
+              <button type="button" onclick="closeSupplierModal()" class="px-4 py-2 border rounded-lg hover:bg-gray-50">Cancelar</button>
+              <button type="submit" class="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700">Salvar</button>
+            </div>
+          </form>
+        </div>
+      </div>
+
+      <!-- Purchase Order Modal -->
+      <div id="purchaseOrderModal" class="fixed inset-0 modal-overlay hidden items-center justify-center z-50">
+        <div class="bg-white rounded-2xl w-full max-w-3xl max-h-[90vh] overflow-hidden mx-4">
+          <div class="gradient-bg text-white px-6 py-4 flex justify-between items-center">
+            <h2 class="text-xl font-bold">🛒 Novo Pedido de Compra</h2>
+            <button onclick="closePurchaseOrderModal()" class="p-2 hover:bg-white/20 rounded-lg">✕</button>
+          </div>
+          <form class="p-6 overflow-y-auto max-h-[calc(90vh-80px)]" onsubmit="savePurchaseOrder(event)">
+            <div class="grid grid-cols-1 md:grid-cols-2 gap-4 mb-4">
+              <div>
+                <label class="block text-sm font-medium text-gray-700 mb-1">Fornecedor *</label>
+                <select id="purchaseOrderSupplier" required class="w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500"></select>
+              </div>
+              <div>
+                <label class="block text-sm font-medium text-gray-700 mb-1">Loja que recebe *</label>
+                <select id="purchaseOrderStore" required class="w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500"></select>
+              </div>
+            </div>
+            <div class="mb-4">
+              <label class="block text-sm font-medium text-gray-700 mb-1">🔍 Adicionar produto</label>
+              <input type="text" id="purchaseProductSearch" placeholder="Nome, código de barras ou SKU" class="w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500" oninput="clearTimeout(purchaseSearchTimer); purchaseSearchTimer = setTimeout(searchPurchaseProducts, 300)">
+              <div id="purchaseProductResults" class="mt-2 space-y-1 text-sm"></div>
+            </div>
+            <div class="border rounded-xl overflow-hidden mb-4">
+              <table class="w-full text-sm">
+                <thead class="bg-gray-50 text-gray-600">
+                  <tr>
+                    <th class="px-4 py-2 text-left">Produto</th>
+                    <th class="px-4 py-2 text-right">Quantidade</th>
+                    <th class="px-4 py-2 text-right">Custo Unit.</th>
+                    <th class="px-4 py-2 text-right">Total</th>
+                    <th class="px-4 py-2"></th>
+                  </tr>
+                </thead>
+                <tbody id="purchaseLinesBody" class="divide-y divide-gray-100"></tbody>
+              </table>
+            </div>
+            <div>
+              <label class="block text-sm font-medium text-gray-700 mb-1">Observações</label>
+              <textarea id="purchaseOrderNotes" rows="2" class="w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500"></textarea>
+            </div>
+            <div class="flex justify-end gap-3 mt-6 pt-4 border-t">
+              <button type="button" onclick="closePurchaseOrderModal()" class="px-4 py-2 border rounded-lg hover:bg-gray-50">Cancelar</button>
+              <button type="submit" class="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700">Criar Pedido</button>
+            </div>
+          </form>
+        </div>
+      </div>
+
+      <!-- Purchase Receipt Modal -->
+      <div id="purchaseReceiveModal" class="fixed inset-0 modal-overlay hidden items-center justify-center z-50">
+        <div class="bg-white rounded-2xl w-full max-w-2xl max-h-[90vh] overflow-hidden mx-4">
+          <div class="gradient-bg text-white px-6 py-4 flex justify-between items-center">
+            <div>
+              <h2 class="text-xl font-bold">📥 Receber Pedido</h2>
+              <p id="purchaseReceiveInfo" class="text-blue-200 text-sm"></p>
+            </div>
+            <button onclick="closePurchaseReceiveModal()" class="p-2 hover:bg-white/20 rounded-lg">✕</button>
+          </div>
+          <form class="p-6 overflow-y-auto max-h-[calc(90vh-80px)]" onsubmit="confirmPurchaseReceipt(event)">
+            <div class="border rounded-xl overflow-hidden mb-4">
+              <table class="w-full text-sm">
+                <thead class="bg-gray-50 text-gray-600">
+                  <tr>
+                    <th class="px-4 py-2 text-left">Produto</th>
+                    <th class="px-4 py-2 text-right">Pendente</th>
+                    <th class="px-4 py-2 text-right">Recebido</th>
+                    <th class="px-4 py-2 text-right">Custo Unit.</th>
+                  </tr>
+                </thead>
+                <tbody id="purchaseReceiveBody" class="divide-y divide-gray-100"></tbody>
+              </table>
+            </div>
+            <div>
+              <label class="block text-sm font-medium text-gray-700 mb-1">Observações (nota fiscal, conferente)</label>
+              <textarea id="purchaseReceiveNotes" rows="2" class="w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500"></textarea>
+            </div>
+            <div class="flex justify-end gap-3 mt-6 pt-4 border-t">
+              <button type="button" onclick="closePurchaseReceiveModal()" class="px-4 py-2 border rounded-lg hover:bg-gray-50">Cancelar</button>
+              <button type="submit" class="px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700">Confirmar Recebimento</button>
+            </div>
+          </form>
+        </div>
+      </div>
+
+      <!-- Stock Count Modal -->
+      <div id="stockCountModal" class="fixed inset-0 modal-overlay hidden items-center justify-center z-50">
+        <div class="bg-white rounded-2xl w-full max-w-2xl max-h-[90vh] overflow-hidden mx-4">
+          <div class="gradient-bg text-white px-6 py-4 flex justify-between items-center">
+            <h2 class="text-xl font-bold">📋 Nova Contagem</h2>
+            <button onclick="closeStockCountModal()" class="p-2 hover:bg-white/20 rounded-lg">✕</button>
+          </div>
+          <form class="p-6 overflow-y-auto max-h-[calc(90vh-80px)]" onsubmit="saveStockCount(event)">
+            <div class="mb-4">
+              <label class="block text-sm font-medium text-gray-700 mb-1">Loja *</label>
+              <select id="stockCountStore" required class="w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500"></select>
+            </div>
+            <p class="text-sm text-gray-600 mb-2">Limitar a contagem (sem seleção, conta a loja inteira):</p>
+            <div class="grid grid-cols-1 md:grid-cols-2 gap-4 mb-4">
+              <div>
+                <label class="block text-xs font-medium text-gray-600 mb-1">Categorias</label>
+                <div id="stockCountCategories" class="border rounded-lg p-2 max-h-40 overflow-y-auto space-y-1 text-sm"></div>
+              </div>
+              <div>
+                <label class="block text-xs font-medium text-gray-600 mb-1">Departamentos</label>
+                <div id="stockCountDepartments" class="border rounded-lg p-2 max-h-40 overflow-y-auto space-y-1 text-sm"></div>
+              </div>
+            </div>
+            <div class="flex items-center gap-2 mb-4">
+              <input type="checkbox" id="stockCountZeroUncounted" checked class="w-4 h-4 text-blue-600">
+              <label for="stockCountZeroUncounted" class="text-sm text-gray-700">Produtos do escopo com saldo e não contados contam como zero</label>
+            </div>
+            <div>
+              <label class="block text-sm font-medium text-gray-700 mb-1">Observações</label>
+              <textarea id="stockCountNotes" rows="2" class="w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500"></textarea>
+            </div>
+            <div class="flex justify-end gap-3 mt-6 pt-4 border-t">
+              <button type="button" onclick="closeStockCountModal()" class="px-4 py-2 border rounded-lg hover:bg-gray-50">Cancelar</button>
+              <button type="submit" class="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700">Abrir Contagem</button>
+            </div>
+          </form>
+        </div>
+      </div>
+
+      <!-- Stock Count Detail Modal -->
+      <div id="stockCountDetailModal" class="fixed inset-0 modal-overlay hidden items-center justify-center z-50">
+        <div class="bg-white rounded-2xl w-full max-w-4xl max-h-[90vh] overflow-hidden mx-4">
+          <div class="gradient-bg text-white px-6 py-4 flex justify-between items-center">
+            <div>
+              <h2 id="stockCountDetailTitle" class="text-xl font-bold">Contagem</h2>
+              <p id="stockCountDetailInfo" class="text-blue-200 text-sm"></p>
+            </div>
+            <button onclick="closeStockCountDetail()" class="p-2 hover:bg-white/20 rounded-lg">✕</button>
+          </div>
+          <div class="p-6 overflow-y-auto max-h-[calc(90vh-80px)]">
+            <p id="stockCountDetailNote" class="text-sm text-gray-500 mb-3"></p>
+            <div id="stockCountDetailSummary" class="grid grid-cols-2 md:grid-cols-4 gap-3 mb-6"></div>
+
+            <h3 class="font-semibold text-gray-800 mb-2">📉 Quebra por Categoria</h3>
+            <div class="border rounded-xl overflow-hidden mb-6">
+              <table class="w-full text-sm">
+                <thead class="bg-gray-50 text-gray-600">
+                  <tr>
+                    <th class="px-4 py-2 text-left">Categoria</th>
+                    <th class="px-4 py-2 text-right">Produtos c/ Diferença</th>
+                    <th class="px-4 py-2 text-right">Falta (un.)</th>
+                    <th class="px-4 py-2 text-right">Sobra (un.)</th>
+                    <th class="px-4 py-2 text-right">Quebra</th>
+                    <th class="px-4 py-2 text-right">Sobra</th>
+                    <th class="px-4 py-2 text-right">Líquido</th>
+                  </tr>
+                </thead>
+                <tbody id="stockCountCategoryBody" class="divide-y divide-gray-100"></tbody>
+              </table>
+            </div>
+
+            <div class="flex items-center justify-between mb-2">
+              <h3 class="font-semibold text-gray-800">📦 Produtos</h3>
+              <label class="flex items-center gap-2 text-sm text-gray-600">
+                <input type="checkbox" id="stockCountShowAll" class="w-4 h-4 text-blue-600" onchange="renderStockCountDetail()">
+                Mostrar produtos sem diferença
+              </label>
+            </div>
+            <div class="border rounded-xl overflow-hidden mb-4">
+              <table class="w-full text-sm">
+                <thead class="bg-gray-50 text-gray-600">
+                  <tr>
+                    <th class="px-4 py-2 text-left">Produto</th>
+                    <th class="px-4 py-2 text-left">Categoria</th>
+                    <th class="px-4 py-2 text-right">Esperado</th>
+                    <th class="px-4 py-2 text-right">Contado</th>
+                    <th class="px-4 py-2 text-right">Diferença</th>
+                    <th class="px-4 py-2 text-right">Custo Unit.</th>
+                    <th class="px-4 py-2 text-right">Valor</th>
+                  </tr>
+                </thead>
+                <tbody id="stockCountLinesBody" class="divide-y divide-gray-100"></tbody>
+              </table>
+            </div>
+            <div id="stockCountDetailActions" class="flex justify-end gap-3 pt-4 border-t"></div>
+          </div>
+        </div>
+      </div>
+
+      <!-- Promotion Modal -->
+      <div id="promotionModal" class="fixed inset-0 modal-overlay hidden items-center justify-center z-50">
+        <div class="bg-white rounded-2xl w-full max-w-xl max-h-[90vh] overflow-hidden mx-4">
+          <div class="gradient-bg text-white px-6 py-4 flex justify-between items-center">
+            <h2 id="promotionModalTitle" class="text-xl font-bold">Nova Promoção</h2>
+            <button onclick="closePromotionModal()" class="p-2 hover:bg-white/20 rounded-lg">✕</button>
+          </div>
+          <form id="promotionForm" class="p-6 overflow-y-auto max-h-[calc(90vh-100px)]" onsubmit="savePromotion(event)">
+            <input type="hidden" id="promotionId">
+            <div class="space-y-4">
+              <!-- Nome da Promoção -->
+              <div>
+                <label class="block text-sm font-medium text-gray-700 mb-1">Nome da Promoção *</label>
+                <input type="text" id="promotionName" required class="w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500" placeholder="Ex: Refrigerante 2 por $4">
+              </div>
+              
+              <!-- Produto -->
+              <div>
+                <label class="block text-sm font-medium text-gray-700 mb-1">Produto (Barcode ou ID)</label>
+                <input type="text" id="promotionProduct" class="w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500" placeholder="Digite o código de barras">
+              </div>
+              
+              <!-- Tipo de Promoção -->
+              <div>
+                <label class="block text-sm font-medium text-gray-700 mb-2">🏷️ Tipo de Promoção</label>
+                <div class="grid grid-cols-1 gap-2">
+                  <label class="flex items-center p-3 border-2 rounded-lg cursor-pointer hover:bg-blue-50 transition-colors promo-type-option" onclick="selectPromoType('fixed_price')">
+                    <input type="radio" name="promoType" value="fixed_price" checked class="mr-3">
+                    <div>
+                      <span class="font-medium">💲 Preço Fixo</span>
+                      <p class="text-xs text-gray-500">Ex: De $2.99 por $1.99</p>
+                    </div>
+                  </label>
+                  <label class="flex items-center p-3 border-2 rounded-lg cursor-pointer hover:bg-green-50 transition-colors promo-type-option" onclick="selectPromoType('multi_buy')">
+                    <input type="radio" name="promoType" value="multi_buy" class="mr-3">
+                    <div>
+                      <span class="font-medium">📦 Leve X por $Y</span>
+                      <p class="text-xs text-gray-500">Ex: Leve 2 por $4.00</p>
+                    </div>
+                  </label>
+                  <label class="flex items-center p-3 border-2 rounded-lg cursor-pointer hover:bg-purple-50 transition-colors promo-type-option" onclick="selectPromoType('buy_get')">
+                    <input type="radio" name="promoType" value="buy_get" class="mr-3">
+                    <div>
+                      <span class="font-medium">🎁 Compre X Leve Y</span>
+                      <p class="text-xs text-gray-500">Ex: Compre 2 Leve 3</p>
+                    </div>
+                  </label>
                   <label class="flex items-center p-3 border-2 rounded-lg cursor-pointer hover:bg-orange-50 transition-colors promo-type-option" onclick="selectPromoType('percent_off')">
                     <input type="radio" name="promoType" value="percent_off" class="mr-3">
                     <div>
@@ -2832,964 +7818,3025 @@ function getOwnerDashboardHTML() {
                   </div>
                 </div>
               </div>
-              
-              <!-- Campos para Desconto % -->
-              <div id="percentOffFields" class="promo-fields hidden">
-                <div class="bg-orange-50 border border-orange-200 rounded-lg p-4">
-                  <div class="flex items-center justify-center gap-3">
-                    <input type="number" id="percentOffValue" min="1" max="100" value="20" class="w-24 px-3 py-2 border rounded-lg focus:ring-2 focus:ring-orange-500 text-center text-2xl font-bold">
-                    <span class="text-3xl font-bold text-orange-600">%</span>
-                    <span class="text-lg text-gray-600">de desconto</span>
-                  </div>
-                </div>
+              
+              <!-- Campos para Desconto % -->
+              <div id="percentOffFields" class="promo-fields hidden">
+                <div class="bg-orange-50 border border-orange-200 rounded-lg p-4">
+                  <div class="flex items-center justify-center gap-3">
+                    <input type="number" id="percentOffValue" min="1" max="100" value="20" class="w-24 px-3 py-2 border rounded-lg focus:ring-2 focus:ring-orange-500 text-center text-2xl font-bold">
+                    <span class="text-3xl font-bold text-orange-600">%</span>
+                    <span class="text-lg text-gray-600">de desconto</span>
+                  </div>
+                </div>
+              </div>
+              
+              <!-- Campos para Mix and Match -->
+              <div id="mixMatchFields" class="promo-fields hidden">
+                <div class="bg-pink-50 border border-pink-200 rounded-lg p-4">
+                  <div class="text-center mb-3">
+                    <span class="text-2xl">🎨</span>
+                    <p class="text-sm text-pink-700 font-medium">Misture e Combine - Escolha produtos de um grupo</p>
+                  </div>
+                  <div class="grid grid-cols-3 gap-3 items-end mb-3">
+                    <div>
+                      <label class="block text-sm font-medium text-gray-700 mb-1">Escolha</label>
+                      <input type="number" id="mixMatchQty" min="2" value="3" class="w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-pink-500 text-center text-lg font-bold">
+                    </div>
+                    <div class="text-center pb-2">
+                      <span class="text-xl font-bold text-pink-600">itens por</span>
+                    </div>
+                    <div>
+                      <label class="block text-sm font-medium text-gray-700 mb-1">Valor $</label>
+                      <input type="number" step="0.01" id="mixMatchPrice" class="w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-pink-500 text-center text-lg font-bold" placeholder="10.00">
+                    </div>
+                  </div>
+                  <div>
+                    <label class="block text-sm font-medium text-gray-700 mb-1">📁 Nome do Grupo</label>
+                    <input type="text" id="mixMatchGroup" class="w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-pink-500" placeholder="Ex: Laticínios, Refrigerantes, Frutas...">
+                  </div>
+                  <div class="mt-3 text-center">
+                    <span id="mixMatchPreview" class="text-sm text-pink-700 font-medium">Escolha 3 itens e pague apenas $10.00!</span>
+                  </div>
+                </div>
+                
+                <!-- Busca de Produtos -->
+                <div class="mt-4 border-t pt-4">
+                  <label class="block text-sm font-medium text-gray-700 mb-2">🔍 Adicionar Produtos à Promoção</label>
+                  <div class="relative">
+                    <input type="text" id="promoProductSearch" 
+                      class="w-full px-4 py-3 border-2 rounded-lg focus:ring-2 focus:ring-pink-500 focus:border-pink-500" 
+                      placeholder="Buscar por nome, código de barras ou SKU..."
+                      oninput="searchProductsForPromo(this.value)"
+                      onfocus="showPromoProductResults()">
+                    <div id="promoProductResults" class="absolute z-50 w-full bg-white border-2 border-pink-200 rounded-lg shadow-xl mt-1 max-h-60 overflow-y-auto hidden">
+                      <!-- Resultados da busca aparecem aqui -->
+                    </div>
+                  </div>
+                  
+                  <!-- Produtos Selecionados -->
+                  <div class="mt-3">
+                    <div class="flex items-center justify-between mb-2">
+                      <span class="text-sm font-medium text-gray-700">📦 Produtos Selecionados</span>
+                      <span id="selectedProductsCount" class="text-xs bg-pink-100 text-pink-700 px-2 py-1 rounded-full">0 produtos</span>
+                    </div>
+                    <div id="selectedProductsList" class="min-h-[60px] max-h-[150px] overflow-y-auto bg-gray-50 rounded-lg p-2 border-2 border-dashed border-gray-300">
+                      <p class="text-center text-gray-400 text-sm py-4">Nenhum produto adicionado</p>
+                    </div>
+                  </div>
+                </div>
+              </div>
+              
+              <!-- Seletor de Produtos (múltiplos) -->
+              <div id="productSelectorSection" class="mt-4 border-t pt-4">
+                <label class="block text-sm font-medium text-gray-700 mb-2">
+                  🔍 Buscar Produtos para Promoção
+                  <span class="text-xs text-gray-500 ml-2">(você pode adicionar múltiplos produtos)</span>
+                </label>
+                <div class="relative">
+                  <input type="text" id="singleProductSearch" 
+                    class="w-full px-4 py-3 border-2 rounded-lg focus:ring-2 focus:ring-blue-500" 
+                    placeholder="Buscar por nome, código de barras ou SKU..."
+                    oninput="searchMultiProducts(this.value)"
+                    onfocus="showMultiProductResults()">
+                  <div id="singleProductResults" class="absolute z-50 w-full bg-white border-2 border-blue-200 rounded-lg shadow-xl mt-1 max-h-60 overflow-y-auto hidden">
+                    <!-- Resultados aparecem aqui -->
+                  </div>
+                </div>
+                <!-- Lista de produtos selecionados -->
+                <div id="selectedMultiProducts" class="mt-3">
+                  <div id="selectedProductsListPromo" class="flex flex-wrap gap-2">
+                    <!-- Produtos selecionados aparecem aqui -->
+                  </div>
+                  <p id="selectedProductsCountPromo" class="text-xs text-gray-500 mt-2">0 produtos selecionados</p>
+                </div>
+              </div>
+              
+              <!-- Datas -->
+              <div class="grid grid-cols-2 gap-4">
+                <div>
+                  <label class="block text-sm font-medium text-gray-700 mb-1">📅 Data Início</label>
+                  <input type="date" id="promotionStartDate" class="w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500">
+                </div>
+                <div>
+                  <label class="block text-sm font-medium text-gray-700 mb-1">📅 Data Fim</label>
+                  <input type="date" id="promotionEndDate" class="w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500">
+                </div>
+              </div>
+              
+              <!-- Ativa -->
+              <div class="flex items-center gap-2 p-3 bg-gray-50 rounded-lg">
+                <input type="checkbox" id="promotionActive" checked class="w-5 h-5 text-green-600">
+                <label class="text-sm text-gray-700 font-medium">✅ Promoção Ativa</label>
+              </div>
+            </div>
+            <div class="flex justify-end gap-3 mt-6 pt-4 border-t">
+              <button type="button" onclick="closePromotionModal()" class="px-4 py-2 border rounded-lg hover:bg-gray-50">Cancelar</button>
+              <button type="submit" class="px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 font-medium">💾 Salvar Promoção</button>
+            </div>
+          </form>
+        </div>
+      </div>
+    </main>
+
+    <!-- Footer -->
+    <footer class="bg-gray-800 text-white text-center py-4 mt-8">
+      <p class="text-gray-400">POSGOL - Sistema de Gestão de Vendas © 2024</p>
+    </footer>
+  </div>
+
+  <script>
+    let authToken = sessionStorage.getItem('token') || '';
+    let currentUser = JSON.parse(sessionStorage.getItem('user') || 'null');
+    let refreshInterval = null;
+    let liveEvents = null;
+    let liveRefreshTimer = null;
+    let currentPeriod = 'week';
+    let revenueChart = null;
+    let storeComparisonChart = null;
+    let paymentMethodsChart = null;
+    let heatmapData = null;
+
+    const PAYMENT_METHOD_STYLES = {
+      cash: { label: '💵 Dinheiro', color: '#10b981' },
+      credit: { label: '💳 Crédito', color: '#3b82f6' },
+      debit: { label: '💳 Débito', color: '#06b6d4' },
+      pix: { label: '📱 PIX', color: '#8b5cf6' },
+      unknown: { label: '❔ Não informado', color: '#9ca3af' }
+    };
+    const API_BASE = window.location.origin;
+    
+    // Store selection
+    let selectedStoreId = 'all';
+    let allStoresData = [];
+    let salesPage = 1;
+    let salesPerPage = 25;
+
+    // Função para mostrar notificações toast
+    function showToast(message, type = 'info') {
+      // Remover toast anterior se existir
+      const existingToast = document.getElementById('toast-notification');
+      if (existingToast) existingToast.remove();
+      
+      const colors = {
+        'success': 'bg-green-500',
+        'error': 'bg-red-500',
+        'warning': 'bg-yellow-500',
+        'info': 'bg-blue-500'
+      };
+      
+      const toast = document.createElement('div');
+      toast.id = 'toast-notification';
+      toast.className = 'fixed top-4 right-4 ' + (colors[type] || colors.info) + ' text-white px-6 py-3 rounded-lg shadow-lg z-[9999] animate-pulse';
+      toast.innerHTML = message;
+      document.body.appendChild(toast);
+      
+      setTimeout(() => {
+        toast.style.opacity = '0';
+        toast.style.transition = 'opacity 0.5s';
+        setTimeout(() => toast.remove(), 500);
+      }, 3000);
+    }
+
+    // Chamadas autenticadas: o token de sessão vai no header, nunca na URL
+    async function apiFetch(url, options = {}) {
+      const response = await fetch(url, {
+        ...options,
+        headers: { ...(options.headers || {}), 'Authorization': 'Bearer ' + authToken }
+      });
+      if (response.status === 401 && authToken) {
+        showToast('Sessão expirada. Faça login novamente.', 'warning');
+        endSession();
+      }
+      return response;
+    }
+
+    function can(permission) {
+      return !!currentUser && (currentUser.permissions || []).includes(permission);
+    }
+
+    // Esconde o que a sessão não pode usar (o servidor valida de novo em cada rota)
+    function applyUserPermissions() {
+      document.querySelectorAll('[data-permission]').forEach(el => {
+        el.classList.toggle('hidden', !can(el.dataset.permission));
+      });
+      
+      // Gerente com loja definida só vê a própria loja
+      const selector = document.getElementById('storeSelector');
+      if (currentUser && currentUser.store_id) {
+        selectedStoreId = String(currentUser.store_id);
+        selector.disabled = true;
+      } else {
+        selector.disabled = false;
+      }
+    }
+
+    function showDashboard() {
+      applyUserPermissions();
+      document.getElementById('loginScreen').classList.add('hidden');
+      document.getElementById('dashboardScreen').classList.remove('hidden');
+      loadData();
+      // Atualizações chegam pelo stream de eventos; o intervalo é só uma garantia
+      if (refreshInterval) clearInterval(refreshInterval);
+      refreshInterval = setInterval(loadData, 60000);
+      startLiveEvents();
+      loadStockAlerts();
+    }
+
+    // Abas que dependem de cada tipo de evento
+    const LIVE_EVENT_TABS = {
+      sale: ['dashboard', 'sales', 'ranking', 'employees'],
+      store: ['dashboard', 'sales'],
+      catalog: ['products', 'categories'],
+      promotion: ['promotions'],
+      closing: ['closings'],
+      stock: ['stock'],
+      stock_alert: ['stock'],
+      transfer: ['transfers'],
+      purchase_order: ['purchases'],
+      stock_count: ['counts']
+    };
+
+    function handleLiveEvent(type, data) {
+      if (type === 'sale' && data.status === 'completed') {
+        showToast('💰 Nova venda: R$ ' + Number(data.total || 0).toFixed(2), 'success');
+      }
+      if (type === 'closing' && data.status !== 'balanced') {
+        showToast('🧾 Fechamento com diferença no terminal ' + data.terminal_id + ': $' + Number(data.total_difference || 0).toFixed(2), 'warning');
+      }
+      if (type === 'transfer' && data.status === 'received' && data.has_discrepancy) {
+        showToast('🚚 Transferência recebida com divergência', 'warning');
+      }
+      if (type === 'stock_count' && data.status === 'review' && can('inventory:approve')) {
+        showToast('📋 Contagem ' + data.number + ' encerrada, aguardando aprovação', 'warning');
+      }
+      if (type === 'stock_alert') {
+        const critical = data.alerts.filter(a => a.alert === 'critical').length;
+        if (critical > 0) showToast('🔴 ' + critical + ' produto(s) abaixo do estoque mínimo', 'warning');
+        // Na aba de estoque o contador vem junto com a atualização da aba
+        if (currentTab !== 'stock') loadStockAlerts();
+      }
+      if (!(LIVE_EVENT_TABS[type] || []).includes(currentTab)) return;
+      // Agrupa rajadas de eventos (ex.: push com várias vendas) em uma atualização
+      clearTimeout(liveRefreshTimer);
+      liveRefreshTimer = setTimeout(refreshCurrentTab, 1000);
+    }
+
+    // Lê o stream via fetch (EventSource não envia o header Authorization)
+    async function startLiveEvents() {
+      stopLiveEvents();
+      const controller = new AbortController();
+      liveEvents = controller;
+      try {
+        const response = await fetch(API_BASE + '/api/owner/events', {
+          headers: { 'Authorization': 'Bearer ' + authToken },
+          signal: controller.signal
+        });
+        if (!response.ok || !response.body) throw new Error('HTTP ' + response.status);
+        
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+        while (true) {
+          const { value, done } = await reader.read();
+          if (done) break;
+          buffer += decoder.decode(value, { stream: true });
+          const messages = buffer.split('\\n\\n');
+          buffer = messages.pop();
+          messages.forEach(message => {
+            let type = 'message';
+            let data = '';
+            message.split('\\n').forEach(line => {
+              if (line.startsWith('event: ')) type = line.slice(7);
+              else if (line.startsWith('data: ')) data += line.slice(6);
+            });
+            if (data) handleLiveEvent(type, JSON.parse(data));
+          });
+        }
+      } catch (error) {
+        if (controller.signal.aborted) return;
+        console.error('Live events error:', error);
+      }
+      // Conexão caiu: tenta de novo enquanto a sessão estiver ativa
+      if (liveEvents === controller && authToken) {
+        setTimeout(() => {
+          if (liveEvents === controller && authToken) startLiveEvents();
+        }, 5000);
+      }
+    }
+
+    function stopLiveEvents() {
+      if (liveEvents) liveEvents.abort();
+      liveEvents = null;
+    }
+
+    // Login
+    document.getElementById('loginForm').addEventListener('submit', async (e) => {
+      e.preventDefault();
+      
+      try {
+        const response = await fetch(API_BASE + '/api/owner/login', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({
+            username: document.getElementById('usernameInput').value.trim() || undefined,
+            password: document.getElementById('passwordInput').value
+          })
+        });
+        if (response.ok) {
+          const session = await response.json();
+          authToken = session.token;
+          currentUser = session.user;
+          sessionStorage.setItem('token', authToken);
+          sessionStorage.setItem('user', JSON.stringify(currentUser));
+          document.getElementById('passwordInput').value = '';
+          document.getElementById('loginError').classList.add('hidden');
+          showDashboard();
+        } else {
+          document.getElementById('loginError').classList.remove('hidden');
+        }
+      } catch (error) {
+        console.error('Login error:', error);
+        document.getElementById('loginError').classList.remove('hidden');
+      }
+    });
+
+    // Limpa a sessão local e volta para a tela de login
+    function endSession() {
+      authToken = '';
+      currentUser = null;
+      sessionStorage.removeItem('token');
+      sessionStorage.removeItem('user');
+      if (refreshInterval) clearInterval(refreshInterval);
+      refreshInterval = null;
+      stopLiveEvents();
+      document.getElementById('dashboardScreen').classList.add('hidden');
+      document.getElementById('loginScreen').classList.remove('hidden');
+      document.getElementById('passwordInput').value = '';
+    }
+
+    async function logout() {
+      try {
+        await apiFetch(API_BASE + '/api/owner/logout', { method: 'POST' });
+      } catch (error) {
+        console.error('Logout error:', error);
+      }
+      endSession();
+    }
+
+    function setPeriod(period) {
+      currentPeriod = period;
+      document.querySelectorAll('.period-btn').forEach(btn => {
+        btn.classList.remove('bg-blue-600', 'text-white');
+        btn.classList.add('bg-gray-100');
+      });
+      document.querySelector('[data-period="' + period + '"]').classList.remove('bg-gray-100');
+      document.querySelector('[data-period="' + period + '"]').classList.add('bg-blue-600', 'text-white');
+      loadData();
+    }
+
+    function getDateRange() {
+      const now = new Date();
+      let start = new Date();
+      let end = new Date();
+
+      switch(currentPeriod) {
+        case 'today':
+          start.setHours(0, 0, 0, 0);
+          break;
+        case 'week':
+          start.setDate(start.getDate() - 7);
+          break;
+        case 'month':
+          start.setDate(start.getDate() - 30);
+          break;
+        case 'custom':
+          start = new Date(document.getElementById('startDate').value);
+          end = new Date(document.getElementById('endDate').value);
+          break;
+      }
+
+      return {
+        startDate: start.toISOString().split('T')[0],
+        endDate: end.toISOString().split('T')[0]
+      };
+    }
+
+    function applyCustomPeriod() {
+      currentPeriod = 'custom';
+      document.querySelectorAll('.period-btn').forEach(btn => {
+        btn.classList.remove('bg-blue-600', 'text-white');
+        btn.classList.add('bg-gray-100');
+      });
+      loadData();
+    }
+
+    async function loadData() {
+      try {
+        const { startDate, endDate } = getDateRange();
+        
+        // Load report
+        const compareMode = document.getElementById('compareMode').value;
+        const reportResponse = await apiFetch(
+          API_BASE + '/api/owner/report?' + 
+          'startDate=' + startDate + '&endDate=' + endDate +
+          (compareMode ? '&compare=' + compareMode : '')
+        );
+        const report = await reportResponse.json();
+        
+        // Save all stores data
+        allStoresData = report.stores || [];
+        
+        // Update store selector
+        updateStoreSelector(allStoresData);
+        
+        // Filter data by selected store
+        let filteredStores = allStoresData;
+        if (selectedStoreId !== 'all') {
+          filteredStores = allStoresData.filter(s => s.id == selectedStoreId);
+        }
+        
+        // Calculate totals
+        const totalRevenue = filteredStores.reduce((sum, s) => sum + (s.revenue || 0), 0);
+        const totalTransactions = filteredStores.reduce((sum, s) => sum + (s.transactions || 0), 0);
+        const avgTicket = totalTransactions > 0 ? totalRevenue / totalTransactions : 0;
+
+        // Update KPIs
+        document.getElementById('totalRevenue').textContent = '$' + totalRevenue.toFixed(2);
+        document.getElementById('totalTransactions').textContent = totalTransactions;
+        document.getElementById('avgTicket').textContent = '$' + avgTicket.toFixed(2);
+        document.getElementById('activeStores').textContent = filteredStores.filter(s => s.transactions > 0).length;
+        document.getElementById('lastUpdate').textContent = new Date().toLocaleTimeString('pt-BR');
+
+        // Variação contra o período de comparação, somando só as lojas filtradas
+        const compareSeries = {};
+        if (report.comparison) {
+          const previousRevenue = filteredStores.reduce((sum, s) => sum + (s.comparison?.revenue || 0), 0);
+          const previousTransactions = filteredStores.reduce((sum, s) => sum + (s.comparison?.transactions || 0), 0);
+          const previousAvgTicket = previousTransactions > 0 ? previousRevenue / previousTransactions : 0;
+          const label = report.comparison.mode === 'year' ? 'vs ano anterior' : 'vs período anterior';
+          renderKpiChange('totalRevenueChange', totalRevenue, previousRevenue, label);
+          renderKpiChange('totalTransactionsChange', totalTransactions, previousTransactions, label);
+          renderKpiChange('avgTicketChange', avgTicket, previousAvgTicket, label);
+          filteredStores.forEach(s => (s.series || []).forEach(point => {
+            compareSeries[point.date] = (compareSeries[point.date] || 0) + point.compareRevenue;
+          }));
+        } else {
+          ['totalRevenueChange', 'totalTransactionsChange', 'avgTicketChange']
+            .forEach(id => document.getElementById(id).classList.add('hidden'));
+        }
+
+        updatePaymentMethods(filteredStores);
+        loadHeatmap(startDate, endDate);
+
+        // Update stores grid (only if "all" is selected or show single store)
+        if (selectedStoreId === 'all') {
+          updateStoresGrid(filteredStores);
+        } else {
+          // Show detailed view for selected store
+          updateSingleStoreView(filteredStores[0]);
+        }
+
+        // Load comparison for charts (mesmo período dos KPIs, contra o período anterior)
+        const compareResponse = await apiFetch(
+          API_BASE + '/api/owner/compare?startDate=' + startDate + '&endDate=' + endDate
+        );
+        const comparison = await compareResponse.json();
+
+        // Filter comparison by selected store
+        if (selectedStoreId !== 'all') {
+          comparison.comparison = comparison.comparison.filter(s => s.storeId == selectedStoreId);
+        }
+
+        // Update charts
+        updateCharts(comparison, report.comparison ? compareSeries : null);
+
+      } catch (error) {
+        console.error('Error loading data:', error);
+      }
+    }
+    
+    // Seta e variação percentual sob um KPI
+    function renderKpiChange(elementId, current, previous, label) {
+      const el = document.getElementById(elementId);
+      const delta = current - previous;
+      const arrow = delta > 0 ? '▲' : delta < 0 ? '▼' : '▬';
+      const percent = previous > 0 ? Math.abs(delta / previous * 100).toFixed(1) + '%' : (current > 0 ? 'novo' : '0%');
+      el.textContent = arrow + ' ' + percent + ' ' + label;
+      el.title = 'Comparação: ' + (Number.isInteger(previous) ? previous : previous.toFixed(2));
+      el.classList.remove('hidden');
+    }
+    
+    function updateStoreSelector(stores) {
+      const selector = document.getElementById('storeSelector');
+      const currentValue = selector.value;
+      
+      selector.innerHTML = '<option value="all" class="text-gray-800">📊 Todas as Lojas (' + stores.length + ')</option>';
+      
+      stores.forEach(store => {
+        const option = document.createElement('option');
+        option.value = store.id;
+        option.textContent = '🏪 ' + store.name;
+        option.className = 'text-gray-800';
+        selector.appendChild(option);
+      });
+      
+      // Restore selected value
+      selector.value = currentValue || 'all';
+    }
+    
+    function changeSelectedStore() {
+      selectedStoreId = document.getElementById('storeSelector').value;
+      
+      // Update store name display
+      const storeName = selectedStoreId === 'all' ? 'Todas as lojas' : 
+        allStoresData.find(s => s.id == selectedStoreId)?.name || 'Loja';
+      
+      const salesInfo = document.getElementById('salesStoreInfo');
+      const employeesInfo = document.getElementById('employeesStoreInfo');
+      if (salesInfo) salesInfo.textContent = storeName;
+      if (employeesInfo) employeesInfo.textContent = storeName;
+      
+      // Recarregar a aba atual com o filtro da nova loja
+      refreshCurrentTab();
+      if (currentTab !== 'stock') loadStockAlerts();
+    }
+    
+    function updateSingleStoreView(store) {
+      if (!store) return;
+      
+      const grid = document.getElementById('storesGrid');
+      grid.innerHTML = \`
+        <div class="col-span-full bg-gradient-to-br from-blue-500 to-blue-600 text-white rounded-xl p-6">
+          <div class="flex items-center justify-between mb-4">
+            <div class="flex items-center gap-3">
+              <span class="text-4xl">🏪</span>
+              <div>
+                <h3 class="text-2xl font-bold">\${store.name}</h3>
+                <p class="text-blue-200">\${store.address || 'Endereço não informado'}</p>
+              </div>
+            </div>
+            <div class="text-right">
+              <p class="text-blue-200 text-sm">Última venda</p>
+              <p class="font-bold">\${store.lastSale ? new Date(store.lastSale.created_at || store.lastSale.timestamp).toLocaleString('pt-BR') : 'N/A'}</p>
+            </div>
+          </div>
+        </div>
+        
+        <div class="bg-white rounded-xl p-6 shadow-lg">
+          <div class="text-center">
+            <p class="text-gray-500 text-sm mb-1">💰 Receita do Período</p>
+            <p class="text-4xl font-bold text-green-600">$\${store.revenue?.toFixed(2) || '0.00'}</p>
+          </div>
+        </div>
+        
+        <div class="bg-white rounded-xl p-6 shadow-lg">
+          <div class="text-center">
+            <p class="text-gray-500 text-sm mb-1">📊 Total de Vendas</p>
+            <p class="text-4xl font-bold text-blue-600">\${store.transactions || 0}</p>
+          </div>
+        </div>
+        
+        <div class="bg-white rounded-xl p-6 shadow-lg">
+          <div class="text-center">
+            <p class="text-gray-500 text-sm mb-1">🎫 Ticket Médio</p>
+            <p class="text-4xl font-bold text-purple-600">$\${store.avgTicket?.toFixed(2) || '0.00'}</p>
+          </div>
+        </div>
+      \`;
+    }
+
+    function updateStoresGrid(stores) {
+      const grid = document.getElementById('storesGrid');
+      
+      if (stores.length === 0) {
+        grid.innerHTML = '<div class="col-span-full text-center py-12 text-gray-400"><p class="text-4xl mb-4">🏪</p><p>Nenhuma loja com dados ainda</p></div>';
+        return;
+      }
+
+      grid.innerHTML = stores.map((store, index) => {
+        const medal = index === 0 ? '🥇' : index === 1 ? '🥈' : index === 2 ? '🥉' : '';
+        const hasRecentSale = store.lastSale && (new Date() - new Date(store.lastSale.created_at || store.lastSale.timestamp)) < 3600000;
+        
+        return '<div class="store-card bg-gray-50 rounded-xl p-4 border-2 border-gray-200 hover:border-blue-400 cursor-pointer" onclick="openStoreModal(' + store.id + ')">' +
+          '<div class="flex items-start justify-between mb-3">' +
+            '<div class="flex items-center gap-2">' +
+              '<span class="text-2xl">' + medal + (medal ? '' : '🏪') + '</span>' +
+              '<div>' +
+                '<h4 class="font-bold text-gray-800">' + store.name + '</h4>' +
+                (store.address ? '<p class="text-xs text-gray-500">' + store.address + '</p>' : '') +
+              '</div>' +
+            '</div>' +
+            (hasRecentSale ? '<span class="pulse text-green-500" title="Venda recente">●</span>' : '') +
+          '</div>' +
+          '<div class="grid grid-cols-2 gap-3">' +
+            '<div class="bg-white rounded-lg p-3 text-center">' +
+              '<p class="text-2xl font-bold text-green-600">$' + store.revenue.toFixed(2) + '</p>' +
+              '<p class="text-xs text-gray-500">Receita</p>' +
+            '</div>' +
+            '<div class="bg-white rounded-lg p-3 text-center">' +
+              '<p class="text-2xl font-bold text-blue-600">' + store.transactions + '</p>' +
+              '<p class="text-xs text-gray-500">Vendas</p>' +
+            '</div>' +
+          '</div>' +
+          '<div class="mt-3 text-xs text-gray-500 flex justify-between">' +
+            '<span>Ticket Médio: $' + store.avgTicket.toFixed(2) + '</span>' +
+            '<span>Ver detalhes →</span>' +
+          '</div>' +
+        '</div>';
+      }).join('');
+    }
+
+    // compareSeries: receita do período de comparação por data do período atual (ou null)
+    function updateCharts(comparison, compareSeries) {
+      // Revenue Chart
+      const allDates = [...new Set(comparison.comparison.flatMap(s => s.dailyData.map(d => d.date)))].sort();
+      
+      const revenueCtx = document.getElementById('revenueChart').getContext('2d');
+      
+      if (revenueChart) revenueChart.destroy();
+      
+      const datasets = comparison.comparison.map((store, index) => {
+        const colors = ['#3b82f6', '#10b981', '#f59e0b', '#ef4444', '#8b5cf6', '#ec4899'];
+        return {
+          label: store.storeName,
+          data: allDates.map(date => {
+            const dayData = store.dailyData.find(d => d.date === date);
+            return dayData ? dayData.revenue : 0;
+          }),
+          borderColor: colors[index % colors.length],
+          backgroundColor: colors[index % colors.length] + '20',
+          fill: true,
+          tension: 0.4
+        };
+      });
+      if (compareSeries) {
+        datasets.push({
+          label: document.getElementById('compareMode').value === 'year' ? 'Ano anterior' : 'Período anterior',
+          data: allDates.map(date => compareSeries[date] || 0),
+          borderColor: '#9ca3af',
+          borderDash: [6, 4],
+          fill: false,
+          tension: 0.4
+        });
+      }
+
+      revenueChart = new Chart(revenueCtx, {
+        type: 'line',
+        data: {
+          labels: allDates.map(d => new Date(d + 'T12:00:00').toLocaleDateString('pt-BR', { day: '2-digit', month: 'short' })),
+          datasets: datasets
+        },
+        options: {
+          responsive: true,
+          plugins: {
+            legend: { position: 'bottom' }
+          },
+          scales: {
+            y: { beginAtZero: true }
+          }
+        }
+      });
+
+      // Store Comparison Bar Chart
+      const storeCtx = document.getElementById('storeComparisonChart').getContext('2d');
+      
+      if (storeComparisonChart) storeComparisonChart.destroy();
+      
+      storeComparisonChart = new Chart(storeCtx, {
+        type: 'bar',
+        data: {
+          labels: comparison.comparison.map(s => s.storeName),
+          datasets: [{
+            label: 'Receita Total',
+            data: comparison.comparison.map(s => s.totalRevenue),
+            backgroundColor: ['#3b82f6', '#10b981', '#f59e0b', '#ef4444', '#8b5cf6', '#ec4899']
+          }, {
+            label: 'Período Anterior',
+            data: comparison.comparison.map(s => s.previous ? s.previous.totalRevenue : 0),
+            backgroundColor: '#d1d5db'
+          }]
+        },
+        options: {
+          responsive: true,
+          plugins: {
+            legend: { display: false },
+            tooltip: {
+              callbacks: {
+                afterBody: (items) => {
+                  const change = comparison.comparison[items[0].dataIndex].change;
+                  return change && change.revenue != null
+                    ? 'Variação: ' + (change.revenue >= 0 ? '+' : '') + change.revenue.toFixed(1) + '%'
+                    : '';
+                }
+              }
+            }
+          },
+          scales: {
+            y: { beginAtZero: true }
+          }
+        }
+      });
+    }
+
+    async function loadHeatmap(startDate, endDate) {
+      try {
+        const storeFilter = selectedStoreId !== 'all' ? '&store_id=' + selectedStoreId : '';
+        const response = await apiFetch(
+          API_BASE + '/api/owner/heatmap?startDate=' + startDate + '&endDate=' + endDate + storeFilter
+        );
+        if (!response.ok) throw new Error('HTTP ' + response.status);
+        heatmapData = await response.json();
+        renderHeatmap();
+      } catch (error) {
+        console.error('Error loading heatmap:', error);
+      }
+    }
+
+    // Dias da semana × horas; a intensidade da cor acompanha a métrica escolhida
+    function renderHeatmap() {
+      if (!heatmapData) return;
+      const metric = document.getElementById('heatmapMetric').value;
+      const weekdays = ['Dom', 'Seg', 'Ter', 'Qua', 'Qui', 'Sex', 'Sáb'];
+      const max = Math.max(0, ...heatmapData.buckets.flat().map(b => b[metric]));
+      const hours = Array.from({ length: 24 }, (_, h) => h);
+
+      let html = '<table class="w-full border-separate" style="border-spacing:2px"><thead><tr><th></th>' +
+        hours.map(h => '<th class="font-normal text-gray-400">' + (h % 3 === 0 ? h + 'h' : '') + '</th>').join('') +
+        '</tr></thead><tbody>';
+      heatmapData.buckets.forEach((row, weekday) => {
+        html += '<tr><td class="pr-2 text-gray-600 font-medium">' + weekdays[weekday] + '</td>' +
+          row.map((bucket, hour) => {
+            const intensity = max > 0 ? bucket[metric] / max : 0;
+            const title = weekdays[weekday] + ' ' + hour + 'h: ' + bucket.transactions + ' vendas, $' + bucket.revenue.toFixed(2);
+            return '<td title="' + title + '" class="rounded" style="height:18px;background:rgba(37,99,235,' +
+              (intensity === 0 ? 0.05 : 0.15 + intensity * 0.85).toFixed(2) + ')"></td>';
+          }).join('') +
+          '</tr>';
+      });
+      html += '</tbody></table>';
+      document.getElementById('salesHeatmap').innerHTML = html;
+
+      const peak = heatmapData.peak;
+      const zones = [...new Set(Object.values(heatmapData.timezones))];
+      document.getElementById('heatmapPeak').textContent =
+        (peak ? 'Pico: ' + weekdays[peak.weekday] + ' às ' + peak.hour + 'h (' + peak.transactions + ' vendas)' : 'Sem vendas no período') +
+        (zones.length > 0 ? ' • Horário local: ' + zones.join(', ') : '');
+    }
+
+    // Receita por forma de pagamento, por dia, das lojas visíveis
+    function updatePaymentMethods(filteredStores) {
+      const totals = {};
+      const byDay = {};
+      filteredStores.forEach(store => {
+        Object.entries(store.paymentMethods || {}).forEach(([method, amount]) => {
+          totals[method] = (totals[method] || 0) + amount;
+        });
+        Object.entries(store.salesByDay || {}).forEach(([day, data]) => {
+          byDay[day] = byDay[day] || {};
+          Object.entries(data.paymentMethods || {}).forEach(([method, amount]) => {
+            byDay[day][method] = (byDay[day][method] || 0) + amount;
+          });
+        });
+      });
+
+      const methods = Object.keys(totals).sort((a, b) => totals[b] - totals[a]);
+      const grandTotal = methods.reduce((sum, method) => sum + totals[method], 0);
+      const style = method => PAYMENT_METHOD_STYLES[method] || { label: method, color: '#f59e0b' };
+
+      document.getElementById('paymentMethodsTotals').innerHTML = methods.length === 0
+        ? 'Sem vendas no período'
+        : methods.map(method =>
+            '<div class="flex items-center justify-between">' +
+              '<span class="flex items-center gap-2 text-gray-700">' +
+                '<span class="inline-block w-3 h-3 rounded-full" style="background:' + style(method).color + '"></span>' +
+                style(method).label +
+              '</span>' +
+              '<span class="font-semibold text-gray-800">$' + totals[method].toFixed(2) +
+                ' <span class="text-xs text-gray-400">(' + (grandTotal > 0 ? (totals[method] / grandTotal * 100).toFixed(1) : '0.0') + '%)</span>' +
+              '</span>' +
+            '</div>'
+          ).join('');
+
+      const days = Object.keys(byDay).sort();
+      const ctx = document.getElementById('paymentMethodsChart').getContext('2d');
+      if (paymentMethodsChart) paymentMethodsChart.destroy();
+      paymentMethodsChart = new Chart(ctx, {
+        type: 'bar',
+        data: {
+          labels: days.map(d => new Date(d + 'T12:00:00').toLocaleDateString('pt-BR', { day: '2-digit', month: 'short' })),
+          datasets: methods.map(method => ({
+            label: style(method).label,
+            data: days.map(day => byDay[day][method] || 0),
+            backgroundColor: style(method).color
+          }))
+        },
+        options: {
+          responsive: true,
+          plugins: {
+            legend: { position: 'bottom' }
+          },
+          scales: {
+            x: { stacked: true },
+            y: { stacked: true, beginAtZero: true }
+          }
+        }
+      });
+    }
+
+    async function openStoreModal(storeId) {
+      const modal = document.getElementById('storeModal');
+      const content = document.getElementById('modalContent');
+      
+      try {
+        const { startDate, endDate } = getDateRange();
+        const response = await apiFetch(
+          API_BASE + '/api/owner/store/' + storeId + '/sales?' +
+          'startDate=' + startDate + '&endDate=' + endDate + '&limit=50'
+        );
+        const data = await response.json();
+
+        document.getElementById('modalStoreName').textContent = data.store.name;
+        document.getElementById('modalStoreAddress').textContent = data.store.address || '';
+
+        content.innerHTML = 
+          '<div class="grid grid-cols-3 gap-4 mb-6">' +
+            '<div class="bg-green-50 rounded-xl p-4 text-center">' +
+              '<p class="text-3xl font-bold text-green-600">$' + data.totalRevenue.toFixed(2) + '</p>' +
+              '<p class="text-sm text-gray-500">Receita Total</p>' +
+            '</div>' +
+            '<div class="bg-blue-50 rounded-xl p-4 text-center">' +
+              '<p class="text-3xl font-bold text-blue-600">' + data.count + '</p>' +
+              '<p class="text-sm text-gray-500">Vendas</p>' +
+            '</div>' +
+            '<div class="bg-purple-50 rounded-xl p-4 text-center">' +
+              '<p class="text-3xl font-bold text-purple-600">$' + (data.count > 0 ? (data.totalRevenue / data.count).toFixed(2) : '0.00') + '</p>' +
+              '<p class="text-sm text-gray-500">Ticket Médio</p>' +
+            '</div>' +
+          '</div>' +
+          '<h4 class="font-bold text-gray-800 mb-3">📋 Últimas Vendas</h4>' +
+          '<div class="overflow-x-auto">' +
+            '<table class="w-full">' +
+              '<thead class="bg-gray-50">' +
+                '<tr>' +
+                  '<th class="px-4 py-3 text-left text-sm font-medium text-gray-600">Número</th>' +
+                  '<th class="px-4 py-3 text-left text-sm font-medium text-gray-600">Data/Hora</th>' +
+                  '<th class="px-4 py-3 text-right text-sm font-medium text-gray-600">Total</th>' +
+                  '<th class="px-4 py-3 text-center text-sm font-medium text-gray-600">Status</th>' +
+                '</tr>' +
+              '</thead>' +
+              '<tbody class="divide-y divide-gray-100">' +
+                data.sales.map(sale => 
+                  '<tr class="hover:bg-gray-50">' +
+                    '<td class="px-4 py-3"><span class="font-mono text-sm bg-gray-100 px-2 py-1 rounded">' + (sale.sale_number || 'N/A') + '</span></td>' +
+                    '<td class="px-4 py-3 text-sm text-gray-600">' + new Date(sale.created_at || sale.timestamp).toLocaleString('pt-BR') + '</td>' +
+                    '<td class="px-4 py-3 text-right font-bold text-green-600">$' + (sale.total || 0).toFixed(2) + '</td>' +
+                    '<td class="px-4 py-3 text-center"><span class="px-2 py-1 rounded-full text-xs font-medium bg-green-100 text-green-700">' + (sale.status || 'completed') + '</span></td>' +
+                  '</tr>'
+                ).join('') +
+              '</tbody>' +
+            '</table>' +
+          '</div>' +
+          '<h4 class="font-bold text-gray-800 mt-6 mb-3">🔑 Chave de API do Terminal</h4>' +
+          '<div id="storeKeyPanel" class="bg-gray-50 rounded-xl p-4 text-sm text-gray-500">Carregando...</div>' +
+          (can('stores:manage') ?
+            '<h4 class="font-bold text-gray-800 mt-6 mb-3">🕐 Fuso Horário</h4>' +
+            '<div class="bg-gray-50 rounded-xl p-4 text-sm flex gap-2 items-center">' +
+              '<input id="storeTimezoneInput" list="timezoneOptions" value="' + (data.store.timezone || '') + '" placeholder="Padrão do servidor" class="flex-1 px-3 py-2 border rounded-lg">' +
+              '<datalist id="timezoneOptions">' +
+                (Intl.supportedValuesOf ? Intl.supportedValuesOf('timeZone') : []).map(tz => '<option value="' + tz + '">').join('') +
+              '</datalist>' +
+              '<button onclick="saveStoreTimezone(' + storeId + ')" class="px-3 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700">Salvar</button>' +
+            '</div>' +
+            '<p class="text-xs text-gray-400 mt-1">Dias, "hoje" e horários dos relatórios desta loja usam este fuso.</p>' : '');
+
+        modal.classList.remove('hidden');
+        modal.classList.add('flex');
+        loadStoreKeyStatus(storeId);
+      } catch (error) {
+        console.error('Error loading store details:', error);
+      }
+    }
+
+    // =====================
+    // CHAVES DE API DAS LOJAS
+    // =====================
+    async function loadStoreKeyStatus(storeId, newKey = null) {
+      const panel = document.getElementById('storeKeyPanel');
+      if (!panel) return;
+      
+      try {
+        const response = await apiFetch(API_BASE + '/api/owner/stores/' + storeId + '/key');
+        const status = await response.json();
+        
+        panel.innerHTML =
+          (newKey ?
+            '<div class="bg-yellow-50 border border-yellow-300 rounded-lg p-3 mb-3">' +
+              '<p class="text-yellow-800 font-medium mb-2">⚠️ Copie a chave agora. Ela não será exibida novamente.</p>' +
+              '<div class="flex gap-2">' +
+                '<input id="newStoreKey" readonly value="' + newKey + '" class="flex-1 font-mono text-xs px-2 py-1 border rounded bg-white">' +
+                '<button onclick="copyNewStoreKey()" class="px-3 py-1 bg-yellow-500 text-white rounded hover:bg-yellow-600">Copiar</button>' +
+              '</div>' +
+            '</div>' : '') +
+          '<div class="flex items-center justify-between">' +
+            '<div>' +
+              (status.hasKey ?
+                '<p class="text-green-600 font-medium">✅ Chave ativa <span class="font-mono text-gray-500">' + status.prefix + '…</span></p>' +
+                '<p class="text-xs text-gray-400">Gerada em ' + new Date(status.createdAt).toLocaleString('pt-BR') + '</p>' :
+                '<p class="text-yellow-600 font-medium">⚠️ Nenhuma chave gerada</p>' +
+                '<p class="text-xs text-gray-400">Os terminais desta loja sincronizam sem autenticação</p>') +
+            '</div>' +
+            '<div class="flex gap-2">' +
+              '<button onclick="rotateStoreKey(' + storeId + ', ' + status.hasKey + ')" class="px-3 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700">' + (status.hasKey ? '🔄 Rotacionar' : '🔑 Gerar chave') + '</button>' +
+              (status.hasKey ? '<button onclick="revokeStoreKey(' + storeId + ')" class="px-3 py-2 bg-red-500 text-white rounded-lg hover:bg-red-600">🚫 Revogar</button>' : '') +
+            '</div>' +
+          '</div>';
+      } catch (error) {
+        console.error('Error loading store key status:', error);
+        panel.innerHTML = '<p class="text-red-500">Erro ao carregar chave</p>';
+      }
+    }
+
+    function copyNewStoreKey() {
+      navigator.clipboard.writeText(document.getElementById('newStoreKey').value);
+      showToast('📋 Chave copiada', 'success');
+    }
+
+    async function rotateStoreKey(storeId, hasKey) {
+      if (hasKey && !confirm('Gerar uma nova chave? A chave atual deixará de funcionar imediatamente e os terminais precisarão ser reconfigurados.')) return;
+      
+      try {
+        const response = await apiFetch(API_BASE + '/api/owner/stores/' + storeId + '/key', {
+          method: 'POST'
+        });
+        const result = await response.json();
+        if (result.success) {
+          showToast('🔑 Chave gerada com sucesso', 'success');
+          loadStoreKeyStatus(storeId, result.key);
+        } else {
+          showToast('Erro: ' + (result.error || 'falha ao gerar chave'), 'error');
+        }
+      } catch (error) {
+        console.error('Error generating store key:', error);
+        showToast('Erro ao gerar chave', 'error');
+      }
+    }
+
+    async function revokeStoreKey(storeId) {
+      if (!confirm('Revogar a chave desta loja? Os terminais que a utilizam não conseguirão mais sincronizar.')) return;
+      
+      try {
+        await apiFetch(API_BASE + '/api/owner/stores/' + storeId + '/key', {
+          method: 'DELETE'
+        });
+        showToast('🚫 Chave revogada', 'success');
+        loadStoreKeyStatus(storeId);
+      } catch (error) {
+        console.error('Error revoking store key:', error);
+        showToast('Erro ao revogar chave', 'error');
+      }
+    }
+
+    async function saveStoreTimezone(storeId) {
+      try {
+        const response = await apiFetch(API_BASE + '/api/owner/stores/' + storeId + '/timezone', {
+          method: 'PUT',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ timezone: document.getElementById('storeTimezoneInput').value.trim() })
+        });
+        const result = await response.json();
+        if (result.success) {
+          showToast('🕐 Fuso horário salvo: ' + result.timezone, 'success');
+          loadData();
+        } else {
+          showToast('Erro: ' + (result.error || 'falha ao salvar fuso'), 'error');
+        }
+      } catch (error) {
+        console.error('Error saving store timezone:', error);
+        showToast('Erro ao salvar fuso horário', 'error');
+      }
+    }
+
+    function closeStoreModal() {
+      const modal = document.getElementById('storeModal');
+      modal.classList.add('hidden');
+      modal.classList.remove('flex');
+    }
+
+    // Close modal on outside click
+    document.getElementById('storeModal').addEventListener('click', (e) => {
+      if (e.target.id === 'storeModal') closeStoreModal();
+    });
+
+    // =====================
+    // TAB NAVIGATION
+    // =====================
+    let currentTab = 'dashboard';
+    let allProducts = [];
+    let filteredProducts = [];
+    let allCategories = [];
+    let allPromotions = [];
+    let allDepartments = [];
+    let productPage = 1;
+    let productsPerPage = 50;
+    let totalProductPages = 1;
+    let productSortField = 'name';
+    let productSortDirection = 'asc';
+    let searchTimeout = null;
+
+    function switchTab(tab) {
+      currentTab = tab;
+      document.querySelectorAll('.tab-btn').forEach(btn => {
+        btn.classList.remove('active');
+        if (btn.textContent.toLowerCase().includes(tab)) {
+          btn.classList.add('active');
+        }
+      });
+      document.querySelectorAll('.tab-content').forEach(content => {
+        content.classList.remove('active');
+      });
+      const tabElement = document.getElementById('tab-' + tab);
+      if (tabElement) {
+        tabElement.classList.add('active');
+      }
+      
+      // Load tab data
+      if (tab === 'products') loadProducts();
+      else if (tab === 'categories') loadCategories();
+      else if (tab === 'promotions') loadPromotions();
+      else if (tab === 'users') loadUsers();
+      else if (tab === 'dashboard') loadData();
+      else if (tab === 'cloud') loadCloudStatus();
+      else if (tab === 'sales') loadSalesData();
+      else if (tab === 'ranking') loadProductRanking();
+      else if (tab === 'closings') loadClosings();
+      else if (tab === 'stock') loadStock();
+      else if (tab === 'transfers') loadTransfers();
+      else if (tab === 'purchases') loadPurchases();
+      else if (tab === 'counts') loadStockCounts();
+      else if (tab === 'employees') loadEmployeesData();
+    }
+
+    function refreshCurrentTab() {
+      switchTab(currentTab);
+    }
+
+    // =====================
+    // SALES MANAGEMENT
+    // =====================
+    // Só a página atual; totais e operadores do filtro inteiro vêm em salesSummary
+    let allSales = [];
+    let salesSummary = null;
+    
+    // Parâmetros de /api/owner/all-sales a partir dos filtros da aba de vendas
+    function salesQuery(extra = {}) {
+      const params = new URLSearchParams({
+        startDate: document.getElementById('salesStartDate').value,
+        endDate: document.getElementById('salesEndDate').value
+      });
+      if (selectedStoreId !== 'all') params.set('store_id', selectedStoreId);
+      const filters = {
+        operator: 'salesOperator',
+        payment_method: 'salesPayment',
+        status: 'salesStatus',
+        minTotal: 'salesMinTotal',
+        maxTotal: 'salesMaxTotal'
+      };
+      Object.entries(filters).forEach(([param, id]) => {
+        const value = document.getElementById(id)?.value;
+        if (value) params.set(param, value);
+      });
+      Object.entries(extra).forEach(([param, value]) => params.set(param, value));
+      return params.toString();
+    }
+    
+    async function loadSalesData() {
+      try {
+        // Set default dates if not set
+        const startInput = document.getElementById('salesStartDate');
+        const endInput = document.getElementById('salesEndDate');
+        
+        if (!startInput.value) {
+          const weekAgo = new Date();
+          weekAgo.setDate(weekAgo.getDate() - 7);
+          startInput.value = weekAgo.toISOString().split('T')[0];
+        }
+        if (!endInput.value) {
+          endInput.value = new Date().toISOString().split('T')[0];
+        }
+        
+        // Filtros, totais e paginação são aplicados no servidor
+        const response = await apiFetch(
+          API_BASE + '/api/owner/all-sales?' + salesQuery({ page: salesPage, limit: salesPerPage })
+        );
+        
+        if (response.ok) {
+          const data = await response.json();
+          allSales = data.sales || [];
+          salesSummary = data;
+          salesPage = data.page || 1;
+          renderSalesTable();
+          updateSalesSummary();
+          loadOperatorsForFilter();
+        } else {
+          // Fallback: load from stores
+          loadSalesFromStores();
+        }
+      } catch (error) {
+        console.error('Error loading sales:', error);
+        loadSalesFromStores();
+      }
+    }
+    
+    async function loadSalesFromStores() {
+      try {
+        allSales = [];
+        const { startDate, endDate } = getDateRange();
+        
+        for (const store of allStoresData) {
+          if (selectedStoreId !== 'all' && store.id != selectedStoreId) continue;
+          
+          try {
+            const response = await apiFetch(
+              API_BASE + '/api/owner/store/' + store.id + '/sales?' +
+              'startDate=' + startDate + '&endDate=' + endDate + '&limit=100'
+            );
+            if (response.ok) {
+              const data = await response.json();
+              if (data.sales) {
+                data.sales.forEach(sale => {
+                  sale.store_name = store.name;
+                  sale.store_id = store.id;
+                });
+                allSales.push(...data.sales);
+              }
+            }
+          } catch (e) {
+            console.error('Error loading store sales:', e);
+          }
+        }
+        
+        // Sort by date descending
+        allSales.sort((a, b) => new Date(b.created_at || b.timestamp) - new Date(a.created_at || a.timestamp));
+        
+        // Sem o endpoint paginado: totais das vendas carregadas e uma página só
+        const paymentMethods = {};
+        allSales.forEach(sale => salePaymentSplit(sale).forEach(payment => {
+          paymentMethods[payment.method] = (paymentMethods[payment.method] || 0) + payment.amount;
+        }));
+        const total = allSales.reduce((sum, s) => sum + saleNetTotal(s), 0);
+        const transactions = allSales.filter(s => saleNetTotal(s) > 0 || !['voided', 'refunded'].includes(s.status)).length;
+        salesSummary = {
+          page: 1,
+          limit: allSales.length,
+          totalPages: 1,
+          count: allSales.length,
+          total,
+          transactions,
+          avgTicket: transactions > 0 ? total / transactions : 0,
+          paymentMethods,
+          operators: []
+        };
+        salesPage = 1;
+        
+        renderSalesTable();
+        updateSalesSummary();
+      } catch (error) {
+        console.error('Error loading sales from stores:', error);
+      }
+    }
+    
+    function renderSalesTable() {
+      const tbody = document.getElementById('salesTableBody');
+      const pageSales = allSales;
+      updateSalesPagination();
+      
+      if (pageSales.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="8" class="text-center py-16 text-gray-400"><div class="text-5xl mb-3">📭</div><p class="text-lg">Nenhuma venda encontrada</p><p class="text-sm">Ajuste os filtros ou período</p></td></tr>';
+        return;
+      }
+      
+      const paymentIcons = {
+        'cash': '💵',
+        'credit': '💳',
+        'debit': '💳',
+        'pix': '📱',
+        'mixed': '🔄'
+      };
+      
+      const paymentLabels = {
+        'cash': 'Dinheiro',
+        'credit': 'Crédito',
+        'debit': 'Débito',
+        'pix': 'PIX',
+        'mixed': 'Misto'
+      };
+      
+      tbody.innerHTML = pageSales.map((sale, idx) => {
+        const storeName = sale.store_name || allStoresData.find(s => s.id == sale.store_id)?.name || 'Loja';
+        const operatorName = sale.user_name || sale.operator || sale.cashier_name || 'Não identificado';
+        const paymentType = sale.payment_method || sale.payment_type || 'cash';
+        const paymentIcon = paymentIcons[paymentType] || '💰';
+        const paymentLabel = paymentLabels[paymentType] || paymentType;
+        const saleDate = new Date(sale.created_at || sale.timestamp);
+        const isToday = new Date().toDateString() === saleDate.toDateString();
+        
+        return \`
+          <tr class="hover:bg-green-50 transition-colors \${idx % 2 === 0 ? 'bg-white' : 'bg-gray-50/50'}">
+            <td class="px-4 py-4">
+              <div class="flex flex-col">
+                <span class="font-mono text-sm font-bold bg-gradient-to-r from-green-100 to-green-200 text-green-800 px-3 py-1 rounded-lg inline-block">
+                  #\${sale.sale_number || sale.id || 'N/A'}
+                </span>
               </div>
-              
-              <!-- Campos para Mix and Match -->
-              <div id="mixMatchFields" class="promo-fields hidden">
-                <div class="bg-pink-50 border border-pink-200 rounded-lg p-4">
-                  <div class="text-center mb-3">
-                    <span class="text-2xl">🎨</span>
-                    <p class="text-sm text-pink-700 font-medium">Misture e Combine - Escolha produtos de um grupo</p>
-                  </div>
-                  <div class="grid grid-cols-3 gap-3 items-end mb-3">
-                    <div>
-                      <label class="block text-sm font-medium text-gray-700 mb-1">Escolha</label>
-                      <input type="number" id="mixMatchQty" min="2" value="3" class="w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-pink-500 text-center text-lg font-bold">
-                    </div>
-                    <div class="text-center pb-2">
-                      <span class="text-xl font-bold text-pink-600">itens por</span>
-                    </div>
-                    <div>
-                      <label class="block text-sm font-medium text-gray-700 mb-1">Valor $</label>
-                      <input type="number" step="0.01" id="mixMatchPrice" class="w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-pink-500 text-center text-lg font-bold" placeholder="10.00">
-                    </div>
-                  </div>
-                  <div>
-                    <label class="block text-sm font-medium text-gray-700 mb-1">📁 Nome do Grupo</label>
-                    <input type="text" id="mixMatchGroup" class="w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-pink-500" placeholder="Ex: Laticínios, Refrigerantes, Frutas...">
-                  </div>
-                  <div class="mt-3 text-center">
-                    <span id="mixMatchPreview" class="text-sm text-pink-700 font-medium">Escolha 3 itens e pague apenas $10.00!</span>
-                  </div>
-                </div>
-                
-                <!-- Busca de Produtos -->
-                <div class="mt-4 border-t pt-4">
-                  <label class="block text-sm font-medium text-gray-700 mb-2">🔍 Adicionar Produtos à Promoção</label>
-                  <div class="relative">
-                    <input type="text" id="promoProductSearch" 
-                      class="w-full px-4 py-3 border-2 rounded-lg focus:ring-2 focus:ring-pink-500 focus:border-pink-500" 
-                      placeholder="Buscar por nome, código de barras ou SKU..."
-                      oninput="searchProductsForPromo(this.value)"
-                      onfocus="showPromoProductResults()">
-                    <div id="promoProductResults" class="absolute z-50 w-full bg-white border-2 border-pink-200 rounded-lg shadow-xl mt-1 max-h-60 overflow-y-auto hidden">
-                      <!-- Resultados da busca aparecem aqui -->
-                    </div>
-                  </div>
-                  
-                  <!-- Produtos Selecionados -->
-                  <div class="mt-3">
-                    <div class="flex items-center justify-between mb-2">
-                      <span class="text-sm font-medium text-gray-700">📦 Produtos Selecionados</span>
-                      <span id="selectedProductsCount" class="text-xs bg-pink-100 text-pink-700 px-2 py-1 rounded-full">0 produtos</span>
-                    </div>
-                    <div id="selectedProductsList" class="min-h-[60px] max-h-[150px] overflow-y-auto bg-gray-50 rounded-lg p-2 border-2 border-dashed border-gray-300">
-                      <p class="text-center text-gray-400 text-sm py-4">Nenhum produto adicionado</p>
-                    </div>
-                  </div>
-                </div>
+            </td>
+            <td class="px-4 py-4">
+              <div class="flex items-center gap-2">
+                <span class="text-lg">🏪</span>
+                <span class="text-sm font-medium text-gray-700">\${storeName}</span>
               </div>
-              
-              <!-- Seletor de Produtos (múltiplos) -->
-              <div id="productSelectorSection" class="mt-4 border-t pt-4">
-                <label class="block text-sm font-medium text-gray-700 mb-2">
-                  🔍 Buscar Produtos para Promoção
-                  <span class="text-xs text-gray-500 ml-2">(você pode adicionar múltiplos produtos)</span>
-                </label>
-                <div class="relative">
-                  <input type="text" id="singleProductSearch" 
-                    class="w-full px-4 py-3 border-2 rounded-lg focus:ring-2 focus:ring-blue-500" 
-                    placeholder="Buscar por nome, código de barras ou SKU..."
-                    oninput="searchMultiProducts(this.value)"
-                    onfocus="showMultiProductResults()">
-                  <div id="singleProductResults" class="absolute z-50 w-full bg-white border-2 border-blue-200 rounded-lg shadow-xl mt-1 max-h-60 overflow-y-auto hidden">
-                    <!-- Resultados aparecem aqui -->
-                  </div>
-                </div>
-                <!-- Lista de produtos selecionados -->
-                <div id="selectedMultiProducts" class="mt-3">
-                  <div id="selectedProductsListPromo" class="flex flex-wrap gap-2">
-                    <!-- Produtos selecionados aparecem aqui -->
-                  </div>
-                  <p id="selectedProductsCountPromo" class="text-xs text-gray-500 mt-2">0 produtos selecionados</p>
-                </div>
+            </td>
+            <td class="px-4 py-4">
+              <div class="flex flex-col">
+                <span class="text-sm font-medium text-gray-800">\${saleDate.toLocaleDateString('pt-BR')}</span>
+                <span class="text-xs text-gray-500">\${saleDate.toLocaleTimeString('pt-BR')} \${isToday ? '<span class="bg-green-100 text-green-700 px-1 rounded text-xs ml-1">Hoje</span>' : ''}</span>
               </div>
-              
-              <!-- Datas -->
-              <div class="grid grid-cols-2 gap-4">
-                <div>
-                  <label class="block text-sm font-medium text-gray-700 mb-1">📅 Data Início</label>
-                  <input type="date" id="promotionStartDate" class="w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500">
+            </td>
+            <td class="px-4 py-4">
+              <div class="flex items-center gap-2">
+                <div class="w-8 h-8 rounded-full bg-gradient-to-br from-blue-500 to-purple-600 flex items-center justify-center text-white text-xs font-bold">
+                  \${operatorName.charAt(0).toUpperCase()}
                 </div>
-                <div>
-                  <label class="block text-sm font-medium text-gray-700 mb-1">📅 Data Fim</label>
-                  <input type="date" id="promotionEndDate" class="w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500">
+                <div class="flex flex-col">
+                  <span class="text-sm font-semibold text-gray-800">\${operatorName}</span>
+                  <span class="text-xs text-gray-500">Caixa</span>
                 </div>
               </div>
-              
-              <!-- Ativa -->
-              <div class="flex items-center gap-2 p-3 bg-gray-50 rounded-lg">
-                <input type="checkbox" id="promotionActive" checked class="w-5 h-5 text-green-600">
-                <label class="text-sm text-gray-700 font-medium">✅ Promoção Ativa</label>
-              </div>
-            </div>
-            <div class="flex justify-end gap-3 mt-6 pt-4 border-t">
-              <button type="button" onclick="closePromotionModal()" class="px-4 py-2 border rounded-lg hover:bg-gray-50">Cancelar</button>
-              <button type="submit" class="px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 font-medium">💾 Salvar Promoção</button>
-            </div>
-          </form>
-        </div>
-      </div>
-    </main>
-
-    <!-- Footer -->
-    <footer class="bg-gray-800 text-white text-center py-4 mt-8">
-      <p class="text-gray-400">POSGOL - Sistema de Gestão de Vendas © 2024</p>
-    </footer>
-  </div>
-
-  <script>
-    let password = '';
-    let currentPeriod = 'week';
-    let revenueChart = null;
-    let storeComparisonChart = null;
-    const API_BASE = window.location.origin;
+            </td>
+            <td class="px-4 py-4 text-center">
+              <span class="inline-flex items-center gap-1 px-3 py-1 rounded-full text-xs font-medium \${
+                paymentType === 'cash' ? 'bg-green-100 text-green-700' :
+                paymentType === 'pix' ? 'bg-purple-100 text-purple-700' :
+                'bg-blue-100 text-blue-700'
+              }">
+                \${paymentIcon} \${paymentLabel}
+              </span>
+            </td>
+            <td class="px-4 py-4 text-center">
+              <span class="bg-gray-100 text-gray-700 px-3 py-1 rounded-full text-sm font-medium">
+                \${sale.items_count || sale.items?.length || '-'} itens
+              </span>
+            </td>
+            <td class="px-4 py-4 text-right">
+              <span class="text-lg font-bold text-green-600">$\${(sale.total || 0).toFixed(2)}</span>
+            </td>
+            <td class="px-4 py-4 text-center">
+              <button onclick="viewSaleDetails('\${sale.id || sale.sale_number}')" 
+                class="px-3 py-2 bg-blue-50 text-blue-600 rounded-lg hover:bg-blue-100 transition-colors text-sm font-medium">
+                👁️ Detalhes
+              </button>
+            </td>
+          </tr>
+        \`;
+      }).join('');
+    }
     
-    // Store selection
-    let selectedStoreId = 'all';
-    let allStoresData = [];
-    let salesPage = 1;
-    let salesPerPage = 25;
-
-    // Função para mostrar notificações toast
-    function showToast(message, type = 'info') {
-      // Remover toast anterior se existir
-      const existingToast = document.getElementById('toast-notification');
-      if (existingToast) existingToast.remove();
+    function updateSalesPagination() {
+      const count = salesSummary?.count || 0;
+      const totalPages = salesSummary?.totalPages || 1;
+      const startIdx = (salesPage - 1) * (salesSummary?.limit || salesPerPage);
+      document.getElementById('salesPaginationInfo').textContent = count === 0
+        ? 'Mostrando 0 de 0'
+        : \`Mostrando \${startIdx + 1} - \${startIdx + allSales.length} de \${count} vendas\`;
+      document.getElementById('salesCurrentPage').textContent = \`\${salesPage} / \${totalPages}\`;
+    }
+    
+    // Valor líquido da venda (canceladas = 0, devoluções abatidas)
+    function saleNetTotal(sale) {
+      const total = sale.total || 0;
+      if (sale.status === 'voided') return 0;
+      if (sale.status === 'refunded') return Math.max(0, total - (sale.refunded_amount != null ? sale.refunded_amount : total));
+      return total;
+    }
+    
+    // Valor líquido da venda por forma de pagamento, como em /api/owner/report
+    function salePaymentSplit(sale) {
+      const net = saleNetTotal(sale);
+      const payments = sale.payments && sale.payments.length > 0
+        ? sale.payments
+        : [{ method: sale.payment_method || sale.payment_type || 'cash', amount: sale.total || 0 }];
+      const paid = payments.reduce((sum, p) => sum + (Number(p.amount) || 0), 0);
+      if (net <= 0 || paid <= 0) return [];
+      return payments.map(p => ({ method: p.method, amount: (Number(p.amount) || 0) * (net / paid) }));
+    }
+
+    // Totais de todas as vendas filtradas, calculados pelo servidor
+    function updateSalesSummary() {
+      const totalRevenue = salesSummary?.total || 0;
+      const totalCount = salesSummary?.transactions || 0;
+      const avgTicket = salesSummary?.avgTicket || 0;
       
-      const colors = {
-        'success': 'bg-green-500',
-        'error': 'bg-red-500',
-        'warning': 'bg-yellow-500',
-        'info': 'bg-blue-500'
+      // Por tipo de pagamento (vendas mistas entram com a parte de cada forma)
+      let cashTotal = 0, cardTotal = 0;
+      Object.entries(salesSummary?.paymentMethods || {}).forEach(([method, amount]) => {
+        if (method === 'cash') {
+          cashTotal += amount;
+        } else if (method !== 'unknown') {
+          cardTotal += amount;
+        }
+      });
+      
+      document.getElementById('salesTotalRevenue').textContent = '$' + totalRevenue.toFixed(2);
+      document.getElementById('salesTotalCount').textContent = totalCount;
+      document.getElementById('salesAvgTicket').textContent = '$' + avgTicket.toFixed(2);
+      
+      const cashEl = document.getElementById('salesCashTotal');
+      const cardEl = document.getElementById('salesCardTotal');
+      if (cashEl) cashEl.textContent = '$' + cashTotal.toFixed(2);
+      if (cardEl) cardEl.textContent = '$' + cardTotal.toFixed(2);
+    }
+    
+    function filterSalesData() {
+      // Filtros mudaram: volta para a primeira página
+      salesPage = 1;
+      loadSalesData();
+    }
+    
+    function printSalesReport() {
+      window.print();
+    }
+    
+    function closeSaleDetailModal() {
+      document.getElementById('saleDetailModal').classList.add('hidden');
+      document.getElementById('saleDetailModal').classList.remove('flex');
+    }
+    
+    function changeSalesPage(delta) {
+      const totalPages = salesSummary?.totalPages || 1;
+      const page = Math.max(1, Math.min(totalPages, salesPage + delta));
+      if (page === salesPage) return;
+      salesPage = page;
+      loadSalesData();
+    }
+    
+    // Operadores de todo o período (não só da página), mantendo a seleção atual
+    function loadOperatorsForFilter() {
+      const operators = salesSummary?.operators || [];
+      const select = document.getElementById('salesOperator');
+      if (select) {
+        const selected = select.value;
+        select.innerHTML = '<option value="">Todos</option>' + 
+          operators.map(op => \`<option value="\${op.id}">\${op.name}</option>\`).join('');
+        select.value = selected;
+      }
+    }
+    
+    function viewSaleDetails(saleId) {
+      const sale = allSales.find(s => s.id == saleId || s.sale_number == saleId);
+      if (!sale) return;
+      
+      const modal = document.getElementById('saleDetailModal');
+      const storeName = sale.store_name || allStoresData.find(s => s.id == sale.store_id)?.name || 'Loja';
+      const operatorName = sale.user_name || sale.operator || sale.cashier_name || 'Não identificado';
+      const saleDate = new Date(sale.created_at || sale.timestamp);
+      const paymentType = sale.payment_method || sale.payment_type || 'cash';
+      
+      const paymentLabels = {
+        'cash': '💵 Dinheiro',
+        'credit': '💳 Cartão Crédito',
+        'debit': '💳 Cartão Débito',
+        'pix': '📱 PIX',
+        'mixed': '🔄 Misto'
       };
       
-      const toast = document.createElement('div');
-      toast.id = 'toast-notification';
-      toast.className = 'fixed top-4 right-4 ' + (colors[type] || colors.info) + ' text-white px-6 py-3 rounded-lg shadow-lg z-[9999] animate-pulse';
-      toast.innerHTML = message;
-      document.body.appendChild(toast);
+      document.getElementById('saleDetailTitle').textContent = 'Venda #' + (sale.sale_number || sale.id);
+      document.getElementById('saleDetailSubtitle').textContent = saleDate.toLocaleString('pt-BR');
       
-      setTimeout(() => {
-        toast.style.opacity = '0';
-        toast.style.transition = 'opacity 0.5s';
-        setTimeout(() => toast.remove(), 500);
-      }, 3000);
+      document.getElementById('saleDetailContent').innerHTML = \`
+        <div class="space-y-6">
+          <!-- Info Principal -->
+          <div class="grid grid-cols-2 gap-4">
+            <div class="bg-gray-50 rounded-xl p-4">
+              <p class="text-xs text-gray-500 mb-1">🏪 Loja</p>
+              <p class="font-semibold text-gray-800">\${storeName}</p>
+            </div>
+            <div class="bg-gray-50 rounded-xl p-4">
+              <p class="text-xs text-gray-500 mb-1">👤 Operador</p>
+              <p class="font-semibold text-gray-800">\${operatorName}</p>
+            </div>
+            <div class="bg-gray-50 rounded-xl p-4">
+              <p class="text-xs text-gray-500 mb-1">💳 Pagamento</p>
+              <p class="font-semibold text-gray-800">\${paymentLabels[paymentType] || paymentType}</p>
+              \${sale.payments && sale.payments.length > 1 ? sale.payments.map(p =>
+                '<p class="text-xs text-gray-500">' + (paymentLabels[p.method] || p.method) + ': $' + (Number(p.amount) || 0).toFixed(2) + '</p>'
+              ).join('') : ''}
+            </div>
+            <div class="bg-gray-50 rounded-xl p-4">
+              <p class="text-xs text-gray-500 mb-1">📊 Status</p>
+              <p class="font-semibold \${sale.status === 'voided' || sale.status === 'refunded' ? 'text-red-600' : 'text-green-600'}">\${sale.status === 'completed' ? '✅ Concluída' : sale.status === 'voided' ? '🚫 Cancelada' : sale.status === 'refunded' ? '↩️ Devolvida' : sale.status}</p>
+            </div>
+          </div>
+          
+          <!-- Itens da Venda (se disponível) -->
+          \${sale.items && sale.items.length > 0 ? \`
+            <div>
+              <h4 class="font-semibold text-gray-800 mb-3">📦 Itens da Venda</h4>
+              <div class="border rounded-lg overflow-hidden">
+                <table class="w-full">
+                  <thead class="bg-gray-100">
+                    <tr>
+                      <th class="px-4 py-2 text-left text-xs font-medium text-gray-600">Produto</th>
+                      <th class="px-4 py-2 text-center text-xs font-medium text-gray-600">Qtd</th>
+                      <th class="px-4 py-2 text-right text-xs font-medium text-gray-600">Preço</th>
+                      <th class="px-4 py-2 text-right text-xs font-medium text-gray-600">Subtotal</th>
+                    </tr>
+                  </thead>
+                  <tbody class="divide-y">
+                    \${sale.items.map(item => \`
+                      <tr>
+                        <td class="px-4 py-2 text-sm">\${item.product_name || item.name || 'Produto'}</td>
+                        <td class="px-4 py-2 text-sm text-center">\${item.quantity}</td>
+                        <td class="px-4 py-2 text-sm text-right">$\${(item.unit_price || item.price || 0).toFixed(2)}</td>
+                        <td class="px-4 py-2 text-sm text-right font-medium">$\${(item.subtotal || (item.quantity * (item.unit_price || item.price || 0))).toFixed(2)}</td>
+                      </tr>
+                    \`).join('')}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+          \` : '<div class="bg-yellow-50 border border-yellow-200 rounded-lg p-4 text-center text-yellow-700">⚠️ Detalhes dos itens não disponíveis</div>'}
+          
+          <!-- Total -->
+          <div class="bg-gradient-to-r from-green-500 to-green-600 rounded-xl p-6 text-white text-center">
+            <p class="text-green-100 text-sm mb-1">Total da Venda</p>
+            <p class="text-4xl font-bold">$\${(sale.total || 0).toFixed(2)}</p>
+          </div>
+          
+          <!-- Ações -->
+          <div class="flex gap-3">
+            <button onclick="closeSaleDetailModal()" class="flex-1 px-4 py-3 border rounded-lg hover:bg-gray-50 font-medium">
+              Fechar
+            </button>
+            <button onclick="window.print()" class="flex-1 px-4 py-3 bg-blue-600 text-white rounded-lg hover:bg-blue-700 font-medium">
+              🖨️ Imprimir
+            </button>
+          </div>
+        </div>
+      \`;
+      
+      modal.classList.remove('hidden');
+      modal.classList.add('flex');
+    }
+    
+    // Todas as vendas do filtro atual, buscando página por página
+    async function fetchAllFilteredSales() {
+      const sales = [];
+      for (let page = 1; ; page++) {
+        const response = await apiFetch(API_BASE + '/api/owner/all-sales?' + salesQuery({ page, limit: 500 }));
+        if (!response.ok) throw new Error('HTTP ' + response.status);
+        const data = await response.json();
+        sales.push(...(data.sales || []));
+        if (page >= (data.totalPages || 1)) return sales;
+      }
+    }
+    
+    async function exportSales(format) {
+      if (format === 'csv') {
+        let sales;
+        try {
+          sales = await fetchAllFilteredSales();
+        } catch (error) {
+          console.error('Error exporting sales:', error);
+          showToast('❌ Erro ao exportar vendas', 'error');
+          return;
+        }
+        let csv = 'Numero,Loja,Data,Operador,Total,Status\\n';
+        sales.forEach(sale => {
+          const storeName = sale.store_name || allStoresData.find(s => s.id == sale.store_id)?.name || 'Loja';
+          csv += \`"\${sale.sale_number || ''}","\${storeName}","\${new Date(sale.created_at || sale.timestamp).toLocaleString('pt-BR')}","\${sale.user_name || ''}",\${sale.total || 0},"\${sale.status || 'completed'}"\\n\`;
+        });
+        
+        const blob = new Blob([csv], { type: 'text/csv' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = 'vendas_' + new Date().toISOString().split('T')[0] + '.csv';
+        a.click();
+        
+        showToast('📥 CSV exportado com sucesso!', 'success');
+      } else {
+        showToast('📄 Exportação PDF em desenvolvimento', 'info');
+      }
     }
 
-    // Login
-    document.getElementById('loginForm').addEventListener('submit', async (e) => {
-      e.preventDefault();
-      password = document.getElementById('passwordInput').value;
-      
+    // =====================
+    // PRODUCT RANKING
+    // =====================
+    let rankingData = null;
+
+    async function loadRankingCategories() {
+      const select = document.getElementById('rankingCategory');
+      if (select.options.length > 1) return;
       try {
-        const response = await fetch(API_BASE + '/api/owner/stores?password=' + encodeURIComponent(password));
-        if (response.ok) {
-          document.getElementById('loginScreen').classList.add('hidden');
-          document.getElementById('dashboardScreen').classList.remove('hidden');
-          loadData();
-          // Auto refresh every 10 seconds for real-time updates
-          setInterval(loadData, 10000);
-        } else {
-          document.getElementById('loginError').classList.remove('hidden');
-        }
+        const response = await apiFetch(API_BASE + '/api/admin/categories');
+        if (!response.ok) return;
+        const data = await response.json();
+        select.innerHTML = '<option value="">Todas</option>' +
+          (data.categories || []).map(c => '<option value="' + c.id + '">' + c.name + '</option>').join('');
       } catch (error) {
-        console.error('Login error:', error);
-        document.getElementById('loginError').classList.remove('hidden');
+        console.error('Error loading ranking categories:', error);
       }
-    });
-
-    function logout() {
-      password = '';
-      document.getElementById('dashboardScreen').classList.add('hidden');
-      document.getElementById('loginScreen').classList.remove('hidden');
-      document.getElementById('passwordInput').value = '';
     }
 
-    function setPeriod(period) {
-      currentPeriod = period;
-      document.querySelectorAll('.period-btn').forEach(btn => {
-        btn.classList.remove('bg-blue-600', 'text-white');
-        btn.classList.add('bg-gray-100');
-      });
-      document.querySelector('[data-period="' + period + '"]').classList.remove('bg-gray-100');
-      document.querySelector('[data-period="' + period + '"]').classList.add('bg-blue-600', 'text-white');
-      loadData();
-    }
+    async function loadProductRanking() {
+      const startInput = document.getElementById('rankingStartDate');
+      const endInput = document.getElementById('rankingEndDate');
+      if (!startInput.value) {
+        const monthAgo = new Date();
+        monthAgo.setDate(monthAgo.getDate() - 30);
+        startInput.value = monthAgo.toISOString().split('T')[0];
+      }
+      if (!endInput.value) {
+        endInput.value = new Date().toISOString().split('T')[0];
+      }
+      loadRankingCategories();
 
-    function getDateRange() {
-      const now = new Date();
-      let start = new Date();
-      let end = new Date();
+      try {
+        const params = new URLSearchParams({
+          startDate: startInput.value,
+          endDate: endInput.value,
+          sortBy: document.getElementById('rankingSortBy').value,
+          order: document.getElementById('rankingOrder').value,
+          limit: 200
+        });
+        const categoryId = document.getElementById('rankingCategory').value;
+        if (categoryId) params.set('categoryId', categoryId);
+        if (selectedStoreId !== 'all') params.set('store_id', selectedStoreId);
+
+        const response = await apiFetch(API_BASE + '/api/owner/products/ranking?' + params.toString());
+        if (!response.ok) throw new Error('HTTP ' + response.status);
+        rankingData = await response.json();
+        renderProductRanking();
+      } catch (error) {
+        console.error('Error loading product ranking:', error);
+        showToast('Erro ao carregar ranking de produtos', 'error');
+      }
+    }
+
+    function renderProductRanking() {
+      const { totals, products, total } = rankingData;
+      const storeName = selectedStoreId === 'all'
+        ? 'Todas as lojas'
+        : (allStoresData.find(s => s.id == selectedStoreId)?.name || 'Loja');
+      document.getElementById('rankingInfo').textContent = storeName + ' • ' +
+        document.getElementById('rankingStartDate').value + ' a ' + document.getElementById('rankingEndDate').value;
+      document.getElementById('rankingTotalUnits').textContent = totals.units;
+      document.getElementById('rankingTotalRevenue').textContent = '$' + totals.revenue.toFixed(2);
+      document.getElementById('rankingTotalMargin').textContent = '$' + totals.margin.toFixed(2);
+      document.getElementById('rankingUnsold').textContent = totals.unsold;
+      document.getElementById('rankingFooter').textContent = 'Mostrando ' + products.length + ' de ' + total + ' produtos';
+
+      const tbody = document.getElementById('rankingTableBody');
+      if (products.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="7" class="text-center py-16 text-gray-400"><div class="text-5xl mb-3">📭</div><p class="text-lg">Nenhum produto encontrado</p></td></tr>';
+        return;
+      }
 
-      switch(currentPeriod) {
-        case 'today':
-          start.setHours(0, 0, 0, 0);
-          break;
-        case 'week':
-          start.setDate(start.getDate() - 7);
-          break;
-        case 'month':
-          start.setDate(start.getDate() - 30);
-          break;
-        case 'custom':
-          start = new Date(document.getElementById('startDate').value);
-          end = new Date(document.getElementById('endDate').value);
-          break;
+      tbody.innerHTML = products.map(p => \`
+        <tr class="hover:bg-amber-50 transition-colors \${p.units === 0 ? 'bg-red-50/50' : ''}">
+          <td class="px-4 py-3 text-sm font-bold text-gray-500">\${p.rank}</td>
+          <td class="px-4 py-3">
+            <div class="text-sm font-medium text-gray-800">\${p.name || 'Sem nome'}</div>
+            <div class="text-xs text-gray-400 font-mono">\${p.barcode || p.sku || ''}</div>
+          </td>
+          <td class="px-4 py-3 text-sm text-gray-600">\${p.category_name || '-'}</td>
+          <td class="px-4 py-3 text-right text-sm">\${p.units === 0 ? '<span class="text-red-600 font-medium">Sem venda</span>' : p.units}</td>
+          <td class="px-4 py-3 text-right text-sm font-semibold text-green-600">$\${p.revenue.toFixed(2)}</td>
+          <td class="px-4 py-3 text-right text-sm">\${p.margin == null ? '<span class="text-gray-400" title="Produto sem custo cadastrado">-</span>' : '$' + p.margin.toFixed(2) + (p.marginPercent != null ? ' <span class="text-xs text-gray-400">(' + p.marginPercent.toFixed(1) + '%)</span>' : '')}</td>
+          <td class="px-4 py-3 text-right text-sm">\${p.share.toFixed(1)}%</td>
+        </tr>
+      \`).join('');
+    }
+
+    function exportRanking() {
+      if (!rankingData || rankingData.products.length === 0) {
+        showToast('Nenhum produto para exportar', 'info');
+        return;
       }
+      const quote = value => '"' + String(value ?? '').replace(/"/g, '""') + '"';
+      let csv = 'Posicao,Produto,Codigo,SKU,Categoria,Unidades,Receita,Custo,Margem,Margem %,% do Total,Ultima Venda\\n';
+      rankingData.products.forEach(p => {
+        csv += [
+          p.rank, quote(p.name), quote(p.barcode), quote(p.sku), quote(p.category_name), p.units,
+          p.revenue.toFixed(2), p.cost.toFixed(2), p.margin == null ? '' : p.margin.toFixed(2),
+          p.marginPercent == null ? '' : p.marginPercent.toFixed(1), p.share.toFixed(2),
+          p.lastSoldAt ? quote(new Date(p.lastSoldAt).toLocaleString('pt-BR')) : ''
+        ].join(',') + '\\n';
+      });
 
-      return {
-        startDate: start.toISOString().split('T')[0],
-        endDate: end.toISOString().split('T')[0]
-      };
+      const blob = new Blob([csv], { type: 'text/csv' });
+      const url = URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = 'ranking_produtos_' + new Date().toISOString().split('T')[0] + '.csv';
+      a.click();
+
+      showToast('📥 CSV exportado com sucesso!', 'success');
     }
 
-    function applyCustomPeriod() {
-      currentPeriod = 'custom';
-      document.querySelectorAll('.period-btn').forEach(btn => {
-        btn.classList.remove('bg-blue-600', 'text-white');
-        btn.classList.add('bg-gray-100');
-      });
-      loadData();
+    // =====================
+    // CASH CLOSINGS
+    // =====================
+    const CLOSING_STATUS = {
+      balanced: { label: '✅ Conferido', css: 'bg-green-100 text-green-700' },
+      shortage: { label: '🔻 Falta', css: 'bg-red-100 text-red-700' },
+      overage: { label: '🔺 Sobra', css: 'bg-blue-100 text-blue-700' },
+      mismatch: { label: '🔀 Divergência', css: 'bg-yellow-100 text-yellow-700' }
+    };
+
+    const CLOSING_METHOD_LABELS = { cash: 'Dinheiro', credit: 'Crédito', debit: 'Débito', pix: 'PIX' };
+
+    function formatDifference(value) {
+      const css = value < 0 ? 'text-red-600' : value > 0 ? 'text-blue-600' : 'text-gray-500';
+      return '<span class="font-semibold ' + css + '">' + (value > 0 ? '+' : '') + '$' + value.toFixed(2) + '</span>';
     }
 
-    async function loadData() {
+    async function loadClosings() {
+      const startInput = document.getElementById('closingsStartDate');
+      const endInput = document.getElementById('closingsEndDate');
+      if (!startInput.value) {
+        const weekAgo = new Date();
+        weekAgo.setDate(weekAgo.getDate() - 7);
+        startInput.value = weekAgo.toISOString().split('T')[0];
+      }
+      if (!endInput.value) {
+        endInput.value = new Date().toISOString().split('T')[0];
+      }
+
       try {
-        const { startDate, endDate } = getDateRange();
-        
-        // Load report
-        const reportResponse = await fetch(
-          API_BASE + '/api/owner/report?password=' + encodeURIComponent(password) + 
-          '&startDate=' + startDate + '&endDate=' + endDate
-        );
-        const report = await reportResponse.json();
-        
-        // Save all stores data
-        allStoresData = report.stores || [];
-        
-        // Update store selector
-        updateStoreSelector(allStoresData);
-        
-        // Filter data by selected store
-        let filteredStores = allStoresData;
-        if (selectedStoreId !== 'all') {
-          filteredStores = allStoresData.filter(s => s.id == selectedStoreId);
-        }
-        
-        // Calculate totals
-        const totalRevenue = filteredStores.reduce((sum, s) => sum + (s.revenue || 0), 0);
-        const totalTransactions = filteredStores.reduce((sum, s) => sum + (s.transactions || 0), 0);
-        const avgTicket = totalTransactions > 0 ? totalRevenue / totalTransactions : 0;
+        const params = new URLSearchParams({ startDate: startInput.value, endDate: endInput.value });
+        const status = document.getElementById('closingsStatus').value;
+        if (status) params.set('status', status);
+        if (selectedStoreId !== 'all') params.set('store_id', selectedStoreId);
+
+        const response = await apiFetch(API_BASE + '/api/owner/closings?' + params.toString());
+        if (!response.ok) throw new Error('HTTP ' + response.status);
+        renderClosings(await response.json());
+      } catch (error) {
+        console.error('Error loading closings:', error);
+        showToast('Erro ao carregar fechamentos', 'error');
+      }
+    }
 
-        // Update KPIs
-        document.getElementById('totalRevenue').textContent = '$' + totalRevenue.toFixed(2);
-        document.getElementById('totalTransactions').textContent = totalTransactions;
-        document.getElementById('avgTicket').textContent = '$' + avgTicket.toFixed(2);
-        document.getElementById('activeStores').textContent = filteredStores.filter(s => s.transactions > 0).length;
-        document.getElementById('lastUpdate').textContent = new Date().toLocaleTimeString('pt-BR');
+    function renderClosingGroups(elementId, groups, nameOf) {
+      const el = document.getElementById(elementId);
+      if (groups.length === 0) {
+        el.innerHTML = '<p class="text-gray-400">Nenhum fechamento no período</p>';
+        return;
+      }
+      el.innerHTML = groups.map(g =>
+        '<div class="flex items-center justify-between bg-gray-50 rounded-lg px-4 py-2">' +
+          '<div>' +
+            '<p class="font-medium text-gray-800">' + nameOf(g) + '</p>' +
+            '<p class="text-xs text-gray-500">' + g.closings + ' fechamentos • ' + g.shortages + ' faltas • ' + g.overages + ' sobras</p>' +
+          '</div>' +
+          formatDifference(g.netDifference) +
+        '</div>'
+      ).join('');
+    }
 
-        // Update stores grid (only if "all" is selected or show single store)
-        if (selectedStoreId === 'all') {
-          updateStoresGrid(filteredStores);
-        } else {
-          // Show detailed view for selected store
-          updateSingleStoreView(filteredStores[0]);
-        }
+    function renderClosings(data) {
+      const closings = data.closings || [];
+      const shortageTotal = data.byStore.reduce((sum, g) => sum + g.shortageTotal, 0);
+      const overageTotal = data.byStore.reduce((sum, g) => sum + g.overageTotal, 0);
+      document.getElementById('closingsCount').textContent = closings.length;
+      document.getElementById('closingsBalanced').textContent = closings.filter(c => c.status === 'balanced').length;
+      document.getElementById('closingsShortageTotal').textContent = '$' + shortageTotal.toFixed(2);
+      document.getElementById('closingsOverageTotal').textContent = '$' + overageTotal.toFixed(2);
 
-        // Load comparison for charts
-        const days = currentPeriod === 'today' ? 1 : currentPeriod === 'week' ? 7 : 30;
-        const compareResponse = await fetch(
-          API_BASE + '/api/owner/compare?password=' + encodeURIComponent(password) + '&period=' + days
-        );
-        const comparison = await compareResponse.json();
+      renderClosingGroups('closingsByStore', data.byStore, g => g.store_name);
+      renderClosingGroups('closingsByOperator', data.byOperator, g =>
+        (g.operator_name || g.user_id || 'Não identificado') + ' <span class="text-xs text-gray-400">(' + g.store_name + ')</span>');
 
-        // Filter comparison by selected store
-        if (selectedStoreId !== 'all') {
-          comparison.comparison = comparison.comparison.filter(s => s.storeId == selectedStoreId);
-        }
+      const tbody = document.getElementById('closingsTableBody');
+      if (closings.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="7" class="text-center py-16 text-gray-400"><div class="text-5xl mb-3">📭</div><p class="text-lg">Nenhum fechamento encontrado</p></td></tr>';
+        return;
+      }
 
-        // Update charts
-        updateCharts(comparison);
+      tbody.innerHTML = closings.map(c => {
+        const status = CLOSING_STATUS[c.status] || { label: c.status, css: 'bg-gray-100 text-gray-700' };
+        const differences = Object.entries(c.differences || {})
+          .filter(([, value]) => value !== 0)
+          .map(([method, value]) => (CLOSING_METHOD_LABELS[method] || method) + ': ' + formatDifference(value))
+          .join('<br>');
+        return \`
+          <tr class="hover:bg-teal-50 transition-colors">
+            <td class="px-4 py-3 text-sm">
+              <div class="font-medium text-gray-800">\${new Date(c.closed_at).toLocaleString('pt-BR')}</div>
+              <div class="text-xs text-gray-400">Abertura \${new Date(c.opened_at).toLocaleTimeString('pt-BR')} • \${c.expected?.sales_count || 0} vendas</div>
+            </td>
+            <td class="px-4 py-3 text-sm">
+              <div class="font-medium text-gray-700">\${c.store_name}</div>
+              <div class="text-xs text-gray-400 font-mono">\${c.terminal_id}</div>
+            </td>
+            <td class="px-4 py-3 text-sm text-gray-700">\${c.operator_name || c.user_id || 'Não identificado'}</td>
+            <td class="px-4 py-3 text-right text-sm">
+              <div>$\${c.counted_cash.toFixed(2)}</div>
+              <div class="text-xs text-gray-400">esperado $\${(c.expected?.cash || 0).toFixed(2)} • sangrias $\${c.withdrawals_total.toFixed(2)}</div>
+            </td>
+            <td class="px-4 py-3 text-sm">\${differences || '<span class="text-gray-400">-</span>'}</td>
+            <td class="px-4 py-3 text-center">
+              <span class="px-3 py-1 rounded-full text-xs font-medium \${status.css}">\${status.label}</span>
+            </td>
+            <td class="px-4 py-3 text-center">
+              <button onclick="reconcileClosing('\${c.id}')" class="px-3 py-1 text-xs rounded-lg border hover:bg-gray-100" title="Conferir de novo com as vendas recebidas">🔄 Conferir</button>
+            </td>
+          </tr>
+        \`;
+      }).join('');
+    }
 
+    async function reconcileClosing(id) {
+      try {
+        const response = await apiFetch(API_BASE + '/api/owner/closings/' + encodeURIComponent(id) + '/reconcile', { method: 'POST' });
+        if (!response.ok) throw new Error('HTTP ' + response.status);
+        showToast('🧾 Fechamento conferido novamente', 'success');
+        loadClosings();
       } catch (error) {
-        console.error('Error loading data:', error);
+        console.error('Error reconciling closing:', error);
+        showToast('Erro ao conferir fechamento', 'error');
       }
     }
-    
-    function updateStoreSelector(stores) {
-      const selector = document.getElementById('storeSelector');
-      const currentValue = selector.value;
-      
-      selector.innerHTML = '<option value="all" class="text-gray-800">📊 Todas as Lojas (' + stores.length + ')</option>';
-      
-      stores.forEach(store => {
-        const option = document.createElement('option');
-        option.value = store.id;
-        option.textContent = '🏪 ' + store.name;
-        option.className = 'text-gray-800';
-        selector.appendChild(option);
-      });
-      
-      // Restore selected value
-      selector.value = currentValue || 'all';
-    }
-    
-    function changeSelectedStore() {
-      selectedStoreId = document.getElementById('storeSelector').value;
-      
-      // Update store name display
-      const storeName = selectedStoreId === 'all' ? 'Todas as lojas' : 
-        allStoresData.find(s => s.id == selectedStoreId)?.name || 'Loja';
-      
-      const salesInfo = document.getElementById('salesStoreInfo');
-      const employeesInfo = document.getElementById('employeesStoreInfo');
-      if (salesInfo) salesInfo.textContent = storeName;
-      if (employeesInfo) employeesInfo.textContent = storeName;
-      
-      // Recarregar a aba atual com o filtro da nova loja
-      refreshCurrentTab();
-    }
-    
-    function updateSingleStoreView(store) {
-      if (!store) return;
-      
-      const grid = document.getElementById('storesGrid');
-      grid.innerHTML = \`
-        <div class="col-span-full bg-gradient-to-br from-blue-500 to-blue-600 text-white rounded-xl p-6">
-          <div class="flex items-center justify-between mb-4">
-            <div class="flex items-center gap-3">
-              <span class="text-4xl">🏪</span>
-              <div>
-                <h3 class="text-2xl font-bold">\${store.name}</h3>
-                <p class="text-blue-200">\${store.address || 'Endereço não informado'}</p>
-              </div>
-            </div>
-            <div class="text-right">
-              <p class="text-blue-200 text-sm">Última venda</p>
-              <p class="font-bold">\${store.lastSale ? new Date(store.lastSale.created_at || store.lastSale.timestamp).toLocaleString('pt-BR') : 'N/A'}</p>
-            </div>
-          </div>
-        </div>
-        
-        <div class="bg-white rounded-xl p-6 shadow-lg">
-          <div class="text-center">
-            <p class="text-gray-500 text-sm mb-1">💰 Receita do Período</p>
-            <p class="text-4xl font-bold text-green-600">$\${store.revenue?.toFixed(2) || '0.00'}</p>
-          </div>
-        </div>
-        
-        <div class="bg-white rounded-xl p-6 shadow-lg">
-          <div class="text-center">
-            <p class="text-gray-500 text-sm mb-1">📊 Total de Vendas</p>
-            <p class="text-4xl font-bold text-blue-600">\${store.transactions || 0}</p>
-          </div>
-        </div>
-        
-        <div class="bg-white rounded-xl p-6 shadow-lg">
-          <div class="text-center">
-            <p class="text-gray-500 text-sm mb-1">🎫 Ticket Médio</p>
-            <p class="text-4xl font-bold text-purple-600">$\${store.avgTicket?.toFixed(2) || '0.00'}</p>
-          </div>
-        </div>
-      \`;
+
+    // =====================
+    // STOCK MANAGEMENT
+    // =====================
+    let stockPage = 1;
+    let stockData = null;
+    let stockMovementsProduct = null;
+
+    const STOCK_REASON_LABELS = {
+      sale: '🛒 Venda',
+      sale_voided: '🚫 Venda cancelada',
+      sale_refunded: '↩️ Devolução',
+      sale_completed: '🛒 Venda concluída',
+      adjustment: '✏️ Ajuste manual',
+      initial: '📥 Carga inicial',
+      transfer_out: '🚚 Transferência enviada',
+      transfer_in: '📦 Transferência recebida',
+      transfer_cancelled: '↩️ Transferência cancelada',
+      purchase: '🛒 Compra recebida',
+      count: '📋 Inventário'
+    };
+
+    async function loadStockCategories() {
+      const select = document.getElementById('stockCategory');
+      if (select.options.length > 1) return;
+      try {
+        const response = await apiFetch(API_BASE + '/api/admin/categories');
+        if (!response.ok) return;
+        const data = await response.json();
+        select.innerHTML = '<option value="">Todas</option>' +
+          (data.categories || []).map(c => '<option value="' + c.id + '">' + c.name + '</option>').join('');
+      } catch (error) {
+        console.error('Error loading stock categories:', error);
+      }
     }
 
-    function updateStoresGrid(stores) {
-      const grid = document.getElementById('storesGrid');
-      
-      if (stores.length === 0) {
-        grid.innerHTML = '<div class="col-span-full text-center py-12 text-gray-400"><p class="text-4xl mb-4">🏪</p><p>Nenhuma loja com dados ainda</p></div>';
+    async function loadStock() {
+      loadStockCategories();
+      try {
+        const params = new URLSearchParams({ page: stockPage, limit: 50 });
+        const search = document.getElementById('stockSearch').value.trim();
+        const category = document.getElementById('stockCategory').value;
+        if (search) params.set('search', search);
+        if (category) params.set('category_id', category);
+        if (selectedStoreId !== 'all') params.set('store_id', selectedStoreId);
+
+        const response = await apiFetch(API_BASE + '/api/owner/stock?' + params.toString());
+        if (!response.ok) throw new Error('HTTP ' + response.status);
+        stockData = await response.json();
+        stockPage = stockData.page;
+        renderStock();
+        loadStockAlerts();
+        loadStockMovements(stockMovementsProduct);
+      } catch (error) {
+        console.error('Error loading stock:', error);
+        showToast('Erro ao carregar estoque', 'error');
+      }
+    }
+
+    function formatQuantity(value) {
+      return Number.isInteger(value) ? String(value) : value.toFixed(3);
+    }
+
+    function renderStock() {
+      const { stores, products, totals } = stockData;
+      const editable = can('inventory:write');
+
+      document.getElementById('stockProductsCount').textContent = stockData.count;
+      document.getElementById('stockTotalUnits').textContent = formatQuantity(totals.units);
+      document.getElementById('stockTotalValue').textContent = '$' + totals.value.toFixed(2);
+      document.getElementById('stockNegative').textContent = totals.negative;
+
+      document.getElementById('stockTableHead').innerHTML = '<tr>' +
+        '<th class="px-4 py-4 text-left text-xs font-semibold uppercase tracking-wider">📦 Produto</th>' +
+        '<th class="px-4 py-4 text-left text-xs font-semibold uppercase tracking-wider">📁 Categoria</th>' +
+        stores.map(st => '<th class="px-4 py-4 text-right text-xs font-semibold uppercase tracking-wider">🏪 ' + st.name + '</th>').join('') +
+        (stores.length > 1 ? '<th class="px-4 py-4 text-right text-xs font-semibold uppercase tracking-wider">Total</th>' : '') +
+        '<th class="px-4 py-4 text-right text-xs font-semibold uppercase tracking-wider">💰 Valor</th>' +
+        '</tr>';
+
+      const tbody = document.getElementById('stockTableBody');
+      const columns = stores.length + (stores.length > 1 ? 4 : 3);
+      if (products.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="' + columns + '" class="text-center py-16 text-gray-400"><div class="text-5xl mb-3">📭</div><p class="text-lg">Nenhum produto encontrado</p></td></tr>';
+      } else {
+        tbody.innerHTML = products.map((p, idx) =>
+          '<tr class="hover:bg-indigo-50 transition-colors ' + (idx % 2 === 0 ? 'bg-white' : 'bg-gray-50/50') + '">' +
+            '<td class="px-4 py-3">' +
+              '<button onclick="loadStockMovements(' + JSON.stringify(p.product_id).replace(/"/g, '&quot;') + ')" class="text-left" title="Ver movimentos">' +
+                '<p class="font-medium text-gray-800 hover:text-indigo-600">' + (p.name || 'Produto ' + p.product_id) + '</p>' +
+                '<p class="text-xs text-gray-500 font-mono">' + (p.barcode || p.sku || p.product_id) + '</p>' +
+              '</button>' +
+            '</td>' +
+            '<td class="px-4 py-3 text-sm text-gray-600">' + (p.category_name || '-') + '</td>' +
+            stores.map(st => {
+              const quantity = p.byStore[st.id] || 0;
+              const alert = p.alerts[st.id];
+              const color = quantity < 0 || alert === 'critical' ? 'text-red-600' : alert === 'reorder' ? 'text-amber-600' : quantity === 0 ? 'text-gray-400' : 'text-gray-800';
+              const cell = '<span class="font-semibold ' + color + '">' + formatQuantity(quantity) + (alert ? ' ' + (alert === 'critical' ? '🔴' : '🟡') : '') + '</span>';
+              return '<td class="px-4 py-3 text-right">' + (editable
+                ? '<button onclick="adjustStockLevel(' + JSON.stringify(st.id).replace(/"/g, '&quot;') + ', ' + JSON.stringify(p.product_id).replace(/"/g, '&quot;') + ')" class="px-2 py-1 rounded hover:bg-indigo-100" title="Ajustar saldo">' + cell + '</button>'
+                : cell) + '</td>';
+            }).join('') +
+            (stores.length > 1 ? '<td class="px-4 py-3 text-right font-bold text-gray-800">' + formatQuantity(p.total) + '</td>' : '') +
+            '<td class="px-4 py-3 text-right text-sm text-gray-600">' + (p.value != null ? '$' + p.value.toFixed(2) : '-') + '</td>' +
+          '</tr>'
+        ).join('');
+      }
+
+      const start = (stockData.page - 1) * stockData.limit;
+      document.getElementById('stockPaginationInfo').textContent = stockData.count === 0
+        ? 'Mostrando 0 de 0'
+        : 'Mostrando ' + (start + 1) + ' - ' + (start + products.length) + ' de ' + stockData.count + ' produtos';
+      document.getElementById('stockCurrentPage').textContent = stockData.page + ' / ' + stockData.totalPages;
+    }
+
+    function changeStockPage(delta) {
+      if (!stockData) return;
+      const page = Math.max(1, Math.min(stockData.totalPages, stockPage + delta));
+      if (page === stockPage) return;
+      stockPage = page;
+      loadStock();
+    }
+
+    // Alertas de estoque da loja selecionada; também atualiza o contador na aba
+    async function loadStockAlerts() {
+      if (!can('inventory:read')) return;
+      try {
+        const params = new URLSearchParams();
+        if (selectedStoreId !== 'all') params.set('store_id', selectedStoreId);
+        const response = await apiFetch(API_BASE + '/api/owner/alerts/stock?' + params.toString());
+        if (!response.ok) throw new Error('HTTP ' + response.status);
+        const data = await response.json();
+        renderStockAlertBadge(data.counts);
+        const tbody = document.getElementById('stockAlertsBody');
+        document.getElementById('stockAlertsInfo').textContent = data.counts.critical + ' abaixo do mínimo • ' + data.counts.reorder +
+          ' no ponto de pedido • sugestão para ' + data.cover_days + ' dias, pela venda dos últimos ' + data.velocity_days;
+        if (data.alerts.length === 0) {
+          tbody.innerHTML = '<tr><td colspan="8" class="text-center py-6 text-gray-400">✅ Nenhum produto abaixo do ponto de pedido</td></tr>';
+          return;
+        }
+        const limit = (value) => value != null ? formatQuantity(value) : '-';
+        tbody.innerHTML = data.alerts.map(a =>
+          '<tr class="' + (a.alert === 'critical' ? 'bg-red-50' : 'bg-amber-50/50') + '">' +
+            '<td class="py-2">' + (a.alert === 'critical' ? '🔴 ' : '🟡 ') + (a.name || 'Produto ' + a.product_id) +
+              (a.barcode ? ' <span class="text-xs text-gray-500 font-mono">' + a.barcode + '</span>' : '') + '</td>' +
+            '<td class="py-2 text-gray-600">' + a.store_name + '</td>' +
+            '<td class="py-2 text-right font-semibold ' + (a.alert === 'critical' ? 'text-red-600' : 'text-amber-600') + '">' + formatQuantity(a.quantity) + '</td>' +
+            '<td class="py-2 text-right text-gray-600">' + limit(a.min_stock) + '</td>' +
+            '<td class="py-2 text-right text-gray-600">' + limit(a.reorder_point) + '</td>' +
+            '<td class="py-2 text-right text-gray-600">' + formatQuantity(a.daily_velocity) + '</td>' +
+            '<td class="py-2 text-right text-gray-600">' + (a.days_of_cover != null ? a.days_of_cover + ' dias' : '-') + '</td>' +
+            '<td class="py-2 text-right font-bold text-indigo-600">' + formatQuantity(a.suggested_quantity) + '</td>' +
+          '</tr>'
+        ).join('');
+      } catch (error) {
+        console.error('Error loading stock alerts:', error);
+      }
+    }
+
+    function renderStockAlertBadge(counts) {
+      const badge = document.getElementById('stockAlertBadge');
+      const total = counts.critical + counts.reorder;
+      badge.textContent = total;
+      badge.classList.toggle('hidden', total === 0);
+      badge.classList.toggle('bg-red-500', counts.critical > 0);
+      badge.classList.toggle('bg-amber-500', counts.critical === 0);
+    }
+
+    async function adjustStockLevel(storeId, productId) {
+      const product = stockData.products.find(p => p.product_id === productId);
+      const store = stockData.stores.find(st => st.id === storeId);
+      const current = product?.byStore[storeId] || 0;
+      const value = prompt('Novo saldo de ' + (product?.name || productId) + ' em ' + (store?.name || 'Loja ' + storeId) + ':', current);
+      if (value === null || value.trim() === '') return;
+      const quantity = Number(value.replace(',', '.'));
+      if (isNaN(quantity)) {
+        showToast('Informe um número', 'warning');
         return;
       }
+      const note = prompt('Motivo do ajuste (opcional):') || null;
+      try {
+        const response = await apiFetch(API_BASE + '/api/admin/stock/' + encodeURIComponent(storeId) + '/' + encodeURIComponent(productId), {
+          method: 'PUT',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ quantity, note })
+        });
+        if (!response.ok) throw new Error('HTTP ' + response.status);
+        showToast('📋 Estoque ajustado', 'success');
+        loadStock();
+      } catch (error) {
+        console.error('Error adjusting stock:', error);
+        showToast('Erro ao ajustar estoque', 'error');
+      }
+    }
 
-      grid.innerHTML = stores.map((store, index) => {
-        const medal = index === 0 ? '🥇' : index === 1 ? '🥈' : index === 2 ? '🥉' : '';
-        const hasRecentSale = store.lastSale && (new Date() - new Date(store.lastSale.created_at || store.lastSale.timestamp)) < 3600000;
-        
-        return '<div class="store-card bg-gray-50 rounded-xl p-4 border-2 border-gray-200 hover:border-blue-400 cursor-pointer" onclick="openStoreModal(' + store.id + ')">' +
-          '<div class="flex items-start justify-between mb-3">' +
-            '<div class="flex items-center gap-2">' +
-              '<span class="text-2xl">' + medal + (medal ? '' : '🏪') + '</span>' +
-              '<div>' +
-                '<h4 class="font-bold text-gray-800">' + store.name + '</h4>' +
-                (store.address ? '<p class="text-xs text-gray-500">' + store.address + '</p>' : '') +
-              '</div>' +
+    async function loadStockMovements(productId = null) {
+      stockMovementsProduct = productId;
+      const el = document.getElementById('stockMovements');
+      const product = productId && stockData ? stockData.products.find(p => p.product_id === productId) : null;
+      document.getElementById('stockMovementsInfo').innerHTML = productId
+        ? (product?.name || 'Produto ' + productId) + ' <button onclick="loadStockMovements()" class="ml-2 text-indigo-600 hover:underline">ver todos</button>'
+        : 'Todos os produtos';
+      try {
+        const params = new URLSearchParams({ limit: 50 });
+        if (productId) params.set('product_id', productId);
+        if (selectedStoreId !== 'all') params.set('store_id', selectedStoreId);
+        const response = await apiFetch(API_BASE + '/api/owner/stock/movements?' + params.toString());
+        if (!response.ok) throw new Error('HTTP ' + response.status);
+        const data = await response.json();
+        if (data.movements.length === 0) {
+          el.innerHTML = '<p class="text-gray-400">Nenhum movimento registrado</p>';
+          return;
+        }
+        const storeName = (sid) => stockData?.stores.find(st => st.id === String(sid))?.name || 'Loja ' + sid;
+        const productName = (pid) => stockData?.products.find(p => p.product_id === pid)?.name || 'Produto ' + pid;
+        el.innerHTML = data.movements.map(m =>
+          '<div class="flex items-center justify-between bg-gray-50 rounded-lg px-4 py-2">' +
+            '<div>' +
+              '<p class="font-medium text-gray-800">' + (STOCK_REASON_LABELS[m.reason] || m.reason) + (m.reference ? ' <span class="text-xs text-gray-500 font-mono">#' + m.reference + '</span>' : '') + '</p>' +
+              '<p class="text-xs text-gray-500">' + new Date(m.created_at).toLocaleString('pt-BR') + ' • ' + storeName(m.store_id) + ' • ' + productName(m.product_id) + (m.note ? ' • ' + m.note : '') + '</p>' +
             '</div>' +
-            (hasRecentSale ? '<span class="pulse text-green-500" title="Venda recente">●</span>' : '') +
-          '</div>' +
-          '<div class="grid grid-cols-2 gap-3">' +
-            '<div class="bg-white rounded-lg p-3 text-center">' +
-              '<p class="text-2xl font-bold text-green-600">$' + store.revenue.toFixed(2) + '</p>' +
-              '<p class="text-xs text-gray-500">Receita</p>' +
+            '<div class="text-right">' +
+              '<p class="font-bold ' + (m.quantity < 0 ? 'text-red-600' : 'text-green-600') + '">' + (m.quantity > 0 ? '+' : '') + formatQuantity(m.quantity) + '</p>' +
+              '<p class="text-xs text-gray-500">saldo ' + formatQuantity(m.balance) + '</p>' +
             '</div>' +
-            '<div class="bg-white rounded-lg p-3 text-center">' +
-              '<p class="text-2xl font-bold text-blue-600">' + store.transactions + '</p>' +
-              '<p class="text-xs text-gray-500">Vendas</p>' +
+          '</div>'
+        ).join('');
+      } catch (error) {
+        console.error('Error loading stock movements:', error);
+        el.innerHTML = '<p class="text-red-500">Erro ao carregar movimentos</p>';
+      }
+    }
+
+    // =====================
+    // TRANSFERS
+    // =====================
+    let transfersData = null;
+    let transferLines = [];
+    let transferSearchResults = [];
+    let transferSearchTimer = null;
+    let transferStep = null;
+
+    const TRANSFER_STATUS = {
+      pending: { label: '⏳ Aguardando envio', color: 'bg-yellow-100 text-yellow-700' },
+      shipped: { label: '🚚 Em trânsito', color: 'bg-blue-100 text-blue-700' },
+      received: { label: '✅ Recebida', color: 'bg-green-100 text-green-700' },
+      cancelled: { label: '🚫 Cancelada', color: 'bg-gray-100 text-gray-600' }
+    };
+
+    async function loadTransfers() {
+      try {
+        const params = new URLSearchParams();
+        const status = document.getElementById('transfersStatus').value;
+        if (status) params.set('status', status);
+        if (selectedStoreId !== 'all') params.set('store_id', selectedStoreId);
+        const response = await apiFetch(API_BASE + '/api/admin/transfers?' + params.toString());
+        if (!response.ok) throw new Error('HTTP ' + response.status);
+        transfersData = await response.json();
+        renderTransfers();
+      } catch (error) {
+        console.error('Error loading transfers:', error);
+        showToast('Erro ao carregar transferências', 'error');
+      }
+    }
+
+    function renderTransfers() {
+      const { transfers } = transfersData;
+      const editable = can('inventory:write');
+      const scope = currentUser && currentUser.store_id ? String(currentUser.store_id) : null;
+      const isSide = (storeId) => !scope || String(storeId) === scope;
+      const arg = (value) => JSON.stringify(value).replace(/"/g, '&quot;');
+
+      document.getElementById('transfersPending').textContent = transfers.filter(t => t.status === 'pending').length;
+      document.getElementById('transfersShipped').textContent = transfers.filter(t => t.status === 'shipped').length;
+      document.getElementById('transfersDiscrepancies').textContent = transfers.filter(t => t.has_discrepancy).length;
+
+      const el = document.getElementById('transfersList');
+      if (transfers.length === 0) {
+        el.innerHTML = '<div class="text-center py-16 text-gray-400"><div class="text-5xl mb-3">📭</div><p class="text-lg">Nenhuma transferência encontrada</p></div>';
+        return;
+      }
+
+      el.innerHTML = transfers.map(t => {
+        const status = TRANSFER_STATUS[t.status] || { label: t.status, color: 'bg-gray-100 text-gray-600' };
+        const actions = [];
+        if (editable && t.status === 'pending' && isSide(t.from_store_id)) {
+          actions.push('<button onclick="openTransferStepModal(' + arg(t.id) + ', &quot;ship&quot;)" class="px-3 py-1 bg-blue-600 text-white rounded-lg hover:bg-blue-700 text-sm">📦 Enviar</button>');
+        }
+        if (editable && t.status === 'shipped' && isSide(t.to_store_id)) {
+          actions.push('<button onclick="openTransferStepModal(' + arg(t.id) + ', &quot;receive&quot;)" class="px-3 py-1 bg-green-600 text-white rounded-lg hover:bg-green-700 text-sm">📥 Receber</button>');
+        }
+        if (editable && (t.status === 'pending' || t.status === 'shipped')) {
+          actions.push('<button onclick="cancelTransferRequest(' + arg(t.id) + ')" class="px-3 py-1 border rounded-lg hover:bg-gray-100 text-sm">🚫 Cancelar</button>');
+        }
+        const cell = (value) => value == null ? '<span class="text-gray-400">-</span>' : formatQuantity(value);
+
+        return '<div class="border rounded-xl p-4 ' + (t.has_discrepancy ? 'border-red-300 bg-red-50/40' : '') + '">' +
+          '<div class="flex flex-wrap items-center justify-between gap-2 mb-3">' +
+            '<div>' +
+              '<p class="font-bold text-gray-800">🏪 ' + t.from_store_name + ' → 🏪 ' + t.to_store_name + '</p>' +
+              '<p class="text-xs text-gray-500"><span class="font-mono">#' + t.id.slice(0, 8) + '</span> • criada em ' + new Date(t.created_at).toLocaleString('pt-BR') +
+                (t.shipped_at ? ' • enviada em ' + new Date(t.shipped_at).toLocaleString('pt-BR') : '') +
+                (t.received_at ? ' • recebida em ' + new Date(t.received_at).toLocaleString('pt-BR') : '') + '</p>' +
+              (t.notes ? '<p class="text-xs text-gray-600 mt-1">📝 ' + t.notes + '</p>' : '') +
+            '</div>' +
+            '<div class="flex items-center gap-2">' +
+              '<span class="px-2 py-1 rounded-full text-xs font-medium ' + status.color + '">' + status.label + '</span>' +
+              (t.has_discrepancy ? '<span class="px-2 py-1 rounded-full text-xs font-medium bg-red-100 text-red-700">⚠️ ' + t.discrepancies.length + ' divergência(s)</span>' : '') +
+              actions.join('') +
             '</div>' +
           '</div>' +
-          '<div class="mt-3 text-xs text-gray-500 flex justify-between">' +
-            '<span>Ticket Médio: $' + store.avgTicket.toFixed(2) + '</span>' +
-            '<span>Ver detalhes →</span>' +
-          '</div>' +
+          '<table class="w-full text-sm">' +
+            '<thead class="text-xs text-gray-500 uppercase"><tr>' +
+              '<th class="text-left py-1">Produto</th><th class="text-right py-1">Solicitado</th><th class="text-right py-1">Enviado</th><th class="text-right py-1">Recebido</th><th class="text-right py-1">Diferença</th>' +
+            '</tr></thead>' +
+            '<tbody class="divide-y divide-gray-100">' + t.lines.map(l =>
+              '<tr>' +
+                '<td class="py-1">' + (l.name || 'Produto ' + l.product_id) + (l.barcode ? ' <span class="text-xs text-gray-500 font-mono">' + l.barcode + '</span>' : '') + '</td>' +
+                '<td class="py-1 text-right">' + cell(l.quantity) + '</td>' +
+                '<td class="py-1 text-right">' + cell(l.shipped_quantity) + '</td>' +
+                '<td class="py-1 text-right">' + cell(l.received_quantity) + '</td>' +
+                '<td class="py-1 text-right font-semibold ' + (l.difference ? 'text-red-600' : 'text-gray-400') + '">' +
+                  (l.difference == null ? '-' : (l.difference > 0 ? '+' : '') + formatQuantity(l.difference)) + '</td>' +
+              '</tr>'
+            ).join('') + '</tbody>' +
+          '</table>' +
         '</div>';
       }).join('');
     }
 
-    function updateCharts(comparison) {
-      // Revenue Chart
-      const allDates = [...new Set(comparison.comparison.flatMap(s => s.dailyData.map(d => d.date)))].sort();
-      
-      const revenueCtx = document.getElementById('revenueChart').getContext('2d');
-      
-      if (revenueChart) revenueChart.destroy();
-      
-      const datasets = comparison.comparison.map((store, index) => {
-        const colors = ['#3b82f6', '#10b981', '#f59e0b', '#ef4444', '#8b5cf6', '#ec4899'];
-        return {
-          label: store.storeName,
-          data: allDates.map(date => {
-            const dayData = store.dailyData.find(d => d.date === date);
-            return dayData ? dayData.revenue : 0;
-          }),
-          borderColor: colors[index % colors.length],
-          backgroundColor: colors[index % colors.length] + '20',
-          fill: true,
-          tension: 0.4
-        };
-      });
+    function openTransferModal() {
+      if (!transfersData) return;
+      const scope = currentUser && currentUser.store_id ? String(currentUser.store_id) : null;
+      const options = transfersData.stores.map(st => '<option value="' + st.id + '">' + st.name + '</option>').join('');
+      const from = document.getElementById('transferFrom');
+      const to = document.getElementById('transferTo');
+      from.innerHTML = options;
+      to.innerHTML = options;
+      if (scope) from.value = scope;
+      else if (selectedStoreId !== 'all') from.value = selectedStoreId;
+      const other = transfersData.stores.find(st => String(st.id) !== from.value);
+      if (other) to.value = other.id;
+
+      transferLines = [];
+      transferSearchResults = [];
+      document.getElementById('transferProductSearch').value = '';
+      document.getElementById('transferProductResults').innerHTML = '';
+      document.getElementById('transferNotes').value = '';
+      renderTransferLines();
+      document.getElementById('transferModal').classList.remove('hidden');
+      document.getElementById('transferModal').classList.add('flex');
+    }
+
+    function closeTransferModal() {
+      document.getElementById('transferModal').classList.add('hidden');
+      document.getElementById('transferModal').classList.remove('flex');
+      transferLines = [];
+    }
+
+    // Busca no estoque da origem para mostrar o saldo disponível de cada produto
+    async function searchTransferProducts() {
+      const term = document.getElementById('transferProductSearch').value.trim();
+      const el = document.getElementById('transferProductResults');
+      const fromStore = document.getElementById('transferFrom').value;
+      if (term.length < 2) {
+        el.innerHTML = '';
+        return;
+      }
+      try {
+        const params = new URLSearchParams({ search: term, store_id: fromStore, limit: 10 });
+        const response = await apiFetch(API_BASE + '/api/owner/stock?' + params.toString());
+        if (!response.ok) throw new Error('HTTP ' + response.status);
+        transferSearchResults = (await response.json()).products;
+        el.innerHTML = transferSearchResults.length === 0
+          ? '<p class="text-gray-400">Nenhum produto encontrado</p>'
+          : transferSearchResults.map(p =>
+            '<button type="button" onclick="addTransferLine(' + JSON.stringify(p.product_id).replace(/"/g, '&quot;') + ')" class="w-full flex justify-between px-3 py-2 bg-gray-50 rounded-lg hover:bg-blue-50">' +
+              '<span>' + (p.name || 'Produto ' + p.product_id) + ' <span class="text-xs text-gray-500 font-mono">' + (p.barcode || p.sku || p.product_id) + '</span></span>' +
+              '<span class="text-gray-600">saldo ' + formatQuantity(p.byStore[fromStore] || 0) + '</span>' +
+            '</button>'
+          ).join('');
+      } catch (error) {
+        console.error('Error searching transfer products:', error);
+        el.innerHTML = '<p class="text-red-500">Erro ao buscar produtos</p>';
+      }
+    }
 
-      revenueChart = new Chart(revenueCtx, {
-        type: 'line',
-        data: {
-          labels: allDates.map(d => new Date(d).toLocaleDateString('pt-BR', { day: '2-digit', month: 'short' })),
-          datasets: datasets
-        },
-        options: {
-          responsive: true,
-          plugins: {
-            legend: { position: 'bottom' }
-          },
-          scales: {
-            y: { beginAtZero: true }
-          }
-        }
-      });
+    function addTransferLine(productId) {
+      const existing = transferLines.find(l => l.product_id === productId);
+      if (existing) {
+        existing.quantity += 1;
+      } else {
+        const product = transferSearchResults.find(p => p.product_id === productId);
+        if (!product) return;
+        transferLines.push({
+          product_id: productId,
+          name: product.name || 'Produto ' + productId,
+          available: product.byStore[document.getElementById('transferFrom').value] || 0,
+          quantity: 1
+        });
+      }
+      renderTransferLines();
+    }
 
-      // Store Comparison Bar Chart
-      const storeCtx = document.getElementById('storeComparisonChart').getContext('2d');
-      
-      if (storeComparisonChart) storeComparisonChart.destroy();
-      
-      storeComparisonChart = new Chart(storeCtx, {
-        type: 'bar',
-        data: {
-          labels: comparison.comparison.map(s => s.storeName),
-          datasets: [{
-            label: 'Receita Total',
-            data: comparison.comparison.map(s => s.totalRevenue),
-            backgroundColor: ['#3b82f6', '#10b981', '#f59e0b', '#ef4444', '#8b5cf6', '#ec4899']
-          }]
-        },
-        options: {
-          responsive: true,
-          plugins: {
-            legend: { display: false }
-          },
-          scales: {
-            y: { beginAtZero: true }
-          }
+    function renderTransferLines() {
+      const tbody = document.getElementById('transferLinesBody');
+      if (transferLines.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="4" class="text-center py-6 text-gray-400">Busque e adicione os produtos a transferir</td></tr>';
+        return;
+      }
+      tbody.innerHTML = transferLines.map((l, idx) =>
+        '<tr>' +
+          '<td class="px-4 py-2">' + l.name + '</td>' +
+          '<td class="px-4 py-2 text-right ' + (l.available < l.quantity ? 'text-red-600' : 'text-gray-600') + '">' + formatQuantity(l.available) + '</td>' +
+          '<td class="px-4 py-2 text-right"><input type="number" min="0.001" step="any" value="' + l.quantity + '" onchange="transferLines[' + idx + '].quantity = Number(this.value); renderTransferLines()" class="w-24 px-2 py-1 border rounded text-right"></td>' +
+          '<td class="px-4 py-2 text-right"><button type="button" onclick="transferLines.splice(' + idx + ', 1); renderTransferLines()" class="text-red-500 hover:text-red-700">✕</button></td>' +
+        '</tr>'
+      ).join('');
+    }
+
+    async function saveTransfer(event) {
+      event.preventDefault();
+      if (transferLines.length === 0) {
+        showToast('Adicione ao menos um produto', 'warning');
+        return;
+      }
+      if (transferLines.some(l => !(l.quantity > 0))) {
+        showToast('Informe quantidades maiores que zero', 'warning');
+        return;
+      }
+      try {
+        const response = await apiFetch(API_BASE + '/api/admin/transfers', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({
+            from_store_id: document.getElementById('transferFrom').value,
+            to_store_id: document.getElementById('transferTo').value,
+            lines: transferLines.map(l => ({ product_id: l.product_id, quantity: l.quantity })),
+            notes: document.getElementById('transferNotes').value.trim() || null
+          })
+        });
+        const data = await response.json();
+        if (!response.ok) {
+          showToast(data.error || 'Erro ao criar transferência', 'error');
+          return;
         }
-      });
+        showToast('🚚 Transferência criada', 'success');
+        closeTransferModal();
+        loadTransfers();
+      } catch (error) {
+        console.error('Error creating transfer:', error);
+        showToast('Erro ao criar transferência', 'error');
+      }
+    }
+
+    // Envio: quantidades separadas na origem; recebimento: quantidades conferidas no destino
+    function openTransferStepModal(id, step) {
+      const transfer = transfersData.transfers.find(t => t.id === id);
+      if (!transfer) return;
+      transferStep = { id, step };
+      const shipping = step === 'ship';
+      document.getElementById('transferStepTitle').textContent = shipping ? '📦 Enviar Transferência' : '📥 Receber Transferência';
+      document.getElementById('transferStepInfo').textContent = transfer.from_store_name + ' → ' + transfer.to_store_name;
+      document.getElementById('transferStepReference').textContent = shipping ? 'Solicitado' : 'Enviado';
+      document.getElementById('transferStepQuantity').textContent = shipping ? 'Enviado' : 'Recebido';
+      document.getElementById('transferStepSubmit').textContent = shipping ? 'Confirmar Envio' : 'Confirmar Recebimento';
+      document.getElementById('transferStepNotes').value = '';
+      document.getElementById('transferStepBody').innerHTML = transfer.lines.map(l => {
+        const reference = shipping ? l.quantity : l.shipped_quantity;
+        return '<tr>' +
+          '<td class="px-4 py-2">' + (l.name || 'Produto ' + l.product_id) + '</td>' +
+          '<td class="px-4 py-2 text-right text-gray-600">' + formatQuantity(reference) + '</td>' +
+          '<td class="px-4 py-2 text-right"><input type="number" min="0" step="any" value="' + reference + '" data-product-id="' + l.product_id + '" class="transfer-step-qty w-24 px-2 py-1 border rounded text-right"></td>' +
+        '</tr>';
+      }).join('');
+      document.getElementById('transferStepModal').classList.remove('hidden');
+      document.getElementById('transferStepModal').classList.add('flex');
+    }
+
+    function closeTransferStepModal() {
+      document.getElementById('transferStepModal').classList.add('hidden');
+      document.getElementById('transferStepModal').classList.remove('flex');
+      transferStep = null;
+    }
+
+    async function confirmTransferStep(event) {
+      event.preventDefault();
+      if (!transferStep) return;
+      const { id, step } = transferStep;
+      const lines = Array.from(document.querySelectorAll('.transfer-step-qty')).map(input => ({
+        product_id: input.dataset.productId,
+        quantity: Number(input.value)
+      }));
+      if (lines.some(l => isNaN(l.quantity) || l.quantity < 0)) {
+        showToast('Informe quantidades válidas', 'warning');
+        return;
+      }
+      try {
+        const response = await apiFetch(API_BASE + '/api/admin/transfers/' + encodeURIComponent(id) + '/' + step, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ lines, notes: document.getElementById('transferStepNotes').value.trim() || null })
+        });
+        const data = await response.json();
+        if (!response.ok) {
+          showToast(data.error || 'Erro ao atualizar transferência', 'error');
+          return;
+        }
+        if (data.transfer.has_discrepancy) {
+          showToast('⚠️ Recebida com ' + data.transfer.discrepancies.length + ' divergência(s)', 'warning');
+        } else {
+          showToast(step === 'ship' ? '📦 Transferência enviada' : '📥 Transferência recebida', 'success');
+        }
+        closeTransferStepModal();
+        loadTransfers();
+      } catch (error) {
+        console.error('Error updating transfer:', error);
+        showToast('Erro ao atualizar transferência', 'error');
+      }
     }
 
-    async function openStoreModal(storeId) {
-      const modal = document.getElementById('storeModal');
-      const content = document.getElementById('modalContent');
-      
+    async function cancelTransferRequest(id) {
+      const transfer = transfersData.transfers.find(t => t.id === id);
+      const message = transfer && transfer.status === 'shipped'
+        ? 'Cancelar a transferência? O estoque enviado volta para ' + transfer.from_store_name + '.'
+        : 'Cancelar a transferência?';
+      if (!confirm(message)) return;
+      const reason = prompt('Motivo do cancelamento (opcional):') || null;
       try {
-        const { startDate, endDate } = getDateRange();
-        const response = await fetch(
-          API_BASE + '/api/owner/store/' + storeId + '/sales?password=' + encodeURIComponent(password) +
-          '&startDate=' + startDate + '&endDate=' + endDate + '&limit=50'
-        );
+        const response = await apiFetch(API_BASE + '/api/admin/transfers/' + encodeURIComponent(id) + '/cancel', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ reason })
+        });
         const data = await response.json();
+        if (!response.ok) {
+          showToast(data.error || 'Erro ao cancelar transferência', 'error');
+          return;
+        }
+        showToast('🚫 Transferência cancelada', 'success');
+        loadTransfers();
+      } catch (error) {
+        console.error('Error cancelling transfer:', error);
+        showToast('Erro ao cancelar transferência', 'error');
+      }
+    }
 
-        document.getElementById('modalStoreName').textContent = data.store.name;
-        document.getElementById('modalStoreAddress').textContent = data.store.address || '';
+    // =====================
+    // PURCHASES
+    // =====================
+    let suppliersData = [];
+    let purchaseOrdersData = null;
+    let purchaseLines = [];
+    let purchaseSearchResults = [];
+    let purchaseSearchTimer = null;
+    let purchaseReceiveOrderId = null;
+
+    const PURCHASE_STATUS = {
+      draft: { label: '📝 Rascunho', color: 'bg-gray-100 text-gray-700' },
+      sent: { label: '📤 Enviado', color: 'bg-blue-100 text-blue-700' },
+      partial: { label: '📦 Recebido em parte', color: 'bg-yellow-100 text-yellow-700' },
+      received: { label: '✅ Recebido', color: 'bg-green-100 text-green-700' },
+      cancelled: { label: '🚫 Cancelado', color: 'bg-gray-100 text-gray-500' }
+    };
 
-        content.innerHTML = 
-          '<div class="grid grid-cols-3 gap-4 mb-6">' +
-            '<div class="bg-green-50 rounded-xl p-4 text-center">' +
-              '<p class="text-3xl font-bold text-green-600">$' + data.totalRevenue.toFixed(2) + '</p>' +
-              '<p class="text-sm text-gray-500">Receita Total</p>' +
-            '</div>' +
-            '<div class="bg-blue-50 rounded-xl p-4 text-center">' +
-              '<p class="text-3xl font-bold text-blue-600">' + data.count + '</p>' +
-              '<p class="text-sm text-gray-500">Vendas</p>' +
-            '</div>' +
-            '<div class="bg-purple-50 rounded-xl p-4 text-center">' +
-              '<p class="text-3xl font-bold text-purple-600">$' + (data.count > 0 ? (data.totalRevenue / data.count).toFixed(2) : '0.00') + '</p>' +
-              '<p class="text-sm text-gray-500">Ticket Médio</p>' +
-            '</div>' +
-          '</div>' +
-          '<h4 class="font-bold text-gray-800 mb-3">📋 Últimas Vendas</h4>' +
-          '<div class="overflow-x-auto">' +
-            '<table class="w-full">' +
-              '<thead class="bg-gray-50">' +
-                '<tr>' +
-                  '<th class="px-4 py-3 text-left text-sm font-medium text-gray-600">Número</th>' +
-                  '<th class="px-4 py-3 text-left text-sm font-medium text-gray-600">Data/Hora</th>' +
-                  '<th class="px-4 py-3 text-right text-sm font-medium text-gray-600">Total</th>' +
-                  '<th class="px-4 py-3 text-center text-sm font-medium text-gray-600">Status</th>' +
-                '</tr>' +
-              '</thead>' +
-              '<tbody class="divide-y divide-gray-100">' +
-                data.sales.map(sale => 
-                  '<tr class="hover:bg-gray-50">' +
-                    '<td class="px-4 py-3"><span class="font-mono text-sm bg-gray-100 px-2 py-1 rounded">' + (sale.sale_number || 'N/A') + '</span></td>' +
-                    '<td class="px-4 py-3 text-sm text-gray-600">' + new Date(sale.created_at || sale.timestamp).toLocaleString('pt-BR') + '</td>' +
-                    '<td class="px-4 py-3 text-right font-bold text-green-600">$' + (sale.total || 0).toFixed(2) + '</td>' +
-                    '<td class="px-4 py-3 text-center"><span class="px-2 py-1 rounded-full text-xs font-medium bg-green-100 text-green-700">' + (sale.status || 'completed') + '</span></td>' +
-                  '</tr>'
-                ).join('') +
-              '</tbody>' +
-            '</table>' +
-          '</div>';
+    function loadPurchases() {
+      loadSuppliers();
+      loadPurchaseOrders();
+    }
+
+    async function loadSuppliers() {
+      try {
+        const response = await apiFetch(API_BASE + '/api/admin/suppliers');
+        if (!response.ok) throw new Error('HTTP ' + response.status);
+        suppliersData = (await response.json()).suppliers;
+        renderSuppliers();
+      } catch (error) {
+        console.error('Error loading suppliers:', error);
+        document.getElementById('suppliersBody').innerHTML = '<tr><td colspan="7" class="text-center py-6 text-red-500">Erro ao carregar fornecedores</td></tr>';
+      }
+    }
+
+    function renderSuppliers() {
+      const filter = document.getElementById('purchaseSupplierFilter');
+      const selected = filter.value;
+      filter.innerHTML = '<option value="">Todos</option>' + suppliersData.map(s => '<option value="' + s.id + '">' + s.name + '</option>').join('');
+      filter.value = selected;
+      document.getElementById('purchaseSupplierCount').textContent = suppliersData.filter(s => s.is_active !== false).length;
 
-        modal.classList.remove('hidden');
-        modal.classList.add('flex');
-      } catch (error) {
-        console.error('Error loading store details:', error);
+      const tbody = document.getElementById('suppliersBody');
+      if (suppliersData.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="7" class="text-center py-6 text-gray-400">Nenhum fornecedor cadastrado</td></tr>';
+        return;
       }
+      const editable = can('catalog:write');
+      const arg = (value) => JSON.stringify(value).replace(/"/g, '&quot;');
+      tbody.innerHTML = suppliersData.map(s => {
+        const contact = s.contacts[0] || {};
+        return '<tr class="' + (s.is_active === false ? 'text-gray-400' : '') + '">' +
+          '<td class="py-2 font-medium">' + s.name + (s.is_active === false ? ' <span class="text-xs">(inativo)</span>' : '') + '</td>' +
+          '<td class="py-2 font-mono text-xs">' + (s.tax_id || '-') + '</td>' +
+          '<td class="py-2 text-gray-600">' + ([contact.name, s.phone || contact.phone, s.email || contact.email].filter(Boolean).join(' • ') || '-') + '</td>' +
+          '<td class="py-2 text-right">' + (s.lead_time_days != null ? s.lead_time_days + ' dias' : '-') + '</td>' +
+          '<td class="py-2 text-right">' + s.product_count + '</td>' +
+          '<td class="py-2 text-right">' + s.open_orders + '</td>' +
+          '<td class="py-2 text-right whitespace-nowrap">' + (editable
+            ? '<button onclick="editSupplier(' + arg(s.id) + ')" class="px-2 py-1 text-blue-600 hover:bg-blue-50 rounded">✏️</button>' +
+              '<button onclick="deleteSupplier(' + arg(s.id) + ')" class="px-2 py-1 text-red-600 hover:bg-red-50 rounded">🗑️</button>'
+            : '') + '</td>' +
+        '</tr>';
+      }).join('');
     }
 
-    function closeStoreModal() {
-      const modal = document.getElementById('storeModal');
-      modal.classList.add('hidden');
-      modal.classList.remove('flex');
+    async function loadPurchaseOrders() {
+      try {
+        const params = new URLSearchParams();
+        const status = document.getElementById('purchaseStatus').value;
+        const supplier = document.getElementById('purchaseSupplierFilter').value;
+        if (status) params.set('status', status);
+        if (supplier) params.set('supplier_id', supplier);
+        if (selectedStoreId !== 'all') params.set('store_id', selectedStoreId);
+        const response = await apiFetch(API_BASE + '/api/admin/purchase-orders?' + params.toString());
+        if (!response.ok) throw new Error('HTTP ' + response.status);
+        purchaseOrdersData = await response.json();
+        renderPurchaseOrders();
+      } catch (error) {
+        console.error('Error loading purchase orders:', error);
+        showToast('Erro ao carregar pedidos de compra', 'error');
+      }
     }
 
-    // Close modal on outside click
-    document.getElementById('storeModal').addEventListener('click', (e) => {
-      if (e.target.id === 'storeModal') closeStoreModal();
-    });
+    function renderPurchaseOrders() {
+      const { orders, totals } = purchaseOrdersData;
+      const editable = can('inventory:write');
+      const arg = (value) => JSON.stringify(value).replace(/"/g, '&quot;');
 
-    // =====================
-    // TAB NAVIGATION
-    // =====================
-    let currentTab = 'dashboard';
-    let allProducts = [];
-    let filteredProducts = [];
-    let allCategories = [];
-    let allPromotions = [];
-    let allDepartments = [];
-    let productPage = 1;
-    let productsPerPage = 50;
-    let totalProductPages = 1;
-    let productSortField = 'name';
-    let productSortDirection = 'asc';
-    let searchTimeout = null;
+      document.getElementById('purchaseOpenCount').textContent = totals.open;
+      document.getElementById('purchaseOpenValue').textContent = '$' + totals.open_value.toFixed(2);
 
-    function switchTab(tab) {
-      currentTab = tab;
-      document.querySelectorAll('.tab-btn').forEach(btn => {
-        btn.classList.remove('active');
-        if (btn.textContent.toLowerCase().includes(tab)) {
-          btn.classList.add('active');
-        }
-      });
-      document.querySelectorAll('.tab-content').forEach(content => {
-        content.classList.remove('active');
-      });
-      const tabElement = document.getElementById('tab-' + tab);
-      if (tabElement) {
-        tabElement.classList.add('active');
+      const el = document.getElementById('purchaseOrdersList');
+      if (orders.length === 0) {
+        el.innerHTML = '<div class="text-center py-16 text-gray-400"><div class="text-5xl mb-3">📭</div><p class="text-lg">Nenhum pedido de compra</p></div>';
+        return;
       }
-      
-      // Load tab data
-      if (tab === 'products') loadProducts();
-      else if (tab === 'categories') loadCategories();
-      else if (tab === 'promotions') loadPromotions();
-      else if (tab === 'users') loadUsers();
-      else if (tab === 'dashboard') loadData();
-      else if (tab === 'cloud') loadCloudStatus();
-      else if (tab === 'sales') loadSalesData();
-      else if (tab === 'employees') loadEmployeesData();
-    }
 
-    function refreshCurrentTab() {
-      switchTab(currentTab);
+      el.innerHTML = orders.map(o => {
+        const status = PURCHASE_STATUS[o.status] || { label: o.status, color: 'bg-gray-100 text-gray-600' };
+        const actions = [];
+        if (editable && o.status === 'draft') {
+          actions.push('<button onclick="purchaseOrderAction(' + arg(o.id) + ', &quot;send&quot;)" class="px-3 py-1 bg-blue-600 text-white rounded-lg hover:bg-blue-700 text-sm">📤 Enviar</button>');
+        }
+        if (editable && (o.status === 'sent' || o.status === 'partial')) {
+          actions.push('<button onclick="openPurchaseReceiveModal(' + arg(o.id) + ')" class="px-3 py-1 bg-green-600 text-white rounded-lg hover:bg-green-700 text-sm">📥 Receber</button>');
+        }
+        if (editable && ['draft', 'sent', 'partial'].includes(o.status)) {
+          actions.push('<button onclick="purchaseOrderAction(' + arg(o.id) + ', &quot;cancel&quot;)" class="px-3 py-1 border rounded-lg hover:bg-gray-100 text-sm">🚫 Cancelar</button>');
+        }
+        const late = o.expected_at && ['sent', 'partial'].includes(o.status) && new Date(o.expected_at) < new Date();
+
+        return '<div class="border rounded-xl p-4">' +
+          '<div class="flex flex-wrap items-center justify-between gap-2 mb-3">' +
+            '<div>' +
+              '<p class="font-bold text-gray-800"><span class="font-mono">' + o.number + '</span> • 🏭 ' + o.supplier_name + ' → 🏪 ' + o.store_name + '</p>' +
+              '<p class="text-xs text-gray-500">criado em ' + new Date(o.created_at).toLocaleString('pt-BR') +
+                (o.source === 'suggestion' ? ' • ⚡ pelas sugestões' : '') +
+                (o.sent_at ? ' • enviado em ' + new Date(o.sent_at).toLocaleDateString('pt-BR') : '') +
+                (o.expected_at ? ' • <span class="' + (late ? 'text-red-600 font-semibold' : '') + '">previsto para ' + new Date(o.expected_at).toLocaleDateString('pt-BR') + '</span>' : '') +
+                (o.received_at ? ' • recebido em ' + new Date(o.received_at).toLocaleDateString('pt-BR') : '') + '</p>' +
+              (o.notes ? '<p class="text-xs text-gray-600 mt-1">📝 ' + o.notes + '</p>' : '') +
+            '</div>' +
+            '<div class="flex items-center gap-2">' +
+              '<span class="px-2 py-1 rounded-full text-xs font-medium ' + status.color + '">' + status.label + '</span>' +
+              '<span class="font-bold text-gray-800">$' + o.total.toFixed(2) + '</span>' +
+              actions.join('') +
+            '</div>' +
+          '</div>' +
+          '<table class="w-full text-sm">' +
+            '<thead class="text-xs text-gray-500 uppercase"><tr>' +
+              '<th class="text-left py-1">Produto</th><th class="text-right py-1">Pedido</th><th class="text-right py-1">Recebido</th><th class="text-right py-1">Custo Unit.</th><th class="text-right py-1">Total</th>' +
+            '</tr></thead>' +
+            '<tbody class="divide-y divide-gray-100">' + o.lines.map(l =>
+              '<tr>' +
+                '<td class="py-1">' + (l.name || 'Produto ' + l.product_id) + (l.barcode ? ' <span class="text-xs text-gray-500 font-mono">' + l.barcode + '</span>' : '') + '</td>' +
+                '<td class="py-1 text-right">' + formatQuantity(l.quantity) + '</td>' +
+                '<td class="py-1 text-right ' + (l.received_quantity >= l.quantity ? 'text-green-600' : l.received_quantity > 0 ? 'text-yellow-600' : 'text-gray-400') + '">' + formatQuantity(l.received_quantity) + '</td>' +
+                '<td class="py-1 text-right">$' + (l.last_unit_cost ?? l.unit_cost).toFixed(2) + '</td>' +
+                '<td class="py-1 text-right">$' + (l.quantity * l.unit_cost).toFixed(2) + '</td>' +
+              '</tr>'
+            ).join('') + '</tbody>' +
+          '</table>' +
+        '</div>';
+      }).join('');
     }
 
-    // =====================
-    // SALES MANAGEMENT
-    // =====================
-    let allSales = [];
-    
-    async function loadSalesData() {
+    function openSupplierModal(supplier = null) {
+      document.getElementById('supplierModalTitle').textContent = supplier ? 'Editar Fornecedor' : 'Novo Fornecedor';
+      document.getElementById('supplierId').value = supplier ? supplier.id : '';
+      document.getElementById('supplierName').value = supplier ? supplier.name : '';
+      document.getElementById('supplierTaxId').value = supplier ? supplier.tax_id || '' : '';
+      document.getElementById('supplierLeadTime').value = supplier && supplier.lead_time_days != null ? supplier.lead_time_days : '';
+      document.getElementById('supplierEmail').value = supplier ? supplier.email || '' : '';
+      document.getElementById('supplierPhone').value = supplier ? supplier.phone || '' : '';
+      document.getElementById('supplierNotes').value = supplier ? supplier.notes || '' : '';
+      document.getElementById('supplierActive').checked = supplier ? supplier.is_active !== false : true;
+      document.getElementById('supplierContacts').innerHTML = '';
+      (supplier ? supplier.contacts : []).forEach(addSupplierContact);
+      document.getElementById('supplierModal').classList.remove('hidden');
+      document.getElementById('supplierModal').classList.add('flex');
+    }
+
+    function closeSupplierModal() {
+      document.getElementById('supplierModal').classList.add('hidden');
+      document.getElementById('supplierModal').classList.remove('flex');
+    }
+
+    function editSupplier(id) {
+      const supplier = suppliersData.find(s => s.id === id);
+      if (supplier) openSupplierModal(supplier);
+    }
+
+    function addSupplierContact(contact = {}) {
+      const row = document.createElement('div');
+      row.className = 'supplier-contact grid grid-cols-4 gap-2';
+      const field = (name, placeholder) =>
+        '<input type="text" data-field="' + name + '" placeholder="' + placeholder + '" class="px-2 py-1 border rounded-lg text-sm">';
+      row.innerHTML = field('name', 'Nome') + field('role', 'Cargo') + field('email', 'E-mail') + field('phone', 'Telefone');
+      row.querySelectorAll('input').forEach(input => { input.value = contact[input.dataset.field] || ''; });
+      document.getElementById('supplierContacts').appendChild(row);
+    }
+
+    async function saveSupplier(event) {
+      event.preventDefault();
+      const id = document.getElementById('supplierId').value;
+      const contacts = Array.from(document.querySelectorAll('#supplierContacts .supplier-contact')).map(row => {
+        const contact = {};
+        row.querySelectorAll('input').forEach(input => { contact[input.dataset.field] = input.value.trim() || null; });
+        return contact;
+      });
+      const supplier = {
+        name: document.getElementById('supplierName').value.trim(),
+        tax_id: document.getElementById('supplierTaxId').value.trim() || null,
+        lead_time_days: document.getElementById('supplierLeadTime').value,
+        email: document.getElementById('supplierEmail').value.trim() || null,
+        phone: document.getElementById('supplierPhone').value.trim() || null,
+        contacts,
+        notes: document.getElementById('supplierNotes').value.trim() || null,
+        is_active: document.getElementById('supplierActive').checked
+      };
+      if (id) supplier.id = id;
       try {
-        // Set default dates if not set
-        const startInput = document.getElementById('salesStartDate');
-        const endInput = document.getElementById('salesEndDate');
-        
-        if (!startInput.value) {
-          const weekAgo = new Date();
-          weekAgo.setDate(weekAgo.getDate() - 7);
-          startInput.value = weekAgo.toISOString().split('T')[0];
-        }
-        if (!endInput.value) {
-          endInput.value = new Date().toISOString().split('T')[0];
-        }
-        
-        // Fetch sales from Supabase
-        const storeFilter = selectedStoreId !== 'all' ? '&store_id=' + selectedStoreId : '';
-        const response = await fetch(
-          API_BASE + '/api/owner/all-sales?password=' + encodeURIComponent(password) +
-          '&startDate=' + startInput.value + '&endDate=' + endInput.value + storeFilter
-        );
-        
-        if (response.ok) {
-          const data = await response.json();
-          allSales = data.sales || [];
-          renderSalesTable();
-          updateSalesSummary();
-          loadOperatorsForFilter();
-        } else {
-          // Fallback: load from stores
-          loadSalesFromStores();
+        const response = await apiFetch(API_BASE + '/api/admin/suppliers', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify(supplier)
+        });
+        const data = await response.json();
+        if (!response.ok) {
+          showToast(data.error || 'Erro ao salvar fornecedor', 'error');
+          return;
         }
+        showToast('🏭 Fornecedor salvo', 'success');
+        closeSupplierModal();
+        loadSuppliers();
       } catch (error) {
-        console.error('Error loading sales:', error);
-        loadSalesFromStores();
+        console.error('Error saving supplier:', error);
+        showToast('Erro ao salvar fornecedor', 'error');
       }
     }
-    
-    async function loadSalesFromStores() {
+
+    async function deleteSupplier(id) {
+      if (!confirm('Excluir este fornecedor?')) return;
       try {
-        allSales = [];
-        const { startDate, endDate } = getDateRange();
-        
-        for (const store of allStoresData) {
-          if (selectedStoreId !== 'all' && store.id != selectedStoreId) continue;
-          
-          try {
-            const response = await fetch(
-              API_BASE + '/api/owner/store/' + store.id + '/sales?password=' + encodeURIComponent(password) +
-              '&startDate=' + startDate + '&endDate=' + endDate + '&limit=100'
-            );
-            if (response.ok) {
-              const data = await response.json();
-              if (data.sales) {
-                data.sales.forEach(sale => {
-                  sale.store_name = store.name;
-                  sale.store_id = store.id;
-                });
-                allSales.push(...data.sales);
-              }
-            }
-          } catch (e) {
-            console.error('Error loading store sales:', e);
-          }
+        const response = await apiFetch(API_BASE + '/api/admin/suppliers/' + encodeURIComponent(id), { method: 'DELETE' });
+        const data = await response.json();
+        if (!response.ok) {
+          showToast(data.error || 'Erro ao excluir fornecedor', 'error');
+          return;
         }
-        
-        // Sort by date descending
-        allSales.sort((a, b) => new Date(b.created_at || b.timestamp) - new Date(a.created_at || a.timestamp));
-        
-        renderSalesTable();
-        updateSalesSummary();
+        showToast('Fornecedor excluído', 'success');
+        loadSuppliers();
       } catch (error) {
-        console.error('Error loading sales from stores:', error);
+        console.error('Error deleting supplier:', error);
+        showToast('Erro ao excluir fornecedor', 'error');
       }
     }
-    
-    function renderSalesTable() {
-      const tbody = document.getElementById('salesTableBody');
-      const startIdx = (salesPage - 1) * salesPerPage;
-      const pageSales = allSales.slice(startIdx, startIdx + salesPerPage);
-      
-      if (pageSales.length === 0) {
-        tbody.innerHTML = '<tr><td colspan="8" class="text-center py-16 text-gray-400"><div class="text-5xl mb-3">📭</div><p class="text-lg">Nenhuma venda encontrada</p><p class="text-sm">Ajuste os filtros ou período</p></td></tr>';
+
+    function openPurchaseOrderModal() {
+      if (!purchaseOrdersData) return;
+      const active = suppliersData.filter(s => s.is_active !== false);
+      if (active.length === 0) {
+        showToast('Cadastre um fornecedor antes de criar pedidos', 'warning');
         return;
       }
-      
-      const paymentIcons = {
-        'cash': '💵',
-        'credit': '💳',
-        'debit': '💳',
-        'pix': '📱',
-        'mixed': '🔄'
-      };
-      
-      const paymentLabels = {
-        'cash': 'Dinheiro',
-        'credit': 'Crédito',
-        'debit': 'Débito',
-        'pix': 'PIX',
-        'mixed': 'Misto'
-      };
-      
-      tbody.innerHTML = pageSales.map((sale, idx) => {
-        const storeName = sale.store_name || allStoresData.find(s => s.id == sale.store_id)?.name || 'Loja';
-        const operatorName = sale.user_name || sale.operator || sale.cashier_name || 'Não identificado';
-        const paymentType = sale.payment_method || sale.payment_type || 'cash';
-        const paymentIcon = paymentIcons[paymentType] || '💰';
-        const paymentLabel = paymentLabels[paymentType] || paymentType;
-        const saleDate = new Date(sale.created_at || sale.timestamp);
-        const isToday = new Date().toDateString() === saleDate.toDateString();
-        
-        return \`
-          <tr class="hover:bg-green-50 transition-colors \${idx % 2 === 0 ? 'bg-white' : 'bg-gray-50/50'}">
-            <td class="px-4 py-4">
-              <div class="flex flex-col">
-                <span class="font-mono text-sm font-bold bg-gradient-to-r from-green-100 to-green-200 text-green-800 px-3 py-1 rounded-lg inline-block">
-                  #\${sale.sale_number || sale.id || 'N/A'}
-                </span>
-              </div>
-            </td>
-            <td class="px-4 py-4">
-              <div class="flex items-center gap-2">
-                <span class="text-lg">🏪</span>
-                <span class="text-sm font-medium text-gray-700">\${storeName}</span>
-              </div>
-            </td>
-            <td class="px-4 py-4">
-              <div class="flex flex-col">
-                <span class="text-sm font-medium text-gray-800">\${saleDate.toLocaleDateString('pt-BR')}</span>
-                <span class="text-xs text-gray-500">\${saleDate.toLocaleTimeString('pt-BR')} \${isToday ? '<span class="bg-green-100 text-green-700 px-1 rounded text-xs ml-1">Hoje</span>' : ''}</span>
-              </div>
-            </td>
-            <td class="px-4 py-4">
-              <div class="flex items-center gap-2">
-                <div class="w-8 h-8 rounded-full bg-gradient-to-br from-blue-500 to-purple-600 flex items-center justify-center text-white text-xs font-bold">
-                  \${operatorName.charAt(0).toUpperCase()}
-                </div>
-                <div class="flex flex-col">
-                  <span class="text-sm font-semibold text-gray-800">\${operatorName}</span>
-                  <span class="text-xs text-gray-500">Caixa</span>
-                </div>
-              </div>
-            </td>
-            <td class="px-4 py-4 text-center">
-              <span class="inline-flex items-center gap-1 px-3 py-1 rounded-full text-xs font-medium \${
-                paymentType === 'cash' ? 'bg-green-100 text-green-700' :
-                paymentType === 'pix' ? 'bg-purple-100 text-purple-700' :
-                'bg-blue-100 text-blue-700'
-              }">
-                \${paymentIcon} \${paymentLabel}
-              </span>
-            </td>
-            <td class="px-4 py-4 text-center">
-              <span class="bg-gray-100 text-gray-700 px-3 py-1 rounded-full text-sm font-medium">
-                \${sale.items_count || sale.items?.length || '-'} itens
-              </span>
-            </td>
-            <td class="px-4 py-4 text-right">
-              <span class="text-lg font-bold text-green-600">$\${(sale.total || 0).toFixed(2)}</span>
-            </td>
-            <td class="px-4 py-4 text-center">
-              <button onclick="viewSaleDetails('\${sale.id || sale.sale_number}')" 
-                class="px-3 py-2 bg-blue-50 text-blue-600 rounded-lg hover:bg-blue-100 transition-colors text-sm font-medium">
-                👁️ Detalhes
-              </button>
-            </td>
-          </tr>
-        \`;
-      }).join('');
-      
-      // Update pagination info
-      const totalPages = Math.ceil(allSales.length / salesPerPage);
-      document.getElementById('salesPaginationInfo').textContent = 
-        \`Mostrando \${startIdx + 1} - \${Math.min(startIdx + salesPerPage, allSales.length)} de \${allSales.length} vendas\`;
-      document.getElementById('salesCurrentPage').textContent = \`\${salesPage} / \${totalPages}\`;
+      document.getElementById('purchaseOrderSupplier').innerHTML = active.map(s => '<option value="' + s.id + '">' + s.name + '</option>').join('');
+      const store = document.getElementById('purchaseOrderStore');
+      store.innerHTML = purchaseOrdersData.stores.map(st => '<option value="' + st.id + '">' + st.name + '</option>').join('');
+      if (selectedStoreId !== 'all') store.value = selectedStoreId;
+      purchaseLines = [];
+      purchaseSearchResults = [];
+      document.getElementById('purchaseProductSearch').value = '';
+      document.getElementById('purchaseProductResults').innerHTML = '';
+      document.getElementById('purchaseOrderNotes').value = '';
+      renderPurchaseLines();
+      document.getElementById('purchaseOrderModal').classList.remove('hidden');
+      document.getElementById('purchaseOrderModal').classList.add('flex');
+    }
+
+    function closePurchaseOrderModal() {
+      document.getElementById('purchaseOrderModal').classList.add('hidden');
+      document.getElementById('purchaseOrderModal').classList.remove('flex');
+      purchaseLines = [];
+    }
+
+    async function searchPurchaseProducts() {
+      const term = document.getElementById('purchaseProductSearch').value.trim();
+      const el = document.getElementById('purchaseProductResults');
+      const storeId = document.getElementById('purchaseOrderStore').value;
+      if (term.length < 2) {
+        el.innerHTML = '';
+        return;
+      }
+      try {
+        const params = new URLSearchParams({ search: term, store_id: storeId, limit: 10 });
+        const response = await apiFetch(API_BASE + '/api/owner/stock?' + params.toString());
+        if (!response.ok) throw new Error('HTTP ' + response.status);
+        purchaseSearchResults = (await response.json()).products;
+        el.innerHTML = purchaseSearchResults.length === 0
+          ? '<p class="text-gray-400">Nenhum produto encontrado</p>'
+          : purchaseSearchResults.map(p =>
+            '<button type="button" onclick="addPurchaseLine(' + JSON.stringify(p.product_id).replace(/"/g, '&quot;') + ')" class="w-full flex justify-between px-3 py-2 bg-gray-50 rounded-lg hover:bg-blue-50">' +
+              '<span>' + (p.name || 'Produto ' + p.product_id) + ' <span class="text-xs text-gray-500 font-mono">' + (p.barcode || p.sku || p.product_id) + '</span></span>' +
+              '<span class="text-gray-600">saldo ' + formatQuantity(p.byStore[storeId] || 0) + (p.cost != null ? ' • custo $' + p.cost.toFixed(2) : '') + '</span>' +
+            '</button>'
+          ).join('');
+      } catch (error) {
+        console.error('Error searching purchase products:', error);
+        el.innerHTML = '<p class="text-red-500">Erro ao buscar produtos</p>';
+      }
+    }
+
+    function addPurchaseLine(productId) {
+      const existing = purchaseLines.find(l => l.product_id === productId);
+      if (existing) {
+        existing.quantity += 1;
+      } else {
+        const product = purchaseSearchResults.find(p => p.product_id === productId);
+        if (!product) return;
+        purchaseLines.push({ product_id: productId, name: product.name || 'Produto ' + productId, quantity: 1, unit_cost: product.cost || 0 });
+      }
+      renderPurchaseLines();
+    }
+
+    function renderPurchaseLines() {
+      const tbody = document.getElementById('purchaseLinesBody');
+      if (purchaseLines.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="5" class="text-center py-6 text-gray-400">Busque e adicione os produtos do pedido</td></tr>';
+        return;
+      }
+      const total = purchaseLines.reduce((sum, l) => sum + l.quantity * l.unit_cost, 0);
+      tbody.innerHTML = purchaseLines.map((l, idx) =>
+        '<tr>' +
+          '<td class="px-4 py-2">' + l.name + '</td>' +
+          '<td class="px-4 py-2 text-right"><input type="number" min="0.001" step="any" value="' + l.quantity + '" onchange="purchaseLines[' + idx + '].quantity = Number(this.value); renderPurchaseLines()" class="w-24 px-2 py-1 border rounded text-right"></td>' +
+          '<td class="px-4 py-2 text-right"><input type="number" min="0" step="0.01" value="' + l.unit_cost + '" onchange="purchaseLines[' + idx + '].unit_cost = Number(this.value); renderPurchaseLines()" class="w-24 px-2 py-1 border rounded text-right"></td>' +
+          '<td class="px-4 py-2 text-right">$' + (l.quantity * l.unit_cost).toFixed(2) + '</td>' +
+          '<td class="px-4 py-2 text-right"><button type="button" onclick="purchaseLines.splice(' + idx + ', 1); renderPurchaseLines()" class="text-red-500 hover:text-red-700">✕</button></td>' +
+        '</tr>'
+      ).join('') +
+        '<tr class="bg-gray-50 font-bold"><td class="px-4 py-2" colspan="3">Total</td><td class="px-4 py-2 text-right">$' + total.toFixed(2) + '</td><td></td></tr>';
+    }
+
+    async function savePurchaseOrder(event) {
+      event.preventDefault();
+      if (purchaseLines.length === 0) {
+        showToast('Adicione ao menos um produto', 'warning');
+        return;
+      }
+      if (purchaseLines.some(l => !(l.quantity > 0) || isNaN(l.unit_cost) || l.unit_cost < 0)) {
+        showToast('Informe quantidades e custos válidos', 'warning');
+        return;
+      }
+      try {
+        const response = await apiFetch(API_BASE + '/api/admin/purchase-orders', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({
+            supplier_id: document.getElementById('purchaseOrderSupplier').value,
+            store_id: document.getElementById('purchaseOrderStore').value,
+            lines: purchaseLines.map(l => ({ product_id: l.product_id, quantity: l.quantity, unit_cost: l.unit_cost })),
+            notes: document.getElementById('purchaseOrderNotes').value.trim() || null
+          })
+        });
+        const data = await response.json();
+        if (!response.ok) {
+          showToast(data.error || 'Erro ao criar pedido', 'error');
+          return;
+        }
+        showToast('🛒 Pedido ' + data.order.number + ' criado', 'success');
+        closePurchaseOrderModal();
+        loadPurchases();
+      } catch (error) {
+        console.error('Error creating purchase order:', error);
+        showToast('Erro ao criar pedido', 'error');
+      }
     }
-    
-    function updateSalesSummary() {
-      const totalRevenue = allSales.reduce((sum, s) => sum + (s.total || 0), 0);
-      const totalCount = allSales.length;
-      const avgTicket = totalCount > 0 ? totalRevenue / totalCount : 0;
-      
-      // Calcular por tipo de pagamento
-      let cashTotal = 0, cardTotal = 0;
-      allSales.forEach(sale => {
-        const paymentType = sale.payment_method || sale.payment_type || 'cash';
-        if (paymentType === 'cash') {
-          cashTotal += sale.total || 0;
-        } else {
-          cardTotal += sale.total || 0;
+
+    async function createOrdersFromSuggestions() {
+      if (!confirm('Gerar pedidos em rascunho com as sugestões de compra dos alertas de estoque?')) return;
+      try {
+        const response = await apiFetch(API_BASE + '/api/admin/purchase-orders/from-suggestions', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ store_id: selectedStoreId })
+        });
+        const data = await response.json();
+        if (!response.ok) {
+          showToast(data.error || 'Erro ao gerar pedidos', 'error');
+          return;
+        }
+        const skipped = data.skipped.length > 0 ? ' • ' + data.skipped.length + ' produto(s) sem fornecedor' : '';
+        showToast('⚡ ' + data.count + ' pedido(s) gerado(s)' + skipped, data.skipped.length > 0 ? 'warning' : 'success');
+        loadPurchases();
+      } catch (error) {
+        console.error('Error creating orders from suggestions:', error);
+        showToast('Erro ao gerar pedidos', 'error');
+      }
+    }
+
+    async function purchaseOrderAction(id, step) {
+      const order = purchaseOrdersData.orders.find(o => o.id === id);
+      let body = {};
+      if (step === 'cancel') {
+        if (!confirm('Cancelar o pedido ' + (order ? order.number : '') + '?' + (order && order.status === 'partial' ? ' O que já foi recebido continua no estoque.' : ''))) return;
+        body = { reason: prompt('Motivo do cancelamento (opcional):') || null };
+      }
+      try {
+        const response = await apiFetch(API_BASE + '/api/admin/purchase-orders/' + encodeURIComponent(id) + '/' + step, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify(body)
+        });
+        const data = await response.json();
+        if (!response.ok) {
+          showToast(data.error || 'Erro ao atualizar pedido', 'error');
+          return;
+        }
+        showToast(step === 'send' ? '📤 Pedido enviado' : '🚫 Pedido cancelado', 'success');
+        loadPurchases();
+      } catch (error) {
+        console.error('Error updating purchase order:', error);
+        showToast('Erro ao atualizar pedido', 'error');
+      }
+    }
+
+    function openPurchaseReceiveModal(id) {
+      const order = purchaseOrdersData.orders.find(o => o.id === id);
+      if (!order) return;
+      purchaseReceiveOrderId = id;
+      document.getElementById('purchaseReceiveInfo').textContent = order.number + ' • ' + order.supplier_name + ' → ' + order.store_name;
+      document.getElementById('purchaseReceiveNotes').value = '';
+      document.getElementById('purchaseReceiveBody').innerHTML = order.lines.map(l => {
+        const pending = Math.max(0, l.quantity - l.received_quantity);
+        return '<tr class="purchase-receive-line" data-product-id="' + l.product_id + '">' +
+          '<td class="px-4 py-2">' + (l.name || 'Produto ' + l.product_id) + '</td>' +
+          '<td class="px-4 py-2 text-right text-gray-600">' + formatQuantity(pending) + '</td>' +
+          '<td class="px-4 py-2 text-right"><input type="number" min="0" step="any" value="' + pending + '" data-field="quantity" class="w-24 px-2 py-1 border rounded text-right"></td>' +
+          '<td class="px-4 py-2 text-right"><input type="number" min="0" step="0.01" value="' + (l.last_unit_cost ?? l.unit_cost) + '" data-field="unit_cost" class="w-24 px-2 py-1 border rounded text-right"></td>' +
+        '</tr>';
+      }).join('');
+      document.getElementById('purchaseReceiveModal').classList.remove('hidden');
+      document.getElementById('purchaseReceiveModal').classList.add('flex');
+    }
+
+    function closePurchaseReceiveModal() {
+      document.getElementById('purchaseReceiveModal').classList.add('hidden');
+      document.getElementById('purchaseReceiveModal').classList.remove('flex');
+      purchaseReceiveOrderId = null;
+    }
+
+    async function confirmPurchaseReceipt(event) {
+      event.preventDefault();
+      if (!purchaseReceiveOrderId) return;
+      const lines = Array.from(document.querySelectorAll('.purchase-receive-line')).map(row => ({
+        product_id: row.dataset.productId,
+        quantity: Number(row.querySelector('[data-field="quantity"]').value),
+        unit_cost: Number(row.querySelector('[data-field="unit_cost"]').value)
+      }));
+      if (lines.some(l => isNaN(l.quantity) || l.quantity < 0 || isNaN(l.unit_cost) || l.unit_cost < 0)) {
+        showToast('Informe quantidades e custos válidos', 'warning');
+        return;
+      }
+      try {
+        const response = await apiFetch(API_BASE + '/api/admin/purchase-orders/' + encodeURIComponent(purchaseReceiveOrderId) + '/receive', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ lines, notes: document.getElementById('purchaseReceiveNotes').value.trim() || null })
+        });
+        const data = await response.json();
+        if (!response.ok) {
+          showToast(data.error || 'Erro ao receber pedido', 'error');
+          return;
         }
+        showToast(data.order.status === 'received' ? '📥 Pedido recebido' : '📦 Recebimento parcial registrado', 'success');
+        closePurchaseReceiveModal();
+        loadPurchases();
+      } catch (error) {
+        console.error('Error receiving purchase order:', error);
+        showToast('Erro ao receber pedido', 'error');
+      }
+    }
+
+    // =====================
+    // STOCK COUNTS
+    // =====================
+    let stockCountsData = null;
+    let stockCountDetail = null;
+
+    const STOCK_COUNT_STATUS = {
+      open: { label: '🔢 Em contagem', color: 'bg-blue-100 text-blue-700' },
+      review: { label: '⏳ Aguardando aprovação', color: 'bg-yellow-100 text-yellow-700' },
+      approved: { label: '✅ Aprovada', color: 'bg-green-100 text-green-700' },
+      cancelled: { label: '🚫 Cancelada', color: 'bg-gray-100 text-gray-500' }
+    };
+
+    function stockCountScopeLabel(scope) {
+      const categories = scope.category_ids.map(id => {
+        const category = stockCountsData.categories.find(c => String(c.id) === id);
+        return category ? category.name : 'Categoria ' + id;
       });
-      
-      document.getElementById('salesTotalRevenue').textContent = '$' + totalRevenue.toFixed(2);
-      document.getElementById('salesTotalCount').textContent = totalCount;
-      document.getElementById('salesAvgTicket').textContent = '$' + avgTicket.toFixed(2);
-      
-      const cashEl = document.getElementById('salesCashTotal');
-      const cardEl = document.getElementById('salesCardTotal');
-      if (cashEl) cashEl.textContent = '$' + cashTotal.toFixed(2);
-      if (cardEl) cardEl.textContent = '$' + cardTotal.toFixed(2);
+      return categories.concat(scope.departments).join(', ') || 'Loja inteira';
     }
-    
-    function filterSalesData() {
-      // Filtrar vendas localmente baseado nos filtros
-      loadSalesData();
+
+    async function loadStockCounts() {
+      try {
+        const params = new URLSearchParams();
+        const status = document.getElementById('stockCountsStatus').value;
+        if (status) params.set('status', status);
+        if (selectedStoreId !== 'all') params.set('store_id', selectedStoreId);
+        const response = await apiFetch(API_BASE + '/api/admin/stock-counts?' + params.toString());
+        if (!response.ok) throw new Error('HTTP ' + response.status);
+        stockCountsData = await response.json();
+        renderStockCounts();
+        // Contagem aberta no detalhe acompanha os envios dos terminais
+        if (stockCountDetail && !document.getElementById('stockCountDetailModal').classList.contains('hidden')) {
+          loadStockCountDetail(stockCountDetail.count.id);
+        }
+      } catch (error) {
+        console.error('Error loading stock counts:', error);
+        document.getElementById('stockCountsBody').innerHTML = '<tr><td colspan="7" class="text-center py-6 text-red-500">Erro ao carregar contagens</td></tr>';
+      }
     }
-    
-    function printSalesReport() {
-      window.print();
+
+    function renderStockCounts() {
+      const { counts, totals } = stockCountsData;
+      document.getElementById('stockCountsOpen').textContent = totals.open;
+      document.getElementById('stockCountsReview').textContent = totals.review;
+      document.getElementById('stockCountsShrinkage').textContent = '$' + totals.approved_shrinkage_value.toFixed(2);
+
+      const tbody = document.getElementById('stockCountsBody');
+      if (counts.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="7" class="text-center py-12 text-gray-400">📭 Nenhuma contagem</td></tr>';
+        return;
+      }
+      tbody.innerHTML = counts.map(c => {
+        const status = STOCK_COUNT_STATUS[c.status] || { label: c.status, color: 'bg-gray-100 text-gray-600' };
+        return '<tr>' +
+          '<td class="py-2"><span class="font-mono font-medium">' + c.number + '</span>' +
+            '<p class="text-xs text-gray-500">aberta em ' + new Date(c.opened_at).toLocaleString('pt-BR') + '</p></td>' +
+          '<td class="py-2">🏪 ' + c.store_name + '</td>' +
+          '<td class="py-2 text-gray-600">' + stockCountScopeLabel(c.scope) + '</td>' +
+          '<td class="py-2"><span class="px-2 py-1 rounded-full text-xs font-medium ' + status.color + '">' + status.label + '</span></td>' +
+          '<td class="py-2 text-right">' + c.counted_products + '</td>' +
+          '<td class="py-2 text-right ' + (c.summary && c.summary.shrinkage_value > 0 ? 'text-red-600 font-semibold' : 'text-gray-400') + '">' +
+            (c.summary ? '$' + c.summary.shrinkage_value.toFixed(2) : '-') + '</td>' +
+          '<td class="py-2 text-right"><button onclick="viewStockCount(' + JSON.stringify(c.id).replace(/"/g, '&quot;') + ')" class="px-3 py-1 border rounded-lg hover:bg-gray-100">👁️ Ver</button></td>' +
+        '</tr>';
+      }).join('');
     }
-    
-    function closeSaleDetailModal() {
-      document.getElementById('saleDetailModal').classList.add('hidden');
-      document.getElementById('saleDetailModal').classList.remove('flex');
+
+    function openStockCountModal() {
+      if (!stockCountsData) return;
+      const store = document.getElementById('stockCountStore');
+      store.innerHTML = stockCountsData.stores.map(st => '<option value="' + st.id + '">' + st.name + '</option>').join('');
+      if (selectedStoreId !== 'all') store.value = selectedStoreId;
+      const option = (name, value, label) =>
+        '<label class="flex items-center gap-2"><input type="checkbox" name="' + name + '" value="' + value + '" class="w-4 h-4 text-blue-600"> ' + label + '</label>';
+      document.getElementById('stockCountCategories').innerHTML =
+        stockCountsData.categories.map(c => option('stockCountCategory', c.id, c.name)).join('') || '<p class="text-gray-400">Nenhuma categoria</p>';
+      document.getElementById('stockCountDepartments').innerHTML =
+        stockCountsData.departments.map(d => option('stockCountDepartment', d, d)).join('') || '<p class="text-gray-400">Nenhum departamento</p>';
+      document.getElementById('stockCountZeroUncounted').checked = true;
+      document.getElementById('stockCountNotes').value = '';
+      document.getElementById('stockCountModal').classList.remove('hidden');
+      document.getElementById('stockCountModal').classList.add('flex');
     }
-    
-    function changeSalesPage(delta) {
-      const totalPages = Math.ceil(allSales.length / salesPerPage);
-      salesPage = Math.max(1, Math.min(totalPages, salesPage + delta));
-      renderSalesTable();
+
+    function closeStockCountModal() {
+      document.getElementById('stockCountModal').classList.add('hidden');
+      document.getElementById('stockCountModal').classList.remove('flex');
     }
-    
-    function loadOperatorsForFilter() {
-      const operators = [...new Set(allSales.map(s => s.user_name || s.operator).filter(Boolean))];
-      const select = document.getElementById('salesOperator');
-      if (select) {
-        select.innerHTML = '<option value="">Todos</option>' + 
-          operators.map(op => \`<option value="\${op}">\${op}</option>\`).join('');
+
+    async function saveStockCount(event) {
+      event.preventDefault();
+      const checked = (name) => Array.from(document.querySelectorAll('input[name="' + name + '"]:checked')).map(input => input.value);
+      try {
+        const response = await apiFetch(API_BASE + '/api/admin/stock-counts', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({
+            store_id: document.getElementById('stockCountStore').value,
+            category_ids: checked('stockCountCategory'),
+            departments: checked('stockCountDepartment'),
+            zero_uncounted: document.getElementById('stockCountZeroUncounted').checked,
+            notes: document.getElementById('stockCountNotes').value.trim() || null
+          })
+        });
+        const data = await response.json();
+        if (!response.ok) {
+          showToast(data.error || 'Erro ao abrir contagem', 'error');
+          return;
+        }
+        showToast('📋 Contagem ' + data.count.number + ' aberta; os terminais já podem enviar as quantidades', 'success');
+        closeStockCountModal();
+        loadStockCounts();
+      } catch (error) {
+        console.error('Error opening stock count:', error);
+        showToast('Erro ao abrir contagem', 'error');
       }
     }
-    
-    function viewSaleDetails(saleId) {
-      const sale = allSales.find(s => s.id == saleId || s.sale_number == saleId);
-      if (!sale) return;
-      
-      const modal = document.getElementById('saleDetailModal');
-      const storeName = sale.store_name || allStoresData.find(s => s.id == sale.store_id)?.name || 'Loja';
-      const operatorName = sale.user_name || sale.operator || sale.cashier_name || 'Não identificado';
-      const saleDate = new Date(sale.created_at || sale.timestamp);
-      const paymentType = sale.payment_method || sale.payment_type || 'cash';
-      
-      const paymentLabels = {
-        'cash': '💵 Dinheiro',
-        'credit': '💳 Cartão Crédito',
-        'debit': '💳 Cartão Débito',
-        'pix': '📱 PIX',
-        'mixed': '🔄 Misto'
-      };
-      
-      document.getElementById('saleDetailTitle').textContent = 'Venda #' + (sale.sale_number || sale.id);
-      document.getElementById('saleDetailSubtitle').textContent = saleDate.toLocaleString('pt-BR');
-      
-      document.getElementById('saleDetailContent').innerHTML = \`
-        <div class="space-y-6">
-          <!-- Info Principal -->
-          <div class="grid grid-cols-2 gap-4">
-            <div class="bg-gray-50 rounded-xl p-4">
-              <p class="text-xs text-gray-500 mb-1">🏪 Loja</p>
-              <p class="font-semibold text-gray-800">\${storeName}</p>
-            </div>
-            <div class="bg-gray-50 rounded-xl p-4">
-              <p class="text-xs text-gray-500 mb-1">👤 Operador</p>
-              <p class="font-semibold text-gray-800">\${operatorName}</p>
-            </div>
-            <div class="bg-gray-50 rounded-xl p-4">
-              <p class="text-xs text-gray-500 mb-1">💳 Pagamento</p>
-              <p class="font-semibold text-gray-800">\${paymentLabels[paymentType] || paymentType}</p>
-            </div>
-            <div class="bg-gray-50 rounded-xl p-4">
-              <p class="text-xs text-gray-500 mb-1">📊 Status</p>
-              <p class="font-semibold text-green-600">\${sale.status === 'completed' ? '✅ Concluída' : sale.status}</p>
-            </div>
-          </div>
-          
-          <!-- Itens da Venda (se disponível) -->
-          \${sale.items && sale.items.length > 0 ? \`
-            <div>
-              <h4 class="font-semibold text-gray-800 mb-3">📦 Itens da Venda</h4>
-              <div class="border rounded-lg overflow-hidden">
-                <table class="w-full">
-                  <thead class="bg-gray-100">
-                    <tr>
-                      <th class="px-4 py-2 text-left text-xs font-medium text-gray-600">Produto</th>
-                      <th class="px-4 py-2 text-center text-xs font-medium text-gray-600">Qtd</th>
-                      <th class="px-4 py-2 text-right text-xs font-medium text-gray-600">Preço</th>
-                      <th class="px-4 py-2 text-right text-xs font-medium text-gray-600">Subtotal</th>
-                    </tr>
-                  </thead>
-                  <tbody class="divide-y">
-                    \${sale.items.map(item => \`
-                      <tr>
-                        <td class="px-4 py-2 text-sm">\${item.product_name || item.name || 'Produto'}</td>
-                        <td class="px-4 py-2 text-sm text-center">\${item.quantity}</td>
-                        <td class="px-4 py-2 text-sm text-right">$\${(item.unit_price || item.price || 0).toFixed(2)}</td>
-                        <td class="px-4 py-2 text-sm text-right font-medium">$\${(item.subtotal || (item.quantity * (item.unit_price || item.price || 0))).toFixed(2)}</td>
-                      </tr>
-                    \`).join('')}
-                  </tbody>
-                </table>
-              </div>
-            </div>
-          \` : '<div class="bg-yellow-50 border border-yellow-200 rounded-lg p-4 text-center text-yellow-700">⚠️ Detalhes dos itens não disponíveis</div>'}
-          
-          <!-- Total -->
-          <div class="bg-gradient-to-r from-green-500 to-green-600 rounded-xl p-6 text-white text-center">
-            <p class="text-green-100 text-sm mb-1">Total da Venda</p>
-            <p class="text-4xl font-bold">$\${(sale.total || 0).toFixed(2)}</p>
-          </div>
-          
-          <!-- Ações -->
-          <div class="flex gap-3">
-            <button onclick="closeSaleDetailModal()" class="flex-1 px-4 py-3 border rounded-lg hover:bg-gray-50 font-medium">
-              Fechar
-            </button>
-            <button onclick="window.print()" class="flex-1 px-4 py-3 bg-blue-600 text-white rounded-lg hover:bg-blue-700 font-medium">
-              🖨️ Imprimir
-            </button>
-          </div>
-        </div>
-      \`;
-      
-      modal.classList.remove('hidden');
-      modal.classList.add('flex');
+
+    async function viewStockCount(id) {
+      if (await loadStockCountDetail(id)) {
+        document.getElementById('stockCountShowAll').checked = false;
+        document.getElementById('stockCountDetailModal').classList.remove('hidden');
+        document.getElementById('stockCountDetailModal').classList.add('flex');
+      }
     }
-    
-    function exportSales(format) {
-      if (format === 'csv') {
-        let csv = 'Numero,Loja,Data,Operador,Total,Status\\n';
-        allSales.forEach(sale => {
-          const storeName = sale.store_name || allStoresData.find(s => s.id == sale.store_id)?.name || 'Loja';
-          csv += \`"\${sale.sale_number || ''}","\${storeName}","\${new Date(sale.created_at || sale.timestamp).toLocaleString('pt-BR')}","\${sale.user_name || ''}",\${sale.total || 0},"\${sale.status || 'completed'}"\\n\`;
-        });
-        
-        const blob = new Blob([csv], { type: 'text/csv' });
-        const url = URL.createObjectURL(blob);
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = 'vendas_' + new Date().toISOString().split('T')[0] + '.csv';
-        a.click();
-        
-        showToast('📥 CSV exportado com sucesso!', 'success');
+
+    function closeStockCountDetail() {
+      document.getElementById('stockCountDetailModal').classList.add('hidden');
+      document.getElementById('stockCountDetailModal').classList.remove('flex');
+      stockCountDetail = null;
+    }
+
+    async function loadStockCountDetail(id) {
+      try {
+        const response = await apiFetch(API_BASE + '/api/admin/stock-counts/' + encodeURIComponent(id));
+        if (!response.ok) throw new Error('HTTP ' + response.status);
+        stockCountDetail = await response.json();
+        renderStockCountDetail();
+        return true;
+      } catch (error) {
+        console.error('Error loading stock count:', error);
+        showToast('Erro ao carregar contagem', 'error');
+        return false;
+      }
+    }
+
+    function renderStockCountDetail() {
+      const { count, preview } = stockCountDetail;
+      const variances = count.summary ? { lines: count.lines, summary: count.summary } : preview;
+      const status = STOCK_COUNT_STATUS[count.status] || { label: count.status };
+      const storeName = (stockCountsData.stores.find(st => String(st.id) === String(count.store_id)) || {}).name || 'Loja ' + count.store_id;
+
+      document.getElementById('stockCountDetailTitle').textContent = '📋 ' + count.number + ' • ' + status.label;
+      document.getElementById('stockCountDetailInfo').textContent = storeName + ' • ' + stockCountScopeLabel(count.scope) +
+        ' • ' + count.submissions.length + ' envio(s) dos terminais';
+      document.getElementById('stockCountDetailNote').textContent = count.status === 'open'
+        ? 'Prévia contra o saldo atual da loja. As diferenças ficam congeladas ao encerrar a contagem.'
+        : count.status === 'approved'
+          ? 'Ajuste aplicado no estoque em ' + new Date(count.approved_at).toLocaleString('pt-BR') + (count.approval_notes ? ' • ' + count.approval_notes : '')
+          : (count.closed_at ? 'Diferenças calculadas em ' + new Date(count.closed_at).toLocaleString('pt-BR') : '');
+
+      if (!variances) {
+        document.getElementById('stockCountDetailSummary').innerHTML = '';
+        document.getElementById('stockCountCategoryBody').innerHTML = '<tr><td colspan="7" class="text-center py-6 text-gray-400">Contagem cancelada antes do encerramento</td></tr>';
+        document.getElementById('stockCountLinesBody').innerHTML = '';
       } else {
-        showToast('📄 Exportação PDF em desenvolvimento', 'info');
+        const s = variances.summary;
+        const kpi = (label, value, color) =>
+          '<div class="bg-gray-50 rounded-xl p-3"><p class="text-xs text-gray-500">' + label + '</p><p class="text-lg font-bold ' + color + '">' + value + '</p></div>';
+        document.getElementById('stockCountDetailSummary').innerHTML =
+          kpi('Produtos Contados', s.counted_products + (s.uncounted_products ? ' <span class="text-xs text-gray-500">+ ' + s.uncounted_products + ' não contados</span>' : ''), 'text-gray-800') +
+          kpi('Com Diferença', s.products_with_variance, 'text-yellow-600') +
+          kpi('Quebra', '$' + s.shrinkage_value.toFixed(2), 'text-red-600') +
+          kpi('Líquido', '$' + s.net_value.toFixed(2), s.net_value < 0 ? 'text-red-600' : 'text-green-600');
+
+        document.getElementById('stockCountCategoryBody').innerHTML = s.by_category.length === 0
+          ? '<tr><td colspan="7" class="text-center py-6 text-gray-400">Nenhum produto contado</td></tr>'
+          : s.by_category.map(g =>
+            '<tr>' +
+              '<td class="px-4 py-2">' + g.category_name + '</td>' +
+              '<td class="px-4 py-2 text-right">' + g.products_with_variance + ' / ' + g.products + '</td>' +
+              '<td class="px-4 py-2 text-right">' + formatQuantity(g.units_short) + '</td>' +
+              '<td class="px-4 py-2 text-right">' + formatQuantity(g.units_over) + '</td>' +
+              '<td class="px-4 py-2 text-right text-red-600">$' + g.shrinkage_value.toFixed(2) + '</td>' +
+              '<td class="px-4 py-2 text-right text-green-600">$' + g.surplus_value.toFixed(2) + '</td>' +
+              '<td class="px-4 py-2 text-right font-semibold">$' + g.net_value.toFixed(2) + '</td>' +
+            '</tr>'
+          ).join('');
+
+        const showAll = document.getElementById('stockCountShowAll').checked;
+        const lines = variances.lines.filter(l => showAll || l.difference !== 0);
+        document.getElementById('stockCountLinesBody').innerHTML = lines.length === 0
+          ? '<tr><td colspan="7" class="text-center py-6 text-gray-400">Nenhuma diferença</td></tr>'
+          : lines.map(l =>
+            '<tr>' +
+              '<td class="px-4 py-2">' + (l.name || 'Produto ' + l.product_id) +
+                (l.barcode ? ' <span class="text-xs text-gray-500 font-mono">' + l.barcode + '</span>' : '') +
+                (l.counted ? '' : ' <span class="px-1 rounded text-xs bg-gray-100 text-gray-500">não contado</span>') + '</td>' +
+              '<td class="px-4 py-2 text-gray-600">' + l.category_name + '</td>' +
+              '<td class="px-4 py-2 text-right">' + formatQuantity(l.expected_quantity) + '</td>' +
+              '<td class="px-4 py-2 text-right">' + formatQuantity(l.counted_quantity) + '</td>' +
+              '<td class="px-4 py-2 text-right font-semibold ' + (l.difference < 0 ? 'text-red-600' : l.difference > 0 ? 'text-green-600' : 'text-gray-400') + '">' +
+                (l.difference > 0 ? '+' : '') + formatQuantity(l.difference) + '</td>' +
+              '<td class="px-4 py-2 text-right">' + (l.unit_cost != null ? '$' + l.unit_cost.toFixed(2) : '-') + '</td>' +
+              '<td class="px-4 py-2 text-right">$' + l.difference_value.toFixed(2) + '</td>' +
+            '</tr>'
+          ).join('');
+      }
+
+      const actions = [];
+      const button = (step, label, color) =>
+        '<button onclick="stockCountAction(&quot;' + step + '&quot;)" class="px-4 py-2 rounded-lg ' + color + '">' + label + '</button>';
+      if (can('inventory:write') && (count.status === 'open' || count.status === 'review')) {
+        actions.push(button('cancel', '🚫 Cancelar contagem', 'border hover:bg-gray-50'));
+      }
+      if (can('inventory:write') && count.status === 'review') actions.push(button('reopen', '↩️ Reabrir para recontagem', 'border hover:bg-gray-50'));
+      if (can('inventory:write') && count.status === 'open') actions.push(button('close', '🔒 Encerrar contagem', 'bg-blue-600 text-white hover:bg-blue-700'));
+      if (can('inventory:approve') && count.status === 'review') actions.push(button('approve', '✅ Aprovar ajuste', 'bg-green-600 text-white hover:bg-green-700'));
+      document.getElementById('stockCountDetailActions').innerHTML = actions.join('');
+    }
+
+    async function stockCountAction(step) {
+      const count = stockCountDetail.count;
+      let body = {};
+      if (step === 'close' && !confirm('Encerrar a contagem ' + count.number + '? Os terminais não poderão enviar mais quantidades.')) return;
+      if (step === 'approve') {
+        const adjusted = count.lines.filter(l => l.difference !== 0).length;
+        if (!confirm('Aplicar o ajuste de ' + adjusted + ' produto(s) no estoque? Quebra de $' + count.summary.shrinkage_value.toFixed(2) + '.')) return;
+        body = { notes: prompt('Observação da aprovação (opcional):') || null };
+      }
+      if (step === 'cancel') {
+        if (!confirm('Cancelar a contagem ' + count.number + '? Nada será ajustado no estoque.')) return;
+        body = { reason: prompt('Motivo do cancelamento (opcional):') || null };
+      }
+      try {
+        const response = await apiFetch(API_BASE + '/api/admin/stock-counts/' + encodeURIComponent(count.id) + '/' + step, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify(body)
+        });
+        const data = await response.json();
+        if (!response.ok) {
+          showToast(data.error || 'Erro ao atualizar contagem', 'error');
+          return;
+        }
+        const messages = {
+          close: '🔒 Contagem encerrada; confira as diferenças',
+          reopen: '↩️ Contagem reaberta',
+          approve: '✅ Ajuste aplicado no estoque',
+          cancel: '🚫 Contagem cancelada'
+        };
+        showToast(messages[step], 'success');
+        await loadStockCountDetail(count.id);
+        loadStockCounts();
+      } catch (error) {
+        console.error('Error updating stock count:', error);
+        showToast('Erro ao atualizar contagem', 'error');
       }
     }
 
@@ -3799,7 +10846,7 @@ function getOwnerDashboardHTML() {
     async function loadEmployeesData() {
       try {
         // Load users
-        const response = await fetch(API_BASE + '/api/admin/users?password=' + encodeURIComponent(password));
+        const response = await apiFetch(API_BASE + '/api/admin/users');
         const data = await response.json();
         let employees = data.users || [];
         
@@ -3876,18 +10923,10 @@ function getOwnerDashboardHTML() {
     async function loadEmployeesRanking(employees) {
       const ranking = document.getElementById('employeesRanking');
       
-      // Calculate sales by employee from allSales
-      const employeeSales = {};
-      allSales.forEach(sale => {
-        const name = sale.user_name || sale.operator || 'Desconhecido';
-        if (!employeeSales[name]) {
-          employeeSales[name] = { name, count: 0, total: 0 };
-        }
-        employeeSales[name].count++;
-        employeeSales[name].total += sale.total || 0;
-      });
+      // Totais por operador do período carregado na aba de vendas
+      const employeeSales = salesSummary?.operators || [];
       
-      const sortedRanking = Object.values(employeeSales).sort((a, b) => b.total - a.total).slice(0, 10);
+      const sortedRanking = [...employeeSales].sort((a, b) => b.total - a.total).slice(0, 10);
       
       if (sortedRanking.length === 0) {
         ranking.innerHTML = '<div class="text-center py-8 text-gray-400"><p>Nenhuma venda no período</p></div>';
@@ -3929,7 +10968,7 @@ function getOwnerDashboardHTML() {
     
     async function loadUsers() {
       try {
-        const response = await fetch(API_BASE + '/api/admin/users?password=' + encodeURIComponent(password));
+        const response = await apiFetch(API_BASE + '/api/admin/users');
         const data = await response.json();
         allUsers = data.users || [];
         renderUsers();
@@ -3945,7 +10984,7 @@ function getOwnerDashboardHTML() {
         if (!select) return;
         
         // Buscar lojas da API (que busca do Supabase)
-        const response = await fetch(API_BASE + '/api/owner/stores?password=' + encodeURIComponent(password));
+        const response = await apiFetch(API_BASE + '/api/owner/stores');
         if (response.ok) {
           const data = await response.json();
           const storesList = data.stores || [];
@@ -4045,6 +11084,12 @@ function getOwnerDashboardHTML() {
       document.getElementById('userEmail').value = user ? user.email || '' : '';
       document.getElementById('userPhone').value = user ? user.phone || '' : '';
       document.getElementById('userActive').checked = user ? user.is_active !== false : true;
+      document.getElementById('userPassword').value = '';
+      const perms = user && Array.isArray(user.permissions) ? user.permissions : null;
+      document.getElementById('userPermCatalog').checked = perms ? perms.includes('catalog:write') : false;
+      document.getElementById('userPermPromotions').checked = perms ? perms.includes('promotions:write') : true;
+      document.getElementById('userPermInventory').checked = perms ? perms.includes('inventory:write') : true;
+      document.getElementById('userPermInventoryApprove').checked = perms ? perms.includes('inventory:approve') : false;
       
       document.getElementById('userModal').classList.remove('hidden');
       document.getElementById('userModal').classList.add('flex');
@@ -4075,9 +11120,21 @@ function getOwnerDashboardHTML() {
         phone: document.getElementById('userPhone').value || null,
         is_active: document.getElementById('userActive').checked
       };
+      
+      const newPassword = document.getElementById('userPassword').value;
+      if (newPassword) user.password = newPassword;
+      
+      // Permissões só se aplicam a gerentes (administradores têm acesso total)
+      if (user.role === 'manager') {
+        user.permissions = ['reports:read', 'catalog:read', 'promotions:read', 'inventory:read', 'users:read'];
+        if (document.getElementById('userPermCatalog').checked) user.permissions.push('catalog:write');
+        if (document.getElementById('userPermPromotions').checked) user.permissions.push('promotions:write');
+        if (document.getElementById('userPermInventory').checked) user.permissions.push('inventory:write');
+        if (document.getElementById('userPermInventoryApprove').checked) user.permissions.push('inventory:approve');
+      }
 
       try {
-        const response = await fetch(API_BASE + '/api/admin/users?password=' + encodeURIComponent(password), {
+        const response = await apiFetch(API_BASE + '/api/admin/users', {
           method: 'POST',
           headers: { 'Content-Type': 'application/json' },
           body: JSON.stringify(user)
@@ -4087,6 +11144,9 @@ function getOwnerDashboardHTML() {
           closeUserModal();
           loadUsers();
           alert('Usuário salvo!');
+        } else {
+          const data = await response.json().catch(() => ({}));
+          alert(data.error || 'Erro ao salvar usuário');
         }
       } catch (error) {
         console.error('Error saving user:', error);
@@ -4103,7 +11163,7 @@ function getOwnerDashboardHTML() {
       if (!confirm('Tem certeza que deseja excluir este usuário?')) return;
       
       try {
-        await fetch(API_BASE + '/api/admin/users/' + id + '?password=' + encodeURIComponent(password), {
+        await apiFetch(API_BASE + '/api/admin/users/' + id + '', {
           method: 'DELETE'
         });
         loadUsers();
@@ -4120,7 +11180,7 @@ function getOwnerDashboardHTML() {
       const statusDiv = document.getElementById('cloudStatus');
       
       try {
-        const response = await fetch('/api/admin/cloud-status?password=' + sessionStorage.getItem('token'));
+        const response = await apiFetch('/api/admin/cloud-status');
         const status = await response.json();
         
         const supabaseStatus = status.supabaseConnected 
@@ -4184,12 +11244,9 @@ function getOwnerDashboardHTML() {
       status.textContent = 'Enviando dados para a nuvem...';
       
       try {
-        const response = await fetch('/api/admin/migrate-to-cloud', {
+        const response = await apiFetch('/api/admin/migrate-to-cloud', {
           method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-            'X-Owner-Password': sessionStorage.getItem('token')
-          }
+          headers: { 'Content-Type': 'application/json' }
         });
         
         progressBar.style.width = '100%';
@@ -4237,7 +11294,7 @@ function getOwnerDashboardHTML() {
         await loadCategoriesForSelect();
         
         // Verificar quantos produtos existem
-        const countResponse = await fetch(API_BASE + '/api/admin/products?password=' + encodeURIComponent(password) + '&limit=1');
+        const countResponse = await apiFetch(API_BASE + '/api/admin/products?limit=1');
         const countData = await countResponse.json();
         totalProductsInServer = countData.total || 0;
         
@@ -4252,7 +11309,7 @@ function getOwnerDashboardHTML() {
           useServerPagination = true;
           allProducts = [];
           // Carregar departamentos do primeiro lote
-          const deptResponse = await fetch(API_BASE + '/api/admin/products?password=' + encodeURIComponent(password) + '&limit=1000');
+          const deptResponse = await apiFetch(API_BASE + '/api/admin/products?limit=1000');
           const deptData = await deptResponse.json();
           allDepartments = [...new Set((deptData.products || []).map(p => p.department).filter(d => d))].sort();
           populateFilters();
@@ -4277,7 +11334,7 @@ function getOwnerDashboardHTML() {
       while (hasMore) {
         document.getElementById('productsTableBody').innerHTML = '<tr><td colspan="7" class="text-center py-12 text-gray-400"><div class="animate-pulse">⏳ Carregando produtos... ' + allProducts.length + ' / ' + totalProductsInServer + '</div></td></tr>';
         
-        const response = await fetch(API_BASE + '/api/admin/products?password=' + encodeURIComponent(password) + '&page=' + page + '&limit=' + batchSize);
+        const response = await apiFetch(API_BASE + '/api/admin/products?page=' + page + '&limit=' + batchSize);
         const data = await response.json();
         
         if (data.products && data.products.length > 0) {
@@ -4301,14 +11358,14 @@ function getOwnerDashboardHTML() {
       document.getElementById('productsTableBody').innerHTML = '<tr><td colspan="7" class="text-center py-12 text-gray-400"><div class="animate-pulse">⏳ Carregando página ' + productPage + '...</div></td></tr>';
       
       try {
-        let url = API_BASE + '/api/admin/products?password=' + encodeURIComponent(password) + 
-                  '&page=' + productPage + '&limit=' + productsPerPage;
+        let url = API_BASE + '/api/admin/products?' + 
+                  'page=' + productPage + '&limit=' + productsPerPage;
         
         if (search) {
           url += '&search=' + encodeURIComponent(search);
         }
         
-        const response = await fetch(url);
+        const response = await apiFetch(url);
         const data = await response.json();
         
         filteredProducts = data.products || [];
@@ -4582,7 +11639,7 @@ function getOwnerDashboardHTML() {
 
     async function loadCategoriesForSelect() {
       try {
-        const response = await fetch(API_BASE + '/api/admin/categories?password=' + encodeURIComponent(password));
+        const response = await apiFetch(API_BASE + '/api/admin/categories');
         const data = await response.json();
         allCategories = data.categories || [];
         
@@ -4621,7 +11678,8 @@ function getOwnerDashboardHTML() {
       document.getElementById('productDepartment').value = product ? product.department || '' : '';
       document.getElementById('productPrice').value = product ? product.price : '';
       document.getElementById('productCost').value = product ? product.cost || '' : '';
-      document.getElementById('productStock').value = product ? product.stock || '' : '';
+      loadProductSuppliers(product);
+      loadProductStock(product);
       document.getElementById('productUnit').value = product ? product.unit || 'unit' : 'unit';
       document.getElementById('productActive').checked = product ? product.is_active !== false : true;
       document.getElementById('productRequiresScale').checked = product ? product.requires_scale : false;
@@ -4662,7 +11720,7 @@ function getOwnerDashboardHTML() {
         // Garantir que as promoções estejam carregadas antes de filtrar
         if (allPromotions.length === 0) {
           try {
-            const response = await fetch(API_BASE + '/api/admin/promotions?password=' + encodeURIComponent(password));
+            const response = await apiFetch(API_BASE + '/api/admin/promotions');
             const data = await response.json();
             allPromotions = data.promotions || [];
             console.log('📦 Promoções carregadas:', allPromotions.length);
@@ -4845,9 +11903,8 @@ function getOwnerDashboardHTML() {
       if (!confirm('Tem certeza que deseja excluir esta promoção?')) return;
       
       try {
-        const response = await fetch('/api/admin/promotions/' + promoId + '?password=' + encodeURIComponent(password), {
+        const response = await apiFetch('/api/admin/promotions/' + promoId + '', {
           method: 'DELETE',
-          headers: { 'X-Owner-Password': password }
         });
         
         if (response.ok) {
@@ -4936,7 +11993,6 @@ function getOwnerDashboardHTML() {
       console.log('saveQuickPromo chamada');
       console.log('currentQuickPromoType:', currentQuickPromoType);
       console.log('currentEditingProductId:', currentEditingProductId);
-      console.log('password:', password ? 'definida' : 'NÃO DEFINIDA');
       console.log('Total de produtos em allProducts:', allProducts.length);
       
       if (!currentQuickPromoType) {
@@ -5008,12 +12064,9 @@ function getOwnerDashboardHTML() {
       }
       
       try {
-        const response = await fetch('/api/admin/promotions?password=' + encodeURIComponent(password), {
+        const response = await apiFetch('/api/admin/promotions', {
           method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-            'X-Owner-Password': password
-          },
+          headers: { 'Content-Type': 'application/json' },
           body: JSON.stringify(promotion)
         });
         
@@ -5067,6 +12120,62 @@ function getOwnerDashboardHTML() {
       if (product) openProductModal(product);
     }
 
+    async function loadProductSuppliers(product) {
+      const select = document.getElementById('productSupplier');
+      const current = product && product.supplier_id != null ? String(product.supplier_id) : '';
+      try {
+        const response = await apiFetch(API_BASE + '/api/admin/suppliers');
+        if (!response.ok) throw new Error('HTTP ' + response.status);
+        const { suppliers } = await response.json();
+        select.innerHTML = '<option value="">Sem fornecedor</option>' +
+          suppliers.filter(s => s.is_active !== false || String(s.id) === current)
+            .map(s => '<option value="' + s.id + '">' + s.name + '</option>').join('');
+      } catch (error) {
+        console.error('Error loading product suppliers:', error);
+      }
+      select.value = current;
+    }
+
+    // Saldo do produto em cada loja (para um produto novo, só as lojas)
+    async function loadProductStock(product) {
+      const box = document.getElementById('productStockBox');
+      const container = document.getElementById('productStockByStore');
+      container.innerHTML = '';
+      if (!can('inventory:read')) {
+        box.classList.add('hidden');
+        return;
+      }
+      box.classList.remove('hidden');
+      try {
+        const productId = product ? (product.id ?? product.barcode) : null;
+        const params = new URLSearchParams({ limit: 1 });
+        if (productId != null) params.set('product_id', productId);
+        const response = await apiFetch(API_BASE + '/api/owner/stock?' + params.toString());
+        if (!response.ok) throw new Error('HTTP ' + response.status);
+        const data = await response.json();
+        const row = productId != null ? data.products[0] : null;
+        const byStore = row?.byStore || {};
+        const disabled = can('inventory:write') ? '' : ' disabled';
+        const input = (storeId, field, value) =>
+          '<input type="number" step="any" min="' + (field === 'quantity' ? '' : '0') + '" data-store-id="' + storeId + '" data-field="' + field + '" data-original="' + value + '" value="' + value + '"' + disabled +
+          ' class="w-full px-3 py-1 border rounded-lg focus:ring-2 focus:ring-blue-500">';
+        container.innerHTML = data.stores.map(st => {
+          const quantity = byStore[st.id] != null ? String(byStore[st.id]) : (productId != null ? '0' : '');
+          const limits = row?.limits?.[st.id] || {};
+          const alert = row?.alerts?.[st.id];
+          return '<div class="grid grid-cols-4 gap-2 items-center text-sm text-gray-600">' +
+            '<span class="truncate">🏪 ' + st.name + (alert ? ' ' + (alert === 'critical' ? '🔴' : '🟡') : '') + '</span>' +
+            input(st.id, 'quantity', quantity) +
+            input(st.id, 'min_stock', limits.min_stock != null ? String(limits.min_stock) : '') +
+            input(st.id, 'reorder_point', limits.reorder_point != null ? String(limits.reorder_point) : '') +
+          '</div>';
+        }).join('') || '<p class="text-sm text-gray-400">Nenhuma loja cadastrada</p>';
+      } catch (error) {
+        console.error('Error loading product stock:', error);
+        container.innerHTML = '<p class="text-sm text-red-500 col-span-2">Erro ao carregar estoque</p>';
+      }
+    }
+
     async function saveProduct(e) {
       e.preventDefault();
       
@@ -5088,14 +12197,30 @@ function getOwnerDashboardHTML() {
         department: document.getElementById('productDepartment').value || null,
         price: parseFloat(document.getElementById('productPrice').value) || 0,
         cost: parseFloat(document.getElementById('productCost').value) || 0,
-        stock: parseInt(document.getElementById('productStock').value) || 0,
+        supplier_id: document.getElementById('productSupplier').value || null,
         unit: document.getElementById('productUnit').value,
         is_active: document.getElementById('productActive').checked,
         requires_scale: document.getElementById('productRequiresScale').checked
       };
 
+      // Só os saldos alterados viram ajuste de estoque; só os limites alterados são enviados
+      const stockByStore = {};
+      const limitsByStore = {};
+      document.querySelectorAll('#productStockByStore input').forEach(input => {
+        if (input.value === input.dataset.original) return;
+        const storeId = input.dataset.storeId;
+        if (input.dataset.field === 'quantity') {
+          if (input.value !== '') stockByStore[storeId] = parseFloat(input.value);
+        } else {
+          limitsByStore[storeId] = limitsByStore[storeId] || {};
+          limitsByStore[storeId][input.dataset.field] = input.value === '' ? null : parseFloat(input.value);
+        }
+      });
+      if (Object.keys(stockByStore).length > 0) product.stock_by_store = stockByStore;
+      if (Object.keys(limitsByStore).length > 0) product.stock_limits_by_store = limitsByStore;
+
       try {
-        const response = await fetch(API_BASE + '/api/admin/products?password=' + encodeURIComponent(password), {
+        const response = await apiFetch(API_BASE + '/api/admin/products', {
           method: 'POST',
           headers: { 'Content-Type': 'application/json' },
           body: JSON.stringify(product)
@@ -5118,7 +12243,7 @@ function getOwnerDashboardHTML() {
       if (!confirm('Tem certeza que deseja excluir este produto?')) return;
       
       try {
-        const response = await fetch(API_BASE + '/api/admin/products/' + id + '?password=' + encodeURIComponent(password), {
+        const response = await apiFetch(API_BASE + '/api/admin/products/' + id + '', {
           method: 'DELETE'
         });
         
@@ -5136,7 +12261,7 @@ function getOwnerDashboardHTML() {
     // =====================
     async function loadCategories() {
       try {
-        const response = await fetch(API_BASE + '/api/admin/categories?password=' + encodeURIComponent(password));
+        const response = await apiFetch(API_BASE + '/api/admin/categories');
         const data = await response.json();
         allCategories = data.categories || [];
         renderCategories();
@@ -5197,7 +12322,7 @@ function getOwnerDashboardHTML() {
       };
 
       try {
-        const response = await fetch(API_BASE + '/api/admin/categories?password=' + encodeURIComponent(password), {
+        const response = await apiFetch(API_BASE + '/api/admin/categories', {
           method: 'POST',
           headers: { 'Content-Type': 'application/json' },
           body: JSON.stringify(category)
@@ -5217,7 +12342,7 @@ function getOwnerDashboardHTML() {
       if (!confirm('Tem certeza que deseja excluir esta categoria?')) return;
       
       try {
-        await fetch(API_BASE + '/api/admin/categories/' + id + '?password=' + encodeURIComponent(password), {
+        await apiFetch(API_BASE + '/api/admin/categories/' + id + '', {
           method: 'DELETE'
         });
         loadCategories();
@@ -5231,7 +12356,7 @@ function getOwnerDashboardHTML() {
     // =====================
     async function loadPromotions() {
       try {
-        const response = await fetch(API_BASE + '/api/admin/promotions?password=' + encodeURIComponent(password));
+        const response = await apiFetch(API_BASE + '/api/admin/promotions');
         const data = await response.json();
         allPromotions = data.promotions || [];
         renderPromotions();
@@ -5877,7 +13002,7 @@ function getOwnerDashboardHTML() {
       console.log('📦 Salvando promoção com produtos:', promotion.product_ids);
 
       try {
-        const response = await fetch(API_BASE + '/api/admin/promotions?password=' + encodeURIComponent(password), {
+        const response = await apiFetch(API_BASE + '/api/admin/promotions', {
           method: 'POST',
           headers: { 'Content-Type': 'application/json' },
           body: JSON.stringify(promotion)
@@ -5897,7 +13022,7 @@ function getOwnerDashboardHTML() {
       if (!confirm('Tem certeza que deseja excluir esta promoção?')) return;
       
       try {
-        await fetch(API_BASE + '/api/admin/promotions/' + id + '?password=' + encodeURIComponent(password), {
+        await apiFetch(API_BASE + '/api/admin/promotions/' + id + '', {
           method: 'DELETE'
         });
         loadPromotions();
@@ -5915,6 +13040,11 @@ function getOwnerDashboardHTML() {
         }
       });
     });
+
+    // Retomar sessão salva nesta aba (ex: após recarregar a página)
+    if (authToken) {
+      showDashboard();
+    }
   </script>
 </body>
 </html>`;
@@ -5941,11 +13071,14 @@ if (require.main === module) {
     console.log(`   GET  http://localhost:${PORT}/api/sync/stores`);
     console.log(`   GET  http://localhost:${PORT}/api/sync/stats`);
     console.log('');
-    if (isVercel) {
-      console.log('💾 Persistência de dados: MEMÓRIA (Vercel serverless)');
+    if (!storage.durable) {
+      console.log('💾 Persistência de dados: MEMÓRIA (dados perdidos ao reiniciar)');
     } else {
-      console.log('💾 Persistência de dados: ATIVADA');
-      console.log(`📁 Diretório de dados: ${DATA_DIR}`);
+      console.log(`💾 Persistência de dados: ATIVADA (${storage.driver})`);
+      if (storage.dir || storage.file) console.log(`📁 Dados em: ${storage.dir || storage.file}`);
+    }
+    if (!REQUIRE_STORE_KEY) {
+      console.log('⚠️  REQUIRE_STORE_KEY=false: lojas sem chave sincronizam sem autenticação');
     }
     console.log('');
     console.log('✅ Servidor pronto para receber conexões!');
@@ -0,0 +1,178 @@
+// =====================================
+// ARMAZENAMENTO LOCAL EM ARQUIVO (JOURNAL + SNAPSHOT)
+// =====================================
+// Modo padrão fora do Vercel quando nenhum banco está configurado.
+// Os dados ficam em memória e cada gravação é acrescentada ao journal
+// (uma linha JSON por registro) com fsync antes de responder ao terminal.
+// De tempos em tempos o estado inteiro vira um snapshot, escrito num arquivo
+// temporário e renomeado por cima do anterior, e o journal é zerado.
+// Ao iniciar: carrega o snapshot e reaplica o journal por cima.
+
+const fs = require('fs');
+const path = require('path');
+const { TABLES, createTables, createMemoryStorage } = require('./memory');
+
+const SNAPSHOT_VERSION = 1;
+// Compacta quando o journal passa desse número de registros...
+const COMPACT_AFTER_ENTRIES = 5000;
+// ...ou periodicamente, se houve alguma gravação desde o último snapshot
+const COMPACT_INTERVAL_MS = 5 * 60 * 1000;
+
+// Escreve em arquivo temporário e renomeia: um crash no meio nunca deixa o arquivo pela metade
+function writeFileAtomic(file, contents) {
+  const tmp = `${file}.tmp`;
+  const fd = fs.openSync(tmp, 'w');
+  try {
+    fs.writeSync(fd, contents);
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+  fs.renameSync(tmp, file);
+}
+
+function loadSnapshot(tables, file) {
+  if (!fs.existsSync(file)) return false;
+  const snapshot = JSON.parse(fs.readFileSync(file, 'utf8'));
+  TABLES.forEach(table => {
+    (snapshot.tables?.[table] || []).forEach(([key, record]) => tables[table].set(key, record));
+  });
+  return true;
+}
+
+// Reaplica o journal. Uma última linha incompleta (crash durante a escrita) é
+// descartada do arquivo para que as próximas gravações comecem numa linha nova.
+function replayJournal(tables, file) {
+  if (!fs.existsSync(file)) return 0;
+  const contents = fs.readFileSync(file, 'utf8');
+  const complete = contents.slice(0, contents.lastIndexOf('\n') + 1);
+  if (complete.length < contents.length) {
+    console.error('⚠️ Journal: última gravação incompleta descartada');
+    fs.truncateSync(file, Buffer.byteLength(complete));
+  }
+  const lines = complete.split('\n').filter(Boolean);
+  let applied = 0;
+  lines.forEach((line, i) => {
+    let entry;
+    try {
+      entry = JSON.parse(line);
+    } catch (e) {
+      console.error(`⚠️ Journal: linha ${i + 1} inválida ignorada`);
+      return;
+    }
+    if (!tables[entry.t]) return;
+    if (entry.v === null) tables[entry.t].delete(entry.k);
+    else tables[entry.t].set(entry.k, entry.v);
+    applied++;
+  });
+  return applied;
+}
+
+// Importa data/sales.json e data/stores.json do formato antigo (salvos a cada 30s)
+function importLegacyFiles(tables, dir) {
+  const salesFile = path.join(dir, 'sales.json');
+  const storesFile = path.join(dir, 'stores.json');
+  let imported = false;
+
+  if (fs.existsSync(salesFile)) {
+    const salesData = JSON.parse(fs.readFileSync(salesFile, 'utf8'));
+    Object.values(salesData).forEach(sales => {
+      sales.forEach(sale => tables.sales.set(String(sale.sale_number), sale));
+    });
+    imported = true;
+  }
+  if (fs.existsSync(storesFile)) {
+    const storesData = JSON.parse(fs.readFileSync(storesFile, 'utf8'));
+    Object.values(storesData).forEach(store => tables.stores.set(String(store.id), store));
+    imported = true;
+  }
+  return imported;
+}
+
+function createFileStorage({ dir }) {
+  const snapshotFile = path.join(dir, 'snapshot.json');
+  const journalFile = path.join(dir, 'journal.ndjson');
+  fs.mkdirSync(dir, { recursive: true });
+
+  const tables = createTables();
+  const hasSnapshot = loadSnapshot(tables, snapshotFile);
+  let journalEntries = replayJournal(tables, journalFile);
+  const importedLegacy = !hasSnapshot && !journalEntries && importLegacyFiles(tables, dir);
+
+  let journalFd = fs.openSync(journalFile, 'a');
+  const pending = [];
+
+  const compact = () => {
+    const snapshot = { version: SNAPSHOT_VERSION, savedAt: new Date().toISOString(), tables: {} };
+    TABLES.forEach(table => {
+      snapshot.tables[table] = Array.from(tables[table].entries());
+    });
+    writeFileAtomic(snapshotFile, JSON.stringify(snapshot));
+
+    // O snapshot já contém tudo o que estava no journal. Se o processo cair
+    // antes de zerar o journal, reaplicá-lo depois é inofensivo.
+    fs.closeSync(journalFd);
+    journalFd = fs.openSync(journalFile, 'w');
+    fs.fsyncSync(journalFd);
+    journalEntries = 0;
+  };
+
+  // Grava de uma vez tudo o que a operação alterou, com um único fsync
+  const flush = () => {
+    if (pending.length === 0) return;
+    const lines = pending.map(entry => JSON.stringify(entry)).join('\n') + '\n';
+    journalEntries += pending.length;
+    pending.length = 0;
+    fs.writeSync(journalFd, lines);
+    fs.fdatasyncSync(journalFd);
+    if (journalEntries >= COMPACT_AFTER_ENTRIES) compact();
+  };
+
+  const memory = createMemoryStorage({
+    tables,
+    onChange: (table, key, record) => pending.push({ t: table, k: key, v: record })
+  });
+
+  const storage = {
+    ...memory,
+    driver: 'file',
+    durable: true,
+    dir,
+
+    // Compacta ao encerrar para o próximo início não precisar reaplicar o journal
+    close() {
+      flush();
+      if (journalEntries > 0) compact();
+      fs.closeSync(journalFd);
+    }
+  };
+
+  Object.keys(memory)
+    .filter(name => /^(save|delete|replace|next)/.test(name))
+    .forEach(name => {
+      storage[name] = async (...args) => {
+        try {
+          return await memory[name](...args);
+        } finally {
+          flush();
+        }
+      };
+    });
+
+  if (importedLegacy) {
+    compact();
+    console.log('✅ Dados de sales.json/stores.json importados para o snapshot');
+  }
+
+  setInterval(() => {
+    try {
+      if (journalEntries > 0) compact();
+    } catch (error) {
+      console.error('❌ Erro ao compactar journal:', error.message);
+    }
+  }, COMPACT_INTERVAL_MS).unref();
+
+  return storage;
+}
+
+module.exports = { createFileStorage };
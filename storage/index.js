@@ -0,0 +1,106 @@
+// =====================================
+// CAMADA DE ARMAZENAMENTO
+// =====================================
+// Toda persistência passa por um adaptador com a mesma interface, escolhido
+// pela variável STORAGE_DRIVER:
+//   supabase - banco na nuvem (padrão quando SUPABASE_URL e SUPABASE_KEY existem)
+//   sqlite   - arquivo local para instalações on-premise (SQLITE_FILE, padrão data/posgol.db)
+//   file     - journal + snapshot em DATA_DIR (padrão local quando nada está configurado)
+//   memory   - sem persistência, só quando configurado explicitamente
+//
+// Se o adaptador escolhido não inicia (ou o driver não existe), createStorage lança
+// o erro e o servidor não sobe. Com STORAGE_FALLBACK=memory ele usa memória no lugar,
+// avisando no log. No Vercel sem Supabase não há padrão: o disco não é persistente,
+// então é preciso configurar o Supabase ou pedir memória com STORAGE_DRIVER=memory.
+//
+// Interface de um adaptador (todos os métodos são assíncronos e lançam erro em falha):
+//   driver, durable, close() opcional
+//   getProducts(), getProductsAfterCursor(cursor, { limit }),
+//   saveProduct(product), saveProducts(products), deleteProduct(id)
+//   getCategories(), saveCategory(category), deleteCategory(id)
+//   getPromotions(), savePromotion(promotion), deletePromotion(id)
+//   getSales(storeId?, { from, to }), getSalesAfterCursor(cursor, { excludeStoreId, limit }),
+//   getSaleByNumber(saleNumber), saveSale(sale)
+//   querySales(filters, { offset, limit }) - página, total filtrado e totais (storage/sales.js),
+//   getSalesOverview(storeId?) - número de vendas e a mais recente de cada loja
+//   getSaleItems({ storeId, from, to, productId, barcode, categoryId }),
+//   getLedgeredSaleNumbers(), replaceSaleItems(saleNumber, items)
+//   getClosings({ storeId, from, to }), getClosingById(id), saveClosing(closing)
+//   getStockLevels({ storeId, productId }), saveStockLevels(levels),
+//   saveStockLevel(level, { expectedVersion }),
+//   getStockMovements({ storeId, productId, reference, from, to }), saveStockMovements(movements)
+//   getTransfers({ storeId, status }), getTransferById(id), saveTransfer(transfer, { expectedVersion })
+//   getSuppliers(), saveSupplier(supplier), deleteSupplier(id)
+//   getPurchaseOrders({ storeId, supplierId, status }), getPurchaseOrderById(id),
+//   savePurchaseOrder(order, { expectedVersion })
+//   getStockCounts({ storeId, status }), getStockCountById(id),
+//   saveStockCount(count, { expectedVersion })
+//   getStores(), getStoreByKeyHash(keyHash), saveStore(store)
+//   getUsers(), getUserById(id), getUserByUsername(username), saveUser(user), deleteUser(id)
+//   getRevokedSession(sid), saveRevokedSession({ sid, expires_at }), deleteExpiredRevokedSessions(before)
+//   getIdempotencyKey(id), saveIdempotencyKey(record, { expectedVersion }), deleteIdempotencyKey(id),
+//   deleteExpiredIdempotencyKeys(before)
+//   nextSequence(name, floor) - próximo número da sequência, nunca menor que floor + 1;
+//     duas chamadas (mesmo em instâncias diferentes) nunca recebem o mesmo número
+//
+// save* substitui o registro inteiro (quem chama faz o merge) e devolve o registro salvo.
+// Com expectedVersion, só grava se o registro ainda estiver nessa versão (0 = se ainda
+// não existir); senão lança um erro com code VERSION_CONFLICT (storage/versions.js).
+
+const path = require('path');
+const { createMemoryStorage } = require('./memory');
+const { createSupabaseStorage } = require('./supabase');
+const { createSqliteStorage } = require('./sqlite');
+const { createFileStorage } = require('./file');
+const { VERSION_CONFLICT } = require('./versions');
+
+function openStorage(driver, env, hasSupabase) {
+  if (driver === 'supabase') {
+    if (!hasSupabase) throw new Error('SUPABASE_URL e SUPABASE_KEY não configuradas');
+    const storage = createSupabaseStorage({ url: env.SUPABASE_URL, key: env.SUPABASE_KEY });
+    console.log('✅ Supabase conectado! Dados serão persistidos na nuvem.');
+    return storage;
+  }
+
+  if (driver === 'sqlite') {
+    const file = env.SQLITE_FILE || path.join(__dirname, '..', 'data', 'posgol.db');
+    const storage = createSqliteStorage({ file });
+    console.log(`✅ SQLite local: ${file}`);
+    return storage;
+  }
+
+  if (driver === 'file') {
+    const dir = env.DATA_DIR || path.join(__dirname, '..', 'data');
+    const storage = createFileStorage({ dir });
+    console.log(`✅ Armazenamento local em arquivo: ${dir}`);
+    return storage;
+  }
+
+  if (driver === 'memory') {
+    console.log('⚠️ STORAGE_DRIVER=memory: dados serão perdidos ao reiniciar.');
+    return createMemoryStorage();
+  }
+
+  throw new Error(`STORAGE_DRIVER desconhecido: ${driver}`);
+}
+
+function createStorage(env = process.env) {
+  const hasSupabase = !!(env.SUPABASE_URL && env.SUPABASE_KEY);
+  const isVercel = env.VERCEL === '1' || !!env.VERCEL_ENV;
+  const defaultDriver = hasSupabase ? 'supabase' : (isVercel ? null : 'file');
+  const driver = (env.STORAGE_DRIVER || defaultDriver || '').toLowerCase();
+
+  try {
+    if (!driver) {
+      throw new Error('No Vercel configure SUPABASE_URL e SUPABASE_KEY (ou STORAGE_DRIVER=memory para rodar sem persistência)');
+    }
+    return openStorage(driver, env, hasSupabase);
+  } catch (error) {
+    console.error(`❌ Erro ao iniciar armazenamento ${driver || '(nenhum)'}:`, error.message);
+    if ((env.STORAGE_FALLBACK || '').toLowerCase() !== 'memory') throw error;
+    console.log('⚠️ STORAGE_FALLBACK=memory: usando armazenamento em memória (dados serão perdidos ao reiniciar).');
+    return createMemoryStorage();
+  }
+}
+
+module.exports = { createStorage, VERSION_CONFLICT };
@@ -0,0 +1,6 @@
+// Chave de um produto: os terminais nem sempre enviam id, então barcode e sku servem de reserva
+function productKey(product) {
+  return product.id ?? product.barcode ?? product.sku;
+}
+
+module.exports = { productKey };
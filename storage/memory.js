@@ -0,0 +1,366 @@
+// =====================================
+// ARMAZENAMENTO EM MEMÓRIA
+// =====================================
+// Não é durável: tudo se perde ao reiniciar. Usado quando nenhum banco está
+// configurado (desenvolvimento e Vercel sem Supabase).
+
+const { productKey } = require('./keys');
+const { versionConflict } = require('./versions');
+const { reportSales, summarizeSalesByStore } = require('./sales');
+
+// sale_items: sale_number -> itens da venda (o ledger é sempre trocado por venda inteira)
+// stock_levels: "<loja>:<produto>" -> saldo atual; stock_movements: histórico de cada alteração
+// transfers: transferências de estoque entre lojas; stock_counts: sessões de inventário
+// revoked_sessions: tokens do painel encerrados por logout, até expirarem
+// sequences: nome -> último número entregue (numeração de pedidos e contagens)
+// idempotency_keys: "<loja>:<Idempotency-Key>" -> resposta de um push de vendas, até expirar
+const TABLES = [
+  'products', 'categories', 'promotions', 'sales', 'sale_items', 'closings',
+  'stock_levels', 'stock_movements', 'transfers', 'suppliers', 'purchase_orders', 'stock_counts', 'stores', 'users',
+  'revoked_sessions', 'sequences', 'idempotency_keys'
+];
+
+function createTables() {
+  const tables = {};
+  TABLES.forEach(table => { tables[table] = new Map(); });
+  return tables;
+}
+
+// onChange(table, key, record) é chamado a cada gravação (record null = exclusão);
+// o armazenamento em arquivo usa isso para escrever o journal
+function createMemoryStorage({ tables = createTables(), onChange = null } = {}) {
+  const list = (table) => Array.from(tables[table].values());
+  const put = (table, key, record) => {
+    tables[table].set(String(key), record);
+    if (onChange) onChange(table, String(key), record);
+    return record;
+  };
+  // Gravação condicional: o registro precisa existir e estar em expectedVersion
+  // (ou, com expectedVersion 0, ainda não existir)
+  const putVersioned = (table, key, record, expectedVersion) => {
+    if (expectedVersion !== undefined) {
+      const current = tables[table].get(String(key));
+      const matches = expectedVersion === 0 ? !current : current && (current.version ?? null) === expectedVersion;
+      if (!matches) throw versionConflict(table, key);
+    }
+    return put(table, key, record);
+  };
+  const remove = (table, key) => {
+    tables[table].delete(String(key));
+    if (onChange) onChange(table, String(key), null);
+  };
+
+  return {
+    driver: 'memory',
+    durable: false,
+
+    // PRODUTOS
+    async getProducts() {
+      return list('products');
+    },
+
+    // Produtos alterados depois do cursor (sync_seq), em ordem de sequência
+    async getProductsAfterCursor(cursor = 0, { limit = 2000 } = {}) {
+      return list('products')
+        .filter(p => (p.sync_seq || 0) > cursor)
+        .sort((a, b) => a.sync_seq - b.sync_seq)
+        .slice(0, limit);
+    },
+
+    async saveProduct(product) {
+      return put('products', productKey(product), product);
+    },
+
+    async saveProducts(products) {
+      products.forEach(p => put('products', productKey(p), p));
+      return products;
+    },
+
+    async deleteProduct(id) {
+      remove('products', id);
+    },
+
+    // CATEGORIAS
+    async getCategories() {
+      return list('categories');
+    },
+
+    async saveCategory(category) {
+      return put('categories', category.id, category);
+    },
+
+    async deleteCategory(id) {
+      remove('categories', id);
+    },
+
+    // PROMOÇÕES
+    async getPromotions() {
+      return list('promotions');
+    },
+
+    async savePromotion(promotion) {
+      return put('promotions', promotion.id, promotion);
+    },
+
+    async deletePromotion(id) {
+      remove('promotions', id);
+    },
+
+    // VENDAS
+    async getSales(storeId = null, { from = null, to = null } = {}) {
+      const fromTime = from ? new Date(from).getTime() : null;
+      const toTime = to ? new Date(to).getTime() : null;
+      return list('sales').filter(sale => {
+        if (storeId && String(sale.store_id) !== String(storeId)) return false;
+        const createdAt = new Date(sale.created_at || sale.timestamp).getTime();
+        if (fromTime !== null && createdAt < fromTime) return false;
+        if (toTime !== null && createdAt > toTime) return false;
+        return true;
+      });
+    },
+
+    async querySales(filters = {}, { offset = 0, limit = 50 } = {}) {
+      return reportSales(list('sales'), filters, { offset, limit, unsorted: true });
+    },
+
+    async getSalesOverview(storeId = null) {
+      return summarizeSalesByStore(list('sales'), storeId);
+    },
+
+    async getSalesAfterCursor(cursor = 0, { excludeStoreId = null, limit = 500 } = {}) {
+      return list('sales')
+        .filter(s => (s.sync_seq || 0) > cursor)
+        .filter(s => !excludeStoreId || String(s.store_id) !== String(excludeStoreId))
+        .sort((a, b) => a.sync_seq - b.sync_seq)
+        .slice(0, limit);
+    },
+
+    async getSaleByNumber(saleNumber) {
+      return tables.sales.get(String(saleNumber)) || null;
+    },
+
+    async saveSale(sale) {
+      return put('sales', sale.sale_number, sale);
+    },
+
+    // ITENS DE VENDA
+    async getSaleItems({ storeId = null, from = null, to = null, productId = null, barcode = null, categoryId = null } = {}) {
+      const fromTime = from ? new Date(from).getTime() : null;
+      const toTime = to ? new Date(to).getTime() : null;
+      return list('sale_items').flat().filter(item => {
+        if (storeId && String(item.store_id) !== String(storeId)) return false;
+        if (productId && String(item.product_id) !== String(productId)) return false;
+        if (barcode && item.barcode !== barcode) return false;
+        if (categoryId && String(item.category_id) !== String(categoryId)) return false;
+        const soldAt = new Date(item.sold_at).getTime();
+        if (fromTime !== null && soldAt < fromTime) return false;
+        if (toTime !== null && soldAt > toTime) return false;
+        return true;
+      });
+    },
+
+    async getLedgeredSaleNumbers() {
+      return Array.from(tables.sale_items.keys());
+    },
+
+    async replaceSaleItems(saleNumber, items) {
+      put('sale_items', saleNumber, items);
+      return items;
+    },
+
+    // FECHAMENTOS DE CAIXA
+    async getClosings({ storeId = null, from = null, to = null } = {}) {
+      const fromTime = from ? new Date(from).getTime() : null;
+      const toTime = to ? new Date(to).getTime() : null;
+      return list('closings').filter(closing => {
+        if (storeId && String(closing.store_id) !== String(storeId)) return false;
+        const closedAt = new Date(closing.closed_at).getTime();
+        if (fromTime !== null && closedAt < fromTime) return false;
+        if (toTime !== null && closedAt > toTime) return false;
+        return true;
+      });
+    },
+
+    async getClosingById(id) {
+      return tables.closings.get(String(id)) || null;
+    },
+
+    async saveClosing(closing) {
+      return put('closings', closing.id, closing);
+    },
+
+    // ESTOQUE
+    async getStockLevels({ storeId = null, productId = null } = {}) {
+      return list('stock_levels').filter(level =>
+        (!storeId || String(level.store_id) === String(storeId)) &&
+        (!productId || String(level.product_id) === String(productId))
+      );
+    },
+
+    async saveStockLevels(levels) {
+      levels.forEach(level => put('stock_levels', level.id, level));
+      return levels;
+    },
+
+    async saveStockLevel(level, { expectedVersion } = {}) {
+      return putVersioned('stock_levels', level.id, level, expectedVersion);
+    },
+
+    async getStockMovements({ storeId = null, productId = null, reference = null, from = null, to = null } = {}) {
+      const fromTime = from ? new Date(from).getTime() : null;
+      const toTime = to ? new Date(to).getTime() : null;
+      return list('stock_movements').filter(movement => {
+        if (storeId && String(movement.store_id) !== String(storeId)) return false;
+        if (productId && String(movement.product_id) !== String(productId)) return false;
+        if (reference && String(movement.reference) !== String(reference)) return false;
+        const createdAt = new Date(movement.created_at).getTime();
+        if (fromTime !== null && createdAt < fromTime) return false;
+        if (toTime !== null && createdAt > toTime) return false;
+        return true;
+      });
+    },
+
+    async saveStockMovements(movements) {
+      movements.forEach(movement => put('stock_movements', movement.id, movement));
+      return movements;
+    },
+
+    // TRANSFERÊNCIAS ENTRE LOJAS
+    async getTransfers({ storeId = null, status = null } = {}) {
+      return list('transfers').filter(transfer =>
+        (!storeId || String(transfer.from_store_id) === String(storeId) || String(transfer.to_store_id) === String(storeId)) &&
+        (!status || transfer.status === status)
+      );
+    },
+
+    async getTransferById(id) {
+      return tables.transfers.get(String(id)) || null;
+    },
+
+    async saveTransfer(transfer, { expectedVersion } = {}) {
+      return putVersioned('transfers', transfer.id, transfer, expectedVersion);
+    },
+
+    // FORNECEDORES E PEDIDOS DE COMPRA
+    async getSuppliers() {
+      return list('suppliers');
+    },
+
+    async saveSupplier(supplier) {
+      return put('suppliers', supplier.id, supplier);
+    },
+
+    async deleteSupplier(id) {
+      remove('suppliers', id);
+    },
+
+    async getPurchaseOrders({ storeId = null, supplierId = null, status = null } = {}) {
+      return list('purchase_orders').filter(order =>
+        (!storeId || String(order.store_id) === String(storeId)) &&
+        (!supplierId || String(order.supplier_id) === String(supplierId)) &&
+        (!status || order.status === status)
+      );
+    },
+
+    async getPurchaseOrderById(id) {
+      return tables.purchase_orders.get(String(id)) || null;
+    },
+
+    async savePurchaseOrder(order, { expectedVersion } = {}) {
+      return putVersioned('purchase_orders', order.id, order, expectedVersion);
+    },
+
+    // INVENTÁRIOS (CONTAGENS DE ESTOQUE)
+    async getStockCounts({ storeId = null, status = null } = {}) {
+      return list('stock_counts').filter(count =>
+        (!storeId || String(count.store_id) === String(storeId)) &&
+        (!status || count.status === status)
+      );
+    },
+
+    async getStockCountById(id) {
+      return tables.stock_counts.get(String(id)) || null;
+    },
+
+    async saveStockCount(count, { expectedVersion } = {}) {
+      return putVersioned('stock_counts', count.id, count, expectedVersion);
+    },
+
+    // LOJAS
+    async getStores() {
+      return list('stores');
+    },
+
+    async getStoreByKeyHash(keyHash) {
+      return list('stores').find(s => s.api_key_hash === keyHash) || null;
+    },
+
+    async saveStore(store) {
+      return put('stores', store.id, store);
+    },
+
+    // USUÁRIOS
+    async getUsers() {
+      return list('users');
+    },
+
+    async getUserById(id) {
+      return tables.users.get(String(id)) || null;
+    },
+
+    async getUserByUsername(username) {
+      return list('users').find(u => u.username === username) || null;
+    },
+
+    async saveUser(user) {
+      return put('users', user.id, user);
+    },
+
+    async deleteUser(id) {
+      remove('users', id);
+    },
+
+    // SESSÕES REVOGADAS
+    async getRevokedSession(sid) {
+      return tables.revoked_sessions.get(String(sid)) || null;
+    },
+
+    async saveRevokedSession(session) {
+      return put('revoked_sessions', session.sid, session);
+    },
+
+    async deleteExpiredRevokedSessions(before) {
+      list('revoked_sessions')
+        .filter(session => new Date(session.expires_at) < new Date(before))
+        .forEach(session => remove('revoked_sessions', session.sid));
+    },
+
+    // IDEMPOTENCY-KEYS
+    async getIdempotencyKey(id) {
+      return tables.idempotency_keys.get(String(id)) || null;
+    },
+
+    async saveIdempotencyKey(record, { expectedVersion } = {}) {
+      return putVersioned('idempotency_keys', record.id, record, expectedVersion);
+    },
+
+    async deleteIdempotencyKey(id) {
+      remove('idempotency_keys', id);
+    },
+
+    async deleteExpiredIdempotencyKeys(before) {
+      list('idempotency_keys')
+        .filter(record => new Date(record.expires_at) < new Date(before))
+        .forEach(record => remove('idempotency_keys', record.id));
+    },
+
+    // SEQUÊNCIAS
+    async nextSequence(name, floor = 0) {
+      const value = Math.max(tables.sequences.get(name)?.value || 0, floor) + 1;
+      put('sequences', name, { name, value });
+      return value;
+    }
+  };
+}
+
+module.exports = { TABLES, createTables, createMemoryStorage };
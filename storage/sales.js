@@ -0,0 +1,163 @@
+// =====================================
+// VALORES E RELATÓRIO DE VENDAS
+// =====================================
+// Usado pelo servidor e pelos adaptadores que montam o relatório de vendas em
+// JavaScript (memory, file e sqlite). O Supabase faz a mesma conta no banco,
+// na função sales_report (supabase/migrations), que precisa seguir estas regras.
+
+// Valor líquido de uma venda: canceladas não contam e devoluções (totais ou parciais) são abatidas
+function saleNetTotal(sale) {
+  const total = sale.total || 0;
+  if (sale.status === 'voided') return 0;
+  if (sale.status === 'refunded') {
+    return Math.max(0, total - (sale.refunded_amount != null ? sale.refunded_amount : total));
+  }
+  return total;
+}
+
+// Vendas canceladas ou devolvidas integralmente não entram na contagem de transações
+function isReportableSale(sale) {
+  if (sale.status === 'voided') return false;
+  if (sale.status === 'refunded') return saleNetTotal(sale) > 0;
+  return true;
+}
+
+// =====================================
+// FORMAS DE PAGAMENTO
+// =====================================
+// Cada venda guarda payments: [{ method, amount }]. Vendas "mixed" trazem a
+// divisão enviada pelo terminal; as demais são pagas inteiras numa só forma.
+// Vendas antigas, sem forma informada, aparecem como "unknown" nos relatórios.
+
+function normalizeSalePayments(sale) {
+  if (Array.isArray(sale.payments) && sale.payments.length > 0) {
+    return sale.payments.map(payment => ({
+      method: payment.method || payment.payment_method || payment.type || 'unknown',
+      amount: Number(payment.amount ?? payment.value) || 0
+    }));
+  }
+  const method = sale.payment_method || sale.payment_type;
+  return method ? [{ method, amount: Number(sale.total) || 0 }] : [];
+}
+
+// Soma o valor líquido da venda por forma de pagamento em target. Devoluções
+// parciais são abatidas proporcionalmente de cada forma.
+function addPaymentBreakdown(target, sale) {
+  const net = saleNetTotal(sale);
+  if (net <= 0) return target;
+  const payments = normalizeSalePayments(sale);
+  const paid = payments.reduce((sum, payment) => sum + payment.amount, 0);
+  if (paid <= 0) {
+    target.unknown = (target.unknown || 0) + net;
+    return target;
+  }
+  payments.forEach(payment => {
+    target[payment.method] = (target[payment.method] || 0) + payment.amount * (net / paid);
+  });
+  return target;
+}
+
+// =====================================
+// RELATÓRIO PAGINADO
+// =====================================
+// filters = { storeId, ranges, status, operator: { ids, names }, paymentMethod, minTotal, maxTotal }
+// ranges: [{ storeIds | exceptStoreIds, from, before }] - o período em instantes
+// UTC, um intervalo por fuso (before é exclusivo). Sem ranges, todo o histórico.
+
+function saleTime(sale) {
+  return new Date(sale.created_at || sale.timestamp).getTime();
+}
+
+// Mais recentes primeiro; empate pelo número da venda, para as páginas não se sobreporem
+function compareSalesNewestFirst(a, b) {
+  return saleTime(b) - saleTime(a) || String(b.sale_number).localeCompare(String(a.sale_number));
+}
+
+function inSalePeriod(sale, { storeId = null, ranges = null } = {}) {
+  const store = String(sale.store_id);
+  if (storeId && store !== String(storeId)) return false;
+  if (!ranges) return true;
+  const time = saleTime(sale);
+  return ranges.some(range =>
+    (!range.storeIds || range.storeIds.includes(store)) &&
+    (!range.exceptStoreIds || !range.exceptStoreIds.includes(store)) &&
+    (!range.from || time >= new Date(range.from).getTime()) &&
+    (!range.before || time < new Date(range.before).getTime())
+  );
+}
+
+function matchesSaleFilters(sale, { status = null, operator = null, paymentMethod = null, minTotal = null, maxTotal = null } = {}) {
+  if (status && (sale.status || 'completed') !== status) return false;
+  if (operator && !(operator.ids.includes(String(sale.user_id)) ||
+    operator.names.includes(sale.user_name) || operator.names.includes(sale.cashier_name))) return false;
+  if (paymentMethod && sale.payment_method !== paymentMethod &&
+    !normalizeSalePayments(sale).some(payment => payment.method === paymentMethod)) return false;
+  if (minTotal != null && (sale.total || 0) < minTotal) return false;
+  if (maxTotal != null && (sale.total || 0) > maxTotal) return false;
+  return true;
+}
+
+// Percorre as vendas (qualquer iterável, já do período ou não, em qualquer ordem
+// se unsorted) e devolve a página pedida, o número de vendas filtradas, os totais
+// delas e os operadores do período (antes dos demais filtros), agrupados por
+// user_id, user_name e cashier_name
+function reportSales(sales, filters = {}, { offset = 0, limit = 50, unsorted = false } = {}) {
+  const summary = { total: 0, grossTotal: 0, voidedCount: 0, transactions: 0, paymentMethods: {} };
+  const operators = new Map();
+  const matched = [];
+  let count = 0;
+
+  for (const sale of sales) {
+    if (!inSalePeriod(sale, filters)) continue;
+    const operatorKey = JSON.stringify([sale.user_id ?? null, sale.user_name ?? null, sale.cashier_name ?? null]);
+    if (!operators.has(operatorKey)) {
+      operators.set(operatorKey, {
+        user_id: sale.user_id ?? null, user_name: sale.user_name ?? null, cashier_name: sale.cashier_name ?? null,
+        count: 0, total: 0
+      });
+    }
+    const operator = operators.get(operatorKey);
+    if (isReportableSale(sale)) operator.count++;
+    operator.total += saleNetTotal(sale);
+
+    if (!matchesSaleFilters(sale, filters)) continue;
+    // Já em ordem, só a página fica guardada
+    if (unsorted || (count >= offset && count < offset + limit)) matched.push(sale);
+    count++;
+    summary.total += saleNetTotal(sale);
+    summary.grossTotal += sale.total || 0;
+    if (sale.status === 'voided') summary.voidedCount++;
+    if (isReportableSale(sale)) summary.transactions++;
+    addPaymentBreakdown(summary.paymentMethods, sale);
+  }
+
+  const page = unsorted ? matched.sort(compareSalesNewestFirst).slice(offset, offset + limit) : matched;
+  return { sales: page, count, summary, operators: Array.from(operators.values()) };
+}
+
+// Número de vendas e instante da mais recente de cada loja
+function summarizeSalesByStore(sales, storeId = null) {
+  const stores = new Map();
+  for (const sale of sales) {
+    if (storeId && String(sale.store_id) !== String(storeId)) continue;
+    const key = sale.store_id == null ? null : String(sale.store_id);
+    if (!stores.has(key)) stores.set(key, { store_id: key, count: 0, last_sale_at: null });
+    const entry = stores.get(key);
+    entry.count++;
+    const time = saleTime(sale);
+    if (Number.isNaN(time)) continue;
+    const createdAt = new Date(time).toISOString();
+    if (!entry.last_sale_at || createdAt > entry.last_sale_at) entry.last_sale_at = createdAt;
+  }
+  return Array.from(stores.values());
+}
+
+module.exports = {
+  saleNetTotal,
+  isReportableSale,
+  normalizeSalePayments,
+  addPaymentBreakdown,
+  compareSalesNewestFirst,
+  reportSales,
+  summarizeSalesByStore
+};
@@ -0,0 +1,577 @@
+// =====================================
+// ARMAZENAMENTO LOCAL EM SQLITE
+// =====================================
+// Para instalações locais (on-premise): tudo fica num único arquivo e
+// sobrevive a reinícios. Requer o pacote opcional better-sqlite3.
+//
+// Cada registro é guardado como JSON na coluna data, porque os terminais
+// enviam campos livres; as colunas extras existem só para as buscas.
+
+const fs = require('fs');
+const path = require('path');
+const { productKey } = require('./keys');
+const { versionConflict } = require('./versions');
+const { reportSales } = require('./sales');
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS products (id TEXT PRIMARY KEY, data TEXT NOT NULL);
+  CREATE TABLE IF NOT EXISTS categories (id TEXT PRIMARY KEY, data TEXT NOT NULL);
+  CREATE TABLE IF NOT EXISTS promotions (id TEXT PRIMARY KEY, data TEXT NOT NULL);
+  CREATE TABLE IF NOT EXISTS sales (
+    sale_number TEXT PRIMARY KEY,
+    store_id TEXT,
+    sync_seq INTEGER,
+    data TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS idx_sales_store_id ON sales (store_id);
+  CREATE INDEX IF NOT EXISTS idx_sales_sync_seq ON sales (sync_seq);
+  CREATE TABLE IF NOT EXISTS sale_items (
+    id TEXT PRIMARY KEY,
+    sale_number TEXT NOT NULL,
+    store_id TEXT,
+    sold_at TEXT,
+    product_id TEXT,
+    barcode TEXT,
+    category_id TEXT,
+    data TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS idx_sale_items_sale_number ON sale_items (sale_number);
+  CREATE INDEX IF NOT EXISTS idx_sale_items_store_sold_at ON sale_items (store_id, sold_at);
+  CREATE INDEX IF NOT EXISTS idx_sale_items_barcode ON sale_items (barcode);
+  CREATE TABLE IF NOT EXISTS closings (
+    id TEXT PRIMARY KEY,
+    store_id TEXT,
+    closed_at TEXT,
+    data TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS idx_closings_store_closed_at ON closings (store_id, closed_at);
+  CREATE TABLE IF NOT EXISTS stock_levels (
+    id TEXT PRIMARY KEY,
+    store_id TEXT,
+    product_id TEXT,
+    data TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS idx_stock_levels_store_id ON stock_levels (store_id);
+  CREATE INDEX IF NOT EXISTS idx_stock_levels_product_id ON stock_levels (product_id);
+  CREATE TABLE IF NOT EXISTS stock_movements (
+    id TEXT PRIMARY KEY,
+    store_id TEXT,
+    product_id TEXT,
+    reference TEXT,
+    created_at TEXT,
+    data TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS idx_stock_movements_store_created_at ON stock_movements (store_id, created_at);
+  CREATE INDEX IF NOT EXISTS idx_stock_movements_reference ON stock_movements (reference);
+  CREATE TABLE IF NOT EXISTS transfers (
+    id TEXT PRIMARY KEY,
+    from_store_id TEXT,
+    to_store_id TEXT,
+    status TEXT,
+    data TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS idx_transfers_from_store_id ON transfers (from_store_id);
+  CREATE INDEX IF NOT EXISTS idx_transfers_to_store_id ON transfers (to_store_id);
+  CREATE TABLE IF NOT EXISTS suppliers (id TEXT PRIMARY KEY, data TEXT NOT NULL);
+  CREATE TABLE IF NOT EXISTS purchase_orders (
+    id TEXT PRIMARY KEY,
+    store_id TEXT,
+    supplier_id TEXT,
+    status TEXT,
+    data TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS idx_purchase_orders_store_id ON purchase_orders (store_id);
+  CREATE INDEX IF NOT EXISTS idx_purchase_orders_supplier_id ON purchase_orders (supplier_id);
+  CREATE TABLE IF NOT EXISTS stock_counts (
+    id TEXT PRIMARY KEY,
+    store_id TEXT,
+    status TEXT,
+    data TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS idx_stock_counts_store_id ON stock_counts (store_id);
+  CREATE TABLE IF NOT EXISTS stores (id TEXT PRIMARY KEY, api_key_hash TEXT, data TEXT NOT NULL);
+  CREATE INDEX IF NOT EXISTS idx_stores_api_key_hash ON stores (api_key_hash);
+  CREATE TABLE IF NOT EXISTS users (id TEXT PRIMARY KEY, username TEXT, data TEXT NOT NULL);
+  CREATE TABLE IF NOT EXISTS revoked_sessions (sid TEXT PRIMARY KEY, expires_at TEXT, data TEXT NOT NULL);
+  CREATE TABLE IF NOT EXISTS sequences (name TEXT PRIMARY KEY, value INTEGER NOT NULL);
+  CREATE TABLE IF NOT EXISTS idempotency_keys (id TEXT PRIMARY KEY, expires_at TEXT, data TEXT NOT NULL);
+  CREATE INDEX IF NOT EXISTS idx_idempotency_keys_expires_at ON idempotency_keys (expires_at);
+  CREATE INDEX IF NOT EXISTS idx_users_username ON users (username);
+`;
+
+// Bancos criados antes de as colunas de data serem gravadas em UTC podem ter
+// horários com offset; converte uma vez (user_version marca que já foi feito)
+const DATE_COLUMNS = [['sale_items', 'sold_at'], ['closings', 'closed_at'], ['stock_movements', 'created_at']];
+
+function normalizeDateColumns(sqlite) {
+  if (sqlite.pragma('user_version', { simple: true }) >= 1) return;
+  sqlite.transaction(() => {
+    DATE_COLUMNS.forEach(([table, column]) => {
+      const utc = `strftime('%Y-%m-%dT%H:%M:%fZ', ${column})`;
+      sqlite.prepare(`UPDATE ${table} SET ${column} = ${utc} WHERE ${utc} IS NOT NULL AND ${column} != ${utc}`).run();
+    });
+    sqlite.pragma('user_version = 1');
+  })();
+}
+
+function createSqliteStorage({ file }) {
+  const Database = require('better-sqlite3');
+
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const sqlite = new Database(file);
+  sqlite.pragma('journal_mode = WAL');
+  sqlite.exec(SCHEMA);
+  normalizeDateColumns(sqlite);
+
+  const parseRows = (rows) => rows.map(row => JSON.parse(row.data));
+  const parseRow = (row) => (row ? JSON.parse(row.data) : null);
+  const key = (value) => (value == null ? null : String(value));
+  // Colunas de data ficam em ISO UTC para a comparação de texto respeitar a ordem
+  // (um horário com offset, como -03:00, não ordena junto com os em Z)
+  const utc = (value) => {
+    if (!value) return null;
+    const date = new Date(value);
+    return isNaN(date) ? String(value) : date.toISOString();
+  };
+
+  const statements = {
+    saveProduct: sqlite.prepare('INSERT OR REPLACE INTO products (id, data) VALUES (?, ?)'),
+    saveCategory: sqlite.prepare('INSERT OR REPLACE INTO categories (id, data) VALUES (?, ?)'),
+    savePromotion: sqlite.prepare('INSERT OR REPLACE INTO promotions (id, data) VALUES (?, ?)'),
+    saveSale: sqlite.prepare('INSERT OR REPLACE INTO sales (sale_number, store_id, sync_seq, data) VALUES (?, ?, ?, ?)'),
+    saveClosing: sqlite.prepare('INSERT OR REPLACE INTO closings (id, store_id, closed_at, data) VALUES (?, ?, ?, ?)'),
+    saveTransfer: sqlite.prepare('INSERT OR REPLACE INTO transfers (id, from_store_id, to_store_id, status, data) VALUES (?, ?, ?, ?, ?)'),
+    updateTransfer: sqlite.prepare(
+      "UPDATE transfers SET from_store_id = ?, to_store_id = ?, status = ?, data = ? WHERE id = ? AND json_extract(data, '$.version') IS ?"
+    ),
+    saveSupplier: sqlite.prepare('INSERT OR REPLACE INTO suppliers (id, data) VALUES (?, ?)'),
+    savePurchaseOrder: sqlite.prepare('INSERT OR REPLACE INTO purchase_orders (id, store_id, supplier_id, status, data) VALUES (?, ?, ?, ?, ?)'),
+    updatePurchaseOrder: sqlite.prepare(
+      "UPDATE purchase_orders SET store_id = ?, supplier_id = ?, status = ?, data = ? WHERE id = ? AND json_extract(data, '$.version') IS ?"
+    ),
+    saveStockCount: sqlite.prepare('INSERT OR REPLACE INTO stock_counts (id, store_id, status, data) VALUES (?, ?, ?, ?)'),
+    updateStockCount: sqlite.prepare(
+      "UPDATE stock_counts SET store_id = ?, status = ?, data = ? WHERE id = ? AND json_extract(data, '$.version') IS ?"
+    ),
+    saveStore: sqlite.prepare('INSERT OR REPLACE INTO stores (id, api_key_hash, data) VALUES (?, ?, ?)'),
+    saveUser: sqlite.prepare('INSERT OR REPLACE INTO users (id, username, data) VALUES (?, ?, ?)')
+  };
+
+  const insertSaleItem = sqlite.prepare(
+    'INSERT OR REPLACE INTO sale_items (id, sale_number, store_id, sold_at, product_id, barcode, category_id, data) VALUES (?, ?, ?, ?, ?, ?, ?, ?)'
+  );
+  const replaceSaleItems = sqlite.transaction((saleNumber, items) => {
+    sqlite.prepare('DELETE FROM sale_items WHERE sale_number = ?').run(saleNumber);
+    items.forEach(item => insertSaleItem.run(
+      key(item.id), saleNumber, key(item.store_id), utc(item.sold_at),
+      key(item.product_id), item.barcode || null, key(item.category_id), JSON.stringify(item)
+    ));
+  });
+
+  const saveStockLevel = sqlite.prepare('INSERT OR REPLACE INTO stock_levels (id, store_id, product_id, data) VALUES (?, ?, ?, ?)');
+  const insertStockLevel = sqlite.prepare('INSERT OR IGNORE INTO stock_levels (id, store_id, product_id, data) VALUES (?, ?, ?, ?)');
+  const updateStockLevel = sqlite.prepare(
+    "UPDATE stock_levels SET store_id = ?, product_id = ?, data = ? WHERE id = ? AND json_extract(data, '$.version') IS ?"
+  );
+  const saveStockLevels = sqlite.transaction((levels) => {
+    levels.forEach(level => saveStockLevel.run(key(level.id), key(level.store_id), key(level.product_id), JSON.stringify(level)));
+  });
+  const saveStockMovement = sqlite.prepare(
+    'INSERT OR REPLACE INTO stock_movements (id, store_id, product_id, reference, created_at, data) VALUES (?, ?, ?, ?, ?, ?)'
+  );
+  const saveStockMovements = sqlite.transaction((movements) => {
+    movements.forEach(m => saveStockMovement.run(
+      key(m.id), key(m.store_id), key(m.product_id), key(m.reference), utc(m.created_at), JSON.stringify(m)
+    ));
+  });
+
+  const saveProducts = sqlite.transaction((products) => {
+    products.forEach(p => statements.saveProduct.run(key(productKey(p)), JSON.stringify(p)));
+  });
+
+  // Data da venda no JSON, como o terminal enviou (pode ter offset): compare pelo julianday
+  const createdAt = "COALESCE(json_extract(data, '$.created_at'), json_extract(data, '$.timestamp'))";
+  const all = (sql, ...params) => parseRows(sqlite.prepare(sql).all(...params));
+  const one = (sql, ...params) => parseRow(sqlite.prepare(sql).get(...params));
+  const remove = (table, id) => sqlite.prepare(`DELETE FROM ${table} WHERE id = ?`).run(key(id));
+
+  return {
+    driver: 'sqlite',
+    durable: true,
+    file,
+
+    close() {
+      sqlite.close();
+    },
+
+    // PRODUTOS
+    async getProducts() {
+      return all('SELECT data FROM products');
+    },
+
+    async getProductsAfterCursor(cursor = 0, { limit = 2000 } = {}) {
+      return all(
+        "SELECT data FROM products WHERE json_extract(data, '$.sync_seq') > ? ORDER BY json_extract(data, '$.sync_seq') LIMIT ?",
+        cursor, limit
+      );
+    },
+
+    async saveProduct(product) {
+      statements.saveProduct.run(key(productKey(product)), JSON.stringify(product));
+      return product;
+    },
+
+    async saveProducts(products) {
+      saveProducts(products);
+      return products;
+    },
+
+    async deleteProduct(id) {
+      remove('products', id);
+    },
+
+    // CATEGORIAS
+    async getCategories() {
+      return all('SELECT data FROM categories');
+    },
+
+    async saveCategory(category) {
+      statements.saveCategory.run(key(category.id), JSON.stringify(category));
+      return category;
+    },
+
+    async deleteCategory(id) {
+      remove('categories', id);
+    },
+
+    // PROMOÇÕES
+    async getPromotions() {
+      return all('SELECT data FROM promotions');
+    },
+
+    async savePromotion(promotion) {
+      statements.savePromotion.run(key(promotion.id), JSON.stringify(promotion));
+      return promotion;
+    },
+
+    async deletePromotion(id) {
+      remove('promotions', id);
+    },
+
+    // VENDAS
+    async getSales(storeId = null, { from = null, to = null } = {}) {
+      const where = [];
+      const params = [];
+      if (storeId) { where.push('store_id = ?'); params.push(key(storeId)); }
+      // A data vem do JSON como o terminal enviou (pode ter offset), então compara pelo instante
+      if (from) { where.push(`julianday(${createdAt}) >= julianday(?)`); params.push(new Date(from).toISOString()); }
+      if (to) { where.push(`julianday(${createdAt}) <= julianday(?)`); params.push(new Date(to).toISOString()); }
+      return all('SELECT data FROM sales' + (where.length ? ' WHERE ' + where.join(' AND ') : ''), ...params);
+    },
+
+    // O banco já devolve só o período, das mais recentes para as mais antigas;
+    // as vendas são lidas uma a uma e só a página pedida fica em memória
+    async querySales(filters = {}, { offset = 0, limit = 50 } = {}) {
+      const where = [];
+      const params = [];
+      if (filters.storeId) { where.push('store_id = ?'); params.push(key(filters.storeId)); }
+      if (filters.ranges) {
+        const starts = filters.ranges.map(range => range.from);
+        const ends = filters.ranges.map(range => range.before);
+        if (!starts.includes(null)) { where.push(`julianday(${createdAt}) >= julianday(?)`); params.push(starts.sort()[0]); }
+        if (!ends.includes(null)) { where.push(`julianday(${createdAt}) < julianday(?)`); params.push(ends.sort().pop()); }
+      }
+      const rows = sqlite.prepare(
+        'SELECT data FROM sales' + (where.length ? ' WHERE ' + where.join(' AND ') : '') +
+        ` ORDER BY julianday(${createdAt}) DESC, sale_number DESC`
+      ).iterate(...params);
+      const sales = (function* () { for (const row of rows) yield JSON.parse(row.data); })();
+      return reportSales(sales, filters, { offset, limit });
+    },
+
+    async getSalesOverview(storeId = null) {
+      return sqlite.prepare(
+        `SELECT store_id, COUNT(*) AS count, strftime('%Y-%m-%dT%H:%M:%fZ', MAX(julianday(${createdAt}))) AS last_sale_at
+         FROM sales` + (storeId ? ' WHERE store_id = ?' : '') + ' GROUP BY store_id'
+      ).all(...(storeId ? [key(storeId)] : []));
+    },
+
+    async getSalesAfterCursor(cursor = 0, { excludeStoreId = null, limit = 500 } = {}) {
+      if (excludeStoreId) {
+        return all(
+          'SELECT data FROM sales WHERE sync_seq > ? AND store_id != ? ORDER BY sync_seq LIMIT ?',
+          cursor, key(excludeStoreId), limit
+        );
+      }
+      return all('SELECT data FROM sales WHERE sync_seq > ? ORDER BY sync_seq LIMIT ?', cursor, limit);
+    },
+
+    async getSaleByNumber(saleNumber) {
+      return one('SELECT data FROM sales WHERE sale_number = ?', key(saleNumber));
+    },
+
+    async saveSale(sale) {
+      statements.saveSale.run(key(sale.sale_number), key(sale.store_id), sale.sync_seq || 0, JSON.stringify(sale));
+      return sale;
+    },
+
+    // ITENS DE VENDA
+    async getSaleItems({ storeId = null, from = null, to = null, productId = null, barcode = null, categoryId = null } = {}) {
+      const where = [];
+      const params = [];
+      if (storeId) { where.push('store_id = ?'); params.push(key(storeId)); }
+      if (from) { where.push('sold_at >= ?'); params.push(new Date(from).toISOString()); }
+      if (to) { where.push('sold_at <= ?'); params.push(new Date(to).toISOString()); }
+      if (productId) { where.push('product_id = ?'); params.push(key(productId)); }
+      if (barcode) { where.push('barcode = ?'); params.push(barcode); }
+      if (categoryId) { where.push('category_id = ?'); params.push(key(categoryId)); }
+      const sql = 'SELECT data FROM sale_items' + (where.length ? ' WHERE ' + where.join(' AND ') : '');
+      return all(sql, ...params);
+    },
+
+    async getLedgeredSaleNumbers() {
+      return sqlite.prepare('SELECT DISTINCT sale_number FROM sale_items').all().map(row => row.sale_number);
+    },
+
+    async replaceSaleItems(saleNumber, items) {
+      replaceSaleItems(key(saleNumber), items);
+      return items;
+    },
+
+    // FECHAMENTOS DE CAIXA
+    async getClosings({ storeId = null, from = null, to = null } = {}) {
+      const where = [];
+      const params = [];
+      if (storeId) { where.push('store_id = ?'); params.push(key(storeId)); }
+      if (from) { where.push('closed_at >= ?'); params.push(new Date(from).toISOString()); }
+      if (to) { where.push('closed_at <= ?'); params.push(new Date(to).toISOString()); }
+      const sql = 'SELECT data FROM closings' + (where.length ? ' WHERE ' + where.join(' AND ') : '');
+      return all(sql, ...params);
+    },
+
+    async getClosingById(id) {
+      return one('SELECT data FROM closings WHERE id = ?', key(id));
+    },
+
+    async saveClosing(closing) {
+      statements.saveClosing.run(key(closing.id), key(closing.store_id), utc(closing.closed_at), JSON.stringify(closing));
+      return closing;
+    },
+
+    // ESTOQUE
+    async getStockLevels({ storeId = null, productId = null } = {}) {
+      const where = [];
+      const params = [];
+      if (storeId) { where.push('store_id = ?'); params.push(key(storeId)); }
+      if (productId) { where.push('product_id = ?'); params.push(key(productId)); }
+      return all('SELECT data FROM stock_levels' + (where.length ? ' WHERE ' + where.join(' AND ') : ''), ...params);
+    },
+
+    async saveStockLevels(levels) {
+      saveStockLevels(levels);
+      return levels;
+    },
+
+    async saveStockLevel(level, { expectedVersion } = {}) {
+      const values = [key(level.store_id), key(level.product_id), JSON.stringify(level)];
+      if (expectedVersion === undefined) {
+        saveStockLevel.run(key(level.id), ...values);
+      } else if (expectedVersion === 0) {
+        if (insertStockLevel.run(key(level.id), ...values).changes === 0) throw versionConflict('stock_levels', level.id);
+      } else if (updateStockLevel.run(...values, key(level.id), expectedVersion).changes === 0) {
+        throw versionConflict('stock_levels', level.id);
+      }
+      return level;
+    },
+
+    async getStockMovements({ storeId = null, productId = null, reference = null, from = null, to = null } = {}) {
+      const where = [];
+      const params = [];
+      if (storeId) { where.push('store_id = ?'); params.push(key(storeId)); }
+      if (productId) { where.push('product_id = ?'); params.push(key(productId)); }
+      if (reference) { where.push('reference = ?'); params.push(key(reference)); }
+      if (from) { where.push('created_at >= ?'); params.push(new Date(from).toISOString()); }
+      if (to) { where.push('created_at <= ?'); params.push(new Date(to).toISOString()); }
+      const sql = 'SELECT data FROM stock_movements' + (where.length ? ' WHERE ' + where.join(' AND ') : '');
+      return all(sql, ...params);
+    },
+
+    async saveStockMovements(movements) {
+      saveStockMovements(movements);
+      return movements;
+    },
+
+    // TRANSFERÊNCIAS ENTRE LOJAS
+    async getTransfers({ storeId = null, status = null } = {}) {
+      const where = [];
+      const params = [];
+      if (storeId) { where.push('(from_store_id = ? OR to_store_id = ?)'); params.push(key(storeId), key(storeId)); }
+      if (status) { where.push('status = ?'); params.push(status); }
+      return all('SELECT data FROM transfers' + (where.length ? ' WHERE ' + where.join(' AND ') : ''), ...params);
+    },
+
+    async getTransferById(id) {
+      return one('SELECT data FROM transfers WHERE id = ?', key(id));
+    },
+
+    async saveTransfer(transfer, { expectedVersion } = {}) {
+      const values = [key(transfer.from_store_id), key(transfer.to_store_id), transfer.status || null, JSON.stringify(transfer)];
+      if (expectedVersion === undefined) {
+        statements.saveTransfer.run(key(transfer.id), ...values);
+      } else if (statements.updateTransfer.run(...values, key(transfer.id), expectedVersion).changes === 0) {
+        throw versionConflict('transfers', transfer.id);
+      }
+      return transfer;
+    },
+
+    // FORNECEDORES E PEDIDOS DE COMPRA
+    async getSuppliers() {
+      return all('SELECT data FROM suppliers');
+    },
+
+    async saveSupplier(supplier) {
+      statements.saveSupplier.run(key(supplier.id), JSON.stringify(supplier));
+      return supplier;
+    },
+
+    async deleteSupplier(id) {
+      remove('suppliers', id);
+    },
+
+    async getPurchaseOrders({ storeId = null, supplierId = null, status = null } = {}) {
+      const where = [];
+      const params = [];
+      if (storeId) { where.push('store_id = ?'); params.push(key(storeId)); }
+      if (supplierId) { where.push('supplier_id = ?'); params.push(key(supplierId)); }
+      if (status) { where.push('status = ?'); params.push(status); }
+      return all('SELECT data FROM purchase_orders' + (where.length ? ' WHERE ' + where.join(' AND ') : ''), ...params);
+    },
+
+    async getPurchaseOrderById(id) {
+      return one('SELECT data FROM purchase_orders WHERE id = ?', key(id));
+    },
+
+    async savePurchaseOrder(order, { expectedVersion } = {}) {
+      const values = [key(order.store_id), key(order.supplier_id), order.status || null, JSON.stringify(order)];
+      if (expectedVersion === undefined) {
+        statements.savePurchaseOrder.run(key(order.id), ...values);
+      } else if (statements.updatePurchaseOrder.run(...values, key(order.id), expectedVersion).changes === 0) {
+        throw versionConflict('purchase_orders', order.id);
+      }
+      return order;
+    },
+
+    // INVENTÁRIOS (CONTAGENS DE ESTOQUE)
+    async getStockCounts({ storeId = null, status = null } = {}) {
+      const where = [];
+      const params = [];
+      if (storeId) { where.push('store_id = ?'); params.push(key(storeId)); }
+      if (status) { where.push('status = ?'); params.push(status); }
+      return all('SELECT data FROM stock_counts' + (where.length ? ' WHERE ' + where.join(' AND ') : ''), ...params);
+    },
+
+    async getStockCountById(id) {
+      return one('SELECT data FROM stock_counts WHERE id = ?', key(id));
+    },
+
+    async saveStockCount(count, { expectedVersion } = {}) {
+      const values = [key(count.store_id), count.status || null, JSON.stringify(count)];
+      if (expectedVersion === undefined) {
+        statements.saveStockCount.run(key(count.id), ...values);
+      } else if (statements.updateStockCount.run(...values, key(count.id), expectedVersion).changes === 0) {
+        throw versionConflict('stock_counts', count.id);
+      }
+      return count;
+    },
+
+    // LOJAS
+    async getStores() {
+      return all('SELECT data FROM stores');
+    },
+
+    async getStoreByKeyHash(keyHash) {
+      return one('SELECT data FROM stores WHERE api_key_hash = ?', keyHash);
+    },
+
+    async saveStore(store) {
+      statements.saveStore.run(key(store.id), store.api_key_hash || null, JSON.stringify(store));
+      return store;
+    },
+
+    // USUÁRIOS
+    async getUsers() {
+      return all('SELECT data FROM users');
+    },
+
+    async getUserById(id) {
+      return one('SELECT data FROM users WHERE id = ?', key(id));
+    },
+
+    async getUserByUsername(username) {
+      return one('SELECT data FROM users WHERE username = ?', username);
+    },
+
+    async saveUser(user) {
+      statements.saveUser.run(key(user.id), user.username || null, JSON.stringify(user));
+      return user;
+    },
+
+    async deleteUser(id) {
+      remove('users', id);
+    },
+
+    // SESSÕES REVOGADAS
+    async getRevokedSession(sid) {
+      return one('SELECT data FROM revoked_sessions WHERE sid = ?', key(sid));
+    },
+
+    async saveRevokedSession(session) {
+      sqlite.prepare('INSERT OR REPLACE INTO revoked_sessions (sid, expires_at, data) VALUES (?, ?, ?)')
+        .run(key(session.sid), session.expires_at, JSON.stringify(session));
+      return session;
+    },
+
+    async deleteExpiredRevokedSessions(before) {
+      sqlite.prepare('DELETE FROM revoked_sessions WHERE julianday(expires_at) < julianday(?)').run(before);
+    },
+
+    // IDEMPOTENCY-KEYS
+    async getIdempotencyKey(id) {
+      return one('SELECT data FROM idempotency_keys WHERE id = ?', key(id));
+    },
+
+    async saveIdempotencyKey(record, { expectedVersion } = {}) {
+      const values = [utc(record.expires_at), JSON.stringify(record)];
+      if (expectedVersion === undefined) {
+        sqlite.prepare('INSERT OR REPLACE INTO idempotency_keys (id, expires_at, data) VALUES (?, ?, ?)').run(key(record.id), ...values);
+      } else if (expectedVersion === 0) {
+        const { changes } = sqlite.prepare('INSERT OR IGNORE INTO idempotency_keys (id, expires_at, data) VALUES (?, ?, ?)')
+          .run(key(record.id), ...values);
+        if (changes === 0) throw versionConflict('idempotency_keys', record.id);
+      } else {
+        const { changes } = sqlite.prepare(
+          "UPDATE idempotency_keys SET expires_at = ?, data = ? WHERE id = ? AND json_extract(data, '$.version') IS ?"
+        ).run(...values, key(record.id), expectedVersion);
+        if (changes === 0) throw versionConflict('idempotency_keys', record.id);
+      }
+      return record;
+    },
+
+    async deleteIdempotencyKey(id) {
+      remove('idempotency_keys', id);
+    },
+
+    async deleteExpiredIdempotencyKeys(before) {
+      sqlite.prepare('DELETE FROM idempotency_keys WHERE expires_at < ?').run(new Date(before).toISOString());
+    },
+
+    // SEQUÊNCIAS
+    async nextSequence(name, floor = 0) {
+      return sqlite.prepare(
+        'INSERT INTO sequences (name, value) VALUES (?, ?) ON CONFLICT (name) DO UPDATE SET value = MAX(value, ?) + 1 RETURNING value'
+      ).get(name, floor + 1, floor).value;
+    }
+  };
+}
+
+module.exports = { createSqliteStorage };
@@ -0,0 +1,435 @@
+// =====================================
+// ARMAZENAMENTO NO SUPABASE (NUVEM)
+// =====================================
+// Configure as variáveis de ambiente no Vercel:
+// SUPABASE_URL = sua URL do Supabase
+// SUPABASE_KEY = sua chave anon/service do Supabase
+//
+// As colunas e tabelas novas estão em supabase/migrations; rode as migrações
+// antes de publicar uma versão nova do servidor.
+
+const { productKey } = require('./keys');
+const { versionConflict } = require('./versions');
+
+// Colunas da tabela users (o cadastro do painel pode trazer campos extras)
+const USER_COLUMNS = [
+  'id', 'username', 'full_name', 'role', 'store_id', 'email', 'phone', 'is_active',
+  'password_hash', 'permissions', 'created_at', 'updated_at'
+];
+
+// Campos que só existem no cache local e não têm coluna no Supabase
+const STORE_LOCAL_FIELDS = ['registeredAt'];
+
+// Upsert em lotes para evitar timeout com catálogos grandes
+const BATCH_SIZE = 100;
+const PAGE_SIZE = 1000;
+
+function pick(record, columns) {
+  const picked = {};
+  columns.forEach(col => {
+    if (record[col] !== undefined) picked[col] = record[col];
+  });
+  return picked;
+}
+
+// Produtos são gravados pela mesma chave dos outros adaptadores (id, barcode ou sku),
+// guardada em product_key; a coluna não volta para quem lê
+function toProductRow(product) {
+  return { ...product, product_key: String(productKey(product)) };
+}
+
+function fromProductRow({ product_key, ...product }) {
+  return product;
+}
+
+function createSupabaseStorage({ url, key }) {
+  const { createClient } = require('@supabase/supabase-js');
+  const client = createClient(url, key);
+
+  // O Supabase limita cada resposta (1000 linhas por padrão), então lê em páginas
+  const selectAll = async (table) => {
+    const rows = [];
+    for (let from = 0; ; from += PAGE_SIZE) {
+      const { data, error } = await client
+        .from(table)
+        .select('*')
+        .range(from, from + PAGE_SIZE - 1);
+      if (error) throw error;
+      rows.push(...(data || []));
+      if (!data || data.length < PAGE_SIZE) return rows;
+    }
+  };
+
+  const findOne = async (table, column, value) => {
+    const { data, error } = await client
+      .from(table)
+      .select('*')
+      .eq(column, value)
+      .limit(1);
+    if (error) throw error;
+    return data?.[0] || null;
+  };
+
+  const upsert = async (table, record, onConflict = 'id') => {
+    const { data, error } = await client
+      .from(table)
+      .upsert(record, { onConflict })
+      .select();
+    if (error) throw error;
+    return data?.[0] || record;
+  };
+
+  // Gravação condicional: o update só casa com a linha se version ainda for a esperada;
+  // com expectedVersion 0 é um insert, que falha pela chave se a linha já existir
+  const save = async (table, record, expectedVersion) => {
+    if (expectedVersion === undefined) return upsert(table, record);
+    if (expectedVersion === 0) {
+      const { data, error } = await client.from(table).insert(record).select();
+      if (error?.code === '23505') throw versionConflict(table, record.id);
+      if (error) throw error;
+      return data?.[0] || record;
+    }
+    let query = client.from(table).update(record).eq('id', record.id);
+    query = expectedVersion === null ? query.is('version', null) : query.eq('version', expectedVersion);
+    const { data, error } = await query.select();
+    if (error) throw error;
+    if (!data?.length) throw versionConflict(table, record.id);
+    return data[0];
+  };
+
+  const remove = async (table, id) => {
+    const { error } = await client.from(table).delete().eq('id', id);
+    if (error) throw error;
+  };
+
+  return {
+    driver: 'supabase',
+    durable: true,
+    // Exposto para as consultas de relatório que filtram direto no banco
+    client,
+
+    // PRODUTOS
+    getProducts: async () => (await selectAll('products')).map(fromProductRow),
+
+    async getProductsAfterCursor(cursor = 0, { limit = 2000 } = {}) {
+      const { data, error } = await client
+        .from('products')
+        .select('*')
+        .gt('sync_seq', cursor)
+        .order('sync_seq', { ascending: true })
+        .limit(limit);
+      if (error) throw error;
+      return (data || []).map(fromProductRow);
+    },
+
+    saveProduct: async (product) => fromProductRow(await upsert('products', toProductRow(product), 'product_key')),
+
+    async saveProducts(products) {
+      for (let i = 0; i < products.length; i += BATCH_SIZE) {
+        const { error } = await client
+          .from('products')
+          .upsert(products.slice(i, i + BATCH_SIZE).map(toProductRow), { onConflict: 'product_key' });
+        if (error) throw error;
+      }
+      return products;
+    },
+
+    async deleteProduct(id) {
+      const { error } = await client.from('products').delete().eq('product_key', String(id));
+      if (error) throw error;
+    },
+
+    // CATEGORIAS
+    getCategories: () => selectAll('categories'),
+    saveCategory: (category) => upsert('categories', category),
+    deleteCategory: (id) => remove('categories', id),
+
+    // PROMOÇÕES
+    getPromotions: () => selectAll('promotions'),
+    savePromotion: (promotion) => upsert('promotions', promotion),
+    deletePromotion: (id) => remove('promotions', id),
+
+    // VENDAS
+    async getSales(storeId = null, { from = null, to = null } = {}) {
+      const rows = [];
+      for (let start = 0; ; start += PAGE_SIZE) {
+        let query = client.from('sales').select('*');
+        if (storeId) query = query.eq('store_id', storeId);
+        if (from) query = query.gte('created_at', new Date(from).toISOString());
+        if (to) query = query.lte('created_at', new Date(to).toISOString());
+        const { data, error } = await query.order('sale_number').range(start, start + PAGE_SIZE - 1);
+        if (error) throw error;
+        rows.push(...(data || []));
+        if (!data || data.length < PAGE_SIZE) return rows;
+      }
+    },
+
+    // Filtro, página e totais são calculados no banco (funções sales_report e
+    // sales_overview, em supabase/migrations), sem trazer o período inteiro
+    async querySales(filters = {}, { offset = 0, limit = 50 } = {}) {
+      const { data, error } = await client.rpc('sales_report', { filters, page_offset: offset, page_limit: limit });
+      if (error) throw error;
+      return data;
+    },
+
+    async getSalesOverview(storeId = null) {
+      const { data, error } = await client.rpc('sales_overview', { store_filter: storeId == null ? null : String(storeId) });
+      if (error) throw error;
+      return data || [];
+    },
+
+    async getSalesAfterCursor(cursor = 0, { excludeStoreId = null, limit = 500 } = {}) {
+      let query = client
+        .from('sales')
+        .select('*')
+        .gt('sync_seq', cursor)
+        .order('sync_seq', { ascending: true })
+        .limit(limit);
+      if (excludeStoreId) query = query.neq('store_id', excludeStoreId);
+      const { data, error } = await query;
+      if (error) throw error;
+      return data || [];
+    },
+
+    getSaleByNumber: (saleNumber) => findOne('sales', 'sale_number', saleNumber),
+    saveSale: (sale) => upsert('sales', sale, 'sale_number'),
+
+    // ITENS DE VENDA
+    async getSaleItems({ storeId = null, from = null, to = null, productId = null, barcode = null, categoryId = null } = {}) {
+      const rows = [];
+      for (let start = 0; ; start += PAGE_SIZE) {
+        let query = client.from('sale_items').select('*');
+        if (storeId) query = query.eq('store_id', storeId);
+        if (from) query = query.gte('sold_at', new Date(from).toISOString());
+        if (to) query = query.lte('sold_at', new Date(to).toISOString());
+        if (productId) query = query.eq('product_id', productId);
+        if (barcode) query = query.eq('barcode', barcode);
+        if (categoryId) query = query.eq('category_id', categoryId);
+        const { data, error } = await query.order('id').range(start, start + PAGE_SIZE - 1);
+        if (error) throw error;
+        rows.push(...(data || []));
+        if (!data || data.length < PAGE_SIZE) return rows;
+      }
+    },
+
+    async getLedgeredSaleNumbers() {
+      const numbers = new Set();
+      for (let start = 0; ; start += PAGE_SIZE) {
+        const { data, error } = await client
+          .from('sale_items')
+          .select('sale_number')
+          .order('id')
+          .range(start, start + PAGE_SIZE - 1);
+        if (error) throw error;
+        (data || []).forEach(row => numbers.add(row.sale_number));
+        if (!data || data.length < PAGE_SIZE) return Array.from(numbers);
+      }
+    },
+
+    async replaceSaleItems(saleNumber, items) {
+      const { error } = await client.from('sale_items').delete().eq('sale_number', saleNumber);
+      if (error) throw error;
+      for (let i = 0; i < items.length; i += BATCH_SIZE) {
+        const { error: insertError } = await client.from('sale_items').insert(items.slice(i, i + BATCH_SIZE));
+        if (insertError) throw insertError;
+      }
+      return items;
+    },
+
+    // FECHAMENTOS DE CAIXA
+    async getClosings({ storeId = null, from = null, to = null } = {}) {
+      const rows = [];
+      for (let start = 0; ; start += PAGE_SIZE) {
+        let query = client.from('closings').select('*');
+        if (storeId) query = query.eq('store_id', storeId);
+        if (from) query = query.gte('closed_at', new Date(from).toISOString());
+        if (to) query = query.lte('closed_at', new Date(to).toISOString());
+        const { data, error } = await query.order('id').range(start, start + PAGE_SIZE - 1);
+        if (error) throw error;
+        rows.push(...(data || []));
+        if (!data || data.length < PAGE_SIZE) return rows;
+      }
+    },
+
+    getClosingById: (id) => findOne('closings', 'id', id),
+    saveClosing: (closing) => upsert('closings', closing),
+
+    // ESTOQUE
+    async getStockLevels({ storeId = null, productId = null } = {}) {
+      const rows = [];
+      for (let start = 0; ; start += PAGE_SIZE) {
+        let query = client.from('stock_levels').select('*');
+        if (storeId) query = query.eq('store_id', storeId);
+        if (productId) query = query.eq('product_id', productId);
+        const { data, error } = await query.order('id').range(start, start + PAGE_SIZE - 1);
+        if (error) throw error;
+        rows.push(...(data || []));
+        if (!data || data.length < PAGE_SIZE) return rows;
+      }
+    },
+
+    async saveStockLevels(levels) {
+      for (let i = 0; i < levels.length; i += BATCH_SIZE) {
+        const { error } = await client
+          .from('stock_levels')
+          .upsert(levels.slice(i, i + BATCH_SIZE), { onConflict: 'id' });
+        if (error) throw error;
+      }
+      return levels;
+    },
+
+    saveStockLevel: (level, { expectedVersion } = {}) => save('stock_levels', level, expectedVersion),
+
+    async getStockMovements({ storeId = null, productId = null, reference = null, from = null, to = null } = {}) {
+      const rows = [];
+      for (let start = 0; ; start += PAGE_SIZE) {
+        let query = client.from('stock_movements').select('*');
+        if (storeId) query = query.eq('store_id', storeId);
+        if (productId) query = query.eq('product_id', productId);
+        if (reference) query = query.eq('reference', reference);
+        if (from) query = query.gte('created_at', new Date(from).toISOString());
+        if (to) query = query.lte('created_at', new Date(to).toISOString());
+        const { data, error } = await query.order('id').range(start, start + PAGE_SIZE - 1);
+        if (error) throw error;
+        rows.push(...(data || []));
+        if (!data || data.length < PAGE_SIZE) return rows;
+      }
+    },
+
+    async saveStockMovements(movements) {
+      for (let i = 0; i < movements.length; i += BATCH_SIZE) {
+        const { error } = await client
+          .from('stock_movements')
+          .upsert(movements.slice(i, i + BATCH_SIZE), { onConflict: 'id' });
+        if (error) throw error;
+      }
+      return movements;
+    },
+
+    // TRANSFERÊNCIAS ENTRE LOJAS
+    async getTransfers({ storeId = null, status = null } = {}) {
+      // O filtro or() é montado como texto: só aceita um id numérico
+      const storeFilter = storeId ? Number(storeId) : null;
+      if (storeId && !Number.isInteger(storeFilter)) throw new Error(`storeId inválido: ${storeId}`);
+      const rows = [];
+      for (let start = 0; ; start += PAGE_SIZE) {
+        let query = client.from('transfers').select('*');
+        if (storeFilter) query = query.or(`from_store_id.eq.${storeFilter},to_store_id.eq.${storeFilter}`);
+        if (status) query = query.eq('status', status);
+        const { data, error } = await query.order('id').range(start, start + PAGE_SIZE - 1);
+        if (error) throw error;
+        rows.push(...(data || []));
+        if (!data || data.length < PAGE_SIZE) return rows;
+      }
+    },
+
+    getTransferById: (id) => findOne('transfers', 'id', id),
+    saveTransfer: (transfer, { expectedVersion } = {}) => save('transfers', transfer, expectedVersion),
+
+    // FORNECEDORES E PEDIDOS DE COMPRA
+    getSuppliers: () => selectAll('suppliers'),
+    saveSupplier: (supplier) => upsert('suppliers', supplier),
+    deleteSupplier: (id) => remove('suppliers', id),
+
+    async getPurchaseOrders({ storeId = null, supplierId = null, status = null } = {}) {
+      const rows = [];
+      for (let start = 0; ; start += PAGE_SIZE) {
+        let query = client.from('purchase_orders').select('*');
+        if (storeId) query = query.eq('store_id', storeId);
+        if (supplierId) query = query.eq('supplier_id', supplierId);
+        if (status) query = query.eq('status', status);
+        const { data, error } = await query.order('id').range(start, start + PAGE_SIZE - 1);
+        if (error) throw error;
+        rows.push(...(data || []));
+        if (!data || data.length < PAGE_SIZE) return rows;
+      }
+    },
+
+    getPurchaseOrderById: (id) => findOne('purchase_orders', 'id', id),
+    savePurchaseOrder: (order, { expectedVersion } = {}) => save('purchase_orders', order, expectedVersion),
+
+    // INVENTÁRIOS (CONTAGENS DE ESTOQUE)
+    async getStockCounts({ storeId = null, status = null } = {}) {
+      const rows = [];
+      for (let start = 0; ; start += PAGE_SIZE) {
+        let query = client.from('stock_counts').select('*');
+        if (storeId) query = query.eq('store_id', storeId);
+        if (status) query = query.eq('status', status);
+        const { data, error } = await query.order('id').range(start, start + PAGE_SIZE - 1);
+        if (error) throw error;
+        rows.push(...(data || []));
+        if (!data || data.length < PAGE_SIZE) return rows;
+      }
+    },
+
+    getStockCountById: (id) => findOne('stock_counts', 'id', id),
+    saveStockCount: (count, { expectedVersion } = {}) => save('stock_counts', count, expectedVersion),
+
+    // LOJAS
+    getStores: () => selectAll('stores'),
+    getStoreByKeyHash: (keyHash) => findOne('stores', 'api_key_hash', keyHash),
+
+    saveStore(store) {
+      const record = { ...store };
+      STORE_LOCAL_FIELDS.forEach(field => delete record[field]);
+      return upsert('stores', record);
+    },
+
+    // USUÁRIOS
+    async getUsers() {
+      const { data, error } = await client.from('users').select('*').order('full_name');
+      if (error) throw error;
+      return data || [];
+    },
+
+    getUserById: (id) => findOne('users', 'id', id),
+    getUserByUsername: (username) => findOne('users', 'username', username),
+    saveUser: (user) => upsert('users', pick(user, USER_COLUMNS)),
+    deleteUser: (id) => remove('users', id),
+
+    // SESSÕES REVOGADAS
+    getRevokedSession: (sid) => findOne('revoked_sessions', 'sid', sid),
+    saveRevokedSession: (session) => upsert('revoked_sessions', session, 'sid'),
+
+    async deleteExpiredRevokedSessions(before) {
+      const { error } = await client.from('revoked_sessions').delete().lt('expires_at', before);
+      if (error) throw error;
+    },
+
+    // IDEMPOTENCY-KEYS
+    getIdempotencyKey: (id) => findOne('idempotency_keys', 'id', id),
+    saveIdempotencyKey: (record, { expectedVersion } = {}) => save('idempotency_keys', record, expectedVersion),
+    deleteIdempotencyKey: (id) => remove('idempotency_keys', id),
+
+    async deleteExpiredIdempotencyKeys(before) {
+      const { error } = await client.from('idempotency_keys').delete().lt('expires_at', before);
+      if (error) throw error;
+    },
+
+    // SEQUÊNCIAS
+    // Sem transação pela API, o incremento é um update condicionado ao valor lido;
+    // se outra instância incrementou antes, lê de novo
+    async nextSequence(name, floor = 0) {
+      for (;;) {
+        const current = await findOne('sequences', 'name', name);
+        if (!current) {
+          const { error } = await client.from('sequences').insert({ name, value: floor + 1 });
+          if (error?.code === '23505') continue;
+          if (error) throw error;
+          return floor + 1;
+        }
+        const value = Math.max(Number(current.value), floor) + 1;
+        const { data, error } = await client
+          .from('sequences')
+          .update({ value })
+          .eq('name', name)
+          .eq('value', current.value)
+          .select();
+        if (error) throw error;
+        if (data?.length) return value;
+      }
+    }
+  };
+}
+
+module.exports = { createSupabaseStorage };
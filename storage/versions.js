@@ -0,0 +1,14 @@
+// Gravação condicional pela versão do registro: quem muda a situação de um
+// registro informa a versão que leu (expectedVersion) e a gravação falha com
+// VERSION_CONFLICT se outra requisição, nesta ou em outra instância, gravou antes.
+// expectedVersion null = registro gravado antes de existir o campo version;
+// expectedVersion 0 = o registro ainda não pode existir (inserção).
+const VERSION_CONFLICT = 'VERSION_CONFLICT';
+
+function versionConflict(table, id) {
+  const error = new Error(`${table} ${id} foi alterado por outra operação`);
+  error.code = VERSION_CONFLICT;
+  return error;
+}
+
+module.exports = { VERSION_CONFLICT, versionConflict };
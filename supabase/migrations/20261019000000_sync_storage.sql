@@ -0,0 +1,250 @@
+-- =====================================
+-- COLUNAS E TABELAS DA SINCRONIZAÇÃO, ESTOQUE E COMPRAS
+-- =====================================
+-- Rode uma vez no SQL Editor do Supabase (ou com `supabase db push`) antes de
+-- publicar esta versão do servidor. Todos os comandos podem ser repetidos.
+
+-- PRODUTOS
+-- Os terminais nem sempre enviam id, então a chave do produto é id, barcode ou
+-- sku (storage/keys.js). product_key guarda essa chave e substitui id como
+-- chave do upsert, para produtos só com código de barras não quebrarem.
+alter table products add column if not exists product_key text;
+alter table products add column if not exists store_id integer;
+alter table products add column if not exists updated_at timestamptz;
+alter table products add column if not exists sync_seq bigint;
+alter table products add column if not exists deleted_at timestamptz;
+alter table products add column if not exists cost numeric;
+alter table products add column if not exists last_cost numeric;
+alter table products add column if not exists last_cost_at timestamptz;
+alter table products add column if not exists min_stock numeric;
+alter table products add column if not exists reorder_point numeric;
+alter table products add column if not exists supplier_id text;
+alter table products add column if not exists department text;
+
+update products set product_key = coalesce(id::text, barcode, sku) where product_key is null;
+alter table products drop constraint if exists products_pkey;
+alter table products alter column id drop not null;
+alter table products alter column product_key set not null;
+create unique index if not exists products_product_key_key on products (product_key);
+create index if not exists products_sync_seq_idx on products (sync_seq);
+
+-- CATEGORIAS E PROMOÇÕES (exclusão lógica e pull incremental)
+alter table categories add column if not exists updated_at timestamptz;
+alter table categories add column if not exists sync_seq bigint;
+alter table categories add column if not exists deleted_at timestamptz;
+alter table promotions add column if not exists updated_at timestamptz;
+alter table promotions add column if not exists sync_seq bigint;
+alter table promotions add column if not exists deleted_at timestamptz;
+
+-- VENDAS
+alter table sales add column if not exists payment_method text;
+alter table sales add column if not exists payments jsonb;
+alter table sales add column if not exists refunded_amount numeric;
+alter table sales add column if not exists status_history jsonb;
+alter table sales add column if not exists stock_effect jsonb;
+alter table sales add column if not exists version integer;
+alter table sales add column if not exists updated_at timestamptz;
+alter table sales add column if not exists sync_seq bigint;
+create index if not exists sales_store_id_idx on sales (store_id);
+create index if not exists sales_sync_seq_idx on sales (sync_seq);
+create index if not exists sales_created_at_idx on sales (created_at);
+
+-- LOJAS (chave de API e fuso horário)
+alter table stores add column if not exists timezone text;
+alter table stores add column if not exists is_active boolean default true;
+alter table stores add column if not exists api_key_hash text;
+alter table stores add column if not exists api_key_prefix text;
+alter table stores add column if not exists api_key_created_at timestamptz;
+alter table stores add column if not exists created_at timestamptz;
+alter table stores add column if not exists updated_at timestamptz;
+create index if not exists stores_api_key_hash_idx on stores (api_key_hash);
+
+-- USUÁRIOS (login com senha e permissões por papel)
+alter table users add column if not exists email text;
+alter table users add column if not exists phone text;
+alter table users add column if not exists is_active boolean default true;
+alter table users add column if not exists password_hash text;
+alter table users add column if not exists permissions jsonb;
+alter table users add column if not exists created_at timestamptz;
+alter table users add column if not exists updated_at timestamptz;
+
+-- ITENS DE VENDA (um registro por linha, para os relatórios por produto)
+create table if not exists sale_items (
+  id text primary key,
+  sale_number text not null,
+  line integer,
+  store_id integer,
+  sale_status text,
+  sold_at timestamptz,
+  user_id text,
+  product_id text,
+  barcode text,
+  sku text,
+  name text,
+  category_id text,
+  quantity numeric,
+  unit_price numeric,
+  discount numeric,
+  line_total numeric,
+  promotion_id text,
+  promotion_name text,
+  cost numeric
+);
+create index if not exists sale_items_sale_number_idx on sale_items (sale_number);
+create index if not exists sale_items_store_sold_at_idx on sale_items (store_id, sold_at);
+create index if not exists sale_items_product_id_idx on sale_items (product_id);
+create index if not exists sale_items_barcode_idx on sale_items (barcode);
+
+-- FECHAMENTOS DE CAIXA
+create table if not exists closings (
+  id text primary key,
+  store_id integer,
+  terminal_id text,
+  user_id text,
+  operator_name text,
+  opened_at timestamptz,
+  closed_at timestamptz,
+  opening_float numeric,
+  cash_counts jsonb,
+  counted_cash numeric,
+  card_totals jsonb,
+  withdrawals jsonb,
+  withdrawals_total numeric,
+  notes text,
+  expected jsonb,
+  differences jsonb,
+  total_difference numeric,
+  has_difference boolean,
+  status text,
+  reconciled_at timestamptz,
+  created_at timestamptz,
+  updated_at timestamptz
+);
+create index if not exists closings_store_closed_at_idx on closings (store_id, closed_at);
+
+-- ESTOQUE POR LOJA
+create table if not exists stock_levels (
+  id text primary key,
+  store_id integer,
+  product_id text,
+  quantity numeric not null default 0,
+  min_stock numeric,
+  reorder_point numeric,
+  alert text,
+  alert_since timestamptz,
+  updated_at timestamptz
+);
+create index if not exists stock_levels_store_id_idx on stock_levels (store_id);
+create index if not exists stock_levels_product_id_idx on stock_levels (product_id);
+
+create table if not exists stock_movements (
+  id text primary key,
+  store_id integer,
+  product_id text,
+  quantity numeric,
+  balance numeric,
+  reason text,
+  reference text,
+  user_id text,
+  note text,
+  created_at timestamptz
+);
+create index if not exists stock_movements_store_created_at_idx on stock_movements (store_id, created_at);
+create index if not exists stock_movements_reference_idx on stock_movements (reference);
+
+-- TRANSFERÊNCIAS ENTRE LOJAS
+create table if not exists transfers (
+  id text primary key,
+  from_store_id integer,
+  to_store_id integer,
+  status text,
+  lines jsonb,
+  discrepancies jsonb,
+  has_discrepancy boolean,
+  notes text,
+  ship_notes text,
+  receive_notes text,
+  cancel_reason text,
+  created_by text,
+  shipped_by text,
+  received_by text,
+  cancelled_by text,
+  status_history jsonb,
+  sync_seq bigint,
+  created_at timestamptz,
+  shipped_at timestamptz,
+  received_at timestamptz,
+  cancelled_at timestamptz,
+  updated_at timestamptz
+);
+create index if not exists transfers_from_store_id_idx on transfers (from_store_id);
+create index if not exists transfers_to_store_id_idx on transfers (to_store_id);
+create index if not exists transfers_sync_seq_idx on transfers (sync_seq);
+
+-- FORNECEDORES E PEDIDOS DE COMPRA
+create table if not exists suppliers (
+  id text primary key,
+  name text,
+  tax_id text,
+  email text,
+  phone text,
+  contacts jsonb,
+  lead_time_days integer,
+  notes text,
+  is_active boolean default true,
+  created_at timestamptz,
+  updated_at timestamptz
+);
+
+create table if not exists purchase_orders (
+  id text primary key,
+  number text,
+  supplier_id text,
+  supplier_name text,
+  store_id integer,
+  status text,
+  lines jsonb,
+  total numeric,
+  received_total numeric,
+  notes text,
+  source text,
+  receipts jsonb,
+  status_history jsonb,
+  cancel_reason text,
+  created_by text,
+  created_at timestamptz,
+  sent_at timestamptz,
+  expected_at timestamptz,
+  received_at timestamptz,
+  cancelled_at timestamptz,
+  updated_at timestamptz
+);
+create index if not exists purchase_orders_store_id_idx on purchase_orders (store_id);
+create index if not exists purchase_orders_supplier_id_idx on purchase_orders (supplier_id);
+
+-- INVENTÁRIOS (CONTAGENS DE ESTOQUE)
+create table if not exists stock_counts (
+  id text primary key,
+  number text,
+  store_id integer,
+  status text,
+  scope jsonb,
+  zero_uncounted boolean,
+  notes text,
+  counts jsonb,
+  submissions jsonb,
+  lines jsonb,
+  summary jsonb,
+  approval_notes text,
+  cancel_reason text,
+  status_history jsonb,
+  opened_by text,
+  closed_by text,
+  approved_by text,
+  opened_at timestamptz,
+  closed_at timestamptz,
+  approved_at timestamptz,
+  cancelled_at timestamptz,
+  updated_at timestamptz
+);
+create index if not exists stock_counts_store_id_idx on stock_counts (store_id);
@@ -0,0 +1,3 @@
+-- Vendas já gravadas cujos itens e baixa de estoque ainda não foram concluídos.
+-- O servidor completa no reenvio da venda ou no backfill (applySaleLedger em server.js).
+alter table sales add column if not exists ledger_pending jsonb;
@@ -0,0 +1,9 @@
+-- =====================================
+-- VERSÃO DOS REGISTROS COM MUDANÇA DE SITUAÇÃO
+-- =====================================
+-- As etapas de transferências, pedidos de compra e inventários gravam só se
+-- version ainda for a lida (update condicional), então duas instâncias não
+-- aplicam a mesma etapa.
+alter table transfers add column if not exists version integer;
+alter table purchase_orders add column if not exists version integer;
+alter table stock_counts add column if not exists version integer;
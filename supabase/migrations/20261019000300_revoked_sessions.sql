@@ -0,0 +1,10 @@
+-- =====================================
+-- SESSÕES DO PAINEL REVOGADAS POR LOGOUT
+-- =====================================
+-- Todas as instâncias consultam esta tabela, então o logout vale em qualquer uma.
+-- Cada linha pode ser apagada depois de expires_at (o token já expirou).
+create table if not exists revoked_sessions (
+  sid text primary key,
+  expires_at timestamptz not null
+);
+create index if not exists revoked_sessions_expires_at_idx on revoked_sessions (expires_at);
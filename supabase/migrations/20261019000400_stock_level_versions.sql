@@ -0,0 +1,7 @@
+-- =====================================
+-- VERSÃO DOS SALDOS DE ESTOQUE
+-- =====================================
+-- O servidor lê o saldo atual, soma a variação e grava só se version ainda for
+-- a lida (ou insere se o saldo não existia), então duas instâncias não
+-- sobrescrevem a baixa uma da outra.
+alter table stock_levels add column if not exists version integer;
@@ -0,0 +1,7 @@
+-- =====================================
+-- ÚLTIMO MOVIMENTO APLICADO AO SALDO
+-- =====================================
+-- movement_id é o id do último movimento somado ao saldo. Quando o saldo foi
+-- gravado e o movimento não, a nova tentativa da mesma operação vê o id e só
+-- registra o movimento, sem somar de novo.
+alter table stock_levels add column if not exists movement_id text;
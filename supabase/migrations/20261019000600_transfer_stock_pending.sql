@@ -0,0 +1,7 @@
+-- =====================================
+-- ESTOQUE PENDENTE DAS TRANSFERÊNCIAS
+-- =====================================
+-- Cada etapa grava a transferência com o efeito de estoque a aplicar e limpa a
+-- marca depois de aplicá-lo; se a etapa parar no meio, a próxima (ou o backfill
+-- ao iniciar o servidor) conclui o que faltou.
+alter table transfers add column if not exists stock_pending jsonb;
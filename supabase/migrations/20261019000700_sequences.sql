@@ -0,0 +1,9 @@
+-- =====================================
+-- SEQUÊNCIAS (NUMERAÇÃO DE PEDIDOS E CONTAGENS)
+-- =====================================
+-- Último número entregue por nome de sequência. O servidor incrementa com um
+-- update condicionado ao valor lido, então duas instâncias nunca repetem um número.
+create table if not exists sequences (
+  name text primary key,
+  value bigint not null
+);
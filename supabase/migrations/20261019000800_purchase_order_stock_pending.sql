@@ -0,0 +1,7 @@
+-- =====================================
+-- ESTOQUE PENDENTE DOS RECEBIMENTOS DE PEDIDO
+-- =====================================
+-- O recebimento grava o pedido com a entrada de estoque e os custos a aplicar e
+-- limpa a marca depois; se parar no meio, a próxima etapa do pedido (ou o
+-- backfill ao iniciar o servidor) conclui o que faltou.
+alter table purchase_orders add column if not exists stock_pending jsonb;
@@ -0,0 +1,7 @@
+-- =====================================
+-- ESTOQUE PENDENTE DAS APROVAÇÕES DE CONTAGEM
+-- =====================================
+-- A aprovação grava a contagem com as diferenças a aplicar e limpa a marca
+-- depois; se parar no meio, a próxima etapa da contagem (ou o backfill ao
+-- iniciar o servidor) conclui o que faltou.
+alter table stock_counts add column if not exists stock_pending jsonb;
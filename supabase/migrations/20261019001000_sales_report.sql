@@ -0,0 +1,137 @@
+-- =====================================
+-- RELATÓRIO DE VENDAS NO BANCO
+-- =====================================
+-- /api/owner/all-sales e /api/owner/stores pedem ao banco só a página e os
+-- totais, em vez de trazer o período (ou o histórico) inteiro para o servidor.
+-- As regras são as de storage/sales.js: valor líquido sem canceladas e com
+-- devoluções abatidas, e a divisão por forma de pagamento proporcional ao pago.
+-- Os campos livres são lidos de to_jsonb(s), como o terminal os enviou.
+
+create index if not exists sales_store_created_at_idx on sales (store_id, created_at);
+
+-- filters = { storeId, ranges: [{ storeIds | exceptStoreIds, from, before }], status,
+--             operator: { ids, names }, paymentMethod, minTotal, maxTotal }
+create or replace function sales_report(filters jsonb, page_offset integer, page_limit integer)
+returns jsonb
+language sql
+stable
+as $$
+  with period as (
+    select s.sale_number, s.created_at, to_jsonb(s) as doc
+    from sales s
+    where (filters->>'storeId' is null or s.store_id::text = filters->>'storeId')
+      and (jsonb_typeof(filters->'ranges') is distinct from 'array' or exists (
+        select 1 from jsonb_array_elements(filters->'ranges') r
+        where (jsonb_typeof(r->'storeIds') is distinct from 'array'
+               or s.store_id::text in (select jsonb_array_elements_text(r->'storeIds')))
+          and (jsonb_typeof(r->'exceptStoreIds') is distinct from 'array'
+               or s.store_id::text not in (select jsonb_array_elements_text(r->'exceptStoreIds')))
+          and (r->>'from' is null or s.created_at >= (r->>'from')::timestamptz)
+          and (r->>'before' is null or s.created_at < (r->>'before')::timestamptz)
+      ))
+  ),
+  valued as (
+    select p.*,
+      coalesce((p.doc->>'total')::numeric, 0) as total,
+      case
+        when p.doc->>'status' = 'voided' then 0
+        when p.doc->>'status' = 'refunded' then greatest(0, coalesce((p.doc->>'total')::numeric, 0)
+          - coalesce((p.doc->>'refunded_amount')::numeric, (p.doc->>'total')::numeric, 0))
+        else coalesce((p.doc->>'total')::numeric, 0)
+      end as net,
+      case when jsonb_typeof(p.doc->'payments') = 'array' and jsonb_array_length(p.doc->'payments') > 0
+        then p.doc->'payments' end as payments
+    from period p
+  ),
+  reportable as (
+    select v.*,
+      v.doc->>'status' is distinct from 'voided' and (v.doc->>'status' is distinct from 'refunded' or v.net > 0) as counts
+    from valued v
+  ),
+  filtered as (
+    select r.* from reportable r
+    where (filters->>'status' is null or coalesce(r.doc->>'status', 'completed') = filters->>'status')
+      and (filters->'operator' is null or jsonb_typeof(filters->'operator') = 'null'
+        or r.doc->>'user_id' in (select jsonb_array_elements_text(filters->'operator'->'ids'))
+        or r.doc->>'user_name' in (select jsonb_array_elements_text(filters->'operator'->'names'))
+        or r.doc->>'cashier_name' in (select jsonb_array_elements_text(filters->'operator'->'names')))
+      and (filters->>'paymentMethod' is null
+        or r.doc->>'payment_method' = filters->>'paymentMethod'
+        or (r.payments is null and r.doc->>'payment_type' = filters->>'paymentMethod')
+        or exists (
+          select 1 from jsonb_array_elements(coalesce(r.payments, '[]'::jsonb)) e
+          where coalesce(nullif(e->>'method', ''), nullif(e->>'payment_method', ''), nullif(e->>'type', ''), 'unknown')
+            = filters->>'paymentMethod'
+        ))
+      and (filters->>'minTotal' is null or r.total >= (filters->>'minTotal')::numeric)
+      and (filters->>'maxTotal' is null or r.total <= (filters->>'maxTotal')::numeric)
+  ),
+  -- Formas de pagamento de cada venda com valor líquido
+  payments as (
+    select f.sale_number, f.net, pay.method, pay.amount
+    from filtered f
+    cross join lateral (
+      select coalesce(nullif(e->>'method', ''), nullif(e->>'payment_method', ''), nullif(e->>'type', ''), 'unknown') as method,
+             coalesce((e->>'amount')::numeric, (e->>'value')::numeric, 0) as amount
+      from jsonb_array_elements(coalesce(f.payments, '[]'::jsonb)) e
+      union all
+      select coalesce(nullif(f.doc->>'payment_method', ''), nullif(f.doc->>'payment_type', '')), f.total
+      where f.payments is null and coalesce(nullif(f.doc->>'payment_method', ''), nullif(f.doc->>'payment_type', '')) is not null
+    ) pay
+    where f.net > 0
+  ),
+  paid as (
+    select sale_number, sum(amount) as paid from payments group by sale_number
+  ),
+  shares as (
+    select p.method, p.amount * (p.net / pd.paid) as value
+    from payments p join paid pd using (sale_number)
+    where pd.paid > 0
+    union all
+    select 'unknown', f.net
+    from filtered f left join paid pd using (sale_number)
+    where f.net > 0 and coalesce(pd.paid, 0) <= 0
+  )
+  select jsonb_build_object(
+    'sales', coalesce((
+      select jsonb_agg(page.doc order by page.created_at desc, page.sale_number desc)
+      from (
+        select doc, created_at, sale_number from filtered
+        order by created_at desc, sale_number desc
+        offset page_offset limit page_limit
+      ) page
+    ), '[]'::jsonb),
+    'count', (select count(*) from filtered),
+    'summary', jsonb_build_object(
+      'total', (select coalesce(sum(net), 0) from filtered),
+      'grossTotal', (select coalesce(sum(total), 0) from filtered),
+      'voidedCount', (select count(*) from filtered where doc->>'status' = 'voided'),
+      'transactions', (select count(*) from filtered where counts),
+      'paymentMethods', coalesce((
+        select jsonb_object_agg(method, value)
+        from (select method, sum(value) as value from shares group by method) m
+      ), '{}'::jsonb)
+    ),
+    'operators', coalesce((
+      select jsonb_agg(o)
+      from (
+        select doc->'user_id' as user_id, doc->>'user_name' as user_name, doc->>'cashier_name' as cashier_name,
+               count(*) filter (where counts) as count, coalesce(sum(net), 0) as total
+        from reportable
+        group by doc->'user_id', doc->>'user_name', doc->>'cashier_name'
+      ) o
+    ), '[]'::jsonb)
+  )
+$$;
+
+-- Número de vendas e a mais recente de cada loja (store_filter null = todas)
+create or replace function sales_overview(store_filter text default null)
+returns table (store_id text, count bigint, last_sale_at timestamptz)
+language sql
+stable
+as $$
+  select s.store_id::text, count(*), max(s.created_at)
+  from sales s
+  where store_filter is null or s.store_id::text = store_filter
+  group by s.store_id
+$$;
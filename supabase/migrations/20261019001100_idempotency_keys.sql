@@ -0,0 +1,16 @@
+-- =====================================
+-- IDEMPOTENCY-KEY DO PUSH DE VENDAS
+-- =====================================
+-- Resposta de cada push com Idempotency-Key, por loja ("<loja>:<chave>"), para
+-- qualquer instância devolver a mesma resposta a um reenvio. response fica
+-- vazia enquanto o push está em andamento. Cada linha pode ser apagada depois
+-- de expires_at.
+create table if not exists idempotency_keys (
+  id text primary key,
+  store_id text,
+  body_hash text not null,
+  response jsonb,
+  version integer,
+  expires_at timestamptz not null
+);
+create index if not exists idempotency_keys_expires_at_idx on idempotency_keys (expires_at);
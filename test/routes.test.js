@@ -0,0 +1,486 @@
+// =====================================
+// ROTAS DO SERVIDOR (SINCRONIZAÇÃO E PAINEL)
+// =====================================
+// Sobe o app exportado por server.js numa porta livre, com armazenamento em
+// memória, e chama as rotas como os terminais e o painel chamam.
+
+process.env.STORAGE_DRIVER = 'memory';
+process.env.SESSION_SECRET = 'route-tests-secret';
+process.env.OWNER_PASSWORD = 'route-tests-owner';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { spawnSync } = require('node:child_process');
+const path = require('node:path');
+
+// Os logs de cada requisição (console.log/warn) só poluem a saída do runner;
+// erros continuam aparecendo
+console.log = () => {};
+console.warn = () => {};
+
+// Guarda a instância de armazenamento do servidor, para os testes atrasarem
+// leituras ou simularem falhas de gravação
+const storageModule = require('../storage');
+const createStorage = storageModule.createStorage;
+let storage;
+storageModule.createStorage = (...args) => (storage = createStorage(...args));
+
+const app = require('../server');
+
+let server;
+let base;
+
+before(() => {
+  server = app.listen(0);
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => server.close());
+
+async function api(method, path, { body, token, storeKey, headers = {} } = {}) {
+  const response = await fetch(base + path, {
+    method,
+    headers: {
+      'Content-Type': 'application/json',
+      ...(token ? { Authorization: `Bearer ${token}` } : {}),
+      ...(storeKey ? { 'X-Store-Key': storeKey } : {}),
+      ...headers
+    },
+    body: body ? JSON.stringify(body) : undefined
+  });
+  const text = await response.text();
+  let json = null;
+  try {
+    json = JSON.parse(text);
+  } catch (e) {
+    json = text;
+  }
+  return { status: response.status, body: json };
+}
+
+async function ownerToken() {
+  const { body } = await api('POST', '/api/owner/login', { body: { password: process.env.OWNER_PASSWORD } });
+  return body.token;
+}
+
+// Cadastra a loja pelo painel e devolve a chave de API dela
+async function createStore(owner, id, name = `Loja ${id}`) {
+  const { body } = await api('POST', `/api/owner/stores/${id}/key`, { token: owner, body: { name } });
+  return body.key;
+}
+
+describe('store registration', () => {
+  it('keeps the API key and timezone when a terminal re-registers with a string id', async () => {
+    const owner = await ownerToken();
+    const key = await createStore(owner, 2);
+    await api('PUT', '/api/owner/stores/2/timezone', { token: owner, body: { timezone: 'America/Manaus' } });
+
+    const registered = await api('POST', '/api/sync/stores', {
+      storeKey: key,
+      body: { id: '2', name: 'Loja Centro', timezone: 'Europe/Lisbon' }
+    });
+    assert.equal(registered.status, 200);
+    assert.equal(registered.body.store.name, 'Loja Centro');
+    assert.equal(registered.body.store.timezone, 'America/Manaus');
+    assert.equal(registered.body.store.has_api_key, true);
+
+    const push = await api('POST', '/api/sync/push', { storeKey: key, body: { storeId: 2, sales: [] } });
+    assert.equal(push.status, 200);
+  });
+});
+
+describe('panel user scope', () => {
+  async function loginAs(owner, user) {
+    await api('POST', '/api/admin/users', { token: owner, body: { password: 'senha123', ...user } });
+    return api('POST', '/api/owner/login', { body: { username: user.username, password: 'senha123' } });
+  }
+
+  it('does not save a manager without a store', async () => {
+    const owner = await ownerToken();
+    const saved = await api('POST', '/api/admin/users', { token: owner, body: { username: 'gerente-sem-loja', role: 'manager', password: 'senha123' } });
+    assert.equal(saved.status, 400);
+    const login = await api('POST', '/api/owner/login', { body: { username: 'gerente-sem-loja', password: 'senha123' } });
+    assert.equal(login.status, 401);
+  });
+
+  it('restricts a manager to their own store', async () => {
+    const owner = await ownerToken();
+    for (const storeId of [11, 12]) {
+      const key = await createStore(owner, storeId);
+      const sale = { sale_number: `V-${storeId}-1`, total: 10, payment_method: 'cash', created_at: new Date().toISOString(), items: [] };
+      await api('POST', '/api/sync/push', { storeKey: key, body: { storeId, sales: [sale] } });
+    }
+    const login = await loginAs(owner, { username: 'gerente-11', role: 'manager', store_id: 11 });
+    assert.equal(login.status, 200);
+
+    const report = await api('GET', '/api/owner/report', { token: login.body.token });
+    assert.equal(report.status, 200);
+    assert.deepEqual(report.body.stores.map(s => String(s.storeId ?? s.id)), ['11']);
+  });
+
+  it('changes only the fields sent when a user is edited', async () => {
+    const owner = await ownerToken();
+    await loginAs(owner, { id: 7001, username: 'gerente-editado', role: 'manager', store_id: 11, email: 'g@loja.com' });
+    await api('POST', '/api/admin/users', { token: owner, body: { id: 7001, is_active: false } });
+
+    const reset = await api('POST', '/api/admin/users', { token: owner, body: { id: 7001, password: 'outra-senha' } });
+    assert.equal(reset.status, 200);
+    assert.equal(reset.body.user.store_id, 11);
+    assert.equal(reset.body.user.email, 'g@loja.com');
+    assert.equal(reset.body.user.role, 'manager');
+    assert.equal(reset.body.user.is_active, false);
+    assert.equal((await api('POST', '/api/owner/login', { body: { username: 'gerente-editado', password: 'outra-senha' } })).status, 401);
+  });
+});
+
+describe('owner login', () => {
+  it('has no default owner password', async () => {
+    assert.equal((await api('POST', '/api/owner/login', { body: { password: 'gol2024' } })).status, 401);
+  });
+
+  it('refuses to start on Vercel without OWNER_PASSWORD', () => {
+    const { OWNER_PASSWORD, ...env } = process.env;
+    const result = spawnSync(process.execPath, ['-e', `require(${JSON.stringify(path.join(__dirname, '..', 'server'))})`], {
+      env: { ...env, VERCEL: '1' },
+      encoding: 'utf8',
+      timeout: 30000
+    });
+    assert.notEqual(result.status, 0);
+    assert.match(result.stderr, /OWNER_PASSWORD não configurada/);
+  });
+});
+
+describe('panel sessions', () => {
+  it('rejects tokens with a bad signature or past their expiry', async () => {
+    const token = await ownerToken();
+    assert.equal((await api('GET', '/api/owner/report', { token })).status, 200);
+
+    const [body] = token.split('.');
+    const payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+    const forged = Buffer.from(JSON.stringify({ ...payload, role: 'admin' })).toString('base64url');
+    assert.equal((await api('GET', '/api/owner/report', { token: `${forged}.${token.split('.')[1]}` })).status, 401);
+
+    const crypto = require('node:crypto');
+    const expiredBody = Buffer.from(JSON.stringify({ ...payload, exp: Date.now() - 1000 })).toString('base64url');
+    const signature = crypto.createHmac('sha256', process.env.SESSION_SECRET).update(expiredBody).digest('base64url');
+    assert.equal((await api('GET', '/api/owner/report', { token: `${expiredBody}.${signature}` })).status, 401);
+  });
+
+  it('revokes the token on logout', async () => {
+    const token = await ownerToken();
+    const other = await ownerToken();
+    assert.equal((await api('POST', '/api/owner/logout', { token })).status, 200);
+    assert.equal((await api('GET', '/api/owner/report', { token })).status, 401);
+    assert.equal((await api('GET', '/api/owner/report', { token: other })).status, 200);
+  });
+});
+
+describe('catalog tombstones', () => {
+  it('deletes and restores a product that only has a barcode', async () => {
+    const owner = await ownerToken();
+    const key = await createStore(owner, 21);
+    await api('POST', '/api/sync/products/push', { storeKey: key, body: { storeId: 21, products: [{ barcode: '7891000', name: 'Granel' }] } });
+
+    assert.equal((await api('DELETE', '/api/admin/products/7891000', { token: owner })).status, 200);
+    const trash = await api('GET', '/api/admin/trash', { token: owner });
+    assert.ok(trash.body.products.some(p => p.barcode === '7891000'));
+
+    const restored = await api('POST', '/api/admin/trash/products/7891000/restore', { token: owner });
+    assert.equal(restored.status, 200);
+    assert.equal(restored.body.record.deleted_at, null);
+  });
+});
+
+describe('product push', () => {
+  it('keeps deleted products deleted and server-owned fields when a terminal re-pushes', async () => {
+    const owner = await ownerToken();
+    const key = await createStore(owner, 22);
+    const push = (product) => api('POST', '/api/sync/products/push', { storeKey: key, body: { storeId: 22, products: [product] } });
+    const { body: { supplier } } = await api('POST', '/api/admin/suppliers', { token: owner, body: { name: 'Distribuidora' } });
+    await push({ id: 9901, name: 'Feijão', price: 8 });
+    await api('POST', '/api/admin/products', { token: owner, body: { id: 9901, name: 'Feijão', price: 8, supplier_id: supplier.id } });
+    await push({ id: 9902, name: 'Óleo', price: 9 });
+    await api('DELETE', '/api/admin/products/9902', { token: owner });
+
+    await push({ id: 9901, name: 'Feijão 1kg', price: 8.5 });
+    await push({ id: 9902, name: 'Óleo', price: 9, updated_at: '2020-01-01T00:00:00.000Z' });
+
+    const trash = await api('GET', '/api/admin/trash', { token: owner });
+    assert.ok(trash.body.products.some(p => p.id === 9902));
+    const catalog = await api('GET', '/api/sync/products/pull?storeId=22', { storeKey: key });
+    const beans = catalog.body.products.find(p => p.id === 9901);
+    assert.equal(beans.name, 'Feijão 1kg');
+    assert.equal(beans.supplier_id, supplier.id);
+    assert.ok(!catalog.body.products.some(p => p.id === 9902));
+
+    await push({ id: 9902, name: 'Óleo', price: 9, updated_at: new Date(Date.now() + 1000).toISOString() });
+    assert.ok(!(await api('GET', '/api/admin/trash', { token: owner })).body.products.some(p => p.id === 9902));
+  });
+});
+
+describe('transfers', () => {
+  async function setup(owner, from, to) {
+    await createStore(owner, from);
+    await createStore(owner, to);
+    const productId = 9900 + from;
+    await api('POST', '/api/admin/products', { token: owner, body: { id: productId, name: 'Arroz', price: 5, stock_by_store: { [from]: 10 } } });
+    const { body } = await api('POST', '/api/admin/transfers', {
+      token: owner,
+      body: { from_store_id: from, to_store_id: to, lines: [{ product_id: productId, quantity: 4 }] }
+    });
+    return { productId, transfer: body.transfer };
+  }
+
+  async function stockOf(owner, storeId, productId) {
+    const { body } = await api('GET', `/api/owner/stock?storeId=${storeId}`, { token: owner });
+    return body.products.find(p => p.product_id === String(productId))?.byStore[storeId] ?? 0;
+  }
+
+  it('applies only one of two simultaneous steps', async () => {
+    const owner = await ownerToken();
+    const { productId, transfer } = await setup(owner, 31, 32);
+
+    // As duas etapas leem a mesma versão antes de qualquer uma gravar
+    const getTransferById = storage.getTransferById;
+    storage.getTransferById = async (id) => {
+      const found = await getTransferById(id);
+      await new Promise(resolve => setTimeout(resolve, 50));
+      return found && structuredClone(found);
+    };
+    let results;
+    try {
+      results = await Promise.all([
+        api('POST', `/api/admin/transfers/${transfer.id}/ship`, { token: owner }),
+        api('POST', `/api/admin/transfers/${transfer.id}/cancel`, { token: owner })
+      ]);
+    } finally {
+      storage.getTransferById = getTransferById;
+    }
+
+    assert.deepEqual(results.map(r => r.status).sort(), [200, 409]);
+    const { body } = await api('GET', `/api/admin/transfers/${transfer.id}`, { token: owner });
+    const shipped = results[0].status === 200;
+    assert.equal(body.transfer.status, shipped ? 'shipped' : 'cancelled');
+    assert.equal(await stockOf(owner, 31, productId), shipped ? 6 : 10);
+  });
+
+  it('finishes the stock of a step that stopped halfway before the next step', async () => {
+    const owner = await ownerToken();
+    const { productId, transfer } = await setup(owner, 33, 34);
+
+    const saveStockLevel = storage.saveStockLevel;
+    storage.saveStockLevel = async () => { throw new Error('falha simulada'); };
+    const consoleError = console.error;
+    console.error = () => {};
+    try {
+      assert.equal((await api('POST', `/api/admin/transfers/${transfer.id}/ship`, { token: owner })).status, 500);
+    } finally {
+      storage.saveStockLevel = saveStockLevel;
+      console.error = consoleError;
+    }
+    assert.ok((await api('GET', `/api/admin/transfers/${transfer.id}`, { token: owner })).body.transfer.stock_pending);
+    assert.equal(await stockOf(owner, 33, productId), 10);
+
+    const received = await api('POST', `/api/admin/transfers/${transfer.id}/receive`, { token: owner });
+    assert.equal(received.status, 200);
+    assert.equal(received.body.transfer.stock_pending, null);
+    assert.equal(await stockOf(owner, 33, productId), 6);
+    assert.equal(await stockOf(owner, 34, productId), 4);
+  });
+});
+
+describe('purchase orders', () => {
+  async function setup(owner, storeId) {
+    await createStore(owner, storeId);
+    const { body: { supplier } } = await api('POST', '/api/admin/suppliers', { token: owner, body: { name: `Fornecedor ${storeId}` } });
+    const productId = 9900 + storeId;
+    await api('POST', '/api/admin/products', { token: owner, body: { id: productId, name: 'Café', price: 12, cost: 7 } });
+    const create = () => api('POST', '/api/admin/purchase-orders', {
+      token: owner,
+      body: { store_id: storeId, supplier_id: supplier.id, lines: [{ product_id: productId, quantity: 5, unit_cost: 8 }] }
+    });
+    return { productId, create };
+  }
+
+  it('takes the next number from storage', async () => {
+    const owner = await ownerToken();
+    const { create } = await setup(owner, 41);
+    const first = (await create()).body.order.number;
+    // Outra instância numerou um pedido depois deste
+    const taken = await storage.nextSequence('purchase_orders');
+    const second = (await create()).body.order.number;
+    assert.equal(taken, Number(first.replace(/\D/g, '')) + 1);
+    assert.equal(second, `PC-${String(taken + 1).padStart(5, '0')}`);
+  });
+
+  it('finishes a receipt that stopped halfway before the next step', async () => {
+    const owner = await ownerToken();
+    const { productId, create } = await setup(owner, 42);
+    const { order } = (await create()).body;
+    await api('POST', `/api/admin/purchase-orders/${order.id}/send`, { token: owner });
+
+    const saveStockLevel = storage.saveStockLevel;
+    storage.saveStockLevel = async () => { throw new Error('falha simulada'); };
+    const consoleError = console.error;
+    console.error = () => {};
+    try {
+      const partial = { lines: [{ product_id: productId, quantity: 2 }] };
+      assert.equal((await api('POST', `/api/admin/purchase-orders/${order.id}/receive`, { token: owner, body: partial })).status, 500);
+    } finally {
+      storage.saveStockLevel = saveStockLevel;
+      console.error = consoleError;
+    }
+    assert.ok((await api('GET', `/api/admin/purchase-orders/${order.id}`, { token: owner })).body.order.stock_pending);
+
+    const received = await api('POST', `/api/admin/purchase-orders/${order.id}/receive`, { token: owner });
+    assert.equal(received.status, 200);
+    assert.equal(received.body.order.status, 'received');
+    assert.equal(received.body.order.stock_pending, null);
+    const { body } = await api('GET', '/api/owner/stock?storeId=42', { token: owner });
+    assert.equal(body.products.find(p => p.product_id === String(productId)).byStore[42], 5);
+  });
+});
+
+describe('stock counts', () => {
+  async function open(owner, storeId) {
+    const { body } = await api('POST', '/api/admin/stock-counts', { token: owner, body: { store_id: storeId } });
+    return body.count;
+  }
+
+  it('takes the next number from storage', async () => {
+    const owner = await ownerToken();
+    await createStore(owner, 51);
+    const first = await open(owner, 51);
+    await api('POST', `/api/admin/stock-counts/${first.id}/cancel`, { token: owner });
+    const taken = await storage.nextSequence('stock_counts');
+    const second = await open(owner, 51);
+    assert.equal(taken, Number(first.number.replace(/\D/g, '')) + 1);
+    assert.equal(second.number, `INV-${String(taken + 1).padStart(5, '0')}`);
+  });
+
+  it('finishes an approval that stopped halfway on the next attempt', async () => {
+    const owner = await ownerToken();
+    const key = await createStore(owner, 52);
+    const productId = 9952;
+    await api('POST', '/api/admin/products', { token: owner, body: { id: productId, name: 'Açúcar', price: 4, stock_by_store: { 52: 10 } } });
+    const count = await open(owner, 52);
+    await api('POST', `/api/sync/stock-counts/${count.id}/counts`, { storeKey: key, body: { storeId: 52, lines: [{ product_id: productId, quantity: 7 }] } });
+    await api('POST', `/api/admin/stock-counts/${count.id}/close`, { token: owner });
+
+    const saveStockLevel = storage.saveStockLevel;
+    storage.saveStockLevel = async () => { throw new Error('falha simulada'); };
+    const consoleError = console.error;
+    console.error = () => {};
+    try {
+      assert.equal((await api('POST', `/api/admin/stock-counts/${count.id}/approve`, { token: owner })).status, 500);
+    } finally {
+      storage.saveStockLevel = saveStockLevel;
+      console.error = consoleError;
+    }
+    assert.ok((await api('GET', `/api/admin/stock-counts/${count.id}`, { token: owner })).body.count.stock_pending);
+
+    assert.equal((await api('POST', `/api/admin/stock-counts/${count.id}/approve`, { token: owner })).status, 409);
+    const { body } = await api('GET', `/api/admin/stock-counts/${count.id}`, { token: owner });
+    assert.equal(body.count.status, 'approved');
+    assert.equal(body.count.stock_pending, null);
+    const stock = await api('GET', '/api/owner/stock?storeId=52', { token: owner });
+    assert.equal(stock.body.products.find(p => p.product_id === String(productId)).byStore[52], 7);
+  });
+});
+
+describe('sales panel', () => {
+  it('pages the sales of the period in each store local calendar', async () => {
+    const owner = await ownerToken();
+    await createStore(owner, 61);
+    await createStore(owner, 62);
+    await api('PUT', '/api/owner/stores/62/timezone', { token: owner, body: { timezone: 'Asia/Tokyo' } });
+    // 61 em America/Sao_Paulo (-03:00) e 62 em Asia/Tokyo (+09:00); só as marcadas caem em 01/03 local
+    const sales = [
+      [61, 'A1', '2026-03-01T01:00:00.000Z', false],
+      [61, 'A2', '2026-03-01T15:00:00.000Z', true],
+      [61, 'A3', '2026-03-02T02:00:00.000Z', true],
+      [62, 'B1', '2026-03-01T01:00:00.000Z', true],
+      [62, 'B2', '2026-02-28T16:00:00.000Z', true],
+      [62, 'B3', '2026-03-01T15:30:00.000Z', false]
+    ];
+    for (const [storeId, number, createdAt] of sales) {
+      await storage.saveSale({ sale_number: number, store_id: storeId, total: 10, status: 'completed', payment_method: 'cash', created_at: createdAt });
+    }
+
+    const page = (n) => api('GET', `/api/owner/all-sales?startDate=2026-03-01&endDate=2026-03-01&limit=3&page=${n}`, { token: owner });
+    const first = await page(1);
+    assert.equal(first.status, 200);
+    assert.deepEqual(first.body.sales.map(s => s.sale_number), ['A3', 'A2', 'B1']);
+    assert.deepEqual([first.body.count, first.body.totalPages, first.body.total], [4, 2, 40]);
+    assert.deepEqual(first.body.paymentMethods, { cash: 40 });
+
+    const last = await page(9);
+    assert.equal(last.body.page, 2);
+    assert.deepEqual(last.body.sales.map(s => s.sale_number), ['B2']);
+  });
+});
+
+describe('report comparison', () => {
+  it('rejects invalid dates and periods longer than 366 days', async () => {
+    const owner = await ownerToken();
+    const report = (query) => api('GET', `/api/owner/report?compare=previous&${query}`, { token: owner });
+    assert.equal((await report('startDate=2026-02-30&endDate=2026-03-01')).status, 400);
+    assert.equal((await report('startDate=banana&endDate=2026-03-01')).status, 400);
+    assert.equal((await report('startDate=2024-01-01&endDate=2026-01-01')).status, 400);
+    assert.equal((await report('startDate=2025-01-01&endDate=2026-01-01')).status, 200);
+  });
+});
+
+describe('sales pull', () => {
+  it('pages from the cursor and sends the recent window again only on the next pull', async () => {
+    const owner = await ownerToken();
+    await createStore(owner, 71);
+    const key = await createStore(owner, 72);
+    const now = Date.now();
+    const sale = (number, seq) => storage.saveSale({ sale_number: number, store_id: 71, total: 1, created_at: new Date(seq).toISOString(), sync_seq: seq });
+    await sale('P1', now - 600000);
+    await sale('P2', now - 599000);
+    await sale('P3', now - 598000);
+    await sale('P4', now - 1000);
+
+    // Outros testes também gravam vendas recentes: as verificações olham só para as da loja 71
+    const pull = (cursor, limit) => api('GET', `/api/sync/pull?cursor=${cursor}&limit=${limit}`, { storeKey: key });
+    const mine = (response) => response.body.sales.filter(s => s.store_id === 71).map(s => s.sale_number);
+    const first = await pull(now - 1200000, 2);
+    assert.deepEqual([mine(first), first.body.hasMore, first.body.nextCursor], [['P1', 'P2'], true, now - 599000]);
+    const second = await pull(first.body.nextCursor, 100);
+    assert.deepEqual(mine(second), ['P3', 'P4']);
+    assert.ok(second.body.nextCursor < now - 1000);
+
+    // Gravação que terminou depois do pull, com sequência menor que a última entregue
+    await sale('P5', now - 5000);
+    const third = await pull(second.body.nextCursor, 100);
+    assert.deepEqual(mine(third), ['P5', 'P4']);
+  });
+});
+
+describe('sales push idempotency', () => {
+  it('keeps the Idempotency-Key in storage, where every instance sees it', async () => {
+    const owner = await ownerToken();
+    const key = await createStore(owner, 81);
+    const sales = [{ sale_number: 'I-81-1', total: 5, created_at: new Date().toISOString() }];
+    const push = (idempotencyKey, body = { storeId: 81, sales }) =>
+      api('POST', '/api/sync/push', { storeKey: key, body, headers: { 'Idempotency-Key': idempotencyKey } });
+
+    const first = await push('k1');
+    assert.equal(first.status, 200);
+    assert.deepEqual((await storage.getIdempotencyKey('81:k1')).response, first.body);
+    assert.deepEqual(await push('k1'), first);
+    assert.equal((await push('k1', { storeId: 81, sales: [{ ...sales[0], total: 6 }] })).status, 422);
+
+    // Outra instância está processando o mesmo lote; depois de expirar, a chave pode ser usada de novo
+    const bodyHash = require('node:crypto').createHash('sha256').update(JSON.stringify(sales)).digest('hex');
+    const pending = { id: '81:k2', store_id: '81', body_hash: bodyHash, response: null, version: 1, expires_at: new Date(Date.now() + 60000).toISOString() };
+    await storage.saveIdempotencyKey(pending);
+    assert.equal((await push('k2')).status, 409);
+    await storage.saveIdempotencyKey({ ...pending, expires_at: new Date(Date.now() - 1000).toISOString() });
+    const retried = await push('k2');
+    assert.equal(retried.status, 200);
+    assert.equal(retried.body.summary.duplicate, 1);
+  });
+});
@@ -0,0 +1,379 @@
+// =====================================
+// CONTRATO DOS ADAPTADORES DE ARMAZENAMENTO
+// =====================================
+// O mesmo conjunto de testes roda contra cada adaptador (memory, file, sqlite e,
+// com STORAGE_CONTRACT_SUPABASE=1 + SUPABASE_URL/SUPABASE_KEY, supabase).
+// Os ids usados são únicos por execução, então o Supabase pode ser um projeto
+// de teste compartilhado: as verificações olham só para os registros criados aqui.
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createMemoryStorage } = require('../storage/memory');
+const { createFileStorage } = require('../storage/file');
+const { createSqliteStorage } = require('../storage/sqlite');
+const { createSupabaseStorage } = require('../storage/supabase');
+const { VERSION_CONFLICT } = require('../storage/versions');
+const { createStorage } = require('../storage');
+
+const tmpDir = (prefix) => fs.mkdtempSync(path.join(os.tmpdir(), prefix));
+
+function hasSqlite() {
+  try {
+    require('better-sqlite3');
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+const ADAPTERS = [
+  { name: 'memory', create: () => createMemoryStorage() },
+  {
+    name: 'file',
+    create: () => createFileStorage({ dir: tmpDir('posgol-file-') }),
+    reopen: (storage) => {
+      storage.close();
+      return createFileStorage({ dir: storage.dir });
+    }
+  },
+  {
+    name: 'sqlite',
+    skip: !hasSqlite() && 'better-sqlite3 não instalado',
+    create: () => createSqliteStorage({ file: path.join(tmpDir('posgol-sqlite-'), 'posgol.db') }),
+    reopen: (storage) => {
+      storage.close();
+      return createSqliteStorage({ file: storage.file });
+    }
+  },
+  {
+    name: 'supabase',
+    skip: !(process.env.STORAGE_CONTRACT_SUPABASE === '1' && process.env.SUPABASE_URL && process.env.SUPABASE_KEY) &&
+      'defina STORAGE_CONTRACT_SUPABASE=1, SUPABASE_URL e SUPABASE_KEY',
+    create: () => createSupabaseStorage({ url: process.env.SUPABASE_URL, key: process.env.SUPABASE_KEY })
+  }
+];
+
+const ids = (records, field = 'id') => records.map(r => String(r[field])).sort();
+
+ADAPTERS.forEach(adapter => {
+  describe(`storage contract: ${adapter.name}`, { skip: adapter.skip }, () => {
+    let storage;
+    // Lojas e ids únicos por execução (numéricos, como os ids de loja reais)
+    const run = Date.now() % 1e9;
+    const storeA = run * 10 + 1;
+    const storeB = run * 10 + 2;
+    const storeC = run * 10 + 3;
+    const uid = (suffix) => `t${run}-${suffix}`;
+
+    before(() => {
+      storage = adapter.create();
+    });
+
+    after(() => {
+      if (storage.close) storage.close();
+    });
+
+    it('saves, lists and deletes products, keyed by id or barcode', async () => {
+      const withId = { id: run, name: 'Arroz', barcode: uid('789'), sync_seq: 10 };
+      const barcodeOnly = { name: 'Granel', barcode: uid('790'), sync_seq: 20 };
+      await storage.saveProduct(withId);
+      await storage.saveProducts([barcodeOnly]);
+      await storage.saveProduct({ ...withId, name: 'Arroz 5kg' });
+
+      const mine = (await storage.getProducts()).filter(p => [uid('789'), uid('790')].includes(p.barcode));
+      assert.equal(mine.length, 2);
+      assert.equal(mine.find(p => p.barcode === uid('789')).name, 'Arroz 5kg');
+
+      const afterCursor = (await storage.getProductsAfterCursor(15)).filter(p => p.barcode === uid('790') || p.barcode === uid('789'));
+      assert.deepEqual(afterCursor.map(p => p.barcode), [uid('790')]);
+
+      await storage.deleteProduct(uid('790'));
+      await storage.deleteProduct(run);
+      assert.equal((await storage.getProducts()).filter(p => [uid('789'), uid('790')].includes(p.barcode)).length, 0);
+    });
+
+    it('saves and deletes categories and promotions', async () => {
+      await storage.saveCategory({ id: run, name: 'Mercearia' });
+      await storage.savePromotion({ id: run, name: 'Leve 3', is_active: true });
+      assert.equal((await storage.getCategories()).find(c => String(c.id) === String(run)).name, 'Mercearia');
+      assert.equal((await storage.getPromotions()).find(p => String(p.id) === String(run)).name, 'Leve 3');
+
+      await storage.deleteCategory(run);
+      await storage.deletePromotion(run);
+      assert.ok(!(await storage.getCategories()).some(c => String(c.id) === String(run)));
+      assert.ok(!(await storage.getPromotions()).some(p => String(p.id) === String(run)));
+    });
+
+    it('saves sales and filters them by store, period and cursor', async () => {
+      await storage.saveSale({ sale_number: uid('S1'), store_id: storeA, total: 10, status: 'completed', created_at: '2026-01-10T12:00:00.000Z', sync_seq: 100 });
+      await storage.saveSale({ sale_number: uid('S2'), store_id: storeB, total: 20, status: 'completed', created_at: '2026-02-10T12:00:00.000Z', sync_seq: 200 });
+      await storage.saveSale({ sale_number: uid('S3'), store_id: storeB, total: 30, status: 'completed', created_at: '2026-03-10T12:00:00.000Z', sync_seq: 300 });
+      await storage.saveSale({ sale_number: uid('S1'), store_id: storeA, total: 10, status: 'voided', created_at: '2026-01-10T12:00:00.000Z', sync_seq: 400 });
+
+      assert.equal((await storage.getSaleByNumber(uid('S1'))).status, 'voided');
+      assert.equal(await storage.getSaleByNumber(uid('missing')), null);
+      assert.deepEqual(ids(await storage.getSales(storeB), 'sale_number'), [uid('S2'), uid('S3')]);
+      assert.deepEqual(
+        ids(await storage.getSales(storeB, { from: '2026-03-01T00:00:00.000Z', to: '2026-03-31T00:00:00.000Z' }), 'sale_number'),
+        [uid('S3')]
+      );
+
+      const mine = (sales) => sales.filter(s => String(s.sale_number).startsWith(`t${run}-`)).map(s => s.sale_number);
+      assert.deepEqual(mine(await storage.getSalesAfterCursor(150, { limit: 10000 })), [uid('S2'), uid('S3'), uid('S1')]);
+      assert.deepEqual(mine(await storage.getSalesAfterCursor(150, { excludeStoreId: storeB, limit: 10000 })), [uid('S1')]);
+    });
+
+    it('replaces the item ledger of a sale and filters items', async () => {
+      const item = (n, extra) => ({
+        id: `${uid('S1')}:${n}`, sale_number: uid('S1'), store_id: storeA, sold_at: '2026-01-10T12:00:00.000Z',
+        product_id: String(run), barcode: uid('789'), category_id: String(run), quantity: 1, ...extra
+      });
+      await storage.replaceSaleItems(uid('S1'), [item(1), item(2, { barcode: uid('790') })]);
+      await storage.replaceSaleItems(uid('S1'), [item(1, { quantity: 3 })]);
+
+      const items = await storage.getSaleItems({ storeId: storeA });
+      assert.deepEqual(items.map(i => i.quantity), [3]);
+      assert.equal((await storage.getSaleItems({ barcode: uid('790') })).length, 0);
+      assert.equal((await storage.getSaleItems({ storeId: storeA, from: '2026-02-01T00:00:00.000Z' })).length, 0);
+      assert.ok((await storage.getLedgeredSaleNumbers()).map(String).includes(uid('S1')));
+    });
+
+    it('saves closings and filters them by store and period', async () => {
+      await storage.saveClosing({ id: uid('C1'), store_id: storeA, closed_at: '2026-01-10T20:00:00.000Z', status: 'balanced' });
+      await storage.saveClosing({ id: uid('C2'), store_id: storeA, closed_at: '2026-02-10T20:00:00.000Z', status: 'short' });
+      assert.equal((await storage.getClosingById(uid('C2'))).status, 'short');
+      assert.deepEqual(ids(await storage.getClosings({ storeId: storeA, from: '2026-02-01T00:00:00.000Z' })), [uid('C2')]);
+    });
+
+    it('filters dates sent with a UTC offset by the instant they represent', async () => {
+      // 01:30 em -03:00 é 04:30Z: fica dentro de [03:00Z, 05:00Z] e fora de [00:00Z, 02:00Z]
+      const at = '2026-03-01T01:30:00-03:00';
+      const inside = { from: '2026-03-01T03:00:00.000Z', to: '2026-03-01T05:00:00.000Z' };
+      const earlier = { from: '2026-03-01T00:00:00.000Z', to: '2026-03-01T02:00:00.000Z' };
+      await storage.saveSale({ sale_number: uid('O1'), store_id: storeC, total: 1, created_at: at, sync_seq: 600 });
+      await storage.replaceSaleItems(uid('O1'), [{ id: `${uid('O1')}:1`, sale_number: uid('O1'), store_id: storeC, sold_at: at, quantity: 1 }]);
+      await storage.saveClosing({ id: uid('O2'), store_id: storeC, closed_at: at });
+      await storage.saveStockMovements([{ id: uid('O3'), store_id: storeC, product_id: String(run), quantity: 1, created_at: at }]);
+
+      for (const [period, expected] of [[inside, 1], [earlier, 0]]) {
+        assert.equal((await storage.getSales(storeC, period)).length, expected);
+        assert.equal((await storage.getSaleItems({ storeId: storeC, ...period })).length, expected);
+        assert.equal((await storage.getClosings({ storeId: storeC, ...period })).length, expected);
+        assert.equal((await storage.getStockMovements({ storeId: storeC, ...period })).length, expected);
+      }
+    });
+
+    it('saves stock levels and movements', async () => {
+      const level = { id: `${storeA}:${run}`, store_id: storeA, product_id: String(run), quantity: 5 };
+      await storage.saveStockLevels([level]);
+      await storage.saveStockLevels([{ ...level, quantity: 4 }]);
+      await storage.saveStockMovements([
+        { id: uid('M1'), store_id: storeA, product_id: String(run), quantity: -1, balance: 4, reason: 'sale', reference: uid('S1'), created_at: '2026-01-10T12:00:00.000Z' },
+        { id: uid('M2'), store_id: storeA, product_id: String(run), quantity: 2, balance: 6, reason: 'adjustment', reference: null, created_at: '2026-02-10T12:00:00.000Z' }
+      ]);
+
+      assert.deepEqual((await storage.getStockLevels({ storeId: storeA })).map(l => l.quantity), [4]);
+      assert.deepEqual(ids(await storage.getStockMovements({ reference: uid('S1') })), [uid('M1')]);
+      assert.deepEqual(ids(await storage.getStockMovements({ storeId: storeA, from: '2026-02-01T00:00:00.000Z' })), [uid('M2')]);
+    });
+
+    it('saves a stock level only while it is still at the expected version', async () => {
+      const level = { id: `${storeA}:${run}-v`, store_id: storeA, product_id: `${run}-v`, quantity: 3, version: 1 };
+      await storage.saveStockLevel(level, { expectedVersion: 0 });
+      await assert.rejects(storage.saveStockLevel({ ...level, quantity: 9 }, { expectedVersion: 0 }), { code: VERSION_CONFLICT });
+      await storage.saveStockLevel({ ...level, quantity: 2, version: 2 }, { expectedVersion: 1 });
+      await assert.rejects(storage.saveStockLevel({ ...level, quantity: 5, version: 2 }, { expectedVersion: 1 }), { code: VERSION_CONFLICT });
+      assert.deepEqual((await storage.getStockLevels({ storeId: storeA, productId: `${run}-v` })).map(l => l.quantity), [2]);
+    });
+
+    it('finds transfers by origin or destination store and status', async () => {
+      await storage.saveTransfer({ id: uid('T1'), from_store_id: storeA, to_store_id: storeB, status: 'pending', lines: [] });
+      await storage.saveTransfer({ id: uid('T2'), from_store_id: storeB, to_store_id: storeA, status: 'shipped', lines: [] });
+      assert.deepEqual(ids(await storage.getTransfers({ storeId: storeA })), [uid('T1'), uid('T2')]);
+      assert.deepEqual(ids(await storage.getTransfers({ storeId: storeB, status: 'shipped' })), [uid('T2')]);
+      assert.equal((await storage.getTransferById(uid('T1'))).status, 'pending');
+      assert.equal(await storage.getTransferById(uid('missing')), null);
+    });
+
+    it('saves a transfer only while it is still at the expected version', async () => {
+      await storage.saveTransfer({ id: uid('T3'), from_store_id: storeA, to_store_id: storeB, status: 'pending', lines: [] });
+      await storage.saveTransfer(
+        { id: uid('T3'), from_store_id: storeA, to_store_id: storeB, status: 'shipped', lines: [], version: 1 },
+        { expectedVersion: null }
+      );
+      await assert.rejects(
+        storage.saveTransfer(
+          { id: uid('T3'), from_store_id: storeA, to_store_id: storeB, status: 'cancelled', lines: [], version: 1 },
+          { expectedVersion: null }
+        ),
+        { code: VERSION_CONFLICT }
+      );
+      await assert.rejects(
+        storage.saveTransfer({ id: uid('T4'), from_store_id: storeA, to_store_id: storeB, status: 'shipped', lines: [], version: 2 }, { expectedVersion: 1 }),
+        { code: VERSION_CONFLICT }
+      );
+      assert.equal((await storage.getTransferById(uid('T3'))).status, 'shipped');
+      assert.equal(await storage.getTransferById(uid('T4')), null);
+    });
+
+    it('saves suppliers and purchase orders', async () => {
+      await storage.saveSupplier({ id: uid('F1'), name: 'Distribuidora', contacts: [] });
+      assert.ok((await storage.getSuppliers()).some(s => s.id === uid('F1')));
+
+      await storage.savePurchaseOrder({ id: uid('P1'), number: 'PC-1', store_id: storeA, supplier_id: uid('F1'), status: 'draft', lines: [] });
+      await storage.savePurchaseOrder({ id: uid('P2'), number: 'PC-2', store_id: storeB, supplier_id: uid('F1'), status: 'sent', lines: [] });
+      assert.deepEqual(ids(await storage.getPurchaseOrders({ supplierId: uid('F1') })), [uid('P1'), uid('P2')]);
+      assert.deepEqual(ids(await storage.getPurchaseOrders({ storeId: storeB, status: 'sent' })), [uid('P2')]);
+      assert.equal((await storage.getPurchaseOrderById(uid('P1'))).number, 'PC-1');
+
+      const sent = { id: uid('P1'), number: 'PC-1', store_id: storeA, supplier_id: uid('F1'), status: 'sent', lines: [], version: 1 };
+      await storage.savePurchaseOrder(sent, { expectedVersion: null });
+      await assert.rejects(storage.savePurchaseOrder({ ...sent, status: 'cancelled', version: 2 }, { expectedVersion: null }), { code: VERSION_CONFLICT });
+      await storage.savePurchaseOrder({ ...sent, status: 'received', version: 2 }, { expectedVersion: 1 });
+      assert.equal((await storage.getPurchaseOrderById(uid('P1'))).status, 'received');
+
+      await storage.deleteSupplier(uid('F1'));
+      assert.ok(!(await storage.getSuppliers()).some(s => s.id === uid('F1')));
+    });
+
+    it('saves stock counts and filters them by store and status', async () => {
+      await storage.saveStockCount({ id: uid('I1'), number: 'INV-1', store_id: storeA, status: 'open', counts: [] });
+      await storage.saveStockCount({ id: uid('I2'), number: 'INV-2', store_id: storeA, status: 'approved', counts: [] });
+      assert.deepEqual(ids(await storage.getStockCounts({ storeId: storeA })), [uid('I1'), uid('I2')]);
+      assert.deepEqual(ids(await storage.getStockCounts({ storeId: storeA, status: 'open' })), [uid('I1')]);
+      assert.equal((await storage.getStockCountById(uid('I2'))).number, 'INV-2');
+
+      const counted = { id: uid('I1'), number: 'INV-1', store_id: storeA, status: 'open', counts: [{ product_id: 'x', quantity: 1 }], version: 1 };
+      await storage.saveStockCount(counted, { expectedVersion: null });
+      await assert.rejects(storage.saveStockCount({ ...counted, status: 'review', version: 2 }, { expectedVersion: 2 }), { code: VERSION_CONFLICT });
+      assert.equal((await storage.getStockCountById(uid('I1'))).status, 'open');
+    });
+
+    it('saves stores and finds them by key hash', async () => {
+      await storage.saveStore({ id: storeA, name: 'Loja A', api_key_hash: uid('hash') });
+      assert.equal((await storage.getStores()).find(s => String(s.id) === String(storeA)).name, 'Loja A');
+      assert.equal(String((await storage.getStoreByKeyHash(uid('hash'))).id), String(storeA));
+      assert.equal(await storage.getStoreByKeyHash(uid('nope')), null);
+    });
+
+    it('saves, finds and deletes users', async () => {
+      await storage.saveUser({ id: run, username: uid('ana'), full_name: 'Ana', role: 'manager', store_id: storeA, is_active: true });
+      assert.equal((await storage.getUserById(run)).username, uid('ana'));
+      assert.equal(String((await storage.getUserByUsername(uid('ana'))).id), String(run));
+      assert.ok((await storage.getUsers()).some(u => u.username === uid('ana')));
+
+      await storage.deleteUser(run);
+      assert.equal(await storage.getUserById(run), null);
+    });
+
+    it('saves revoked sessions and deletes them after they expire', async () => {
+      await storage.saveRevokedSession({ sid: uid('S1'), expires_at: '2026-01-01T00:00:00.000Z' });
+      await storage.saveRevokedSession({ sid: uid('S2'), expires_at: '2099-01-01T00:00:00.000Z' });
+      assert.ok(await storage.getRevokedSession(uid('S1')));
+      assert.equal(await storage.getRevokedSession(uid('nope')), null);
+
+      await storage.deleteExpiredRevokedSessions('2026-06-01T00:00:00.000Z');
+      assert.equal(await storage.getRevokedSession(uid('S1')), null);
+      assert.ok(await storage.getRevokedSession(uid('S2')));
+    });
+
+    it('reserves an idempotency key once and deletes it after it expires', async () => {
+      const pending = { id: uid('K1'), store_id: String(storeA), body_hash: 'h1', response: null, version: 1, expires_at: '2099-01-01T00:00:00.000Z' };
+      await storage.saveIdempotencyKey(pending, { expectedVersion: 0 });
+      await assert.rejects(storage.saveIdempotencyKey({ ...pending, body_hash: 'h2' }, { expectedVersion: 0 }), { code: VERSION_CONFLICT });
+      await storage.saveIdempotencyKey({ ...pending, response: { success: true }, version: 2 }, { expectedVersion: 1 });
+      await assert.rejects(storage.saveIdempotencyKey({ ...pending, version: 2 }, { expectedVersion: 1 }), { code: VERSION_CONFLICT });
+      assert.deepEqual((await storage.getIdempotencyKey(uid('K1'))).response, { success: true });
+      assert.equal(await storage.getIdempotencyKey(uid('nope')), null);
+
+      await storage.saveIdempotencyKey({ ...pending, id: uid('K2'), expires_at: '2026-01-01T00:00:00.000Z' });
+      await storage.deleteExpiredIdempotencyKeys('2026-06-01T00:00:00.000Z');
+      assert.equal(await storage.getIdempotencyKey(uid('K2')), null);
+      await storage.deleteIdempotencyKey(uid('K1'));
+      assert.equal(await storage.getIdempotencyKey(uid('K1')), null);
+    });
+
+    it('pages the filtered sales and totals them in storage', async () => {
+      const storeD = run * 10 + 4;
+      const sale = (n, day, extra) => ({ sale_number: uid(n), store_id: storeD, created_at: `2026-${day}T10:00:00.000Z`, ...extra });
+      await storage.saveSale(sale('Q1', '04-01', {
+        total: 100, status: 'completed', user_id: 7, payment_method: 'mixed',
+        payments: [{ method: 'cash', amount: 60 }, { method: 'card', amount: 40 }]
+      }));
+      await storage.saveSale(sale('Q2', '04-02', { total: 50, status: 'refunded', refunded_amount: 20, payment_method: 'pix', cashier_name: 'Ana' }));
+      await storage.saveSale(sale('Q3', '04-03', { total: 30, status: 'voided', user_id: 7, payment_method: 'cash' }));
+      await storage.saveSale(sale('Q4', '05-01', { total: 10, status: 'completed', payment_method: 'cash' }));
+      const april = { storeId: storeD, ranges: [{ from: '2026-04-01T00:00:00.000Z', before: '2026-04-04T00:00:00.000Z' }] };
+
+      const first = await storage.querySales(april, { offset: 0, limit: 2 });
+      assert.deepEqual(first.sales.map(s => s.sale_number), [uid('Q3'), uid('Q2')]);
+      assert.equal(Number(first.count), 3);
+      assert.deepEqual(
+        { ...first.summary, total: Number(first.summary.total), grossTotal: Number(first.summary.grossTotal) },
+        { total: 130, grossTotal: 180, voidedCount: 1, transactions: 2, paymentMethods: { cash: 60, card: 40, pix: 30 } }
+      );
+      const operator = first.operators.find(o => String(o.user_id) === '7');
+      assert.deepEqual([Number(operator.count), Number(operator.total)], [1, 100]);
+      assert.deepEqual((await storage.querySales(april, { offset: 2, limit: 2 })).sales.map(s => s.sale_number), [uid('Q1')]);
+
+      const count = async (filters) => Number((await storage.querySales({ ...april, ...filters }, { limit: 10 })).count);
+      assert.equal(await count({ paymentMethod: 'cash' }), 2);
+      assert.equal(await count({ operator: { ids: ['7'], names: [] } }), 2);
+      assert.equal(await count({ operator: { ids: [], names: ['Ana'] } }), 1);
+      assert.equal(await count({ status: 'completed', minTotal: 50 }), 1);
+      assert.equal(await count({ ranges: [{ exceptStoreIds: [String(storeD)], from: april.ranges[0].from }] }), 0);
+
+      const [overview] = await storage.getSalesOverview(storeD);
+      assert.deepEqual(
+        [String(overview.store_id), Number(overview.count), new Date(overview.last_sale_at).toISOString()],
+        [String(storeD), 4, '2026-05-01T10:00:00.000Z']
+      );
+    });
+
+    it('hands out increasing sequence numbers, never below the floor', async () => {
+      assert.equal(await storage.nextSequence(uid('PC'), 41), 42);
+      assert.equal(await storage.nextSequence(uid('PC'), 0), 43);
+      assert.equal(await storage.nextSequence(uid('PC'), 99), 100);
+      const concurrent = await Promise.all([1, 2, 3, 4].map(() => storage.nextSequence(uid('PC'))));
+      assert.deepEqual(concurrent.sort((a, b) => a - b), [101, 102, 103, 104]);
+    });
+
+    it('keeps the data after reopening', { skip: !adapter.reopen && 'adaptador sem reabertura' }, async () => {
+      await storage.saveSale({ sale_number: uid('R1'), store_id: storeA, total: 5, created_at: '2026-01-11T12:00:00.000Z', sync_seq: 500 });
+      await storage.saveStockLevels([{ id: `${storeB}:${run}`, store_id: storeB, product_id: String(run), quantity: 7 }]);
+      await storage.nextSequence(uid('R'), 6);
+      storage = adapter.reopen(storage);
+      assert.equal((await storage.getSaleByNumber(uid('R1'))).total, 5);
+      assert.equal(await storage.nextSequence(uid('R')), 8);
+      assert.deepEqual((await storage.getStockLevels({ storeId: storeB })).map(l => l.quantity), [7]);
+    });
+  });
+});
+
+describe('choosing the adapter', () => {
+  // Os avisos de cada tentativa só poluem a saída do runner
+  const quietly = (run) => {
+    const { log, error } = console;
+    console.log = console.error = () => {};
+    try {
+      return run();
+    } finally {
+      Object.assign(console, { log, error });
+    }
+  };
+
+  it('fails instead of silently using memory', () => {
+    assert.throws(() => quietly(() => createStorage({ STORAGE_DRIVER: 'postgres' })), /STORAGE_DRIVER desconhecido/);
+    assert.throws(() => quietly(() => createStorage({ STORAGE_DRIVER: 'supabase' })), /SUPABASE_URL/);
+    assert.throws(() => quietly(() => createStorage({ VERCEL: '1' })), /SUPABASE_URL/);
+  });
+
+  it('uses memory only when configured', () => {
+    assert.equal(quietly(() => createStorage({ STORAGE_DRIVER: 'memory' })).driver, 'memory');
+    assert.equal(quietly(() => createStorage({ VERCEL: '1', STORAGE_DRIVER: 'memory' })).driver, 'memory');
+    assert.equal(quietly(() => createStorage({ STORAGE_DRIVER: 'postgres', STORAGE_FALLBACK: 'memory' })).driver, 'memory');
+  });
+});